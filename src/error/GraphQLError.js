@@ -26,7 +26,8 @@ declare class GraphQLError extends Error {
     source?: ?Source,
     positions?: ?Array<number>,
     path?: ?Array<string | number>,
-    originalError?: ?Error
+    originalError?: ?Error,
+    extensions?: ?{ [key: string]: mixed }
   ): void;
 
   /**
@@ -76,6 +77,14 @@ declare class GraphQLError extends Error {
    * The original error thrown from a field resolver during execution.
    */
   originalError: ?Error;
+
+  /**
+   * Extension fields to add to the formatted error, such as an error code.
+   * If not provided, the `extensions` of the original error are used.
+   *
+   * Enumerable, and appears in the result of JSON.stringify().
+   */
+  extensions: { [key: string]: mixed } | void;
 }
 
 export function GraphQLError( // eslint-disable-line no-redeclare
@@ -84,7 +93,8 @@ export function GraphQLError( // eslint-disable-line no-redeclare
   source?: ?Source,
   positions?: ?Array<number>,
   path?: ?Array<string | number>,
-  originalError?: ?Error
+  originalError?: ?Error,
+  extensions?: ?{ [key: string]: mixed }
 ) {
   // Compute locations in the source for the given nodes/positions.
   let _source = source;
@@ -108,6 +118,9 @@ export function GraphQLError( // eslint-disable-line no-redeclare
     _locations = _positions.map(pos => getLocation(_source2, pos));
   }
 
+  const _extensions = extensions ||
+    originalError && (originalError: any).extensions;
+
   Object.defineProperties(this, {
     message: {
       value: message,
@@ -146,6 +159,12 @@ export function GraphQLError( // eslint-disable-line no-redeclare
     },
     originalError: {
       value: originalError
+    },
+    extensions: {
+      value: _extensions || undefined,
+      // Only enumerable when provided, so that JSON.stringify will include
+      // `extensions` in the resulting output when there are any.
+      enumerable: Boolean(_extensions)
     }
   });
 
@@ -11,6 +11,7 @@ import { expect } from 'chai';
 import { describe, it } from 'mocha';
 
 import { parse, Source, GraphQLError, formatError } from '../../';
+import { locatedError } from '../locatedError';
 
 
 describe('GraphQLError', () => {
@@ -139,4 +140,68 @@ describe('GraphQLError', () => {
     });
   });
 
+  it('serializes to include extensions', () => {
+    const e = new GraphQLError(
+      'msg',
+      null,
+      null,
+      null,
+      null,
+      null,
+      { code: 'FORBIDDEN' }
+    );
+    expect(e.extensions).to.deep.equal({ code: 'FORBIDDEN' });
+    expect(JSON.stringify(e)).to.equal(
+      '{"message":"msg","extensions":{"code":"FORBIDDEN"}}'
+    );
+  });
+
+  it('uses the extensions of an original error', () => {
+    const original = new Error('original');
+    (original: any).extensions = { code: 'ORIGINAL' };
+
+    const e = new GraphQLError('msg', null, null, null, null, original);
+    expect(e.extensions).to.deep.equal({ code: 'ORIGINAL' });
+
+    const overridden = new GraphQLError(
+      'msg',
+      null,
+      null,
+      null,
+      null,
+      original,
+      { code: 'OVERRIDDEN' }
+    );
+    expect(overridden.extensions).to.deep.equal({ code: 'OVERRIDDEN' });
+  });
+
+  it('located errors preserve the extensions of the original error', () => {
+    const node = parse('{ field }').definitions[0].selectionSet.selections[0];
+    const original = new Error('original');
+    (original: any).extensions = { code: 'ORIGINAL', retryAfter: 10 };
+
+    const e = locatedError(original, [ node ], [ 'field' ]);
+    expect(e.originalError).to.equal(original);
+    expect(e.extensions).to.deep.equal({ code: 'ORIGINAL', retryAfter: 10 });
+  });
+
+  it('default error formatter includes extensions', () => {
+    const e = new GraphQLError(
+      'msg',
+      null,
+      null,
+      null,
+      [ 'path' ],
+      null,
+      { code: 'FORBIDDEN' }
+    );
+
+    expect(formatError(e)).to.deep.equal({
+      message: 'msg',
+      locations: undefined,
+      path: [ 'path' ],
+      extensions: { code: 'FORBIDDEN' }
+    });
+  });
+
 });
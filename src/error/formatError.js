@@ -15,20 +15,27 @@ import type { GraphQLError } from './GraphQLError';
 /**
  * Given a GraphQLError, format it according to the rules described by the
  * Response Format, Errors section of the GraphQL Specification.
+ *
+ * The error's `extensions` are included when it has any.
  */
 export function formatError(error: GraphQLError): GraphQLFormattedError {
   invariant(error, 'Received null or undefined error.');
-  return {
+  const formatted: GraphQLFormattedError = {
     message: error.message,
     locations: error.locations,
     path: error.path
   };
+  if (error.extensions) {
+    formatted.extensions = error.extensions;
+  }
+  return formatted;
 }
 
 export type GraphQLFormattedError = {
   message: string,
   locations: ?Array<GraphQLErrorLocation>,
-  path: ?Array<string | number>
+  path: ?Array<string | number>,
+  extensions?: { [key: string]: mixed }
 };
 
 export type GraphQLErrorLocation = {
@@ -14,7 +14,8 @@ import { GraphQLError } from './GraphQLError';
 /**
  * Given an arbitrary Error, presumably thrown while attempting to execute a
  * GraphQL operation, produce a new GraphQLError aware of the location in the
- * document responsible for the original Error.
+ * document responsible for the original Error. Any `extensions` of the
+ * original Error are preserved.
  */
 export function locatedError(
   originalError: ?Error,
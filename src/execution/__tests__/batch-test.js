@@ -0,0 +1,248 @@
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { execute } from '../execute';
+import { parse } from '../../language';
+import {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+  GraphQLInt,
+} from '../../type';
+
+
+const people = {
+  '1': { id: 1, name: 'Alice', friendIDs: [ 2, 3 ] },
+  '2': { id: 2, name: 'Bob', friendIDs: [ 1 ] },
+  '3': { id: 3, name: 'Carol', friendIDs: [ 1, 2 ] },
+};
+
+function createSchema(calls) {
+  const personType = new GraphQLObjectType({
+    name: 'Person',
+    fields: () => ({
+      name: { type: GraphQLString },
+      friends: {
+        type: new GraphQLList(personType),
+        resolveBatch(sources, args, context, info) {
+          calls.push({ field: 'friends', sources, args, context, info });
+          return sources.map(person => person.friendIDs.map(id => people[id]));
+        },
+      },
+      greeting: {
+        type: GraphQLString,
+        args: { salutation: { type: GraphQLString } },
+        resolveBatch(sources, args) {
+          calls.push({ field: 'greeting', sources, args });
+          return Promise.resolve(
+            sources.map(person => `${args.salutation}, ${person.name}`)
+          );
+        },
+      },
+      nameLength: {
+        type: GraphQLInt,
+        resolveBatch(sources) {
+          calls.push({ field: 'nameLength', sources });
+          return sources.map(person => (
+            person.id === 2 ? new Error('Too short') : person.name.length
+          ));
+        },
+      },
+      failing: {
+        type: GraphQLString,
+        resolveBatch() {
+          throw new Error('Batch failed');
+        },
+      },
+      incomplete: {
+        type: GraphQLString,
+        resolveBatch() {
+          return [];
+        },
+      },
+      nonNullFailing: {
+        type: new GraphQLNonNull(GraphQLString),
+        resolveBatch(sources) {
+          return Promise.reject(new Error(`Failed ${sources.length}`));
+        },
+      },
+    }),
+  });
+
+  return new GraphQLSchema({
+    query: new GraphQLObjectType({
+      name: 'Query',
+      fields: {
+        people: {
+          type: new GraphQLList(personType),
+          resolve: () => [ people[1], people[2], people[3] ],
+        },
+        asyncPeople: {
+          type: new GraphQLList(personType),
+          resolve: () => Promise.resolve([ people[1], people[2] ]),
+        },
+        person: {
+          type: personType,
+          resolve: () => people[1],
+        },
+      },
+    }),
+  });
+}
+
+describe('Execute: handles batch resolvers', () => {
+
+  it('resolves the items of a list in a single batch', async () => {
+    const calls = [];
+    const result = await execute(
+      createSchema(calls),
+      parse('{ people { name friends { name } } }'),
+      null,
+      { user: 'admin' }
+    );
+
+    expect(result).to.deep.equal({
+      data: {
+        people: [
+          { name: 'Alice', friends: [ { name: 'Bob' }, { name: 'Carol' } ] },
+          { name: 'Bob', friends: [ { name: 'Alice' } ] },
+          { name: 'Carol', friends: [ { name: 'Alice' }, { name: 'Bob' } ] },
+        ],
+      },
+    });
+    expect(calls.length).to.equal(1);
+    expect(calls[0].sources).to.deep.equal([ people[1], people[2], people[3] ]);
+    expect(calls[0].context).to.deep.equal({ user: 'admin' });
+    expect(calls[0].info.fieldName).to.equal('friends');
+    expect(calls[0].info.path).to.deep.equal({
+      prev: { prev: { prev: undefined, key: 'people' }, key: 0 },
+      key: 'friends',
+    });
+  });
+
+  it('batches sources at the same depth of nested lists', async () => {
+    const calls = [];
+    const result = await execute(
+      createSchema(calls),
+      parse('{ people { friends { friends { name } } } }')
+    );
+
+    expect(result.errors).to.equal(undefined);
+    expect(calls.map(call => call.sources.length)).to.deep.equal([ 3, 5 ]);
+  });
+
+  it('provides arguments and awaits a Promise of values', async () => {
+    const calls = [];
+    const result = await execute(
+      createSchema(calls),
+      parse(`{
+        people {
+          hello: greeting(salutation: "Hello")
+          hi: greeting(salutation: "Hi")
+        }
+      }`)
+    );
+
+    expect(result).to.deep.equal({
+      data: {
+        people: [
+          { hello: 'Hello, Alice', hi: 'Hi, Alice' },
+          { hello: 'Hello, Bob', hi: 'Hi, Bob' },
+          { hello: 'Hello, Carol', hi: 'Hi, Carol' },
+        ],
+      },
+    });
+    expect(calls.map(call => call.args)).to.deep.equal([
+      { salutation: 'Hello' },
+      { salutation: 'Hi' },
+    ]);
+  });
+
+  it('batches the items of a list resolved by a Promise', async () => {
+    const calls = [];
+    const result = await execute(
+      createSchema(calls),
+      parse('{ person { name } asyncPeople { nameLength } }')
+    );
+
+    expect(result.data).to.deep.equal({
+      person: { name: 'Alice' },
+      asyncPeople: [ { nameLength: 5 }, { nameLength: null } ],
+    });
+    expect(calls.length).to.equal(1);
+    expect(calls[0].sources).to.deep.equal([ people[1], people[2] ]);
+  });
+
+  it('reports errors returned for individual sources', async () => {
+    const result = await execute(
+      createSchema([]),
+      parse('{ people { nameLength } }')
+    );
+
+    expect(result.data).to.deep.equal({
+      people: [ { nameLength: 5 }, { nameLength: null }, { nameLength: 5 } ],
+    });
+    expect(result.errors).to.have.length(1);
+    expect(result.errors[0]).to.deep.include({
+      message: 'Too short',
+      locations: [ { line: 1, column: 12 } ],
+      path: [ 'people', 1, 'nameLength' ],
+    });
+  });
+
+  it('reports a thrown error for every source', async () => {
+    const result = await execute(
+      createSchema([]),
+      parse('{ people { failing } }')
+    );
+
+    expect(result.data).to.deep.equal({
+      people: [ { failing: null }, { failing: null }, { failing: null } ],
+    });
+    expect(result.errors.map(error => error.path)).to.deep.equal([
+      [ 'people', 0, 'failing' ],
+      [ 'people', 1, 'failing' ],
+      [ 'people', 2, 'failing' ],
+    ]);
+    expect(result.errors[0].message).to.equal('Batch failed');
+  });
+
+  it('reports an error when values do not match the sources', async () => {
+    const result = await execute(
+      createSchema([]),
+      parse('{ person { incomplete } }')
+    );
+
+    expect(result.data).to.deep.equal({ person: { incomplete: null } });
+    expect(result.errors).to.have.length(1);
+    expect(result.errors[0].message).to.equal(
+      'Batch resolver for Person.incomplete must return an Array with a ' +
+      'value for each of its 1 sources.'
+    );
+  });
+
+  it('nulls the parent of a failed non-null batched field', async () => {
+    const result = await execute(
+      createSchema([]),
+      parse('{ people { name nonNullFailing } }')
+    );
+
+    expect(result.data).to.deep.equal({ people: [ null, null, null ] });
+    expect(result.errors).to.have.length(3);
+    expect(result.errors[0]).to.deep.include({
+      message: 'Failed 3',
+      path: [ 'people', 0, 'nonNullFailing' ],
+    });
+  });
+
+});
@@ -0,0 +1,251 @@
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { execute } from '../execute';
+import { graphql } from '../../graphql';
+import { parse } from '../../language';
+import {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLString,
+} from '../../type';
+
+
+// A minimal AbortController, whose signal dispatches an "abort" event.
+function createAbortController() {
+  let listeners = [];
+  const signal = {
+    aborted: false,
+    addEventListener(type, listener, options) {
+      expect(type).to.equal('abort');
+      expect(options).to.deep.equal({ once: true });
+      listeners.push(listener);
+    },
+    removeEventListener(type, listener) {
+      expect(type).to.equal('abort');
+      listeners = listeners.filter(other => other !== listener);
+    },
+  };
+  return {
+    signal,
+    listenerCount: () => listeners.length,
+    abort() {
+      signal.aborted = true;
+      const aborted = listeners;
+      listeners = [];
+      aborted.forEach(listener => listener());
+    },
+  };
+}
+
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+const cancelled = { errors: [ { message: 'Execution was cancelled.' } ] };
+
+function createSchema(calls, resolvers) {
+  const fields = {};
+  Object.keys(resolvers).forEach(fieldName => {
+    fields[fieldName] = {
+      type: GraphQLString,
+      resolve(source, args, context, info) {
+        calls.push(fieldName);
+        return resolvers[fieldName](source, args, context, info);
+      },
+    };
+  });
+  return new GraphQLSchema({
+    query: new GraphQLObjectType({ name: 'Query', fields }),
+    mutation: new GraphQLObjectType({ name: 'Mutation', fields }),
+  });
+}
+
+describe('Execute: cancellation', () => {
+
+  it('does not execute once the signal has been aborted', async () => {
+    const calls = [];
+    const schema = createSchema(calls, { a: () => 'a' });
+    const controller = createAbortController();
+    controller.abort();
+
+    const result = await execute({
+      schema,
+      document: parse('{ a }'),
+      signal: controller.signal,
+    });
+    expect(result).to.containSubset(cancelled);
+    expect(result).not.to.have.property('data');
+    expect(calls).to.deep.equal([]);
+  });
+
+  it('returns early without waiting for pending resolvers', async () => {
+    const calls = [];
+    const controller = createAbortController();
+    const schema = createSchema(calls, {
+      a: () => new Promise(() => { /* never resolves */ }),
+      b: () => {
+        setTimeout(() => controller.abort(), 1);
+        return 'b';
+      },
+    });
+
+    const result = await execute({
+      schema,
+      document: parse('{ a b }'),
+      signal: controller.signal,
+    });
+    expect(result).to.containSubset(cancelled);
+    expect(result.errors).to.have.length(1);
+    expect(calls).to.deep.equal([ 'a', 'b' ]);
+  });
+
+  it('does not call further resolvers once aborted', async () => {
+    const calls = [];
+    const controller = createAbortController();
+    const schema = createSchema(calls, {
+      first: () => Promise.resolve('first').then(value => {
+        controller.abort();
+        return value;
+      }),
+      second: () => 'second',
+    });
+
+    const result = await execute({
+      schema,
+      document: parse('mutation { first second }'),
+      signal: controller.signal,
+    });
+    expect(result).to.containSubset(cancelled);
+    expect(calls).to.deep.equal([ 'first' ]);
+  });
+
+  it('supports signals which do not dispatch events', async () => {
+    const calls = [];
+    const signal = { aborted: false };
+    const schema = createSchema(calls, {
+      first: () => {
+        signal.aborted = true;
+        return Promise.resolve('first');
+      },
+      second: () => 'second',
+    });
+
+    const result = await execute({
+      schema,
+      document: parse('mutation { first second }'),
+      signal,
+    });
+    expect(result).to.containSubset(cancelled);
+    expect(calls).to.deep.equal([ 'first' ]);
+  });
+
+  it('executes normally when not aborted', async () => {
+    const calls = [];
+    const controller = createAbortController();
+    let resolvedSignal;
+    const schema = createSchema(calls, {
+      a: (source, args, context, info) => {
+        resolvedSignal = info.signal;
+        return Promise.resolve('a');
+      },
+    });
+
+    const result = await execute({
+      schema,
+      document: parse('{ a }'),
+      signal: controller.signal,
+    });
+    expect(result).to.deep.equal({ data: { a: 'a' } });
+    expect(resolvedSignal).to.equal(controller.signal);
+  });
+
+  it('stops listening to the signal once execution settles', async () => {
+    const controller = createAbortController();
+    const schema = createSchema([], {
+      sync: () => 'sync',
+      async: () => Promise.resolve('async'),
+      fails: () => Promise.reject(new Error('fails')),
+    });
+    const sources = [ '{ sync }', '{ async }', '{ fails }', '{ sync async }' ];
+
+    const results = await Promise.all(
+      Array.from({ length: 100 }, (_, index) => execute({
+        schema,
+        document: parse(sources[index % sources.length]),
+        signal: controller.signal,
+      }))
+    );
+    await settle();
+
+    expect(results).to.have.length(100);
+    expect(results[1]).to.deep.equal({ data: { async: 'async' } });
+    expect(controller.listenerCount()).to.equal(0);
+
+    // The signal may still cancel later executions.
+    const pending = execute({
+      schema: createSchema([], { a: () => new Promise(() => { /* never */ }) }),
+      document: parse('{ a }'),
+      signal: controller.signal,
+    });
+    await settle();
+    expect(controller.listenerCount()).to.equal(1);
+    controller.abort();
+    expect(await pending).to.containSubset(cancelled);
+  });
+
+  it('stops listening to an already aborted signal', async () => {
+    const controller = createAbortController();
+    const signal = controller.signal;
+    signal.aborted = true;
+
+    const result = await execute({
+      schema: createSchema([], { a: () => 'a' }),
+      document: parse('{ a }'),
+      signal,
+    });
+    expect(result).to.containSubset(cancelled);
+    expect(controller.listenerCount()).to.equal(0);
+  });
+
+  it('provides no signal to resolvers unless given one', async () => {
+    let resolvedSignal;
+    const schema = createSchema([], {
+      a: (source, args, context, info) => {
+        resolvedSignal = info.signal;
+        return 'a';
+      },
+    });
+
+    await execute({ schema, document: parse('{ a }') });
+    expect(resolvedSignal).to.equal(undefined);
+  });
+
+  it('may be cancelled through graphql()', async () => {
+    const calls = [];
+    const controller = createAbortController();
+    const schema = createSchema(calls, {
+      a: () => {
+        controller.abort();
+        return new Promise(() => { /* never resolves */ });
+      },
+    });
+
+    const result = await graphql({
+      schema,
+      source: '{ a }',
+      signal: controller.signal,
+    });
+    expect(result).to.containSubset(cancelled);
+    expect(calls).to.deep.equal([ 'a' ]);
+  });
+
+});
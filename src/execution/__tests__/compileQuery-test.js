@@ -0,0 +1,338 @@
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { compileQuery } from '../compileQuery';
+import { execute } from '../execute';
+import { parse } from '../../language';
+import { buildSchema } from '../../utilities/buildASTSchema';
+
+function createSchema(resolvers) {
+  return buildSchema(`
+    type Query {
+      pets(first: Int = 10): [Pet]
+      greeting(name: String): String
+    }
+
+    type Mutation {
+      increment(by: Int!): Int
+    }
+
+    interface Pet {
+      name(uppercase: Boolean = false): String
+    }
+
+    type Dog implements Pet {
+      name(uppercase: Boolean = false): String
+      barks: Boolean
+    }
+
+    type Cat implements Pet {
+      name(uppercase: Boolean = false): String
+      meows: Boolean
+    }
+  `, { resolvers });
+}
+
+function petName(pet, args) {
+  return args.uppercase ? pet.name.toUpperCase() : pet.name;
+}
+
+const petResolvers = {
+  Query: {
+    pets: (root, args) => root.pets.slice(0, args.first),
+    greeting: (root, args) => `Hello ${args.name || 'stranger'}`,
+  },
+  Pet: {
+    __resolveType: (pet, context, info) =>
+      info.schema.getType(pet.barks === undefined ? 'Cat' : 'Dog'),
+  },
+  Dog: { name: petName },
+  Cat: { name: petName },
+};
+
+const pets = [
+  { name: 'Odie', barks: true },
+  { name: 'Garfield', meows: false },
+  { name: 'Snoopy', barks: false },
+];
+
+describe('compileQuery', () => {
+
+  it('produces the same result as execute', async () => {
+    const schema = createSchema(petResolvers);
+    const document = parse(`
+      query Pets {
+        pets(first: 3) {
+          ...PetName
+          ... on Dog { barks }
+          ... on Cat { meows loud: name(uppercase: true) }
+        }
+        greeting
+      }
+
+      fragment PetName on Pet {
+        name
+      }
+    `);
+
+    const compiled = compileQuery(schema, document);
+    const compiledResult = await compiled({ pets });
+    expect(compiledResult).to.deep.equal(
+      await execute(schema, document, { pets })
+    );
+    expect(compiledResult).to.deep.equal({
+      data: {
+        pets: [
+          { name: 'Odie', barks: true },
+          { name: 'Garfield', meows: false, loud: 'GARFIELD' },
+          { name: 'Snoopy', barks: false },
+        ],
+        greeting: 'Hello stranger',
+      },
+    });
+
+    // A compiled query may be executed again with other values.
+    expect(await compiled({ pets: pets.slice(1) })).to.deep.equal({
+      data: {
+        pets: [
+          { name: 'Garfield', meows: false, loud: 'GARFIELD' },
+          { name: 'Snoopy', barks: false },
+        ],
+        greeting: 'Hello stranger',
+      },
+    });
+  });
+
+  it('coerces arguments without variables once', async () => {
+    const argsSeen = [];
+    const schema = createSchema({
+      ...petResolvers,
+      Dog: {
+        name(pet, args) {
+          argsSeen.push(args);
+          return pet.name;
+        },
+      },
+    });
+    const compiled = compileQuery(
+      schema,
+      parse('{ pets { name } }')
+    );
+
+    await compiled({ pets });
+    await compiled({ pets });
+
+    expect(argsSeen).to.have.lengthOf(4);
+    expect(argsSeen[0]).to.deep.equal({ uppercase: false });
+    argsSeen.forEach(args => expect(args).to.equal(argsSeen[0]));
+  });
+
+  it('freezes the arguments shared by every execution', async () => {
+    const schema = createSchema({
+      ...petResolvers,
+      Query: {
+        greeting(root, args) {
+          args.name = 'changed';
+          return args.name;
+        },
+      },
+    });
+    const compiled = compileQuery(
+      schema,
+      parse('{ greeting(name: "Ada") }')
+    );
+
+    const first = await compiled();
+    const second = await compiled();
+    expect(first).to.containSubset({
+      data: { greeting: null },
+      errors: [ { path: [ 'greeting' ] } ],
+    });
+    expect(second).to.deep.equal(first);
+  });
+
+  it('serializes the values of leaf fields as execute does', async () => {
+    const schema = buildSchema(`
+      type Query {
+        string: String
+        int: Int
+        invalid: Int
+        missing: String
+        failing: String
+        color: Color
+        colors: [Color]
+        promised: Int!
+      }
+
+      enum Color { RED GREEN }
+    `);
+    const document = parse(
+      '{ string int invalid missing failing color colors promised }'
+    );
+    const rootValue = {
+      string: 5,
+      int: '42',
+      invalid: 'forty-two',
+      failing: () => new Error('Failed'),
+      color: 'GREEN',
+      colors: [ 'RED', 'BLUE' ],
+      promised: () => Promise.resolve(7),
+    };
+    const compiled = compileQuery(schema, document);
+
+    const expected = await execute(schema, document, rootValue);
+    expect(await compiled(rootValue)).to.deep.equal(expected);
+    expect(await compiled(rootValue)).to.deep.equal(expected);
+    expect(expected.data).to.deep.equal({
+      string: '5',
+      int: 42,
+      invalid: null,
+      missing: null,
+      failing: null,
+      color: 'GREEN',
+      colors: [ 'RED', null ],
+      promised: 7,
+    });
+  });
+
+  it('propagates null values of non-null leaf fields', async () => {
+    const schema = buildSchema(`
+      type Query {
+        nonNull: String!
+        other: String
+      }
+    `);
+    const document = parse('{ nonNull other }');
+    const rootValue = { other: 'other' };
+    const compiled = compileQuery(schema, document);
+
+    const result = await compiled(rootValue);
+    expect(result).to.deep.equal(await execute(schema, document, rootValue));
+    expect(result).to.containSubset({
+      data: null,
+      errors: [ {
+        message: 'Cannot return null for non-nullable field Query.nonNull.',
+        locations: [ { line: 1, column: 3 } ],
+        path: [ 'nonNull' ],
+      } ],
+    });
+  });
+
+  it('coerces arguments given variables for each execution', async () => {
+    const schema = createSchema(petResolvers);
+    const compiled = compileQuery(
+      schema,
+      parse(`
+        query ($name: String, $first: Int) {
+          greeting(name: $name)
+          pets(first: $first) { name }
+        }
+      `)
+    );
+
+    expect(
+      await compiled({ pets }, null, { name: 'Ada', first: 1 })
+    ).to.deep.equal({
+      data: { greeting: 'Hello Ada', pets: [ { name: 'Odie' } ] },
+    });
+    expect(
+      await compiled({ pets }, null, { name: 'Grace', first: 2 })
+    ).to.deep.equal({
+      data: {
+        greeting: 'Hello Grace',
+        pets: [ { name: 'Odie' }, { name: 'Garfield' } ],
+      },
+    });
+  });
+
+  it('collects fields for the variables of each execution', async () => {
+    const schema = createSchema(petResolvers);
+    const compiled = compileQuery(
+      schema,
+      parse(`
+        query ($withName: Boolean!) {
+          pets(first: 1) {
+            name @include(if: $withName)
+            ... on Dog @skip(if: $withName) { barks }
+          }
+        }
+      `)
+    );
+
+    expect(
+      await compiled({ pets }, null, { withName: true })
+    ).to.deep.equal({ data: { pets: [ { name: 'Odie' } ] } });
+    expect(
+      await compiled({ pets }, null, { withName: false })
+    ).to.deep.equal({ data: { pets: [ { barks: true } ] } });
+  });
+
+  it('reports errors of variables for each execution', async () => {
+    const schema = createSchema(petResolvers);
+    const compiled = compileQuery(
+      schema,
+      parse('query ($first: Int!) { pets(first: $first) { name } }')
+    );
+
+    const result = await compiled({ pets }, null, {});
+    expect(result.errors.map(error => error.message)).to.deep.equal([
+      'Variable "$first" of required type "Int!" was not provided.',
+    ]);
+  });
+
+  it('compiles the named operation', async () => {
+    let count = 0;
+    const schema = createSchema({
+      ...petResolvers,
+      Mutation: {
+        increment: (root, args) => (count += args.by),
+      },
+    });
+    const compiled = compileQuery(
+      schema,
+      parse(`
+        query Greeting { greeting }
+        mutation Increment { first: increment(by: 1), second: increment(by: 2) }
+      `),
+      'Increment'
+    );
+
+    expect(await compiled()).to.deep.equal({
+      data: { first: 1, second: 3 },
+    });
+    expect(await compiled()).to.deep.equal({
+      data: { first: 4, second: 6 },
+    });
+  });
+
+  it('throws for documents which are not valid', () => {
+    const schema = createSchema(petResolvers);
+    expect(
+      () => compileQuery(schema, parse('{ pets { age } unknown }'))
+    ).to.throw(
+      'Cannot query field "age" on type "Pet". Did you mean "name"?\n\n' +
+      'Cannot query field "unknown" on type "Query".'
+    );
+  });
+
+  it('throws for unknown operations', () => {
+    const schema = createSchema(petResolvers);
+    const document = parse('query A { greeting } query B { greeting }');
+
+    expect(() => compileQuery(schema, document, 'C')).to.throw(
+      'Unknown operation named "C".'
+    );
+    expect(() => compileQuery(schema, document)).to.throw(
+      'Must provide operation name if query contains multiple operations.'
+    );
+  });
+
+});
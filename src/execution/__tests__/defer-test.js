@@ -0,0 +1,395 @@
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { execute } from '../execute';
+import { parse } from '../../language';
+import {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+  GraphQLID,
+  specifiedDirectives,
+  GraphQLDeferDirective,
+} from '../../type';
+
+
+const friendType = new GraphQLObjectType({
+  name: 'Friend',
+  fields: {
+    id: { type: GraphQLID },
+    name: { type: GraphQLString },
+    nonNullName: {
+      type: new GraphQLNonNull(GraphQLString),
+      resolve: () => null,
+    },
+  },
+});
+
+const heroType = new GraphQLObjectType({
+  name: 'Hero',
+  fields: {
+    id: { type: GraphQLID },
+    name: { type: GraphQLString },
+    slowField: {
+      type: GraphQLString,
+      resolve: () => new Promise(resolve => {
+        setTimeout(() => resolve('slow'), 5);
+      }),
+    },
+    errorField: {
+      type: GraphQLString,
+      resolve: () => {
+        throw new Error('bad');
+      },
+    },
+    friends: { type: new GraphQLList(friendType) },
+  },
+});
+
+const schema = new GraphQLSchema({
+  query: new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+      hero: { type: heroType },
+    },
+  }),
+  directives: [ ...specifiedDirectives, GraphQLDeferDirective ],
+});
+
+const hero = {
+  id: 1,
+  name: 'Luke',
+  friends: [ { id: 2, name: 'Han' }, { id: 3, name: 'Leia' } ],
+};
+
+async function complete(document) {
+  const result = await execute(schema, document, { hero });
+  if (!result.subsequentResults) {
+    return result;
+  }
+  return collectPayloads(result.subsequentResults, [ result.initialResult ]);
+}
+
+function collectPayloads(iterator, payloads) {
+  return iterator.next().then(({ value, done }) => (
+    done ? payloads : collectPayloads(iterator, [ ...payloads, value ])
+  ));
+}
+
+describe('Execute: defer directive', () => {
+
+  it('can defer fragments containing scalar types', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          id
+          ...NameFragment @defer
+        }
+      }
+      fragment NameFragment on Hero {
+        name
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { hero: { id: '1' } },
+        hasNext: true,
+      },
+      {
+        data: { name: 'Luke' },
+        path: [ 'hero' ],
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('can disable defer using if argument', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          id
+          ...NameFragment @defer(if: false)
+        }
+      }
+      fragment NameFragment on Hero {
+        name
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal({
+      data: { hero: { id: '1', name: 'Luke' } },
+    });
+  });
+
+  it('can disable defer using a variable', async () => {
+    const document = parse(`
+      query HeroNameQuery($shouldDefer: Boolean) {
+        hero {
+          id
+          ... on Hero @defer(if: $shouldDefer) {
+            name
+          }
+        }
+      }
+    `);
+
+    const result = await execute(
+      schema,
+      document,
+      { hero },
+      null,
+      { shouldDefer: false }
+    );
+    expect(result).to.deep.equal({
+      data: { hero: { id: '1', name: 'Luke' } },
+    });
+  });
+
+  it('can defer inline fragments with a label', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          id
+          ... on Hero @defer(label: "DeferName") {
+            name
+          }
+        }
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { hero: { id: '1' } },
+        hasNext: true,
+      },
+      {
+        data: { name: 'Luke' },
+        path: [ 'hero' ],
+        label: 'DeferName',
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('can defer fragments on the top level query field', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        ...QueryFragment @defer(label: "DeferQuery")
+      }
+      fragment QueryFragment on Query {
+        hero {
+          id
+        }
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: {},
+        hasNext: true,
+      },
+      {
+        data: { hero: { id: '1' } },
+        path: [],
+        label: 'DeferQuery',
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('does not wait on deferred fields for the initial payload', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          id
+          ... on Hero @defer {
+            slowField
+          }
+        }
+      }
+    `);
+
+    const result = await execute(schema, document, { hero });
+    expect(result.initialResult).to.deep.equal({
+      data: { hero: { id: '1' } },
+      hasNext: true,
+    });
+    expect(await result.subsequentResults.next()).to.deep.equal({
+      value: {
+        data: { slowField: 'slow' },
+        path: [ 'hero' ],
+        hasNext: false,
+      },
+      done: false,
+    });
+    expect(await result.subsequentResults.next()).to.deep.equal({
+      value: undefined,
+      done: true,
+    });
+  });
+
+  it('delivers nested deferred fragments after their parent', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          ... on Hero @defer(label: "DeferTop") {
+            id
+            ... on Hero @defer(label: "DeferNested") {
+              friends {
+                name
+              }
+            }
+          }
+        }
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { hero: {} },
+        hasNext: true,
+      },
+      {
+        data: { id: '1' },
+        path: [ 'hero' ],
+        label: 'DeferTop',
+        hasNext: true,
+      },
+      {
+        data: { friends: [ { name: 'Han' }, { name: 'Leia' } ] },
+        path: [ 'hero' ],
+        label: 'DeferNested',
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('defers fragments within list items', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          friends {
+            id
+            ... on Friend @defer {
+              name
+            }
+          }
+        }
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { hero: { friends: [ { id: '2' }, { id: '3' } ] } },
+        hasNext: true,
+      },
+      {
+        data: { name: 'Han' },
+        path: [ 'hero', 'friends', 0 ],
+        hasNext: true,
+      },
+      {
+        data: { name: 'Leia' },
+        path: [ 'hero', 'friends', 1 ],
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('reports errors in the deferred payload', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          id
+          ... on Hero @defer {
+            errorField
+          }
+        }
+      }
+    `);
+
+    const payloads = await complete(document);
+    expect(payloads).to.have.length(2);
+    expect(payloads[0]).to.deep.equal({
+      data: { hero: { id: '1' } },
+      hasNext: true,
+    });
+    expect(payloads[1]).to.containSubset({
+      data: { errorField: null },
+      path: [ 'hero' ],
+      errors: [ {
+        message: 'bad',
+        locations: [ { line: 6, column: 13 } ],
+        path: [ 'hero', 'errorField' ],
+      } ],
+      hasNext: false,
+    });
+  });
+
+  it('nulls the deferred payload for non-null field errors', async () => {
+    const document = parse(`
+      query HeroNameQuery {
+        hero {
+          friends {
+            ... on Friend @defer {
+              nonNullName
+            }
+          }
+        }
+      }
+    `);
+
+    const payloads = await complete(document);
+    expect(payloads).to.have.length(3);
+    expect(payloads[1]).to.containSubset({
+      data: null,
+      path: [ 'hero', 'friends', 0 ],
+      errors: [ {
+        message:
+          'Cannot return null for non-nullable field Friend.nonNullName.',
+        path: [ 'hero', 'friends', 0, 'nonNullName' ],
+      } ],
+      hasNext: true,
+    });
+  });
+
+  it('ignores defer within subscriptions', async () => {
+    const subscriptionSchema = new GraphQLSchema({
+      query: schema.getQueryType(),
+      subscription: new GraphQLObjectType({
+        name: 'Subscription',
+        fields: {
+          hero: { type: heroType },
+        },
+      }),
+      directives: [ ...specifiedDirectives, GraphQLDeferDirective ],
+    });
+    const document = parse(`
+      subscription {
+        hero {
+          id
+          ... on Hero @defer {
+            name
+          }
+        }
+      }
+    `);
+
+    const result = await execute(subscriptionSchema, document, { hero });
+    expect(result).to.deep.equal({
+      data: { hero: { id: '1', name: 'Luke' } },
+    });
+  });
+
+});
@@ -272,6 +272,7 @@ describe('Execute: Handles basic execution tasks', () => {
       'rootValue',
       'operation',
       'variableValues',
+      'signal',
     ]);
     expect(info.fieldName).to.equal('test');
     expect(info.fieldNodes).to.have.lengthOf(1);
@@ -558,6 +559,48 @@ describe('Execute: Handles basic execution tasks', () => {
     });
   });
 
+  it('includes the extensions of errors thrown by resolvers', async () => {
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          forbidden: {
+            type: GraphQLString,
+            resolve() {
+              const error = new Error('Forbidden');
+              (error: any).extensions = { code: 'FORBIDDEN' };
+              throw error;
+            },
+          },
+          unavailable: {
+            type: GraphQLString,
+            resolve: () => Promise.reject(Object.assign(
+              new Error('Unavailable'),
+              { extensions: { code: 'UNAVAILABLE', retryAfter: 30 } }
+            )),
+          },
+        },
+      }),
+    });
+
+    const result = await execute(schema, parse('{ forbidden unavailable }'));
+    expect(result.data).to.deep.equal({ forbidden: null, unavailable: null });
+    expect(result.errors.map(formatError)).to.deep.equal([
+      {
+        message: 'Forbidden',
+        locations: [ { line: 1, column: 3 } ],
+        path: [ 'forbidden' ],
+        extensions: { code: 'FORBIDDEN' },
+      },
+      {
+        message: 'Unavailable',
+        locations: [ { line: 1, column: 13 } ],
+        path: [ 'unavailable' ],
+        extensions: { code: 'UNAVAILABLE', retryAfter: 30 },
+      },
+    ]);
+  });
+
   it('uses the inline operation if no operation name is provided', async () => {
     const doc = '{ a }';
     const data = { a: 'b' };
@@ -0,0 +1,169 @@
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { execute } from '../execute';
+import { parse } from '../../language';
+import {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLString,
+} from '../../type';
+
+
+function createSchema(fieldMiddleware) {
+  const userType = new GraphQLObjectType({
+    name: 'User',
+    fields: {
+      name: { type: GraphQLString },
+      email: {
+        type: GraphQLString,
+        resolve: user => Promise.resolve(user.email),
+      },
+      nicknames: {
+        type: new GraphQLList(GraphQLString),
+        resolveBatch: users => users.map(user => [ user.name.toLowerCase() ]),
+      },
+    },
+  });
+
+  return new GraphQLSchema({
+    query: new GraphQLObjectType({
+      name: 'Query',
+      fields: {
+        user: {
+          type: userType,
+          args: { id: { type: GraphQLString } },
+          resolve: (root, { id }) => ({ name: id, email: `${id}@example.com` }),
+        },
+      },
+    }),
+    fieldMiddleware,
+  });
+}
+
+describe('Execute: field middleware', () => {
+
+  it('wraps custom, default and batch resolvers', async () => {
+    const calls = [];
+    const schema = createSchema([
+      (resolve, source, args, context, info) => {
+        calls.push({ path: info.path.key, args, context });
+        return resolve(source, args, context, info);
+      },
+    ]);
+
+    const result = await execute({
+      schema,
+      document: parse('{ user(id: "Alice") { name email nicknames } }'),
+      contextValue: 'context',
+    });
+    expect(result).to.deep.equal({
+      data: {
+        user: {
+          name: 'Alice',
+          email: 'Alice@example.com',
+          nicknames: [ 'alice' ],
+        },
+      },
+    });
+    expect(calls).to.deep.equal([
+      { path: 'user', args: { id: 'Alice' }, context: 'context' },
+      { path: 'name', args: {}, context: 'context' },
+      { path: 'email', args: {}, context: 'context' },
+      { path: 'nicknames', args: {}, context: 'context' },
+    ]);
+  });
+
+  it('applies each middleware in order around the resolver', async () => {
+    const events = [];
+    const logging = name => (resolve, source, args, context, info) => {
+      events.push(`before ${name} ${info.fieldName}`);
+      return Promise.resolve(resolve(source, args, context, info))
+        .then(value => {
+          events.push(`after ${name} ${info.fieldName}`);
+          return value;
+        });
+    };
+    const schema = createSchema([ logging('outer'), logging('inner') ]);
+
+    const result =
+      await execute(schema, parse('{ user(id: "Bob") { email } }'));
+    expect(result).to.deep.equal({
+      data: { user: { email: 'Bob@example.com' } },
+    });
+    expect(events).to.deep.equal([
+      'before outer user',
+      'before inner user',
+      'after inner user',
+      'after outer user',
+      'before outer email',
+      'before inner email',
+      'after inner email',
+      'after outer email',
+    ]);
+  });
+
+  it('may replace the resolved value', async () => {
+    const schema = createSchema([
+      (resolve, source, args, context, info) => {
+        const value = resolve(source, args, context, info);
+        return typeof value === 'string' ? value.toUpperCase() : value;
+      },
+    ]);
+
+    const result =
+      await execute(schema, parse('{ user(id: "Carol") { name } }'));
+    expect(result).to.deep.equal({ data: { user: { name: 'CAROL' } } });
+  });
+
+  it('may prevent resolution with a field error', async () => {
+    const resolved = [];
+    const schema = createSchema([
+      (resolve, source, args, context, info) => {
+        if (info.fieldName === 'email' && !context.isAdmin) {
+          throw new Error('Not authorized');
+        }
+        resolved.push(info.fieldName);
+        return resolve(source, args, context, info);
+      },
+    ]);
+
+    const result = await execute({
+      schema,
+      document: parse('{ user(id: "Dan") { name email } }'),
+      contextValue: { isAdmin: false },
+    });
+    expect(resolved).to.deep.equal([ 'user', 'name' ]);
+    expect(result.data).to.deep.equal({ user: { name: 'Dan', email: null } });
+    expect(result.errors).to.have.length(1);
+    expect(result.errors[0].message).to.equal('Not authorized');
+    expect(result.errors[0].path).to.deep.equal([ 'user', 'email' ]);
+  });
+
+  it('wraps the field resolver provided to execute', async () => {
+    const schema = createSchema([
+      (resolve, source, args, context, info) => {
+        const value = resolve(source, args, context, info);
+        return typeof value === 'string' ? `<${value}>` : value;
+      },
+    ]);
+
+    const result = await execute({
+      schema,
+      document: parse('{ user(id: "Eve") { name } }'),
+      fieldResolver: (source, args, context, info) =>
+        source[info.fieldName].toLowerCase(),
+    });
+    expect(result).to.deep.equal({ data: { user: { name: '<eve>' } } });
+  });
+
+});
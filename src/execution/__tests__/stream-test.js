@@ -0,0 +1,282 @@
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { execute } from '../execute';
+import { parse } from '../../language';
+import {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+  GraphQLID,
+  specifiedDirectives,
+  GraphQLStreamDirective,
+} from '../../type';
+
+
+const friendType = new GraphQLObjectType({
+  name: 'Friend',
+  fields: {
+    id: { type: GraphQLID },
+    name: { type: GraphQLString },
+  },
+});
+
+const schema = new GraphQLSchema({
+  query: new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+      scalarList: {
+        type: new GraphQLList(GraphQLString),
+        resolve: () => [ 'apple', 'banana', 'coconut' ],
+      },
+      nestedList: {
+        type: new GraphQLList(new GraphQLList(GraphQLString)),
+        resolve: () => [ [ 'apple', 'apricot' ], [ 'banana' ] ],
+      },
+      friendList: {
+        type: new GraphQLList(friendType),
+        resolve: () => [
+          { id: 1, name: 'Luke' },
+          Promise.resolve({ id: 2, name: 'Han' }),
+        ],
+      },
+      nonNullFriendList: {
+        type: new GraphQLList(new GraphQLNonNull(friendType)),
+        resolve: () => [ { id: 1, name: 'Luke' }, null ],
+      },
+      errorList: {
+        type: new GraphQLList(GraphQLString),
+        resolve: () => [ 'apple', new Error('bad') ],
+      },
+    },
+  }),
+  directives: [ ...specifiedDirectives, GraphQLStreamDirective ],
+});
+
+async function complete(document, variableValues) {
+  const result = await execute(schema, document, {}, null, variableValues);
+  if (!result.subsequentResults) {
+    return result;
+  }
+  return collectPayloads(result.subsequentResults, [ result.initialResult ]);
+}
+
+function collectPayloads(iterator, payloads) {
+  return iterator.next().then(({ value, done }) => (
+    done ? payloads : collectPayloads(iterator, [ ...payloads, value ])
+  ));
+}
+
+describe('Execute: stream directive', () => {
+
+  it('can stream a list field', async () => {
+    const document = parse('{ scalarList @stream(initialCount: 1) }');
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { scalarList: [ 'apple' ] },
+        hasNext: true,
+      },
+      {
+        items: [ 'banana' ],
+        path: [ 'scalarList', 1 ],
+        hasNext: true,
+      },
+      {
+        items: [ 'coconut' ],
+        path: [ 'scalarList', 2 ],
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('streams every item by default', async () => {
+    const document = parse('{ scalarList @stream(label: "scalarStream") }');
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { scalarList: [] },
+        hasNext: true,
+      },
+      {
+        items: [ 'apple' ],
+        path: [ 'scalarList', 0 ],
+        label: 'scalarStream',
+        hasNext: true,
+      },
+      {
+        items: [ 'banana' ],
+        path: [ 'scalarList', 1 ],
+        label: 'scalarStream',
+        hasNext: true,
+      },
+      {
+        items: [ 'coconut' ],
+        path: [ 'scalarList', 2 ],
+        label: 'scalarStream',
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('can disable streaming using if argument', async () => {
+    const document = parse(`
+      query ($shouldStream: Boolean) {
+        scalarList @stream(if: $shouldStream)
+      }
+    `);
+
+    expect(await complete(document, { shouldStream: false })).to.deep.equal({
+      data: { scalarList: [ 'apple', 'banana', 'coconut' ] },
+    });
+  });
+
+  it('returns the whole list if initialCount exceeds its length', async () => {
+    const document = parse('{ scalarList @stream(initialCount: 5) }');
+
+    expect(await complete(document)).to.deep.equal({
+      data: { scalarList: [ 'apple', 'banana', 'coconut' ] },
+    });
+  });
+
+  it('reports a negative initialCount provided by a variable', async () => {
+    const document = parse(`
+      query ($count: Int) {
+        scalarList @stream(initialCount: $count)
+      }
+    `);
+
+    const result = await complete(document, { count: -1 });
+    expect(result).to.deep.equal({
+      data: { scalarList: null },
+      errors: [
+        {
+          message: 'Directive "@stream" must have a non-negative ' +
+            '"initialCount" but got: -1.',
+          locations: [ { line: 3, column: 9 } ],
+          path: [ 'scalarList' ],
+        },
+      ],
+    });
+  });
+
+  it('streams only the outer list of nested lists', async () => {
+    const document = parse('{ nestedList @stream(initialCount: 1) }');
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { nestedList: [ [ 'apple', 'apricot' ] ] },
+        hasNext: true,
+      },
+      {
+        items: [ [ 'banana' ] ],
+        path: [ 'nestedList', 1 ],
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('streams lists of objects containing promises', async () => {
+    const document = parse(`
+      {
+        friendList @stream(initialCount: 1) {
+          name
+          id
+        }
+      }
+    `);
+
+    expect(await complete(document)).to.deep.equal([
+      {
+        data: { friendList: [ { name: 'Luke', id: '1' } ] },
+        hasNext: true,
+      },
+      {
+        items: [ { name: 'Han', id: '2' } ],
+        path: [ 'friendList', 1 ],
+        hasNext: false,
+      },
+    ]);
+  });
+
+  it('reports errors for streamed items in their payload', async () => {
+    const document = parse('{ errorList @stream(initialCount: 1) }');
+
+    const payloads = await complete(document);
+    expect(payloads).to.have.length(2);
+    expect(payloads[0]).to.deep.equal({
+      data: { errorList: [ 'apple' ] },
+      hasNext: true,
+    });
+    expect(payloads[1]).to.containSubset({
+      items: [ null ],
+      path: [ 'errorList', 1 ],
+      errors: [ {
+        message: 'bad',
+        locations: [ { line: 1, column: 3 } ],
+        path: [ 'errorList', 1 ],
+      } ],
+      hasNext: false,
+    });
+  });
+
+  it('nulls the items of a payload for non-null item errors', async () => {
+    const document = parse(`
+      {
+        nonNullFriendList @stream(initialCount: 1) {
+          name
+        }
+      }
+    `);
+
+    const payloads = await complete(document);
+    expect(payloads).to.have.length(2);
+    expect(payloads[0]).to.deep.equal({
+      data: { nonNullFriendList: [ { name: 'Luke' } ] },
+      hasNext: true,
+    });
+    expect(payloads[1]).to.containSubset({
+      items: null,
+      path: [ 'nonNullFriendList', 1 ],
+      errors: [ {
+        message:
+          'Cannot return null for non-nullable field Query.nonNullFriendList.',
+        path: [ 'nonNullFriendList', 1 ],
+      } ],
+      hasNext: false,
+    });
+  });
+
+  it('stops yielding payloads once returned', async () => {
+    const document = parse('{ scalarList @stream }');
+
+    const result = await execute(schema, document, {});
+    expect(await result.subsequentResults.next()).to.deep.equal({
+      value: {
+        items: [ 'apple' ],
+        path: [ 'scalarList', 0 ],
+        hasNext: true,
+      },
+      done: false,
+    });
+    expect(await result.subsequentResults.return()).to.deep.equal({
+      value: undefined,
+      done: true,
+    });
+    expect(await result.subsequentResults.next()).to.deep.equal({
+      value: undefined,
+      done: true,
+    });
+  });
+
+});
@@ -0,0 +1,207 @@
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { execute } from '../execute';
+import { createExecutionTracer, tracePhase } from '../tracing';
+import { graphql } from '../../graphql';
+import { parse } from '../../language';
+import {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLString,
+} from '../../type';
+
+
+// A clock for the tracers of tests, only advanced while resolving `hero`.
+let time = 0;
+const now = () => time;
+
+const personType = new GraphQLObjectType({
+  name: 'Person',
+  fields: () => ({
+    name: { type: GraphQLString },
+    friends: {
+      type: new GraphQLList(personType),
+      resolve: person => person.friends,
+    },
+  }),
+});
+
+const schema = new GraphQLSchema({
+  query: new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+      hero: {
+        type: personType,
+        resolve: () => new Promise(resolve => setTimeout(() => {
+          time += 5e6;
+          resolve({
+            name: 'Luke',
+            friends: [ { name: 'Han' }, { name: 'Leia' } ],
+          });
+        }, 5)),
+      },
+      fails: {
+        type: GraphQLString,
+        resolve: () => Promise.reject(new Error('Failed')),
+      },
+    },
+  }),
+});
+
+function expectPhase(phase) {
+  expect(phase.startOffset).to.be.a('number').at.least(0);
+  expect(phase.duration).to.be.a('number').at.least(0);
+}
+
+function sortResolvers(resolvers) {
+  return resolvers.slice().sort(
+    (a, b) => a.path.join('.').localeCompare(b.path.join('.'))
+  );
+}
+
+function getResolvers(trace) {
+  return sortResolvers(trace.execution.resolvers.map(resolver => {
+    expectPhase(resolver);
+    const { path, parentType, fieldName, returnType } = resolver;
+    return { path, parentType, fieldName, returnType };
+  }));
+}
+
+describe('Execute: tracing', () => {
+
+  it('does not include a trace unless requested', async () => {
+    const result = await execute(schema, parse('{ hero { name } }'));
+    expect(result).to.deep.equal({ data: { hero: { name: 'Luke' } } });
+  });
+
+  it('traces execution and each field resolver', async () => {
+    const tracer = createExecutionTracer({ now });
+    const result = await execute({
+      schema,
+      document: parse('{ hero { name friends { name } } fails }'),
+      tracing: tracer,
+    });
+    expect(result.data).to.deep.equal({
+      hero: { name: 'Luke', friends: [ { name: 'Han' }, { name: 'Leia' } ] },
+      fails: null,
+    });
+
+    const trace = result.extensions.tracing;
+    const startTime = tracer.startTime.getTime();
+    expect(trace.version).to.equal(1);
+    expect(trace.startTime).to.equal(new Date(startTime).toISOString());
+    expect(trace.endTime).to.equal(new Date(startTime + 5).toISOString());
+    expect(trace.duration).to.equal(5e6);
+    expect(trace).not.to.have.property('parsing');
+    expect(trace).not.to.have.property('validation');
+    expect(trace.execution.startOffset).to.equal(0);
+    expect(trace.execution.duration).to.equal(5e6);
+
+    expect(sortResolvers(trace.execution.resolvers)).to.deep.equal([
+      { path: [ 'fails' ], parentType: 'Query', fieldName: 'fails',
+        returnType: 'String', startOffset: 0, duration: 0 },
+      { path: [ 'hero' ], parentType: 'Query', fieldName: 'hero',
+        returnType: 'Person', startOffset: 0, duration: 5e6 },
+      { path: [ 'hero', 'friends' ], parentType: 'Person',
+        fieldName: 'friends', returnType: '[Person]', startOffset: 5e6,
+        duration: 0 },
+      { path: [ 'hero', 'friends', 0, 'name' ], parentType: 'Person',
+        fieldName: 'name', returnType: 'String', startOffset: 5e6,
+        duration: 0 },
+      { path: [ 'hero', 'friends', 1, 'name' ], parentType: 'Person',
+        fieldName: 'name', returnType: 'String', startOffset: 5e6,
+        duration: 0 },
+      { path: [ 'hero', 'name' ], parentType: 'Person', fieldName: 'name',
+        returnType: 'String', startOffset: 5e6, duration: 0 },
+    ]);
+  });
+
+  it('traces with a high resolution clock by default', async () => {
+    const result = await execute({
+      schema,
+      document: parse('{ hero { name } }'),
+      tracing: true,
+    });
+
+    const trace = result.extensions.tracing;
+    expect(new Date(trace.startTime).toISOString()).to.equal(trace.startTime);
+    expect(new Date(trace.endTime).toISOString()).to.equal(trace.endTime);
+    expect(trace.duration).to.be.a('number').at.least(0);
+    expectPhase(trace.execution);
+    expect(getResolvers(trace).map(r => r.path)).to.deep.equal([
+      [ 'hero' ],
+      [ 'hero', 'name' ],
+    ]);
+  });
+
+  it('traces phases recorded with a provided tracer', async () => {
+    const tracer = createExecutionTracer();
+    const document =
+      tracePhase(tracer, 'parsing', () => parse('{ hero { name } }'));
+    const result = await execute({ schema, document, tracing: tracer });
+
+    const trace = result.extensions.tracing;
+    expectPhase(trace.parsing);
+    expectPhase(trace.execution);
+    expect(trace).not.to.have.property('validation');
+    expect(trace.execution.startOffset).to.be.at.least(
+      trace.parsing.startOffset + trace.parsing.duration
+    );
+    expect(getResolvers(trace).map(r => r.path)).to.deep.equal([
+      [ 'hero' ],
+      [ 'hero', 'name' ],
+    ]);
+  });
+
+  it('records a phase which throws', () => {
+    const tracer = createExecutionTracer();
+    expect(() => tracePhase(tracer, 'parsing', () => parse('{'))).to.throw();
+    expectPhase(tracer.phases.parsing);
+  });
+
+  it('traces each phase of graphql()', async () => {
+    const result = await graphql({
+      schema,
+      source: '{ hero { name } }',
+      tracing: true,
+    });
+    expect(result.data).to.deep.equal({ hero: { name: 'Luke' } });
+
+    const trace = result.extensions.tracing;
+    expectPhase(trace.parsing);
+    expectPhase(trace.validation);
+    expectPhase(trace.execution);
+    expect(trace.validation.startOffset).to.be.at.least(
+      trace.parsing.startOffset + trace.parsing.duration
+    );
+    expect(trace.execution.startOffset).to.be.at.least(
+      trace.validation.startOffset + trace.validation.duration
+    );
+    expect(trace.execution.resolvers).to.have.length(2);
+  });
+
+  it('traces graphql() requests which fail to validate', async () => {
+    const result = await graphql({
+      schema,
+      source: '{ unknown }',
+      tracing: true,
+    });
+    expect(result.errors).to.have.length(1);
+
+    const trace = result.extensions.tracing;
+    expectPhase(trace.parsing);
+    expectPhase(trace.validation);
+    expect(trace.execution).to.deep.equal({ resolvers: [] });
+  });
+
+});
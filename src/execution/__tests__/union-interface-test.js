@@ -142,7 +142,7 @@ describe('Execute: Union and intersection types', () => {
           fields: [
             { name: 'name' }
           ],
-          interfaces: null,
+          interfaces: [],
           possibleTypes: [
             { name: 'Person' },
             { name: 'Dog' },
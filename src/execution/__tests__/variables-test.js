@@ -64,6 +64,15 @@ const TestNestedInputObject = new GraphQLInputObjectType({
   },
 });
 
+const TestOneOfInputObject = new GraphQLInputObjectType({
+  name: 'TestOneOfInputObject',
+  isOneOf: true,
+  fields: {
+    a: { type: GraphQLString },
+    b: { type: new GraphQLList(GraphQLString) },
+  },
+});
+
 const TestType = new GraphQLObjectType({
   name: 'TestType',
   fields: {
@@ -72,6 +81,11 @@ const TestType = new GraphQLObjectType({
       args: { input: { type: TestInputObject } },
       resolve: (_, { input }) => input && JSON.stringify(input)
     },
+    fieldWithOneOfInput: {
+      type: GraphQLString,
+      args: { input: { type: TestOneOfInputObject } },
+      resolve: (_, { input }) => input && JSON.stringify(input)
+    },
     fieldWithNullableStringInput: {
       type: GraphQLString,
       args: { input: { type: GraphQLString } },
@@ -895,6 +909,88 @@ describe('Execute: Handles inputs', () => {
 
   });
 
+  describe('Handles OneOf input objects', () => {
+
+    it('executes with exactly one inline field', async () => {
+      const ast = parse(`{
+        fieldWithOneOfInput(input: { b: "foo" })
+      }`);
+
+      expect(await execute(schema, ast)).to.deep.equal({
+        data: {
+          fieldWithOneOfInput: '{"b":["foo"]}'
+        }
+      });
+    });
+
+    it('does not allow more than one inline field', async () => {
+      const ast = parse(`{
+        fieldWithOneOfInput(input: { a: "foo", b: "bar" })
+      }`);
+
+      expect(await execute(schema, ast)).to.deep.equal({
+        data: {
+          fieldWithOneOfInput: null
+        },
+        errors: [ {
+          message:
+            'Argument "input" got invalid value {a: "foo", b: "bar"}.\n' +
+            'Expected exactly one field for OneOf type ' +
+            '"TestOneOfInputObject", found 2.',
+          locations: [ { line: 2, column: 36 } ],
+          path: [ 'fieldWithOneOfInput' ]
+        } ]
+      });
+    });
+
+    const ast = parse(`
+      query q($input: TestOneOfInputObject) {
+        fieldWithOneOfInput(input: $input)
+      }
+    `);
+
+    it('executes with exactly one field provided by a variable', async () => {
+      const params = { input: { a: 'foo' } };
+
+      expect(await execute(schema, ast, null, null, params)).to.deep.equal({
+        data: {
+          fieldWithOneOfInput: '{"a":"foo"}'
+        }
+      });
+    });
+
+    it('does not allow a variable without fields', async () => {
+      const params = { input: { a: undefined } };
+
+      expect(await execute(schema, ast, null, null, params)).to.deep.equal({
+        errors: [ {
+          message:
+            'Variable "$input" got invalid value {}.\n' +
+            'Expected exactly one field for OneOf type ' +
+            '"TestOneOfInputObject", found 0.',
+          locations: [ { line: 2, column: 15 } ],
+          path: undefined,
+        } ]
+      });
+    });
+
+    it('does not allow a variable with a null field', async () => {
+      const params = { input: { a: null } };
+
+      expect(await execute(schema, ast, null, null, params)).to.deep.equal({
+        errors: [ {
+          message:
+            'Variable "$input" got invalid value {"a":null}.\n' +
+            'In field "a": Expected non-null value for OneOf type ' +
+            '"TestOneOfInputObject", found null.',
+          locations: [ { line: 2, column: 15 } ],
+          path: undefined,
+        } ]
+      });
+    });
+
+  });
+
   describe('Execute: Uses argument default values', () => {
 
     it('when no argument provided', async () => {
@@ -0,0 +1,117 @@
+/* @flow */
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { GraphQLError } from '../error';
+import { visit, BREAK } from '../language/visitor';
+import { getOperationAST } from '../utilities/getOperationAST';
+import { validate } from '../validation/validate';
+import { executePlan } from './execute';
+import type {
+  ExecutionPlan,
+  ExecutionResult,
+  IncrementalExecutionResult,
+} from './execute';
+import type { DocumentNode } from '../language/ast';
+import type { GraphQLSchema } from '../type/schema';
+
+/**
+ * A compiled query executes its operation with the given root value, context
+ * value and variable values, as `execute` would.
+ */
+export type CompiledQuery = (
+  rootValue?: mixed,
+  contextValue?: mixed,
+  variableValues?: ?{[key: string]: mixed}
+) => Promise<ExecutionResult | IncrementalExecutionResult>;
+
+/**
+ * Compiles an operation of a document into a function which executes it, for
+ * servers which execute the same operations many times.
+ *
+ * The document is validated once, when compiled, and every execution shares
+ * an ExecutionPlan: the fields collected for each selection, the definition
+ * of each field, the coerced values of arguments which are not given
+ * variables, and how to serialize the values of fields of a Scalar or Enum
+ * type are computed once, rather than for every object of every list.
+ *
+ * Throws if the document is not valid for the schema, or if it does not
+ * contain the operation to compile.
+ */
+export function compileQuery(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  operationName?: ?string
+): CompiledQuery {
+  const errors = validate(schema, document);
+  if (errors.length > 0) {
+    throw new Error(errors.map(error => error.message).join('\n\n'));
+  }
+
+  if (!getOperationAST(document, operationName)) {
+    throw new GraphQLError(
+      operationName ?
+        `Unknown operation named "${operationName}".` :
+        'Must provide operation name if query contains multiple operations.'
+    );
+  }
+
+  const plan: ExecutionPlan = {
+    schema,
+    document,
+    operationName,
+    hasVariableDirectives: hasVariableDirectives(document),
+    rootFields: null,
+    subfields: new Map(),
+    fieldDefs: new Map(),
+    argumentValues: new Map(),
+    leafSerializers: new Map(),
+  };
+
+  return (rootValue, contextValue, variableValues) => executePlan(
+    plan.hasVariableDirectives ? forExecution(plan) : plan,
+    rootValue,
+    contextValue,
+    variableValues
+  );
+}
+
+/**
+ * Returns a plan for a single execution, which only shares the argument
+ * values and leaf serializers of the given plan, as the fields collected
+ * depend on the variable values of each execution.
+ */
+function forExecution(plan: ExecutionPlan): ExecutionPlan {
+  return {
+    ...plan,
+    rootFields: null,
+    subfields: new Map(),
+    fieldDefs: new Map(),
+  };
+}
+
+/**
+ * Returns true if any directive in the document, such as @skip or @include,
+ * is given a variable.
+ */
+function hasVariableDirectives(document: DocumentNode): boolean {
+  let found = false;
+  visit(document, {
+    Directive(directive) {
+      visit(directive, {
+        Variable() {
+          found = true;
+          return BREAK;
+        }
+      });
+      return found ? BREAK : false;
+    }
+  });
+  return found;
+}
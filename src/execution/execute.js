@@ -8,7 +8,7 @@
  *  of patent rights can be found in the PATENTS file in the same directory.
  */
 
-import { forEach, isCollection } from 'iterall';
+import { $$asyncIterator, forEach, isCollection } from 'iterall';
 
 import { GraphQLError, locatedError } from '../error';
 import invariant from '../jsutils/invariant';
@@ -20,10 +20,19 @@ import {
   getArgumentValues,
   getDirectiveValues,
 } from './values';
+import {
+  createExecutionTracer,
+  getExecutionTrace,
+  startPhase,
+  startResolverTrace,
+} from './tracing';
+import type { ExecutionTracer } from './tracing';
 import {
   GraphQLObjectType,
   GraphQLList,
   GraphQLNonNull,
+  GraphQLScalarType,
+  GraphQLEnumType,
   isAbstractType,
   isLeafType,
 } from '../type/definition';
@@ -33,18 +42,23 @@ import type {
   GraphQLAbstractType,
   GraphQLField,
   GraphQLFieldResolver,
+  GraphQLFieldBatchResolver,
+  GraphQLFieldMiddleware,
   GraphQLResolveInfo,
   ResponsePath,
+  CancellationSignal,
 } from '../type/definition';
 import { GraphQLSchema } from '../type/schema';
+import { assertValidSchema } from '../type/validate';
 import {
-  SchemaMetaFieldDef,
-  TypeMetaFieldDef,
+  getIntrospectionTypes,
   TypeNameMetaFieldDef,
 } from '../type/introspection';
 import {
   GraphQLIncludeDirective,
   GraphQLSkipDirective,
+  GraphQLDeferDirective,
+  GraphQLStreamDirective,
 } from '../type/directives';
 import type {
   DocumentNode,
@@ -54,6 +68,7 @@ import type {
   FragmentSpreadNode,
   InlineFragmentNode,
   FragmentDefinitionNode,
+  ValueNode,
 } from '../language/ast';
 
 
@@ -92,6 +107,80 @@ export type ExecutionContext = {
   variableValues: {[key: string]: mixed};
   fieldResolver: GraphQLFieldResolver<any, any>;
   errors: Array<GraphQLError>;
+  subsequentPayloads: Array<Promise<DeferredPayload>>;
+  fieldBatches: Map<GraphQLField<*, *>, Map<FieldNode, FieldBatch>>;
+  tracer: ?ExecutionTracer;
+  signal: ?CancellationSignal;
+  cancellation: ?Cancellation;
+  plan: ?ExecutionPlan;
+};
+
+/**
+ * A Cancellation rejects its Promise once the signal is aborted, until it is
+ * disposed of by removing its listener from the signal.
+ */
+type Cancellation = {
+  promise: Promise<empty>;
+  dispose: () => void;
+};
+
+/**
+ * An ExecutionPlan memoizes the work which execution would otherwise repeat
+ * for every object of a type, such as each item of a list: collecting the
+ * sub-fields of a field, looking up field definitions, coercing arguments
+ * which are not given variables, and serializing the values of fields of a
+ * Scalar or Enum type. A plan is shared by every execution of a query
+ * compiled with `compileQuery`.
+ *
+ * As arguments which are not given variables are only coerced once, every
+ * call to a resolver for the same field in the query is provided the same
+ * arguments object, which is frozen so that no call may change the arguments
+ * of another.
+ */
+export type ExecutionPlan = {
+  schema: GraphQLSchema;
+  document: DocumentNode;
+  operationName: ?string;
+  // True when the directives which determine the fields to collect, such as
+  // @skip and @include, are given variables. The fields collected then
+  // depend on each execution's variable values, and are only memoized for
+  // the duration of an execution.
+  hasVariableDirectives: boolean;
+  rootFields: ?CollectedFields;
+  subfields: Map<GraphQLObjectType, Map<Array<FieldNode>, CollectedFields>>;
+  fieldDefs: Map<Array<FieldNode>, ?GraphQLField<*, *>>;
+  // Null for the field nodes whose arguments are given variables.
+  argumentValues: Map<
+    GraphQLField<any, any>,
+    Map<FieldNode, ?{[argName: string]: mixed}>
+  >;
+  // Null for the fields which are not of a leaf type.
+  leafSerializers: Map<GraphQLField<*, *>, ?LeafSerializer>;
+};
+
+/**
+ * Completes the synchronous result of a field of a leaf type, as completeValue
+ * would, without determining how to complete it for each result.
+ */
+type LeafSerializer = (result: mixed, info: GraphQLResolveInfo) => mixed;
+
+/**
+ * The fields collected for a selection, and any deferred fragments within it.
+ */
+type CollectedFields = {
+  fields: {[key: string]: Array<FieldNode>};
+  deferredFragments: Array<DeferredFragment>;
+};
+
+/**
+ * The sources awaiting a call to a field's batch resolver, along with the
+ * callbacks which complete each of their values.
+ */
+type FieldBatch = {
+  sources: Array<mixed>;
+  callbacks: Array<{ resolve: (value: mixed) => void, reject: mixed => void }>;
+  args: { [argName: string]: mixed };
+  info: GraphQLResolveInfo;
 };
 
 /**
@@ -99,10 +188,56 @@ export type ExecutionContext = {
  *
  *   - `errors` is included when any errors occurred as a non-empty array.
  *   - `data` is the result of a successful execution of the query.
+ *   - `hasNext` is included as `true` when this is the initial payload of an
+ *     incrementally delivered response.
+ *   - `extensions` is included when additional information about the
+ *     execution was requested, such as its `tracing`.
  */
 export type ExecutionResult = {
   errors?: Array<GraphQLError>;
   data?: ?{[key: string]: mixed};
+  hasNext?: boolean;
+  extensions?: {[key: string]: mixed};
+};
+
+/**
+ * A subsequent payload of an incrementally delivered response, produced by a
+ * `@defer` fragment or an item of a `@stream` field.
+ *
+ *   - `path` is the location in the response which this payload completes.
+ *   - `label` is the label given to the originating directive, if any.
+ *   - `data` is included for deferred fragments, and `items` for streamed
+ *     list items. Either is null if a field error nulled the entire payload.
+ *   - `errors` is included when any errors occurred as a non-empty array.
+ *   - `hasNext` is false only for the final payload.
+ */
+type ExecutionPatch = {
+  errors?: Array<GraphQLError>;
+  data?: ?{[key: string]: mixed};
+  items?: ?Array<mixed>;
+  path: Array<string | number>;
+  label?: string;
+};
+
+// A subsequent payload along with the payloads deferred while producing it,
+// which may only be delivered after it.
+type DeferredPayload = {
+  patch: ExecutionPatch;
+  subsequentPayloads: Array<Promise<DeferredPayload>>;
+};
+
+export type ExecutionPatchResult = {
+  ...ExecutionPatch;
+  hasNext: boolean;
+};
+
+/**
+ * The result of executing an operation which used `@defer` or `@stream`: the
+ * initial payload, and an AsyncIterator of each subsequent payload.
+ */
+export type IncrementalExecutionResult = {
+  initialResult: ExecutionResult;
+  subsequentResults: AsyncIterator<ExecutionPatchResult>;
 };
 
 /**
@@ -110,9 +245,22 @@ export type ExecutionResult = {
  *
  * Returns a Promise that will eventually be resolved and never rejected.
  *
+ * If the operation uses the `@defer` or `@stream` directives, the Promise
+ * resolves to an IncrementalExecutionResult instead of an ExecutionResult.
+ *
  * If the arguments to this function do not result in a legal execution context,
  * a GraphQLError will be thrown immediately explaining the invalid input.
  *
+ * If `tracing` is true, or an ExecutionTracer (see `createExecutionTracer`),
+ * the time taken by execution and by each field resolver is included in the
+ * result as `extensions.tracing`. Only the initial payload of an
+ * incrementally delivered response is traced.
+ *
+ * If a `signal` is provided, such as an AbortSignal, no further resolvers are
+ * called once it has been aborted, pending resolvers are abandoned, and the
+ * Promise resolves to a result with only the cancellation error. The signal is
+ * also provided to resolvers as `info.signal` to cancel their own work.
+ *
  * Accepts either an object with named arguments, or individual arguments.
  */
 declare function execute({|
@@ -122,8 +270,10 @@ declare function execute({|
   contextValue?: mixed,
   variableValues?: ?{[key: string]: mixed},
   operationName?: ?string,
-  fieldResolver?: ?GraphQLFieldResolver<any, any>
-|}, ..._: []): Promise<ExecutionResult>;
+  fieldResolver?: ?GraphQLFieldResolver<any, any>,
+  tracing?: ?(boolean | ExecutionTracer),
+  signal?: ?CancellationSignal
+|}, ..._: []): Promise<ExecutionResult | IncrementalExecutionResult>;
 /* eslint-disable no-redeclare */
 declare function execute(
   schema: GraphQLSchema,
@@ -132,8 +282,10 @@ declare function execute(
   contextValue?: mixed,
   variableValues?: ?{[key: string]: mixed},
   operationName?: ?string,
-  fieldResolver?: ?GraphQLFieldResolver<any, any>
-): Promise<ExecutionResult>;
+  fieldResolver?: ?GraphQLFieldResolver<any, any>,
+  tracing?: ?(boolean | ExecutionTracer),
+  signal?: ?CancellationSignal
+): Promise<ExecutionResult | IncrementalExecutionResult>;
 export function execute(
   argsOrSchema,
   document,
@@ -141,7 +293,9 @@ export function execute(
   contextValue,
   variableValues,
   operationName,
-  fieldResolver
+  fieldResolver,
+  tracing,
+  signal
 ) {
   // Extract arguments from object args if provided.
   const args = arguments.length === 1 ? argsOrSchema : undefined;
@@ -154,7 +308,9 @@ export function execute(
       args.contextValue,
       args.variableValues,
       args.operationName,
-      args.fieldResolver
+      args.fieldResolver,
+      args.tracing,
+      args.signal
     ) :
     executeImpl(
       schema,
@@ -163,7 +319,9 @@ export function execute(
       contextValue,
       variableValues,
       operationName,
-      fieldResolver
+      fieldResolver,
+      tracing,
+      signal
     );
 }
 
@@ -174,7 +332,10 @@ function executeImpl(
   contextValue,
   variableValues,
   operationName,
-  fieldResolver
+  fieldResolver,
+  tracing,
+  signal,
+  plan
 ) {
   // If arguments are missing or incorrect, throw an error.
   assertValidExecutionArguments(
@@ -194,12 +355,23 @@ function executeImpl(
       contextValue,
       variableValues,
       operationName,
-      fieldResolver
+      fieldResolver,
+      tracing === true ? createExecutionTracer() : tracing || null,
+      signal,
+      plan
     );
   } catch (error) {
     return Promise.resolve({ errors: [ error ] });
   }
 
+  const cancellation = context.cancellation;
+  if (isCancelled(context)) {
+    if (cancellation) {
+      cancellation.dispose();
+    }
+    return Promise.resolve({ errors: [ cancelledError() ] });
+  }
+
   // Return a Promise that will eventually resolve to the data described by
   // The "Response" section of the GraphQL specification.
   //
@@ -207,12 +379,100 @@ function executeImpl(
   // field and its descendants will be omitted, and sibling fields will still
   // be executed. An execution which encounters errors will still result in a
   // resolved Promise.
-  return Promise.resolve(
+  //
+  // Any payloads deferred by `@defer` or `@stream` are delivered afterwards
+  // through an AsyncIterator, which completes once all have been produced.
+  const tracer = context.tracer;
+  const endExecution = tracer && startPhase(tracer, 'execution');
+  const execution = Promise.resolve(
     executeOperation(context, context.operation, rootValue)
-  ).then(data => context.errors.length === 0 ?
-    { data } :
-    { errors: context.errors, data }
-  );
+  ).then(data => {
+    if (isCancelled(context)) {
+      return { errors: [ cancelledError() ] };
+    }
+    const result: ExecutionResult = context.errors.length === 0 ?
+      { data } :
+      { errors: context.errors, data };
+    if (tracer && endExecution) {
+      endExecution();
+      result.extensions = { tracing: getExecutionTrace(tracer) };
+    }
+    if (context.subsequentPayloads.length === 0) {
+      return result;
+    }
+    return {
+      initialResult: { ...result, hasNext: true },
+      subsequentResults: createPatchIterator(context.subsequentPayloads),
+    };
+  });
+
+  if (!cancellation) {
+    return execution;
+  }
+
+  // The signal is no longer listened to once the execution and all of its
+  // subsequent payloads have settled.
+  execution.then(
+    () => whenPayloadsSettle(context.subsequentPayloads),
+    () => undefined
+  ).then(cancellation.dispose);
+
+  // Return early once cancelled, rather than waiting for pending resolvers.
+  return Promise.race([
+    execution,
+    cancellation.promise.catch(error => ({ errors: [ error ] }))
+  ]);
+}
+
+/**
+ * Returns a Promise which resolves once all of the given payloads, and the
+ * payloads deferred while producing them, have settled.
+ */
+function whenPayloadsSettle(
+  payloads: Array<Promise<DeferredPayload>>
+): Promise<mixed> {
+  return Promise.all(payloads.map(promise => promise.then(
+    payload => whenPayloadsSettle(payload.subsequentPayloads),
+    () => undefined
+  )));
+}
+
+/**
+ * Returns true if execution was provided a signal which has been aborted.
+ */
+function isCancelled(exeContext: ExecutionContext): boolean {
+  return Boolean(exeContext.signal && exeContext.signal.aborted);
+}
+
+function cancelledError(): GraphQLError {
+  return new GraphQLError('Execution was cancelled.');
+}
+
+/**
+ * Returns a Cancellation which listens for the signal to be aborted, or null
+ * if the signal does not dispatch an "abort" event.
+ */
+function createCancellation(signal: ?CancellationSignal): ?Cancellation {
+  if (!signal || typeof signal.addEventListener !== 'function') {
+    return null;
+  }
+  const addEventListener = signal.addEventListener;
+  let onAbort;
+  const promise = new Promise((resolve, reject) => {
+    onAbort = () => reject(cancelledError());
+    addEventListener.call(signal, 'abort', onAbort, { once: true });
+  });
+  // Cancellation without any pending Promise is not an unhandled rejection.
+  promise.catch(() => {});
+  return {
+    promise,
+    dispose() {
+      const removeEventListener = signal.removeEventListener;
+      if (typeof removeEventListener === 'function') {
+        removeEventListener.call(signal, 'abort', onAbort);
+      }
+    },
+  };
 }
 
 /**
@@ -255,6 +515,7 @@ export function assertValidExecutionArguments(
     'Schema must be an instance of GraphQLSchema. Also ensure that there are ' +
     'not multiple versions of GraphQL installed in your node_modules directory.'
   );
+  assertValidSchema(schema);
 
   // Variables, if provided, must be an object.
   invariant(
@@ -278,7 +539,10 @@ export function buildExecutionContext(
   contextValue: mixed,
   rawVariableValues: ?{[key: string]: mixed},
   operationName: ?string,
-  fieldResolver: ?GraphQLFieldResolver<any, any>
+  fieldResolver: ?GraphQLFieldResolver<any, any>,
+  tracer?: ?ExecutionTracer,
+  signal?: ?CancellationSignal,
+  plan?: ?ExecutionPlan
 ): ExecutionContext {
   const errors: Array<GraphQLError> = [];
   let operation: ?OperationDefinitionNode;
@@ -328,9 +592,39 @@ export function buildExecutionContext(
     variableValues,
     fieldResolver: fieldResolver || defaultFieldResolver,
     errors,
+    subsequentPayloads: [],
+    fieldBatches: new Map(),
+    tracer,
+    signal,
+    cancellation: createCancellation(signal),
+    plan,
   };
 }
 
+/**
+ * Executes the operation of an ExecutionPlan, as a query compiled with
+ * `compileQuery` does.
+ */
+export function executePlan(
+  plan: ExecutionPlan,
+  rootValue: mixed,
+  contextValue: mixed,
+  variableValues: ?{[key: string]: mixed}
+): Promise<ExecutionResult | IncrementalExecutionResult> {
+  return executeImpl(
+    plan.schema,
+    plan.document,
+    rootValue,
+    contextValue,
+    variableValues,
+    plan.operationName,
+    undefined,
+    undefined,
+    undefined,
+    plan
+  );
+}
+
 /**
  * Implements the "Evaluating operations" section of the spec.
  */
@@ -340,16 +634,24 @@ function executeOperation(
   rootValue: mixed
 ): ?{[key: string]: mixed} {
   const type = getOperationRootType(exeContext.schema, operation);
-  const fields = collectFields(
+  const { fields, deferredFragments } = collectRootFields(
     exeContext,
     type,
-    operation.selectionSet,
-    Object.create(null),
-    Object.create(null)
+    operation.selectionSet
   );
 
   const path = undefined;
 
+  deferredFragments.forEach(deferredFragment => {
+    executeDeferredFragment(
+      exeContext,
+      type,
+      rootValue,
+      path,
+      deferredFragment
+    );
+  });
+
   // Errors from sub-fields of a NonNull type may propagate to the top level,
   // at which point we still log the error and null the parent field, which
   // in this case is the entire response.
@@ -373,6 +675,35 @@ function executeOperation(
   }
 }
 
+/**
+ * Collects the fields of the operation's selection set, memoized by the
+ * execution plan if there is one.
+ */
+function collectRootFields(
+  exeContext: ExecutionContext,
+  type: GraphQLObjectType,
+  selectionSet: SelectionSetNode
+): CollectedFields {
+  const plan = exeContext.plan;
+  if (plan && plan.rootFields) {
+    return plan.rootFields;
+  }
+  const deferredFragments = [];
+  const fields = collectFields(
+    exeContext,
+    type,
+    selectionSet,
+    Object.create(null),
+    Object.create(null),
+    deferredFragments
+  );
+  const collected = { fields, deferredFragments };
+  if (plan) {
+    plan.rootFields = collected;
+  }
+  return collected;
+}
+
 /**
  * Extracts the root type of the operation from the schema.
  */
@@ -496,6 +827,17 @@ function executeFields(
   return promiseForObject(finalResults);
 }
 
+/**
+ * A fragment marked with `@defer`, whose fields have been collected separately
+ * so they may be delivered in a subsequent payload, along with any fragments
+ * deferred within it.
+ */
+export type DeferredFragment = {
+  label: ?string;
+  fields: {[key: string]: Array<FieldNode>};
+  deferredFragments: Array<DeferredFragment>;
+};
+
 /**
  * Given a selectionSet, adds all of the fields in that selection to
  * the passed in map of fields, and returns it at the end.
@@ -503,13 +845,18 @@ function executeFields(
  * CollectFields requires the "runtime type" of an object. For a field which
  * returns an Interface or Union type, the "runtime type" will be the actual
  * Object type returned by that field.
+ *
+ * If a list of deferred fragments is provided, the fields of any fragment
+ * marked with `@defer` are collected into a new entry of that list rather
+ * than into the map of fields. Otherwise `@defer` is ignored.
  */
 export function collectFields(
   exeContext: ExecutionContext,
   runtimeType: GraphQLObjectType,
   selectionSet: SelectionSetNode,
   fields: {[key: string]: Array<FieldNode>},
-  visitedFragmentNames: {[key: string]: boolean}
+  visitedFragmentNames: {[key: string]: boolean},
+  deferredFragments?: Array<DeferredFragment>
 ): {[key: string]: Array<FieldNode>} {
   for (let i = 0; i < selectionSet.selections.length; i++) {
     const selection = selectionSet.selections[i];
@@ -529,12 +876,14 @@ export function collectFields(
             !doesFragmentConditionMatch(exeContext, selection, runtimeType)) {
           continue;
         }
-        collectFields(
+        collectFragmentFields(
           exeContext,
           runtimeType,
+          selection,
           selection.selectionSet,
           fields,
-          visitedFragmentNames
+          visitedFragmentNames,
+          deferredFragments
         );
         break;
       case Kind.FRAGMENT_SPREAD:
@@ -549,12 +898,14 @@ export function collectFields(
             !doesFragmentConditionMatch(exeContext, fragment, runtimeType)) {
           continue;
         }
-        collectFields(
+        collectFragmentFields(
           exeContext,
           runtimeType,
+          selection,
           fragment.selectionSet,
           fields,
-          visitedFragmentNames
+          visitedFragmentNames,
+          deferredFragments
         );
         break;
     }
@@ -562,6 +913,46 @@ export function collectFields(
   return fields;
 }
 
+/**
+ * Collects the fields of an included fragment, either into the map of fields
+ * or, when the fragment is deferred, into a new deferred fragment.
+ */
+function collectFragmentFields(
+  exeContext: ExecutionContext,
+  runtimeType: GraphQLObjectType,
+  node: FragmentSpreadNode | InlineFragmentNode,
+  selectionSet: SelectionSetNode,
+  fields: {[key: string]: Array<FieldNode>},
+  visitedFragmentNames: {[key: string]: boolean},
+  deferredFragments?: Array<DeferredFragment>
+): void {
+  const defer = deferredFragments && getDeferValues(exeContext, node);
+  if (deferredFragments && defer) {
+    const nestedDeferredFragments = [];
+    deferredFragments.push({
+      label: defer.label,
+      fields: collectFields(
+        exeContext,
+        runtimeType,
+        selectionSet,
+        Object.create(null),
+        visitedFragmentNames,
+        nestedDeferredFragments
+      ),
+      deferredFragments: nestedDeferredFragments,
+    });
+    return;
+  }
+  collectFields(
+    exeContext,
+    runtimeType,
+    selectionSet,
+    fields,
+    visitedFragmentNames,
+    deferredFragments
+  );
+}
+
 /**
  * Determines if a field should be included based on the @include and @skip
  * directives, where @skip has higher precidence than @include.
@@ -590,6 +981,66 @@ function shouldIncludeNode(
   return true;
 }
 
+/**
+ * Returns the arguments of the @defer directive if the given fragment should
+ * be deferred, or undefined otherwise.
+ *
+ * Incremental delivery is not supported for subscriptions, since each event
+ * is already delivered as a single payload, so @defer is ignored there.
+ */
+function getDeferValues(
+  exeContext: ExecutionContext,
+  node: FragmentSpreadNode | InlineFragmentNode
+): void | { label: ?string } {
+  if (exeContext.operation.operation === 'subscription') {
+    return;
+  }
+  const defer = getDirectiveValues(
+    GraphQLDeferDirective,
+    node,
+    exeContext.variableValues
+  );
+  if (!defer || defer.if === false) {
+    return;
+  }
+  return { label: typeof defer.label === 'string' ? defer.label : undefined };
+}
+
+/**
+ * Returns the arguments of the @stream directive if the list value of the
+ * given field should be streamed, or undefined otherwise.
+ *
+ * Like @defer, @stream is ignored for subscriptions.
+ */
+function getStreamValues(
+  exeContext: ExecutionContext,
+  fieldNodes: Array<FieldNode>
+): void | { label: ?string, initialCount: number } {
+  if (exeContext.operation.operation === 'subscription') {
+    return;
+  }
+  const stream = getDirectiveValues(
+    GraphQLStreamDirective,
+    fieldNodes[0],
+    exeContext.variableValues
+  );
+  if (!stream || stream.if === false) {
+    return;
+  }
+  // A literal is checked by validation, but not a value of a variable.
+  const initialCount = stream.initialCount;
+  if (typeof initialCount !== 'number' || initialCount < 0) {
+    throw new GraphQLError(
+      'Directive "@stream" must have a non-negative "initialCount" but got: ' +
+      `${String(initialCount)}.`
+    );
+  }
+  return {
+    label: typeof stream.label === 'string' ? stream.label : undefined,
+    initialCount,
+  };
+}
+
 /**
  * Determines if a fragment is applicable to the given type.
  */
@@ -652,15 +1103,14 @@ function resolveField(
   fieldNodes: Array<FieldNode>,
   path: ResponsePath
 ): mixed {
-  const fieldNode = fieldNodes[0];
-  const fieldName = fieldNode.name.value;
-
-  const fieldDef = getFieldDef(exeContext.schema, parentType, fieldName);
+  const fieldDef = getPlannedFieldDef(exeContext, parentType, fieldNodes);
   if (!fieldDef) {
     return;
   }
 
-  const resolveFn = fieldDef.resolve || exeContext.fieldResolver;
+  const resolveFn = fieldDef.resolveBatch ?
+    getBatchedFieldResolver(exeContext, fieldDef, fieldDef.resolveBatch) :
+    fieldDef.resolve || exeContext.fieldResolver;
 
   const info = buildResolveInfo(
     exeContext,
@@ -670,17 +1120,54 @@ function resolveField(
     path
   );
 
-  // Get the resolve function, regardless of if its result is normal
-  // or abrupt (error).
-  const result = resolveFieldValueOrError(
-    exeContext,
-    fieldDef,
-    fieldNodes,
-    resolveFn,
-    source,
-    info
+  const endTrace = exeContext.tracer && startResolverTrace(
+    exeContext.tracer,
+    info,
+    responsePathAsArray(path)
   );
 
+  // Get the resolve function, regardless of if its result is normal
+  // or abrupt (error). Once cancelled, no further resolvers are called.
+  let result = isCancelled(exeContext) ?
+    cancelledError() :
+    resolveFieldValueOrError(
+      exeContext,
+      fieldDef,
+      fieldNodes,
+      resolveFn,
+      source,
+      info
+    );
+
+  const promise = getPromise(result);
+
+  // A resolver which returns a Promise is traced until it has settled.
+  if (endTrace) {
+    if (promise) {
+      promise.then(endTrace, endTrace);
+    } else {
+      endTrace();
+    }
+  }
+
+  // A pending resolver is abandoned once cancelled.
+  if (promise && exeContext.cancellation) {
+    result = Promise.race([ promise, exeContext.cancellation.promise ]);
+  }
+
+  const serialize = !promise && getPlannedLeafSerializer(exeContext, fieldDef);
+  if (serialize) {
+    return completePlannedLeafValue(
+      exeContext,
+      fieldDef.type,
+      fieldNodes,
+      info,
+      path,
+      serialize,
+      result
+    );
+  }
+
   return completeValueCatchingError(
     exeContext,
     fieldDef.type,
@@ -691,6 +1178,106 @@ function resolveField(
   );
 }
 
+/**
+ * Returns the definition of the field the field nodes select on the parent
+ * type, memoized by the execution plan if there is one.
+ */
+function getPlannedFieldDef(
+  exeContext: ExecutionContext,
+  parentType: GraphQLObjectType,
+  fieldNodes: Array<FieldNode>
+): ?GraphQLField<*, *> {
+  const plan = exeContext.plan;
+  if (plan && plan.fieldDefs.has(fieldNodes)) {
+    return plan.fieldDefs.get(fieldNodes);
+  }
+  const fieldName = fieldNodes[0].name.value;
+  const fieldDef = getFieldDef(exeContext.schema, parentType, fieldName);
+  if (plan) {
+    plan.fieldDefs.set(fieldNodes, fieldDef);
+  }
+  return fieldDef;
+}
+
+/**
+ * Returns the LeafSerializer planned for a field, or null if there is no
+ * execution plan or the field is not of a leaf type.
+ */
+function getPlannedLeafSerializer(
+  exeContext: ExecutionContext,
+  fieldDef: GraphQLField<*, *>
+): ?LeafSerializer {
+  const plan = exeContext.plan;
+  if (!plan) {
+    return null;
+  }
+  if (plan.leafSerializers.has(fieldDef)) {
+    return plan.leafSerializers.get(fieldDef);
+  }
+  const serializer = planLeafSerializer(fieldDef.type);
+  plan.leafSerializers.set(fieldDef, serializer);
+  return serializer;
+}
+
+/**
+ * Returns a LeafSerializer for a return type which is a Scalar or Enum, or a
+ * Non-Null of one, or null for any other type.
+ */
+function planLeafSerializer(returnType: GraphQLType): ?LeafSerializer {
+  const leafType = returnType instanceof GraphQLNonNull ?
+    returnType.ofType :
+    returnType;
+  if (
+    !(leafType instanceof GraphQLScalarType) &&
+    !(leafType instanceof GraphQLEnumType)
+  ) {
+    return null;
+  }
+  invariant(leafType.serialize, 'Missing serialize method on type');
+  const isNonNull = returnType instanceof GraphQLNonNull;
+  return (result, info) => {
+    if (result instanceof Error) {
+      throw result;
+    }
+    if (isNullish(result)) {
+      if (isNonNull) {
+        throw nonNullError(info);
+      }
+      return null;
+    }
+    const serializedResult = leafType.serialize(result);
+    if (isNullish(serializedResult)) {
+      throw invalidLeafValueError(leafType, result);
+    }
+    return serializedResult;
+  };
+}
+
+/**
+ * Completes a synchronous result with a LeafSerializer, locating any error,
+ * and handling it as completeValueCatchingError would.
+ */
+function completePlannedLeafValue(
+  exeContext: ExecutionContext,
+  returnType: GraphQLType,
+  fieldNodes: Array<FieldNode>,
+  info: GraphQLResolveInfo,
+  path: ResponsePath,
+  serialize: LeafSerializer,
+  result: mixed
+): mixed {
+  try {
+    return serialize(result, info);
+  } catch (rawError) {
+    const error = locatedError(rawError, fieldNodes, responsePathAsArray(path));
+    if (returnType instanceof GraphQLNonNull) {
+      throw error;
+    }
+    exeContext.errors.push(error);
+    return null;
+  }
+}
+
 export function buildResolveInfo(
   exeContext: ExecutionContext,
   fieldDef: GraphQLField<*, *>,
@@ -711,11 +1298,13 @@ export function buildResolveInfo(
     rootValue: exeContext.rootValue,
     operation: exeContext.operation,
     variableValues: exeContext.variableValues,
+    signal: exeContext.signal,
   };
 }
 
 // Isolates the "ReturnOrAbrupt" behavior to not de-opt the `resolveField`
 // function. Returns the result of resolveFn or the abrupt-return Error object.
+// Any field middleware provided to the schema is applied around resolveFn.
 export function resolveFieldValueOrError<TSource>(
   exeContext: ExecutionContext,
   fieldDef: GraphQLField<TSource, *>,
@@ -727,19 +1316,19 @@ export function resolveFieldValueOrError<TSource>(
   try {
     // Build a JS object of arguments from the field.arguments AST, using the
     // variables scope to fulfill any variable references.
-    // TODO: find a way to memoize, in case this field is within a List type.
-    const args = getArgumentValues(
-      fieldDef,
-      fieldNodes[0],
-      exeContext.variableValues
-    );
+    const args = getPlannedArgumentValues(exeContext, fieldDef, fieldNodes[0]);
 
     // The resolve function's optional third argument is a context value that
     // is provided to every resolve function within an execution. It is commonly
     // used to represent an authenticated user, or request-specific caches.
     const context = exeContext.contextValue;
 
-    return resolveFn(source, args, context, info);
+    const middleware = exeContext.schema.getFieldMiddleware();
+    const resolve = middleware.length === 0 ?
+      resolveFn :
+      applyFieldMiddleware(middleware, resolveFn);
+
+    return resolve(source, args, context, info);
   } catch (error) {
     // Sometimes a non-error is thrown, wrap it as an Error for a
     // consistent interface.
@@ -747,6 +1336,144 @@ export function resolveFieldValueOrError<TSource>(
   }
 }
 
+/**
+ * Returns the argument values of a field, memoized by the execution plan if
+ * there is one and the field's arguments are not given variables.
+ */
+function getPlannedArgumentValues<TSource>(
+  exeContext: ExecutionContext,
+  fieldDef: GraphQLField<TSource, *>,
+  fieldNode: FieldNode
+): {[argName: string]: mixed} {
+  const plan = exeContext.plan;
+  if (!plan) {
+    return getArgumentValues(fieldDef, fieldNode, exeContext.variableValues);
+  }
+  let fieldArgumentValues = plan.argumentValues.get(fieldDef);
+  if (!fieldArgumentValues) {
+    fieldArgumentValues = new Map();
+    plan.argumentValues.set(fieldDef, fieldArgumentValues);
+  }
+  const planned = fieldArgumentValues.get(fieldNode);
+  if (planned) {
+    return planned;
+  }
+  const args =
+    getArgumentValues(fieldDef, fieldNode, exeContext.variableValues);
+  if (planned === undefined) {
+    if ((fieldNode.arguments || []).some(arg => hasVariables(arg.value))) {
+      fieldArgumentValues.set(fieldNode, null);
+    } else {
+      // The arguments are shared by every call, so are frozen.
+      fieldArgumentValues.set(fieldNode, Object.freeze(args));
+    }
+  }
+  return args;
+}
+
+/**
+ * Returns true if a value literal refers to any variables.
+ */
+function hasVariables(valueNode: ValueNode): boolean {
+  switch (valueNode.kind) {
+    case Kind.VARIABLE:
+      return true;
+    case Kind.LIST:
+      return valueNode.values.some(hasVariables);
+    case Kind.OBJECT:
+      return valueNode.fields.some(field => hasVariables(field.value));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Wraps a field resolver with each field middleware, such that the first
+ * middleware is called first.
+ */
+function applyFieldMiddleware<TSource>(
+  middleware: Array<GraphQLFieldMiddleware<*, *>>,
+  resolveFn: GraphQLFieldResolver<TSource, *>
+): GraphQLFieldResolver<TSource, *> {
+  return middleware.reduceRight(
+    (next, fn) => (source, args, context, info) =>
+      fn(next, source, args, context, info),
+    resolveFn
+  );
+}
+
+/**
+ * Returns a field resolver which adds each source to a batch, resolving to
+ * the source's value once the field's batch resolver has been called.
+ *
+ * Sources are batched together when they share the same field definition and
+ * the same field in the query, such as the items of a list or the objects at
+ * the same depth of nested lists, and have the same arguments as a result. A
+ * batch is dispatched once all sources available in the current tick of
+ * execution have been added; sources which become available later, such as
+ * those of a list resolved by a separate Promise, are dispatched separately.
+ *
+ * The batch resolver is provided the `info` of the first source in the batch.
+ */
+function getBatchedFieldResolver(
+  exeContext: ExecutionContext,
+  fieldDef: GraphQLField<*, *>,
+  resolveBatch: GraphQLFieldBatchResolver<*, *>
+): GraphQLFieldResolver<*, *> {
+  return (source, args, context, info) => {
+    const fieldNode = info.fieldNodes[0];
+    let batches = exeContext.fieldBatches.get(fieldDef);
+    if (!batches) {
+      batches = new Map();
+      exeContext.fieldBatches.set(fieldDef, batches);
+    }
+    let batch = batches.get(fieldNode);
+    if (!batch) {
+      const newBatch = { sources: [], callbacks: [], args, info };
+      const pendingBatches = batches;
+      pendingBatches.set(fieldNode, newBatch);
+      Promise.resolve().then(() => {
+        pendingBatches.delete(fieldNode);
+        dispatchBatch(fieldDef, resolveBatch, newBatch, context);
+      });
+      batch = newBatch;
+    }
+    const currentBatch = batch;
+    return new Promise((resolve, reject) => {
+      currentBatch.sources.push(source);
+      currentBatch.callbacks.push({ resolve, reject });
+    });
+  };
+}
+
+/**
+ * Calls a field's batch resolver with each source of the batch, and completes
+ * the value for each source with the corresponding resolved value. If the
+ * batch resolver fails, the value for every source fails with its error.
+ */
+function dispatchBatch(
+  fieldDef: GraphQLField<*, *>,
+  resolveBatch: GraphQLFieldBatchResolver<*, *>,
+  batch: FieldBatch,
+  context: mixed
+): void {
+  const { sources, callbacks, args, info } = batch;
+  new Promise(resolve => {
+    resolve(resolveBatch(sources, args, context, info));
+  }).then(values => {
+    if (!Array.isArray(values) || values.length !== sources.length) {
+      throw new Error(
+        `Batch resolver for ${info.parentType.name}.${fieldDef.name} must ` +
+        `return an Array with a value for each of its ${sources.length} ` +
+        'sources.'
+      );
+    }
+    callbacks.forEach((callback, i) => callback.resolve(values[i]));
+  }).then(undefined, error => {
+    callbacks.forEach(callback => callback.reject(error));
+  });
+}
+
 // This is a small wrapper around completeValue which detects and logs errors
 // in the execution context.
 function completeValueCatchingError(
@@ -896,10 +1623,7 @@ function completeValue(
       result
     );
     if (completed === null) {
-      throw new Error(
-        `Cannot return null for non-nullable field ${
-          info.parentType.name}.${info.fieldName}.`
-      );
+      throw nonNullError(info);
     }
     return completed;
   }
@@ -976,6 +1700,12 @@ function completeListValue(
       info.parentType.name}.${info.fieldName}.`
   );
 
+  // Only the list value of the field itself may be streamed, not the items of
+  // a nested list, which are identified by their numeric path key.
+  const stream = path && typeof path.key === 'string' ?
+    getStreamValues(exeContext, fieldNodes) :
+    undefined;
+
   // This is specified as a simple map, however we're optimizing the path
   // where the list contains no Promises by avoiding creating another Promise.
   const itemType = returnType.ofType;
@@ -985,6 +1715,22 @@ function completeListValue(
     // No need to modify the info object containing the path,
     // since from here on it is not ever accessed by resolver functions.
     const fieldPath = addPath(path, index);
+
+    // Items beyond the initial count of a streamed list are each delivered
+    // in a subsequent payload.
+    if (stream && index >= stream.initialCount) {
+      executeStreamItem(
+        exeContext,
+        itemType,
+        fieldNodes,
+        info,
+        fieldPath,
+        item,
+        stream.label
+      );
+      return;
+    }
+
     const completedItem = completeValueCatchingError(
       exeContext,
       itemType,
@@ -1014,14 +1760,25 @@ function completeLeafValue(
   invariant(returnType.serialize, 'Missing serialize method on type');
   const serializedResult = returnType.serialize(result);
   if (isNullish(serializedResult)) {
-    throw new Error(
-      `Expected a value of type "${String(returnType)}" but ` +
-      `received: ${String(result)}`
-    );
+    throw invalidLeafValueError(returnType, result);
   }
   return serializedResult;
 }
 
+function nonNullError(info: GraphQLResolveInfo): Error {
+  return new Error(
+    `Cannot return null for non-nullable field ${
+      info.parentType.name}.${info.fieldName}.`
+  );
+}
+
+function invalidLeafValueError(returnType: GraphQLLeafType, result: mixed) {
+  return new Error(
+    `Expected a value of type "${String(returnType)}" but ` +
+    `received: ${String(result)}`
+  );
+}
+
 /**
  * Complete a value of an abstract type by determining the runtime object type
  * of that value, then complete the value for that type.
@@ -1177,22 +1934,225 @@ function collectAndExecuteSubfields(
   result: mixed
 ): mixed {
   // Collect sub-fields to execute to complete this value.
-  let subFieldNodes = Object.create(null);
+  const {
+    fields: subFieldNodes,
+    deferredFragments,
+  } = collectSubfields(exeContext, returnType, fieldNodes);
+
+  deferredFragments.forEach(deferredFragment => {
+    executeDeferredFragment(
+      exeContext,
+      returnType,
+      result,
+      path,
+      deferredFragment
+    );
+  });
+
+  return executeFields(exeContext, returnType, result, path, subFieldNodes);
+}
+
+/**
+ * Collects the sub-fields of the field nodes for the runtime type, memoized by
+ * the execution plan if there is one.
+ */
+function collectSubfields(
+  exeContext: ExecutionContext,
+  returnType: GraphQLObjectType,
+  fieldNodes: Array<FieldNode>
+): CollectedFields {
+  const plan = exeContext.plan;
+  let typeSubfields;
+  if (plan) {
+    typeSubfields = plan.subfields.get(returnType);
+    if (!typeSubfields) {
+      typeSubfields = new Map();
+      plan.subfields.set(returnType, typeSubfields);
+    }
+    const planned = typeSubfields.get(fieldNodes);
+    if (planned) {
+      return planned;
+    }
+  }
+
+  let fields = Object.create(null);
   const visitedFragmentNames = Object.create(null);
+  const deferredFragments = [];
   for (let i = 0; i < fieldNodes.length; i++) {
     const selectionSet = fieldNodes[i].selectionSet;
     if (selectionSet) {
-      subFieldNodes = collectFields(
+      fields = collectFields(
         exeContext,
         returnType,
         selectionSet,
-        subFieldNodes,
-        visitedFragmentNames
+        fields,
+        visitedFragmentNames,
+        deferredFragments
       );
     }
   }
 
-  return executeFields(exeContext, returnType, result, path, subFieldNodes);
+  const collected = { fields, deferredFragments };
+  if (typeSubfields) {
+    typeSubfields.set(fieldNodes, collected);
+  }
+  return collected;
+}
+
+/**
+ * Begins executing the fields of a deferred fragment, and adds the eventual
+ * payload to the execution context's list of subsequent payloads.
+ *
+ * Field errors within a subsequent payload are reported in that payload, so
+ * it is executed with its own list of errors.
+ */
+function executeDeferredFragment(
+  exeContext: ExecutionContext,
+  parentType: GraphQLObjectType,
+  sourceValue: mixed,
+  path: ResponsePath,
+  deferredFragment: DeferredFragment
+): void {
+  const patchContext = { ...exeContext, errors: [], subsequentPayloads: [] };
+  deferredFragment.deferredFragments.forEach(nestedDeferredFragment => {
+    executeDeferredFragment(
+      patchContext,
+      parentType,
+      sourceValue,
+      path,
+      nestedDeferredFragment
+    );
+  });
+
+  let data;
+  try {
+    data = Promise.resolve(executeFields(
+      patchContext,
+      parentType,
+      sourceValue,
+      path,
+      deferredFragment.fields
+    )).then(undefined, error => {
+      patchContext.errors.push(error);
+      return null;
+    });
+  } catch (error) {
+    patchContext.errors.push(error);
+    data = Promise.resolve(null);
+  }
+
+  exeContext.subsequentPayloads.push(data.then(resolvedData => buildPatch(
+    patchContext,
+    { data: resolvedData },
+    path,
+    deferredFragment.label
+  )));
+}
+
+/**
+ * Begins completing a single item of a streamed list, and adds the eventual
+ * payload to the execution context's list of subsequent payloads.
+ */
+function executeStreamItem(
+  exeContext: ExecutionContext,
+  itemType: GraphQLType,
+  fieldNodes: Array<FieldNode>,
+  info: GraphQLResolveInfo,
+  path: ResponsePath,
+  item: mixed,
+  label: ?string
+): void {
+  const patchContext = { ...exeContext, errors: [], subsequentPayloads: [] };
+  let items;
+  try {
+    items = Promise.resolve(completeValueCatchingError(
+      patchContext,
+      itemType,
+      fieldNodes,
+      info,
+      path,
+      item
+    )).then(completedItem => [ completedItem ], error => {
+      patchContext.errors.push(error);
+      return null;
+    });
+  } catch (error) {
+    patchContext.errors.push(error);
+    items = Promise.resolve(null);
+  }
+
+  exeContext.subsequentPayloads.push(items.then(resolvedItems => buildPatch(
+    patchContext,
+    { items: resolvedItems },
+    path,
+    label
+  )));
+}
+
+function buildPatch(
+  patchContext: ExecutionContext,
+  result: { data?: ?{[key: string]: mixed}, items?: ?Array<mixed> },
+  path: ResponsePath,
+  label: ?string
+): DeferredPayload {
+  const patch: ExecutionPatch = { ...result, path: responsePathAsArray(path) };
+  if (typeof label === 'string') {
+    patch.label = label;
+  }
+  if (patchContext.errors.length !== 0) {
+    patch.errors = patchContext.errors;
+  }
+  return { patch, subsequentPayloads: patchContext.subsequentPayloads };
+}
+
+/**
+ * Given the list of subsequent payloads of an execution, returns an
+ * AsyncIterator which yields each payload in the order they are completed.
+ *
+ * Payloads deferred while producing another payload, such as a fragment
+ * deferred within a deferred fragment, are only yielded after it, so that
+ * every payload completes a location already present in the response.
+ */
+function createPatchIterator(
+  pendingPayloads: Array<Promise<DeferredPayload>>
+): AsyncIterator<ExecutionPatchResult> {
+  let previous: Promise<any> = Promise.resolve();
+
+  function nextPayload() {
+    if (pendingPayloads.length === 0) {
+      return { value: undefined, done: true };
+    }
+    return Promise.race(pendingPayloads.map((promise, index) =>
+      promise.then(payload => ({ payload, index }))
+    )).then(({ payload, index }) => {
+      pendingPayloads.splice(index, 1);
+      pendingPayloads.push(...payload.subsequentPayloads);
+      return {
+        value: { ...payload.patch, hasNext: pendingPayloads.length !== 0 },
+        done: false,
+      };
+    });
+  }
+
+  return {
+    next() {
+      // Ensure payloads are each only yielded once, even if next() is called
+      // again before the previous call has resolved.
+      previous = previous.then(nextPayload);
+      return previous;
+    },
+    return() {
+      pendingPayloads.length = 0;
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    throw(error) {
+      pendingPayloads.length = 0;
+      return Promise.reject(error);
+    },
+    [$$asyncIterator]() {
+      return this;
+    },
+  };
 }
 
 /**
@@ -1279,6 +2239,8 @@ export function getFieldDef(
   parentType: GraphQLObjectType,
   fieldName: string
 ): ?GraphQLField<*, *> {
+  const { SchemaMetaFieldDef, TypeMetaFieldDef } =
+    getIntrospectionTypes(schema.exposesAppliedDirectives());
   if (fieldName === SchemaMetaFieldDef.name &&
       schema.getQueryType() === parentType) {
     return SchemaMetaFieldDef;
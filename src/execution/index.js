@@ -8,6 +8,19 @@
  */
 
 export { execute, defaultFieldResolver, responsePathAsArray } from './execute';
+export { compileQuery } from './compileQuery';
 export { getDirectiveValues } from './values';
+export { createExecutionTracer, tracePhase } from './tracing';
 
-export type { ExecutionResult } from './execute';
+export type {
+  ExecutionResult,
+  ExecutionPatchResult,
+  IncrementalExecutionResult,
+} from './execute';
+export type { CompiledQuery } from './compileQuery';
+export type {
+  ExecutionTrace,
+  ExecutionTracer,
+  PhaseTrace,
+  ResolverTrace,
+} from './tracing';
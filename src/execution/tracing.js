@@ -0,0 +1,195 @@
+/* @flow */
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import type { GraphQLResolveInfo } from '../type/definition';
+
+
+/**
+ * The timing of a phase of fulfilling a GraphQL request, in nanoseconds.
+ *
+ *   - `startOffset` is the time since the trace started.
+ *   - `duration` is the time the phase took.
+ */
+export type PhaseTrace = {
+  startOffset: number;
+  duration: number;
+};
+
+/**
+ * The timing of a single call to a field resolver, from calling the resolver
+ * until the value it returned has resolved, in nanoseconds.
+ */
+export type ResolverTrace = {
+  path: Array<string | number>;
+  parentType: string;
+  fieldName: string;
+  returnType: string;
+  startOffset: number;
+  duration: number;
+};
+
+/**
+ * A structured trace of a GraphQL request, suitable for including in the
+ * `extensions` of a response.
+ *
+ *   - `startTime` and `endTime` are ISO 8601 timestamps.
+ *   - `duration` is the time between them in nanoseconds.
+ *   - `parsing` and `validation` are included when those phases were traced.
+ *   - `execution` includes each field resolver called during execution.
+ */
+export type ExecutionTrace = {
+  version: 1;
+  startTime: string;
+  endTime: string;
+  duration: number;
+  parsing?: PhaseTrace;
+  validation?: PhaseTrace;
+  execution: {
+    startOffset?: number;
+    duration?: number;
+    resolvers: Array<ResolverTrace>;
+  };
+};
+
+/**
+ * Records the timing of each phase and field resolver of a GraphQL request.
+ * Create one with `createExecutionTracer`.
+ */
+export type ExecutionTracer = {
+  startTime: Date;
+  startClock: number;
+  now: () => number;
+  phases: {
+    parsing?: PhaseTrace;
+    validation?: PhaseTrace;
+    execution?: PhaseTrace;
+  };
+  resolvers: Array<ResolverTrace>;
+};
+
+/**
+ * Creates a tracer which can be provided as the `tracing` argument to
+ * `execute`, for a trace which should also include phases traced before
+ * execution with `tracePhase`:
+ *
+ *     const tracer = createExecutionTracer();
+ *     const document = tracePhase(tracer, 'parsing', () => parse(source));
+ *     const errors = tracePhase(tracer, 'validation', () =>
+ *       validate(schema, document)
+ *     );
+ *     const result = await execute({ schema, document, tracing: tracer });
+ *
+ * The trace is then included in the result as `extensions.tracing`.
+ *
+ * Times are read from a high resolution clock, unless a function returning
+ * the current time in nanoseconds from an arbitrary origin is provided as the
+ * `now` option.
+ */
+export function createExecutionTracer(
+  options?: { now?: () => number }
+): ExecutionTracer {
+  const clock = (options && options.now) || now;
+  return {
+    startTime: new Date(),
+    startClock: clock(),
+    now: clock,
+    phases: {},
+    resolvers: [],
+  };
+}
+
+/**
+ * Calls the given function, recording the time it takes as the given phase
+ * of the trace, and returns its result.
+ */
+export function tracePhase<T>(
+  tracer: ExecutionTracer,
+  phase: 'parsing' | 'validation',
+  fn: () => T
+): T {
+  const endPhase = startPhase(tracer, phase);
+  try {
+    return fn();
+  } finally {
+    endPhase();
+  }
+}
+
+/**
+ * Starts recording a phase of the trace, returning a function which ends it.
+ */
+export function startPhase(
+  tracer: ExecutionTracer,
+  phase: 'parsing' | 'validation' | 'execution'
+): () => void {
+  const startClock = tracer.now();
+  return () => {
+    tracer.phases[phase] = {
+      startOffset: startClock - tracer.startClock,
+      duration: tracer.now() - startClock,
+    };
+  };
+}
+
+/**
+ * Starts recording a call to a field resolver at the given response path,
+ * returning a function which ends it.
+ */
+export function startResolverTrace(
+  tracer: ExecutionTracer,
+  info: GraphQLResolveInfo,
+  path: Array<string | number>
+): () => void {
+  const startClock = tracer.now();
+  return () => {
+    tracer.resolvers.push({
+      path,
+      parentType: String(info.parentType),
+      fieldName: info.fieldName,
+      returnType: String(info.returnType),
+      startOffset: startClock - tracer.startClock,
+      duration: tracer.now() - startClock,
+    });
+  };
+}
+
+/**
+ * Returns the trace recorded so far, ending at the time of the call.
+ */
+export function getExecutionTrace(tracer: ExecutionTracer): ExecutionTrace {
+  const duration = tracer.now() - tracer.startClock;
+  const { parsing, validation, execution } = tracer.phases;
+  const trace: ExecutionTrace = {
+    version: 1,
+    startTime: tracer.startTime.toISOString(),
+    endTime: new Date(
+      tracer.startTime.getTime() + Math.round(duration / 1e6)
+    ).toISOString(),
+    duration,
+    execution: { ...execution, resolvers: tracer.resolvers.slice() },
+  };
+  if (parsing) {
+    trace.parsing = parsing;
+  }
+  if (validation) {
+    trace.validation = validation;
+  }
+  return trace;
+}
+
+// The current time in nanoseconds from an arbitrary origin, using a high
+// resolution clock where one is available.
+function now(): number {
+  if (typeof process === 'object' && typeof process.hrtime === 'function') {
+    const [ seconds, nanoseconds ] = process.hrtime();
+    return seconds * 1e9 + nanoseconds;
+  }
+  return Date.now() * 1e6;
+}
@@ -259,6 +259,15 @@ function coerceValue(type: GraphQLInputType, value: mixed): mixed {
       }
       coercedObj[fieldName] = fieldValue;
     }
+    if (type.isOneOf) {
+      const coercedFieldNames = Object.keys(coercedObj);
+      if (
+        coercedFieldNames.length !== 1 ||
+        coercedObj[coercedFieldNames[0]] === null
+      ) {
+        return; // Intentionally return no value.
+      }
+    }
     return coercedObj;
   }
 
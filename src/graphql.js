@@ -11,10 +11,25 @@
 import { parse } from './language/parser';
 import { validate } from './validation/validate';
 import { execute } from './execution/execute';
+import { GraphQLError } from './error/GraphQLError';
+import invariant from './jsutils/invariant';
+import {
+  createExecutionTracer,
+  getExecutionTrace,
+  tracePhase,
+} from './execution/tracing';
 import type { Source } from './language/source';
-import type { GraphQLFieldResolver } from './type/definition';
+import type {
+  GraphQLFieldResolver,
+  CancellationSignal,
+} from './type/definition';
 import type { GraphQLSchema } from './type/schema';
-import type { ExecutionResult } from './execution/execute';
+import type { PersistedQueryStore } from './utilities/PersistedQueryStore';
+import type { DocumentCache } from './utilities/DocumentCache';
+import type {
+  ExecutionResult,
+  IncrementalExecutionResult,
+} from './execution/execute';
 
 /**
  * This is the primary entry point function for fulfilling GraphQL operations
@@ -30,7 +45,8 @@ import type { ExecutionResult } from './execution/execute';
  * schema:
  *    The GraphQL type system to use when validating and executing a query.
  * source:
- *    A GraphQL language formatted string representing the requested operation.
+ *    A GraphQL language formatted string representing the requested operation,
+ *    or the hash of a persisted document when `persistedQueries` is provided.
  * rootValue:
  *    The value provided as the first argument to resolver functions on the top
  *    level type (e.g. the query object type).
@@ -45,6 +61,23 @@ import type { ExecutionResult } from './execution/execute';
  *    A resolver function to use when one is not provided by the schema.
  *    If not provided, the default field resolver is used (which looks for a
  *    value or method on the source value with the field's name).
+ * tracing:
+ *    If true, the time taken to parse, validate and execute the request, and
+ *    by each field resolver, is included in the result as
+ *    `extensions.tracing`.
+ * signal:
+ *    A signal, such as an AbortSignal, which cancels execution once aborted.
+ * persistedQueries:
+ *    A PersistedQueryStore of documents for the schema. If provided, `source`
+ *    must be the hash of one of its documents, which is executed without being
+ *    parsed or validated again. Any other source results in an error.
+ * documentCache:
+ *    A DocumentCache of parsed and validated documents. If provided, a source
+ *    which was already parsed and validated for the schema is not parsed or
+ *    validated again.
+ *
+ * If the operation uses the `@defer` or `@stream` directives, the returned
+ * Promise resolves to an IncrementalExecutionResult (see `execute`).
  */
 declare function graphql({|
   schema: GraphQLSchema,
@@ -53,8 +86,12 @@ declare function graphql({|
   contextValue?: mixed,
   variableValues?: ?{[key: string]: mixed},
   operationName?: ?string,
-  fieldResolver?: ?GraphQLFieldResolver<any, any>
-|}, ..._: []): Promise<ExecutionResult>;
+  fieldResolver?: ?GraphQLFieldResolver<any, any>,
+  tracing?: ?boolean,
+  signal?: ?CancellationSignal,
+  persistedQueries?: ?PersistedQueryStore,
+  documentCache?: ?DocumentCache
+|}, ..._: []): Promise<ExecutionResult | IncrementalExecutionResult>;
 /* eslint-disable no-redeclare */
 declare function graphql(
   schema: GraphQLSchema,
@@ -63,8 +100,12 @@ declare function graphql(
   contextValue?: mixed,
   variableValues?: ?{[key: string]: mixed},
   operationName?: ?string,
-  fieldResolver?: ?GraphQLFieldResolver<any, any>
-): Promise<ExecutionResult>;
+  fieldResolver?: ?GraphQLFieldResolver<any, any>,
+  tracing?: ?boolean,
+  signal?: ?CancellationSignal,
+  persistedQueries?: ?PersistedQueryStore,
+  documentCache?: ?DocumentCache
+): Promise<ExecutionResult | IncrementalExecutionResult>;
 export function graphql(
   argsOrSchema,
   source,
@@ -72,7 +113,11 @@ export function graphql(
   contextValue,
   variableValues,
   operationName,
-  fieldResolver
+  fieldResolver,
+  tracing,
+  signal,
+  persistedQueries,
+  documentCache
 ) {
   // Extract arguments from object args if provided.
   const args = arguments.length === 1 ? argsOrSchema : undefined;
@@ -85,7 +130,11 @@ export function graphql(
       args.contextValue,
       args.variableValues,
       args.operationName,
-      args.fieldResolver
+      args.fieldResolver,
+      args.tracing,
+      args.signal,
+      args.persistedQueries,
+      args.documentCache
     ) :
     graphqlImpl(
       schema,
@@ -94,7 +143,11 @@ export function graphql(
       contextValue,
       variableValues,
       operationName,
-      fieldResolver
+      fieldResolver,
+      tracing,
+      signal,
+      persistedQueries,
+      documentCache
     );
 }
 
@@ -105,21 +158,61 @@ function graphqlImpl(
   contextValue,
   variableValues,
   operationName,
-  fieldResolver
+  fieldResolver,
+  tracing,
+  signal,
+  persistedQueries,
+  documentCache
 ) {
   return new Promise(resolve => {
-    // Parse
+    const tracer = tracing ? createExecutionTracer() : null;
+    const withTrace = result => tracer ?
+      { ...result, extensions: { tracing: getExecutionTrace(tracer) } } :
+      result;
+
     let document;
-    try {
-      document = parse(source);
-    } catch (syntaxError) {
-      return resolve({ errors: [ syntaxError ]});
-    }
+    if (persistedQueries) {
+      // Persisted documents were parsed and validated when they were stored.
+      invariant(
+        persistedQueries.getSchema() === schema,
+        'Persisted queries must be stored for the schema being executed.'
+      );
+      const hash = String(source);
+      document = persistedQueries.get(hash);
+      if (!document) {
+        const error = new GraphQLError(
+          `No persisted query found for "${hash}".`
+        );
+        return resolve(withTrace({ errors: [ error ] }));
+      }
+    } else {
+      const cached = documentCache && documentCache.get(schema, source);
+      let validationErrors;
+      if (cached) {
+        // Reuse the document and validation outcome of a previous request.
+        document = cached.document;
+        validationErrors = cached.validationErrors;
+      } else {
+        // Parse
+        try {
+          document = tracer ?
+            tracePhase(tracer, 'parsing', () => parse(source)) :
+            parse(source);
+        } catch (syntaxError) {
+          return resolve(withTrace({ errors: [ syntaxError ]}));
+        }
 
-    // Validate
-    const validationErrors = validate(schema, document);
-    if (validationErrors.length > 0) {
-      return resolve({ errors: validationErrors });
+        // Validate
+        validationErrors = tracer ?
+          tracePhase(tracer, 'validation', () => validate(schema, document)) :
+          validate(schema, document);
+        if (documentCache) {
+          documentCache.set(schema, source, { document, validationErrors });
+        }
+      }
+      if (validationErrors.length > 0) {
+        return resolve(withTrace({ errors: validationErrors }));
+      }
     }
 
     // Execute
@@ -131,7 +224,9 @@ function graphqlImpl(
         contextValue,
         variableValues,
         operationName,
-        fieldResolver
+        fieldResolver,
+        tracer,
+        signal
       )
     );
   });
@@ -42,6 +42,10 @@ export {
 export {
   GraphQLSchema,
 
+  // Validate GraphQL schema.
+  validateSchema,
+  assertValidSchema,
+
   // Definitions
   GraphQLScalarType,
   GraphQLObjectType,
@@ -72,6 +76,13 @@ export {
   GraphQLSkipDirective,
   GraphQLDeprecatedDirective,
 
+  // Incremental delivery directives, opted into by a schema
+  GraphQLDeferDirective,
+  GraphQLStreamDirective,
+
+  // Declares input objects of which exactly one field is provided
+  GraphQLOneOfDirective,
+
   // Constant Deprecation Reason
   DEFAULT_DEPRECATION_REASON,
 
@@ -88,6 +99,8 @@ export {
   __Field,
   __InputValue,
   __EnumValue,
+  __AppliedDirective,
+  __AppliedDirectiveArgument,
   __TypeKind,
 
   // Predicates
@@ -126,6 +139,7 @@ export type {
   GraphQLNamedType,
 
   Thunk,
+  GraphQLAppliedDirective,
   GraphQLArgument,
   GraphQLArgumentConfig,
   GraphQLEnumTypeConfig,
@@ -138,6 +152,8 @@ export type {
   GraphQLFieldConfigMap,
   GraphQLFieldMap,
   GraphQLFieldResolver,
+  GraphQLFieldBatchResolver,
+  GraphQLFieldMiddleware,
   GraphQLInputField,
   GraphQLInputFieldConfig,
   GraphQLInputFieldConfigMap,
@@ -148,6 +164,7 @@ export type {
   GraphQLObjectTypeConfig,
   GraphQLResolveInfo,
   ResponsePath,
+  CancellationSignal,
   GraphQLScalarTypeConfig,
   GraphQLTypeResolver,
   GraphQLUnionTypeConfig,
@@ -161,6 +178,7 @@ export {
 
   // Parse
   parse,
+  parseWithRecovery,
   parseValue,
   parseType,
 
@@ -180,6 +198,7 @@ export {
 export type {
   Lexer,
   ParseOptions,
+  ParseWithRecoveryResult,
 
   // AST nodes
   Location,
@@ -227,24 +246,44 @@ export type {
   EnumTypeDefinitionNode,
   EnumValueDefinitionNode,
   InputObjectTypeDefinitionNode,
+  SchemaExtensionDefinitionNode,
   TypeExtensionDefinitionNode,
   DirectiveDefinitionNode,
+  ErrorNode,
+  Trivia,
 } from './language';
 
 
 // Execute GraphQL queries.
 export {
   execute,
+  compileQuery,
   defaultFieldResolver,
   responsePathAsArray,
   getDirectiveValues,
+  createExecutionTracer,
+  tracePhase,
 } from './execution';
 
 export type {
+  CompiledQuery,
   ExecutionResult,
+  ExecutionPatchResult,
+  IncrementalExecutionResult,
+  ExecutionTrace,
+  ExecutionTracer,
+  PhaseTrace,
+  ResolverTrace,
 } from './execution';
 
-export { subscribe, createSourceEventStream } from './subscription';
+export {
+  subscribe,
+  createSourceEventStream,
+  PubSub,
+  withFilter,
+} from './subscription';
+
+export type { SubscriptionFilter } from './subscription';
 
 // Validate GraphQL queries.
 export {
@@ -257,6 +296,7 @@ export {
   // Individual validation rules.
   ArgumentsOfCorrectTypeRule,
   DefaultValuesOfCorrectTypeRule,
+  DeferStreamDirectiveOnRootFieldRule,
   FieldsOnCorrectTypeRule,
   FragmentsOnCompositeTypesRule,
   KnownArgumentNamesRule,
@@ -268,11 +308,13 @@ export {
   NoUndefinedVariablesRule,
   NoUnusedFragmentsRule,
   NoUnusedVariablesRule,
+  OneOfInputObjectVariablesRule,
   OverlappingFieldsCanBeMergedRule,
   PossibleFragmentSpreadsRule,
   ProvidedNonNullArgumentsRule,
   ScalarLeafsRule,
   SingleFieldSubscriptionsRule,
+  StreamDirectiveOnListFieldRule,
   UniqueArgumentNamesRule,
   UniqueDirectivesPerLocationRule,
   UniqueFragmentNamesRule,
@@ -281,6 +323,10 @@ export {
   UniqueVariableNamesRule,
   VariablesAreInputTypesRule,
   VariablesInAllowedPositionRule,
+
+  // Configurable rules which are not part of the GraphQL Specification.
+  createQueryDepthRule,
+  createQueryCostRule,
 } from './validation';
 
 
@@ -300,6 +346,7 @@ export type {
 export {
   // The GraphQL query recommended for a full schema introspection.
   introspectionQuery,
+  getIntrospectionQuery,
 
   // Gets the target Operation from a Document
   getOperationAST,
@@ -313,6 +360,9 @@ export {
   // Build a GraphQLSchema from a GraphQL schema language document.
   buildSchema,
 
+  // Applies the runtime behavior of the directives used in a schema document.
+  visitSchemaDirectives,
+
   // Extends an existing GraphQLSchema from a parsed GraphQL Schema
   // language AST.
   extendSchema,
@@ -352,6 +402,13 @@ export {
   // Separates an AST into an AST per Operation.
   separateOperations,
 
+  // Stores documents parsed and validated ahead of time, keyed by hash.
+  PersistedQueryStore,
+  hashDocument,
+
+  // Caches parsed and validated documents by schema and source.
+  DocumentCache,
+
   // Comparators for types
   isEqualType,
   isTypeSubTypeOf,
@@ -366,14 +423,33 @@ export {
   BreakingChangeType,
   DangerousChangeType,
 
+  // Lists every change between two GraphQLSchemas, with its severity.
+  diffSchema,
+  SchemaChangeType,
+  ChangeSeverity,
+
   // Report all deprecated usage within a GraphQL document.
   findDeprecatedUsages,
+
+  // Parse, print and resolve schema coordinates, such as "Type.field(arg:)".
+  parseSchemaCoordinate,
+  printSchemaCoordinate,
+  resolveSchemaCoordinate,
 } from './utilities';
 
 export type {
   BreakingChange,
   DangerousChange,
+  SchemaChange,
 
+  BuildSchemaOptions,
+  GraphQLResolverMap,
+  SchemaDirectiveVisitor,
+  SchemaDirectiveVisitorMap,
+
+  PersistedQueryStoreOptions,
+
+  IntrospectionAppliedDirective,
   IntrospectionDirective,
   IntrospectionEnumType,
   IntrospectionEnumValue,
@@ -385,10 +461,14 @@ export type {
   IntrospectionNamedTypeRef,
   IntrospectionNonNullTypeRef,
   IntrospectionObjectType,
+  IntrospectionOptions,
   IntrospectionQuery,
   IntrospectionScalarType,
   IntrospectionSchema,
   IntrospectionType,
   IntrospectionTypeRef,
   IntrospectionUnionType,
+
+  SchemaCoordinate,
+  SchemaElement,
 } from './utilities';
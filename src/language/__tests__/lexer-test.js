@@ -291,6 +291,138 @@ describe('Lexer', () => {
     );
   });
 
+  it('lexes block strings', () => {
+
+    expect(
+      lexOne('"""simple"""')
+    ).to.containSubset({
+      kind: TokenKind.BLOCK_STRING,
+      start: 0,
+      end: 12,
+      value: 'simple'
+    });
+
+    expect(
+      lexOne('""" white space """')
+    ).to.containSubset({
+      kind: TokenKind.BLOCK_STRING,
+      start: 0,
+      end: 19,
+      value: ' white space '
+    });
+
+    expect(
+      lexOne('"""contains " quote"""')
+    ).to.containSubset({
+      kind: TokenKind.BLOCK_STRING,
+      start: 0,
+      end: 22,
+      value: 'contains " quote'
+    });
+
+    expect(
+      lexOne('"""contains \\""" triplequote"""')
+    ).to.containSubset({
+      kind: TokenKind.BLOCK_STRING,
+      start: 0,
+      end: 31,
+      value: 'contains """ triplequote'
+    });
+
+    expect(
+      lexOne('"""multi\nline"""')
+    ).to.containSubset({
+      kind: TokenKind.BLOCK_STRING,
+      start: 0,
+      end: 16,
+      value: 'multi\nline'
+    });
+
+    expect(
+      lexOne('"""multi\rline\r\nnormalized"""')
+    ).to.containSubset({
+      kind: TokenKind.BLOCK_STRING,
+      start: 0,
+      end: 28,
+      value: 'multi\nline\nnormalized'
+    });
+
+    expect(
+      lexOne('"""unescaped \\n\\r\\b\\t\\f\\u1234"""')
+    ).to.containSubset({
+      kind: TokenKind.BLOCK_STRING,
+      start: 0,
+      end: 32,
+      value: 'unescaped \\n\\r\\b\\t\\f\\u1234'
+    });
+
+    expect(
+      lexOne('"""slashes \\\\ \\/"""')
+    ).to.containSubset({
+      kind: TokenKind.BLOCK_STRING,
+      start: 0,
+      end: 19,
+      value: 'slashes \\\\ \\/'
+    });
+
+    expect(
+      lexOne(`"""
+
+        spans
+          multiple
+            lines
+
+        """`)
+    ).to.containSubset({
+      kind: TokenKind.BLOCK_STRING,
+      start: 0,
+      end: 68,
+      value: 'spans\n  multiple\n    lines'
+    });
+
+  });
+
+  it('records line and column after block strings', () => {
+    const lexer = createLexer(new Source('"""\n  a\r\n  b\r  c\n"""  foo'));
+    expect(lexer.advance()).to.containSubset({
+      kind: TokenKind.BLOCK_STRING,
+      line: 1,
+      column: 1,
+    });
+    expect(lexer.advance()).to.containSubset({
+      kind: TokenKind.NAME,
+      start: 22,
+      end: 25,
+      line: 5,
+      column: 6,
+      value: 'foo'
+    });
+  });
+
+  it('lex reports useful block string errors', () => {
+
+    expect(
+      () => lexOne('"""')
+    ).to.throw('Syntax Error GraphQL request (1:4) Unterminated string.');
+
+    expect(
+      () => lexOne('"""no end quote')
+    ).to.throw('Syntax Error GraphQL request (1:16) Unterminated string.');
+
+    expect(
+      () => lexOne('"""contains unescaped \u0007 control char"""')
+    ).to.throw(
+      'Syntax Error GraphQL request (1:23) Invalid character within String: "\\u0007".'
+    );
+
+    expect(
+      () => lexOne('"""null-byte is not \u0000 end of file"""')
+    ).to.throw(
+      'Syntax Error GraphQL request (1:21) Invalid character within String: "\\u0000".'
+    );
+
+  });
+
   it('lexes numbers', () => {
 
     expect(
@@ -698,4 +830,18 @@ describe('Lexer', () => {
       '<EOF>'
     ]);
   });
+
+  it('looks ahead over comments without advancing', () => {
+    const lexer = createLexer(new Source(`"description"
+      #comment
+      type`));
+
+    const description = lexer.advance();
+    const next = lexer.lookahead();
+    expect(next).to.containSubset({ kind: TokenKind.NAME, value: 'type' });
+    expect(lexer.token).to.equal(description);
+    expect(lexer.lookahead()).to.equal(next);
+    expect(lexer.advance()).to.equal(next);
+    expect(lexer.lastToken).to.equal(description);
+  });
 });
@@ -10,7 +10,13 @@
 import * as Kind from '../kinds';
 import { expect } from 'chai';
 import { describe, it } from 'mocha';
-import { parse, parseValue, parseType } from '../parser';
+import {
+  parse,
+  parseWithRecovery,
+  parseValue,
+  parseType,
+} from '../parser';
+import { print } from '../printer';
 import { Source } from '../source';
 import { readFileSync } from 'fs';
 import { join } from 'path';
@@ -328,6 +334,22 @@ describe('Parser', () => {
       });
     });
 
+    it('parses block strings', () => {
+      expect(parseValue('["""long""" "short"]')).to.containSubset({
+        kind: Kind.LIST,
+        loc: { start: 0, end: 20 },
+        values: [
+          { kind: Kind.STRING,
+            loc: { start: 1, end: 11},
+            value: 'long',
+            block: true },
+          { kind: Kind.STRING,
+            loc: { start: 12, end: 19},
+            value: 'short',
+            block: false } ]
+      });
+    });
+
   });
 
   describe('parseType', () => {
@@ -400,4 +422,218 @@ describe('Parser', () => {
     });
 
   });
+
+  it('retains comments around nodes as trivia', () => {
+    const { definitions } = parse(dedent`
+      # leading
+      { # opens
+        a # after a
+
+        # before b
+        b
+        # closes
+      }
+    `, { preserveComments: true, noLocation: true });
+    const trivia = node => {
+      const { blankLineBefore, trailingComment } = node.trivia;
+      const values = tokens => tokens.map(token => token.value);
+      return {
+        blankLineBefore,
+        leadingComments: values(node.trivia.leadingComments),
+        trailingComment: trailingComment && trailingComment.value,
+        commentsAfter: values(node.trivia.commentsAfter),
+      };
+    };
+    const [ a, b ] = definitions[0].selectionSet.selections;
+    expect(trivia(definitions[0])).to.deep.equal({
+      blankLineBefore: false,
+      leadingComments: [ ' leading' ],
+      trailingComment: null,
+      commentsAfter: [],
+    });
+    expect(trivia(a)).to.deep.equal({
+      blankLineBefore: false,
+      leadingComments: [ ' opens' ],
+      trailingComment: ' after a',
+      commentsAfter: [],
+    });
+    expect(trivia(b)).to.deep.equal({
+      blankLineBefore: true,
+      leadingComments: [ ' before b' ],
+      trailingComment: null,
+      commentsAfter: [ ' closes' ],
+    });
+  });
+
+  it('does not retain comments by default', () => {
+    const ast = parse('# comment\n{ a # comment\n}');
+    expect(ast.definitions[0]).to.not.have.property('trivia');
+    expect(ast.definitions[0].selectionSet.selections[0])
+      .to.not.have.property('trivia');
+  });
+
+  describe('parseWithRecovery', () => {
+
+    function parseErrors(source) {
+      return parseWithRecovery(source).errors.map(error => ({
+        message: error.message.split('\n')[0],
+        locations: error.locations,
+      }));
+    }
+
+    it('parses valid source without errors', () => {
+      const { document, errors } = parseWithRecovery(kitchenSink);
+      expect(errors).to.deep.equal([]);
+      expect(print(document)).to.equal(print(parse(kitchenSink)));
+    });
+
+    it('replaces selections which fail to parse', () => {
+      const { document } = parseWithRecovery('{ a(x: ) b ...on }');
+      const { selections } = document.definitions[0].selectionSet;
+      expect(JSON.parse(JSON.stringify(selections))).to.deep.equal([
+        { kind: Kind.ERROR, loc: { start: 2, end: 8 } },
+        {
+          kind: Kind.FIELD,
+          alias: null,
+          name: { kind: Kind.NAME, value: 'b', loc: { start: 9, end: 10 } },
+          arguments: [],
+          directives: [],
+          selectionSet: null,
+          loc: { start: 9, end: 10 },
+        },
+        { kind: Kind.ERROR, loc: { start: 11, end: 16 } },
+      ]);
+      expect(parseErrors('{ a(x: ) b ...on }')).to.deep.equal([
+        {
+          message: 'Syntax Error GraphQL request (1:8) Unexpected )',
+          locations: [ { line: 1, column: 8 } ],
+        },
+        {
+          message:
+            'Syntax Error GraphQL request (1:18) Expected Name, found }',
+          locations: [ { line: 1, column: 18 } ],
+        },
+      ]);
+    });
+
+    it('recovers within nested selection sets', () => {
+      const { document, errors } = parseWithRecovery(dedent`
+        {
+          a {
+            b(
+          }
+          c
+        }
+      `);
+      expect(print(document)).to.equal(dedent`
+        {
+          a {}
+          c
+        }
+      `);
+      expect(errors).to.have.lengthOf(1);
+    });
+
+    it('leaves an error in empty selection sets', () => {
+      const { document } = parseWithRecovery('{ }');
+      expect(
+        JSON.parse(JSON.stringify(document.definitions[0].selectionSet))
+      ).to.deep.equal({
+        kind: Kind.SELECTION_SET,
+        selections: [ { kind: Kind.ERROR, loc: { start: 2, end: 3 } } ],
+        loc: { start: 0, end: 3 },
+      });
+      expect(parseErrors('{ }')).to.deep.equal([
+        {
+          message: 'Syntax Error GraphQL request (1:3) Expected Name, found }',
+          locations: [ { line: 1, column: 3 } ],
+        },
+      ]);
+    });
+
+    it('reports selection sets which are not closed', () => {
+      const { document } = parseWithRecovery('query { a { b }');
+      expect(print(document)).to.equal('{\n  a {\n    b\n  }\n}\n');
+      expect(parseErrors('query { a { b }')).to.deep.equal([
+        {
+          message:
+            'Syntax Error GraphQL request (1:16) Expected }, found <EOF>',
+          locations: [ { line: 1, column: 16 } ],
+        },
+      ]);
+      expect(parseErrors('{ a(')).to.deep.equal([
+        {
+          message:
+            'Syntax Error GraphQL request (1:5) Expected Name, found <EOF>',
+          locations: [ { line: 1, column: 5 } ],
+        },
+      ]);
+    });
+
+    it('skips to the next definition', () => {
+      const source = dedent`
+        } fragment { a }
+        type Foo { a: }
+        query Q { b }
+      `;
+      const { document } = parseWithRecovery(source);
+      expect(document.definitions.map(node => node.kind)).to.deep.equal([
+        Kind.ERROR,
+        Kind.ERROR,
+        Kind.OPERATION_DEFINITION,
+        Kind.ERROR,
+        Kind.OPERATION_DEFINITION,
+      ]);
+      expect(print(document)).to.equal('{\n  a\n}\n\nquery Q {\n  b\n}\n');
+      expect(parseErrors(source)).to.deep.equal([
+        {
+          message: 'Syntax Error GraphQL request (1:1) Unexpected }',
+          locations: [ { line: 1, column: 1 } ],
+        },
+        {
+          message: 'Syntax Error GraphQL request (1:12) Expected Name, found {',
+          locations: [ { line: 1, column: 12 } ],
+        },
+        {
+          message: 'Syntax Error GraphQL request (2:15) Expected Name, found }',
+          locations: [ { line: 2, column: 15 } ],
+        },
+      ]);
+    });
+
+    it('skips characters which cannot be lexed', () => {
+      const source = '{ a ? b(x: "unterminated\n) c }';
+      const { document } = parseWithRecovery(source);
+      expect(print(document)).to.equal('{\n  a\n  c\n}\n');
+      expect(parseErrors(source)).to.deep.equal([
+        {
+          message: 'Syntax Error GraphQL request (1:5) Cannot parse the ' +
+            'unexpected character "?".',
+          locations: [ { line: 1, column: 5 } ],
+        },
+        {
+          message: 'Syntax Error GraphQL request (1:25) Unterminated string.',
+          locations: [ { line: 1, column: 25 } ],
+        },
+        {
+          message: 'Syntax Error GraphQL request (2:1) Unexpected )',
+          locations: [ { line: 2, column: 1 } ],
+        },
+      ]);
+    });
+
+    it('reports an empty document', () => {
+      const { document } = parseWithRecovery('', { noLocation: true });
+      expect(document.definitions).to.deep.equal([
+        { kind: Kind.ERROR, loc: undefined },
+      ]);
+      expect(parseErrors('')).to.deep.equal([
+        {
+          message: 'Syntax Error GraphQL request (1:1) Unexpected <EOF>',
+          locations: [ { line: 1, column: 1 } ],
+        },
+      ]);
+    });
+
+  });
 });
@@ -12,6 +12,7 @@ import { describe, it } from 'mocha';
 import { parse } from '../parser';
 import { readFileSync } from 'fs';
 import { print } from '../printer';
+import { visit } from '../visitor';
 import { join } from 'path';
 import dedent from '../../jsutils/dedent';
 
@@ -73,12 +74,267 @@ describe('Printer', () => {
     `);
   });
 
+  it('prints block strings in the indented block form', () => {
+    const ast = parse(`
+      {
+        field(
+          short: """short""",
+          lines: """
+            first
+              second
+          """,
+          leading: """  leading space
+          next line""",
+          quotes: """
+            with \\""" and ends with a quote"
+          """
+        )
+      }
+    `);
+    const printed = print(ast);
+    expect(printed).to.equal(dedent`
+      {
+        field(short: """short""", lines: """
+        first
+          second
+        """, leading: """  leading space
+        next line
+        """, quotes: """
+        with \""" and ends with a quote"
+        """)
+      }
+    `);
+
+    const values = ast.definitions[0].selectionSet.selections[0].arguments
+      .map(arg => arg.value.value);
+    const reprintedValues = parse(printed)
+      .definitions[0].selectionSet.selections[0].arguments
+      .map(arg => arg.value.value);
+    expect(reprintedValues).to.deep.equal(values);
+    expect(values).to.deep.equal([
+      'short',
+      'first\n  second',
+      '  leading space\nnext line',
+      'with """ and ends with a quote"',
+    ]);
+  });
 
   const kitchenSink = readFileSync(
     join(__dirname, '/kitchen-sink.graphql'),
     { encoding: 'utf8' }
   );
 
+  it('prints comments and blank lines retained by the parser', () => {
+    const source = dedent`
+      # A query
+
+      # with two comments
+      query Q($id: ID) { # opens
+        a # after a
+
+        # before b
+        b(x: 1) {
+          c
+          # ends b
+        }
+        # ends Q
+      }
+
+      """A type"""
+      type Foo {
+        one(
+          # about x
+          x: Int # after x
+          y: String = "#fff"
+        ): String # after one
+
+        two: [Int]
+      }
+
+      enum Color {
+        RED # first
+        GREEN
+      }
+      # ends the document
+    `;
+    const ast = parse(source, { preserveComments: true });
+    expect(print(ast, { preserveComments: true })).to.equal(
+      source.replace(' # opens\n', '\n  # opens\n')
+    );
+  });
+
+  it('only prints comments when asked to', () => {
+    const source = dedent`
+      {
+        # before a
+        a # after a
+        b(x: 1, y: "#fff")
+      }
+    `;
+    expect(
+      print(parse(source, { preserveComments: true }))
+    ).to.equal(print(parse(source)));
+    expect(print(parse(source), { preserveComments: true })).to.equal(
+      print(parse(source))
+    );
+  });
+
+  it('keeps comments with their nodes when editing', () => {
+    const ast = parse(dedent`
+      {
+        # about a
+        a
+        # about b
+        b # after b
+        c
+      }
+    `, { preserveComments: true });
+    const editedAst = visit(ast, {
+      Field: node => (node.name.value === 'b' ? null : undefined),
+    });
+    expect(print(editedAst, { preserveComments: true })).to.equal(dedent`
+      {
+        # about a
+        a
+        c
+      }
+    `);
+  });
+
+  it('indents by the given width', () => {
+    const ast = parse('query Q { a { b } } type T { f: [T] }');
+    expect(print(ast, { indentWidth: 4 })).to.equal(dedent`
+      query Q {
+          a {
+              b
+          }
+      }
+
+      type T {
+          f: [T]
+      }
+    `);
+  });
+
+  it('does not indent given a width of zero', () => {
+    const ast = parse('query Q { a { b } }');
+    expect(print(ast, { indentWidth: 0 })).to.equal(dedent`
+      query Q {
+      a {
+      b
+      }
+      }
+    `);
+  });
+
+  it('wraps arguments of lines longer than the maximum length', () => {
+    const ast = parse(dedent`
+      query LongQueryName($first: Int, $after: String) {
+        a {
+          connection(first: $first, after: $after) @include(if: true) {
+            short(x: 1)
+          }
+        }
+      }
+
+      type Query {
+        connection(first: Int, after: String = "cursor"): [String]
+        short(x: Int): Int
+      }
+
+      directive @example(reason: String, value: Int) on FIELD | FRAGMENT_SPREAD
+    `);
+    expect(print(ast, { maxLineLength: 40 })).to.equal(dedent`
+      query LongQueryName(
+        $first: Int
+        $after: String
+      ) {
+        a {
+          connection(
+            first: $first
+            after: $after
+          ) @include(if: true) {
+            short(x: 1)
+          }
+        }
+      }
+
+      type Query {
+        connection(
+          first: Int
+          after: String = "cursor"
+        ): [String]
+        short(x: Int): Int
+      }
+
+      directive @example(
+        reason: String
+        value: Int
+      ) on FIELD | FRAGMENT_SPREAD
+    `);
+    expect(print(ast, { maxLineLength: 80 })).to.equal(print(ast));
+  });
+
+  it('sorts fields and arguments by name', () => {
+    const ast = parse(dedent`
+      {
+        b(z: 1, y: {d: 1, c: 2})
+        ...F
+        alias: c
+        a
+      }
+
+      type T {
+        z(b: Int, a: Int): Int
+        y: Int
+      }
+    `);
+    expect(print(ast, { sort: true })).to.equal(dedent`
+      {
+        a
+        alias: c
+        b(y: {c: 2, d: 1}, z: 1)
+        ...F
+      }
+
+      type T {
+        y: Int
+        z(a: Int, b: Int): Int
+      }
+    `);
+  });
+
+  it('prints compactly on a single line', () => {
+    const ast = parse(dedent`
+      query Q($a: Int = 1, $b: [Float]) @dir {
+        alias: field(a: $a, b: $b, c: "some string", d: [1, 2.5, ENUM]) {
+          ... on T { id }
+          ...Frag
+        }
+      }
+
+      fragment Frag on T {
+        id
+      }
+
+      """
+      A "description"
+      """
+      type T implements I @dir {
+        id: ID!
+      }
+    `);
+    expect(print(ast, { compact: true })).to.equal(
+      'query Q($a:Int=1$b:[Float])@dir{alias:field(a:$a b:$b ' +
+      'c:"some string"d:[1 2.5 ENUM]){...on T{id}...Frag}}' +
+      'fragment Frag on T{id}' +
+      '"A \\"description\\""type T implements I@dir{id:ID!}'
+    );
+    expect(print(parse(print(ast, { compact: true })))).to.equal(
+      print(ast).replace('"""\nA "description"\n"""', '"A \\"description\\""')
+    );
+  });
+
   it('prints kitchen sink', () => {
 
     const ast = parse(kitchenSink);
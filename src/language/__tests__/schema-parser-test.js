@@ -96,6 +96,87 @@ type Hello {
     expect(printJson(doc)).to.equal(printJson(expected));
   });
 
+  it('Simple type with description', () => {
+    const body = `
+"Description"
+type Hello {
+  """
+  Field description
+  """
+  world(
+    "Argument description"
+    arg: Int
+  ): String
+}`;
+    const doc = parse(body);
+    expect(doc).to.containSubset({
+      definitions: [
+        {
+          kind: 'ObjectTypeDefinition',
+          description: {
+            kind: 'StringValue',
+            value: 'Description',
+            block: false,
+            loc: { start: 1, end: 14 },
+          },
+          name: { value: 'Hello' },
+          fields: [
+            {
+              description: {
+                kind: 'StringValue',
+                value: 'Field description',
+                block: true,
+              },
+              name: { value: 'world' },
+              arguments: [
+                {
+                  description: { value: 'Argument description' },
+                  name: { value: 'arg' },
+                }
+              ],
+            }
+          ],
+          loc: { start: 1, end: 122 },
+        }
+      ],
+    });
+  });
+
+  it('Descriptions on enum values, input fields and directives', () => {
+    const body = `
+enum Site {
+  "Web" WEB
+}
+
+input Hello {
+  """Input field description"""
+  world: String
+}
+
+"Directive description"
+directive @hello on FIELD
+`;
+    const doc = parse(body);
+    expect(doc.definitions[0].values[0].description.value).to.equal('Web');
+    expect(doc.definitions[1].fields[0].description.value).to.equal(
+      'Input field description'
+    );
+    expect(doc.definitions[2].description.value).to.equal(
+      'Directive description'
+    );
+  });
+
+  it('Description followed by something other than type system definition ' +
+     'throws', () => {
+    expect(
+      () => parse('"Description" 1')
+    ).to.throw('Syntax Error GraphQL request (1:15) Unexpected Int "1"');
+
+    expect(
+      () => parse('"Description" query { field }')
+    ).to.throw('Syntax Error GraphQL request (1:15) Unexpected Name "query"');
+  });
+
   it('Simple extension', () => {
     const body = `
 extend type Hello {
@@ -130,6 +211,96 @@ extend type Hello {
     expect(printJson(doc)).to.equal(printJson(expected));
   });
 
+  it('Extension without fields', () => {
+    const body = 'extend enum Hello @dir';
+    const doc = parse(body);
+    const expected = {
+      kind: 'Document',
+      definitions: [
+        {
+          kind: 'TypeExtensionDefinition',
+          definition: {
+            kind: 'EnumTypeDefinition',
+            name: nameNode('Hello', { start: 12, end: 17 }),
+            directives: [
+              {
+                kind: 'Directive',
+                name: nameNode('dir', { start: 19, end: 22 }),
+                arguments: [],
+                loc: { start: 18, end: 22 },
+              }
+            ],
+            values: [],
+            loc: { start: 7, end: 22 },
+          },
+          loc: { start: 0, end: 22 },
+        }
+      ],
+      loc: { start: 0, end: 22 }
+    };
+    expect(printJson(doc)).to.equal(printJson(expected));
+  });
+
+  it('Union extension', () => {
+    const body = 'extend union Hello = World';
+    const doc = parse(body);
+    const expected = {
+      kind: 'Document',
+      definitions: [
+        {
+          kind: 'TypeExtensionDefinition',
+          definition: {
+            kind: 'UnionTypeDefinition',
+            name: nameNode('Hello', { start: 13, end: 18 }),
+            directives: [],
+            types: [ typeNode('World', { start: 21, end: 26 }) ],
+            loc: { start: 7, end: 26 },
+          },
+          loc: { start: 0, end: 26 },
+        }
+      ],
+      loc: { start: 0, end: 26 }
+    };
+    expect(printJson(doc)).to.equal(printJson(expected));
+  });
+
+  it('Schema extension', () => {
+    const body = 'extend schema { mutation: Mutation }';
+    const doc = parse(body);
+    const expected = {
+      kind: 'Document',
+      definitions: [
+        {
+          kind: 'SchemaExtensionDefinition',
+          directives: [],
+          operationTypes: [
+            {
+              kind: 'OperationTypeDefinition',
+              operation: 'mutation',
+              type: typeNode('Mutation', { start: 26, end: 34 }),
+              loc: { start: 16, end: 34 },
+            }
+          ],
+          loc: { start: 0, end: 36 },
+        }
+      ],
+      loc: { start: 0, end: 36 }
+    };
+    expect(printJson(doc)).to.equal(printJson(expected));
+  });
+
+  it('Schema extension fails without directives or operation types', () => {
+    expect(
+      () => parse('extend schema')
+    ).to.throw('Syntax Error GraphQL request (1:14) Unexpected <EOF>');
+  });
+
+  it('Extension fails for non type system definitions', () => {
+    expect(
+      () => parse('extend query')
+    ).to.throw('Syntax Error GraphQL request (1:8) Unexpected Name "query"');
+  });
+
   it('Simple non-null type', () => {
     const body = `
 type Hello {
@@ -260,6 +431,7 @@ interface Hello {
         {
           kind: 'InterfaceTypeDefinition',
           name: nameNode('Hello', { start: 11, end: 16 }),
+          interfaces: [],
           directives: [],
           fields: [
             fieldNode(
@@ -276,6 +448,29 @@ interface Hello {
     expect(printJson(doc)).to.equal(printJson(expected));
   });
 
+  it('Simple interface inheriting interfaces', () => {
+    const body = 'interface Hello implements Wo, rld { }';
+    const doc = parse(body);
+    const expected = {
+      kind: 'Document',
+      definitions: [
+        {
+          kind: 'InterfaceTypeDefinition',
+          name: nameNode('Hello', { start: 10, end: 15 }),
+          interfaces: [
+            typeNode('Wo', { start: 27, end: 29 }),
+            typeNode('rld', { start: 31, end: 34 })
+          ],
+          directives: [],
+          fields: [],
+          loc: { start: 0, end: 38 },
+        }
+      ],
+      loc: { start: 0, end: 38 },
+    };
+    expect(printJson(doc)).to.equal(printJson(expected));
+  });
+
   it('Simple field with arg', () => {
     const body = `
 type Hello {
@@ -576,4 +771,38 @@ input Hello {
     expect(() => parse(body)).to.throw('Error');
   });
 
+  it('Repeatable directive', () => {
+    const body = 'directive @foo repeatable on OBJECT | INTERFACE';
+    const doc = parse(body);
+    const expected = {
+      kind: 'Document',
+      definitions: [
+        {
+          kind: 'DirectiveDefinition',
+          name: nameNode('foo', { start: 11, end: 14 }),
+          arguments: [],
+          repeatable: true,
+          locations: [
+            nameNode('OBJECT', { start: 29, end: 35 }),
+            nameNode('INTERFACE', { start: 38, end: 47 }),
+          ],
+          loc: { start: 0, end: 47 },
+        }
+      ],
+      loc: { start: 0, end: 47 },
+    };
+    expect(printJson(doc)).to.equal(printJson(expected));
+  });
+
+  it('Directive is not repeatable by default', () => {
+    const doc = parse('directive @foo on OBJECT');
+    expect(doc.definitions[0].repeatable).to.equal(false);
+  });
+
+  it('Repeatable must precede directive locations', () => {
+    expect(() => parse('directive @foo on OBJECT repeatable')).to.throw(
+      'Syntax Error GraphQL request (1:26) Unexpected Name "repeatable"'
+    );
+  });
+
 });
@@ -56,9 +56,17 @@ describe('Printer', () => {
   mutation: MutationType
 }
 
+"""
+This is a description
+of the \`Foo\` type.
+"""
 type Foo implements Bar {
   one: Type
-  two(argument: InputType!): Type
+  """This is a description of the \`two\` field."""
+  two(
+    """This is a description of the \`argument\` argument."""
+    argument: InputType!
+  ): Type
   three(argument: InputType, other: String): Int
   four(argument: String = "string"): String
   five(argument: [String] = ["string", "string"]): String
@@ -79,6 +87,11 @@ interface AnnotatedInterface @onInterface {
   annotatedField(arg: Type @onArg): Type @onField
 }
 
+interface Baz implements Bar, Two {
+  one: Type
+  four(argument: String = "string"): String
+}
+
 union Feed = Story | Article | Advert
 
 union AnnotatedUnion @onUnion = A | B
@@ -89,8 +102,14 @@ scalar CustomScalar
 
 scalar AnnotatedScalar @onScalar
 
+"Where a story was published."
 enum Site {
+  "The desktop web site."
   DESKTOP
+  """
+  The mobile
+  applications.
+  """
   MOBILE
 }
 
@@ -114,6 +133,28 @@ extend type Foo {
 
 extend type Foo @onType {}
 
+extend scalar CustomScalar @onScalar
+
+extend interface Bar @onInterface {}
+
+extend union Feed = Photo | Video
+
+extend enum Site @onEnum
+
+extend enum Site {
+  VR
+}
+
+extend input InputType {
+  other: Float = 1.23e4
+}
+
+extend schema @onSchema
+
+extend schema {
+  subscription: SubscriptionType
+}
+
 type NoFields {}
 
 directive @skip(if: Boolean!) on FIELD | FRAGMENT_SPREAD | INLINE_FRAGMENT
@@ -121,6 +162,8 @@ directive @skip(if: Boolean!) on FIELD | FRAGMENT_SPREAD | INLINE_FRAGMENT
 directive @include(if: Boolean!) on FIELD | FRAGMENT_SPREAD | INLINE_FRAGMENT
 
 directive @include2(if: Boolean!) on FIELD | FRAGMENT_SPREAD | INLINE_FRAGMENT
+
+directive @myRepeatableDir(name: String!) repeatable on OBJECT | INTERFACE
 `);
 
   });
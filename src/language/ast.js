@@ -67,6 +67,7 @@ type TokenKind = '<SOF>'
                | 'Int'
                | 'Float'
                | 'String'
+               | 'BlockString'
                | 'Comment';
 
 /**
@@ -114,6 +115,33 @@ export type Token = {
   next: Token | null;
 };
 
+/**
+ * Comments and blank lines surrounding a node, attached when parsing with the
+ * preserveComments option.
+ */
+export type Trivia = {
+
+  /**
+   * Whether a blank line precedes the node and its leading comments.
+   */
+  blankLineBefore: boolean;
+
+  /**
+   * Comment tokens on the lines preceding the node.
+   */
+  leadingComments: Array<Token>;
+
+  /**
+   * A comment token following the node on its last line.
+   */
+  trailingComment: Token | null;
+
+  /**
+   * For the last node of a list, comment tokens on the lines following it.
+   */
+  commentsAfter: Array<Token>;
+};
+
 /**
  * The list of all possible AST node types.
  */
@@ -153,8 +181,10 @@ export type ASTNode =
   | EnumTypeDefinitionNode
   | EnumValueDefinitionNode
   | InputObjectTypeDefinitionNode
+  | SchemaExtensionDefinitionNode
   | TypeExtensionDefinitionNode
-  | DirectiveDefinitionNode;
+  | DirectiveDefinitionNode
+  | ErrorNode;
 
 // Name
 
@@ -175,11 +205,13 @@ export type DocumentNode = {
 export type DefinitionNode =
   | OperationDefinitionNode
   | FragmentDefinitionNode
-  | TypeSystemDefinitionNode; // experimental non-spec addition.
+  | TypeSystemDefinitionNode // experimental non-spec addition.
+  | ErrorNode;
 
 export type OperationDefinitionNode = {
   kind: 'OperationDefinition';
   loc?: Location;
+  trivia?: Trivia;
   operation: OperationTypeNode;
   name?: ?NameNode;
   variableDefinitions?: ?Array<VariableDefinitionNode>;
@@ -213,11 +245,13 @@ export type SelectionSetNode = {
 export type SelectionNode =
   | FieldNode
   | FragmentSpreadNode
-  | InlineFragmentNode;
+  | InlineFragmentNode
+  | ErrorNode;
 
 export type FieldNode = {
   kind: 'Field';
   loc?: Location;
+  trivia?: Trivia;
   alias?: ?NameNode;
   name: NameNode;
   arguments?: ?Array<ArgumentNode>;
@@ -238,6 +272,7 @@ export type ArgumentNode = {
 export type FragmentSpreadNode = {
   kind: 'FragmentSpread';
   loc?: Location;
+  trivia?: Trivia;
   name: NameNode;
   directives?: ?Array<DirectiveNode>;
 };
@@ -245,6 +280,7 @@ export type FragmentSpreadNode = {
 export type InlineFragmentNode = {
   kind: 'InlineFragment';
   loc?: Location;
+  trivia?: Trivia;
   typeCondition?: ?NamedTypeNode;
   directives?: ?Array<DirectiveNode>;
   selectionSet: SelectionSetNode;
@@ -253,6 +289,7 @@ export type InlineFragmentNode = {
 export type FragmentDefinitionNode = {
   kind: 'FragmentDefinition';
   loc?: Location;
+  trivia?: Trivia;
   name: NameNode;
   typeCondition: NamedTypeNode;
   directives?: ?Array<DirectiveNode>;
@@ -289,6 +326,7 @@ export type StringValueNode = {
   kind: 'StringValue';
   loc?: Location;
   value: string;
+  block?: boolean;
 };
 
 export type BooleanValueNode = {
@@ -368,12 +406,14 @@ export type NonNullTypeNode = {
 export type TypeSystemDefinitionNode =
   | SchemaDefinitionNode
   | TypeDefinitionNode
+  | SchemaExtensionDefinitionNode
   | TypeExtensionDefinitionNode
   | DirectiveDefinitionNode;
 
 export type SchemaDefinitionNode = {
   kind: 'SchemaDefinition';
   loc?: Location;
+  trivia?: Trivia;
   directives: Array<DirectiveNode>;
   operationTypes: Array<OperationTypeDefinitionNode>;
 };
@@ -381,6 +421,7 @@ export type SchemaDefinitionNode = {
 export type OperationTypeDefinitionNode = {
   kind: 'OperationTypeDefinition';
   loc?: Location;
+  trivia?: Trivia;
   operation: OperationTypeNode;
   type: NamedTypeNode;
 };
@@ -396,6 +437,8 @@ export type TypeDefinitionNode =
 export type ScalarTypeDefinitionNode = {
   kind: 'ScalarTypeDefinition';
   loc?: Location;
+  trivia?: Trivia;
+  description?: StringValueNode;
   name: NameNode;
   directives?: ?Array<DirectiveNode>;
 };
@@ -403,6 +446,8 @@ export type ScalarTypeDefinitionNode = {
 export type ObjectTypeDefinitionNode = {
   kind: 'ObjectTypeDefinition';
   loc?: Location;
+  trivia?: Trivia;
+  description?: StringValueNode;
   name: NameNode;
   interfaces?: ?Array<NamedTypeNode>;
   directives?: ?Array<DirectiveNode>;
@@ -412,6 +457,8 @@ export type ObjectTypeDefinitionNode = {
 export type FieldDefinitionNode = {
   kind: 'FieldDefinition';
   loc?: Location;
+  trivia?: Trivia;
+  description?: StringValueNode;
   name: NameNode;
   arguments: Array<InputValueDefinitionNode>;
   type: TypeNode;
@@ -421,6 +468,8 @@ export type FieldDefinitionNode = {
 export type InputValueDefinitionNode = {
   kind: 'InputValueDefinition';
   loc?: Location;
+  trivia?: Trivia;
+  description?: StringValueNode;
   name: NameNode;
   type: TypeNode;
   defaultValue?: ?ValueNode;
@@ -430,7 +479,10 @@ export type InputValueDefinitionNode = {
 export type InterfaceTypeDefinitionNode = {
   kind: 'InterfaceTypeDefinition';
   loc?: Location;
+  trivia?: Trivia;
+  description?: StringValueNode;
   name: NameNode;
+  interfaces?: ?Array<NamedTypeNode>;
   directives?: ?Array<DirectiveNode>;
   fields: Array<FieldDefinitionNode>;
 };
@@ -438,6 +490,8 @@ export type InterfaceTypeDefinitionNode = {
 export type UnionTypeDefinitionNode = {
   kind: 'UnionTypeDefinition';
   loc?: Location;
+  trivia?: Trivia;
+  description?: StringValueNode;
   name: NameNode;
   directives?: ?Array<DirectiveNode>;
   types: Array<NamedTypeNode>;
@@ -446,6 +500,8 @@ export type UnionTypeDefinitionNode = {
 export type EnumTypeDefinitionNode = {
   kind: 'EnumTypeDefinition';
   loc?: Location;
+  trivia?: Trivia;
+  description?: StringValueNode;
   name: NameNode;
   directives?: ?Array<DirectiveNode>;
   values: Array<EnumValueDefinitionNode>;
@@ -454,6 +510,8 @@ export type EnumTypeDefinitionNode = {
 export type EnumValueDefinitionNode = {
   kind: 'EnumValueDefinition';
   loc?: Location;
+  trivia?: Trivia;
+  description?: StringValueNode;
   name: NameNode;
   directives?: ?Array<DirectiveNode>;
 };
@@ -461,21 +519,47 @@ export type EnumValueDefinitionNode = {
 export type InputObjectTypeDefinitionNode = {
   kind: 'InputObjectTypeDefinition';
   loc?: Location;
+  trivia?: Trivia;
+  description?: StringValueNode;
   name: NameNode;
   directives?: ?Array<DirectiveNode>;
   fields: Array<InputValueDefinitionNode>;
 };
 
+export type SchemaExtensionDefinitionNode = {
+  kind: 'SchemaExtensionDefinition';
+  loc?: Location;
+  trivia?: Trivia;
+  directives: Array<DirectiveNode>;
+  operationTypes: Array<OperationTypeDefinitionNode>;
+};
+
 export type TypeExtensionDefinitionNode = {
   kind: 'TypeExtensionDefinition';
   loc?: Location;
-  definition: ObjectTypeDefinitionNode;
+  trivia?: Trivia;
+  definition: TypeDefinitionNode;
 };
 
 export type DirectiveDefinitionNode = {
   kind: 'DirectiveDefinition';
   loc?: Location;
+  trivia?: Trivia;
+  description?: StringValueNode;
   name: NameNode;
   arguments?: ?Array<InputValueDefinitionNode>;
+  repeatable: boolean;
   locations: Array<NameNode>;
 };
+
+
+// Error placeholders
+
+/**
+ * Stands in for a definition or selection which could not be parsed when
+ * parsing with recovery. Its location covers the skipped source.
+ */
+export type ErrorNode = {
+  kind: 'Error';
+  loc?: Location;
+};
@@ -12,7 +12,12 @@ export { getLocation } from './location';
 import * as Kind from './kinds';
 export { Kind };
 export { createLexer, TokenKind } from './lexer';
-export { parse, parseValue, parseType } from './parser';
+export {
+  parse,
+  parseWithRecovery,
+  parseValue,
+  parseType,
+} from './parser';
 export { print } from './printer';
 export { Source } from './source';
 export {
@@ -24,7 +29,7 @@ export {
 } from './visitor';
 
 export type { Lexer } from './lexer';
-export type { ParseOptions } from './parser';
+export type { ParseOptions, ParseWithRecoveryResult } from './parser';
 
 export type {
   Location,
@@ -74,6 +79,9 @@ export type {
   EnumTypeDefinitionNode,
   EnumValueDefinitionNode,
   InputObjectTypeDefinitionNode,
+  SchemaExtensionDefinitionNode,
   TypeExtensionDefinitionNode,
   DirectiveDefinitionNode,
+  ErrorNode,
+  Trivia,
 } from './ast';
@@ -69,8 +69,13 @@ export const INPUT_OBJECT_TYPE_DEFINITION = 'InputObjectTypeDefinition';
 
 // Type Extensions
 
+export const SCHEMA_EXTENSION_DEFINITION = 'SchemaExtensionDefinition';
 export const TYPE_EXTENSION_DEFINITION = 'TypeExtensionDefinition';
 
 // Directive Definitions
 
 export const DIRECTIVE_DEFINITION = 'DirectiveDefinition';
+
+// Placeholders for invalid syntax, produced when parsing with recovery
+
+export const ERROR = 'Error';
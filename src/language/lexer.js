@@ -10,7 +10,9 @@
 
 import type { Token } from './ast';
 import type { Source } from './source';
+import type { GraphQLError } from '../error';
 import { syntaxError } from '../error';
+import blockStringValue from './blockStringValue';
 
 /**
  * Given a Source object, this returns a Lexer for that source.
@@ -32,18 +34,26 @@ export function createLexer<TOptions>(
     token: startOfFileToken,
     line: 1,
     lineStart: 0,
-    advance: advanceLexer
+    advance: advanceLexer,
+    lookahead,
+    errors: null
   };
   return lexer;
 }
 
 function advanceLexer() {
-  let token = this.lastToken = this.token;
+  this.lastToken = this.token;
+  const token = this.token = this.lookahead();
+  return token;
+}
+
+function lookahead() {
+  let token = this.token;
   if (token.kind !== EOF) {
     do {
-      token = token.next = readToken(this, token);
+      // Tokens which have already been looked ahead to are not read again.
+      token = token.next || (token.next = readToken(this, token));
     } while (token.kind === COMMENT);
-    this.token = token;
   }
   return token;
 }
@@ -79,6 +89,18 @@ export type Lexer<TOptions> = {
    * Advances the token stream to the next non-ignored token.
    */
   advance(): Token;
+
+  /**
+   * Looks ahead and returns the next non-ignored token, but does not change
+   * the Lexer's state.
+   */
+  lookahead(): Token;
+
+  /**
+   * The syntax errors recorded instead of thrown when parsing with recovery,
+   * or null when parsing without.
+   */
+  errors: ?Array<GraphQLError>;
 };
 
 // Each kind of token.
@@ -101,6 +123,7 @@ const NAME = 'Name';
 const INT = 'Int';
 const FLOAT = 'Float';
 const STRING = 'String';
+const BLOCK_STRING = 'BlockString';
 const COMMENT = 'Comment';
 
 /**
@@ -127,6 +150,7 @@ export const TokenKind = {
   INT,
   FLOAT,
   STRING,
+  BLOCK_STRING,
   COMMENT
 };
 
@@ -270,7 +294,12 @@ function readToken(lexer: Lexer<*>, prev: Token): Token {
     case 53: case 54: case 55: case 56: case 57:
       return readNumber(source, position, code, line, col, prev);
     // "
-    case 34: return readString(source, position, line, col, prev);
+    case 34:
+      if (charCodeAt.call(body, position + 1) === 34 &&
+          charCodeAt.call(body, position + 2) === 34) {
+        return readBlockString(source, position, line, col, prev, lexer);
+      }
+      return readString(source, position, line, col, prev);
   }
 
   throw syntaxError(
@@ -517,6 +546,84 @@ function readString(source, start, line, col, prev): Token {
   return new Tok(STRING, start, position + 1, line, col, prev, value);
 }
 
+/**
+ * Reads a block string token from the source file.
+ *
+ * """("?"?(\\"""|\\(?!=""")|[^"\\]))*"""
+ */
+function readBlockString(source, start, line, col, prev, lexer): Token {
+  const body = source.body;
+  let position = start + 3;
+  let chunkStart = position;
+  let code = 0;
+  let rawValue = '';
+
+  while (
+    position < body.length &&
+    (code = charCodeAt.call(body, position)) !== null
+  ) {
+    // Closing Triple-Quote (""")
+    if (
+      code === 34 &&
+      charCodeAt.call(body, position + 1) === 34 &&
+      charCodeAt.call(body, position + 2) === 34
+    ) {
+      rawValue += slice.call(body, chunkStart, position);
+      return new Tok(
+        BLOCK_STRING,
+        start,
+        position + 3,
+        line,
+        col,
+        prev,
+        blockStringValue(rawValue)
+      );
+    }
+
+    // SourceCharacter
+    if (
+      code < 0x0020 &&
+      code !== 0x0009 &&
+      code !== 0x000A &&
+      code !== 0x000D
+    ) {
+      throw syntaxError(
+        source,
+        position,
+        `Invalid character within String: ${printCharCode(code)}.`
+      );
+    }
+
+    // Escape Triple-Quote (\""")
+    if (
+      code === 92 &&
+      charCodeAt.call(body, position + 1) === 34 &&
+      charCodeAt.call(body, position + 2) === 34 &&
+      charCodeAt.call(body, position + 3) === 34
+    ) {
+      rawValue += slice.call(body, chunkStart, position) + '"""';
+      position += 4;
+      chunkStart = position;
+    } else if (code === 10) { // new line
+      ++position;
+      ++lexer.line;
+      lexer.lineStart = position;
+    } else if (code === 13) { // carriage return
+      if (charCodeAt.call(body, position + 1) === 10) {
+        position += 2;
+      } else {
+        ++position;
+      }
+      ++lexer.line;
+      lexer.lineStart = position;
+    } else {
+      ++position;
+    }
+  }
+
+  throw syntaxError(source, position, 'Unterminated string.');
+}
+
 /**
  * Converts four hexidecimal chars to the integer that the
  * string represents. For example, uniCharCode('0','0','0','f')
@@ -9,8 +9,7 @@
  */
 
 import { Source } from './source';
-import { syntaxError } from '../error';
-import type { GraphQLError } from '../error';
+import { syntaxError, GraphQLError } from '../error';
 import {
   createLexer,
   TokenKind,
@@ -39,6 +38,7 @@ import type {
   FragmentDefinitionNode,
 
   ValueNode,
+  StringValueNode,
   ListValueNode,
   ObjectValueNode,
   ObjectFieldNode,
@@ -55,6 +55,7 @@ import type {
   SchemaDefinitionNode,
   OperationTypeDefinitionNode,
 
+  TypeDefinitionNode,
   ScalarTypeDefinitionNode,
   ObjectTypeDefinitionNode,
   FieldDefinitionNode,
@@ -65,9 +66,14 @@ import type {
   EnumValueDefinitionNode,
   InputObjectTypeDefinitionNode,
 
+  SchemaExtensionDefinitionNode,
   TypeExtensionDefinitionNode,
 
   DirectiveDefinitionNode,
+
+  ErrorNode,
+
+  Trivia,
 } from './ast';
 
 import {
@@ -114,9 +120,12 @@ import {
   ENUM_VALUE_DEFINITION,
   INPUT_OBJECT_TYPE_DEFINITION,
 
+  SCHEMA_EXTENSION_DEFINITION,
   TYPE_EXTENSION_DEFINITION,
 
   DIRECTIVE_DEFINITION,
+
+  ERROR,
 } from './kinds';
 
 
@@ -129,7 +138,16 @@ export type ParseOptions = {
    * in the source that they correspond to. This configuration flag
    * disables that behavior for performance or testing.
    */
-  noLocation?: boolean
+  noLocation?: boolean,
+
+  /**
+   * By default, comments are only reachable through the tokens of a node's
+   * location. This configuration flag attaches the comments and blank lines
+   * around definitions and selections, and around the fields, arguments,
+   * enum values and operation types within definitions, to those nodes as
+   * `trivia`, which print() can reproduce.
+   */
+  preserveComments?: boolean,
 };
 
 /**
@@ -148,6 +166,43 @@ export function parse(
   return parseDocument(lexer);
 }
 
+/**
+ * The result of parsing a GraphQL source with recovery: a Document in which
+ * any definition or selection that failed to parse is replaced by an Error
+ * node, and every syntax error that was encountered.
+ */
+export type ParseWithRecoveryResult = {
+  document: DocumentNode,
+  errors: Array<GraphQLError>,
+};
+
+/**
+ * Given a GraphQL source, parses it into a Document, recovering from syntax
+ * errors instead of throwing the first one.
+ *
+ * When a definition or selection fails to parse, the parser skips ahead to
+ * the next definition or selection and leaves an Error node in its place.
+ * Characters which cannot be lexed are skipped over.
+ *
+ * This is useful within tools, such as editors, which need to understand
+ * documents while they are still being written.
+ */
+export function parseWithRecovery(
+  source: string | Source,
+  options?: ParseOptions
+): ParseWithRecoveryResult {
+  const sourceObj = typeof source === 'string' ? new Source(source) : source;
+  if (!(sourceObj instanceof Source)) {
+    throw new TypeError('Must provide Source. Received: ' + String(sourceObj));
+  }
+  const errors = [];
+  const lexer = createLexer(sourceObj, options || {});
+  lexer.errors = errors;
+  recoverFromLexicalErrors(lexer, errors);
+  const document = parseDocument(lexer);
+  return { document, errors };
+}
+
 /**
  * Given a string containing a GraphQL value (ex. `[42]`), parse the AST for
  * that value.
@@ -214,7 +269,13 @@ function parseDocument(lexer: Lexer<*>): DocumentNode {
   expect(lexer, TokenKind.SOF);
   const definitions = [];
   do {
-    definitions.push(parseDefinition(lexer));
+    definitions.push(
+      parseWithBoundary(
+        lexer,
+        withTrivia(lexer, parseDefinition),
+        isDefinitionBoundary
+      )
+    );
   } while (!skip(lexer, TokenKind.EOF));
 
   return {
@@ -256,6 +317,8 @@ function parseDefinition(lexer: Lexer<*>): DefinitionNode {
       case 'extend':
       case 'directive': return parseTypeSystemDefinition(lexer);
     }
+  } else if (peekDescription(lexer)) {
+    return parseTypeSystemDefinition(lexer);
   }
 
   throw unexpected(lexer);
@@ -364,8 +427,13 @@ function parseSelectionSet(lexer: Lexer<*>): SelectionSetNode {
   const start = lexer.token;
   return {
     kind: SELECTION_SET,
-    selections:
-      many(lexer, TokenKind.BRACE_L, parseSelection, TokenKind.BRACE_R),
+    selections: manyWithBoundary(
+      lexer,
+      TokenKind.BRACE_L,
+      withTrivia(lexer, parseSelection),
+      TokenKind.BRACE_R,
+      isSelectionBoundary
+    ),
     loc: loc(lexer, start)
   };
 }
@@ -544,12 +612,8 @@ function parseValueLiteral(lexer: Lexer<*>, isConst: boolean): ValueNode {
         loc: loc(lexer, token)
       };
     case TokenKind.STRING:
-      lexer.advance();
-      return {
-        kind: (STRING: 'StringValue'),
-        value: ((token.value: any): string),
-        loc: loc(lexer, token)
-      };
+    case TokenKind.BLOCK_STRING:
+      return parseStringLiteral(lexer);
     case TokenKind.NAME:
       if (token.value === 'true' || token.value === 'false') {
         lexer.advance();
@@ -580,6 +644,17 @@ function parseValueLiteral(lexer: Lexer<*>, isConst: boolean): ValueNode {
   throw unexpected(lexer);
 }
 
+function parseStringLiteral(lexer: Lexer<*>): StringValueNode {
+  const token = lexer.token;
+  lexer.advance();
+  return {
+    kind: (STRING: 'StringValue'),
+    value: ((token.value: any): string),
+    block: token.kind === TokenKind.BLOCK_STRING,
+    loc: loc(lexer, token)
+  };
+}
+
 export function parseConstValue(lexer: Lexer<*>): ValueNode {
   return parseValueLiteral(lexer, true);
 }
@@ -716,7 +791,7 @@ export function parseNamedType(lexer: Lexer<*>): NamedTypeNode {
  * TypeSystemDefinition :
  *   - SchemaDefinition
  *   - TypeDefinition
- *   - TypeExtensionDefinition
+ *   - ExtensionDefinition
  *   - DirectiveDefinition
  *
  * TypeDefinition :
@@ -728,8 +803,13 @@ export function parseNamedType(lexer: Lexer<*>): NamedTypeNode {
  *   - InputObjectTypeDefinition
  */
 function parseTypeSystemDefinition(lexer: Lexer<*>): TypeSystemDefinitionNode {
-  if (peek(lexer, TokenKind.NAME)) {
-    switch (lexer.token.value) {
+  // Many definitions begin with a description and require a lookahead.
+  const keywordToken = peekDescription(lexer) ?
+    lexer.lookahead() :
+    lexer.token;
+
+  if (keywordToken.kind === TokenKind.NAME) {
+    switch (keywordToken.value) {
       case 'schema': return parseSchemaDefinition(lexer);
       case 'scalar': return parseScalarTypeDefinition(lexer);
       case 'type': return parseObjectTypeDefinition(lexer);
@@ -737,12 +817,25 @@ function parseTypeSystemDefinition(lexer: Lexer<*>): TypeSystemDefinitionNode {
       case 'union': return parseUnionTypeDefinition(lexer);
       case 'enum': return parseEnumTypeDefinition(lexer);
       case 'input': return parseInputObjectTypeDefinition(lexer);
-      case 'extend': return parseTypeExtensionDefinition(lexer);
+      case 'extend': return parseExtensionDefinition(lexer);
       case 'directive': return parseDirectiveDefinition(lexer);
     }
   }
 
-  throw unexpected(lexer);
+  throw unexpected(lexer, keywordToken);
+}
+
+function peekDescription(lexer: Lexer<*>): boolean {
+  return peek(lexer, TokenKind.STRING) || peek(lexer, TokenKind.BLOCK_STRING);
+}
+
+/**
+ * Description : StringValue
+ */
+function parseDescription(lexer: Lexer<*>): void | StringValueNode {
+  if (peekDescription(lexer)) {
+    return parseStringLiteral(lexer);
+  }
 }
 
 /**
@@ -757,7 +850,7 @@ function parseSchemaDefinition(lexer: Lexer<*>): SchemaDefinitionNode {
   const operationTypes = many(
     lexer,
     TokenKind.BRACE_L,
-    parseOperationTypeDefinition,
+    withTrivia(lexer, parseOperationTypeDefinition),
     TokenKind.BRACE_R
   );
   return {
@@ -784,15 +877,17 @@ function parseOperationTypeDefinition(
 }
 
 /**
- * ScalarTypeDefinition : scalar Name Directives?
+ * ScalarTypeDefinition : Description? scalar Name Directives?
  */
 function parseScalarTypeDefinition(lexer: Lexer<*>): ScalarTypeDefinitionNode {
   const start = lexer.token;
+  const description = parseDescription(lexer);
   expectKeyword(lexer, 'scalar');
   const name = parseName(lexer);
   const directives = parseDirectives(lexer);
   return {
     kind: SCALAR_TYPE_DEFINITION,
+    description,
     name,
     directives,
     loc: loc(lexer, start),
@@ -801,22 +896,20 @@ function parseScalarTypeDefinition(lexer: Lexer<*>): ScalarTypeDefinitionNode {
 
 /**
  * ObjectTypeDefinition :
- *   - type Name ImplementsInterfaces? Directives? { FieldDefinition+ }
+ *   - Description?
+ *     type Name ImplementsInterfaces? Directives? FieldsDefinition?
  */
 function parseObjectTypeDefinition(lexer: Lexer<*>): ObjectTypeDefinitionNode {
   const start = lexer.token;
+  const description = parseDescription(lexer);
   expectKeyword(lexer, 'type');
   const name = parseName(lexer);
   const interfaces = parseImplementsInterfaces(lexer);
   const directives = parseDirectives(lexer);
-  const fields = any(
-    lexer,
-    TokenKind.BRACE_L,
-    parseFieldDefinition,
-    TokenKind.BRACE_R
-  );
+  const fields = parseFieldDefinitions(lexer);
   return {
     kind: OBJECT_TYPE_DEFINITION,
+    description,
     name,
     interfaces,
     directives,
@@ -840,10 +933,26 @@ function parseImplementsInterfaces(lexer: Lexer<*>): Array<NamedTypeNode> {
 }
 
 /**
- * FieldDefinition : Name ArgumentsDefinition? : Type Directives?
+ * FieldsDefinition : { FieldDefinition* }
+ */
+function parseFieldDefinitions(lexer: Lexer<*>): Array<FieldDefinitionNode> {
+  return peek(lexer, TokenKind.BRACE_L) ?
+    any(
+      lexer,
+      TokenKind.BRACE_L,
+      withTrivia(lexer, parseFieldDefinition),
+      TokenKind.BRACE_R
+    ) :
+    [];
+}
+
+/**
+ * FieldDefinition :
+ *   - Description? Name ArgumentsDefinition? : Type Directives?
  */
 function parseFieldDefinition(lexer: Lexer<*>): FieldDefinitionNode {
   const start = lexer.token;
+  const description = parseDescription(lexer);
   const name = parseName(lexer);
   const args = parseArgumentDefs(lexer);
   expect(lexer, TokenKind.COLON);
@@ -851,6 +960,7 @@ function parseFieldDefinition(lexer: Lexer<*>): FieldDefinitionNode {
   const directives = parseDirectives(lexer);
   return {
     kind: FIELD_DEFINITION,
+    description,
     name,
     arguments: args,
     type,
@@ -866,14 +976,21 @@ function parseArgumentDefs(lexer: Lexer<*>): Array<InputValueDefinitionNode> {
   if (!peek(lexer, TokenKind.PAREN_L)) {
     return [];
   }
-  return many(lexer, TokenKind.PAREN_L, parseInputValueDef, TokenKind.PAREN_R);
+  return many(
+    lexer,
+    TokenKind.PAREN_L,
+    withTrivia(lexer, parseInputValueDef),
+    TokenKind.PAREN_R
+  );
 }
 
 /**
- * InputValueDefinition : Name : Type DefaultValue? Directives?
+ * InputValueDefinition :
+ *   - Description? Name : Type DefaultValue? Directives?
  */
 function parseInputValueDef(lexer: Lexer<*>): InputValueDefinitionNode {
   const start = lexer.token;
+  const description = parseDescription(lexer);
   const name = parseName(lexer);
   expect(lexer, TokenKind.COLON);
   const type = parseTypeReference(lexer);
@@ -884,6 +1001,7 @@ function parseInputValueDef(lexer: Lexer<*>): InputValueDefinitionNode {
   const directives = parseDirectives(lexer);
   return {
     kind: INPUT_VALUE_DEFINITION,
+    description,
     name,
     type,
     defaultValue,
@@ -893,24 +1011,25 @@ function parseInputValueDef(lexer: Lexer<*>): InputValueDefinitionNode {
 }
 
 /**
- * InterfaceTypeDefinition : interface Name Directives? { FieldDefinition+ }
+ * InterfaceTypeDefinition :
+ *   - Description?
+ *     interface Name ImplementsInterfaces? Directives? FieldsDefinition?
  */
 function parseInterfaceTypeDefinition(
   lexer: Lexer<*>
 ): InterfaceTypeDefinitionNode {
   const start = lexer.token;
+  const description = parseDescription(lexer);
   expectKeyword(lexer, 'interface');
   const name = parseName(lexer);
+  const interfaces = parseImplementsInterfaces(lexer);
   const directives = parseDirectives(lexer);
-  const fields = any(
-    lexer,
-    TokenKind.BRACE_L,
-    parseFieldDefinition,
-    TokenKind.BRACE_R
-  );
+  const fields = parseFieldDefinitions(lexer);
   return {
     kind: INTERFACE_TYPE_DEFINITION,
+    description,
     name,
+    interfaces,
     directives,
     fields,
     loc: loc(lexer, start),
@@ -918,17 +1037,21 @@ function parseInterfaceTypeDefinition(
 }
 
 /**
- * UnionTypeDefinition : union Name Directives? = UnionMembers
+ * UnionTypeDefinition :
+ *   - Description? union Name Directives? UnionMemberTypes?
+ *
+ * UnionMemberTypes : = UnionMembers
  */
 function parseUnionTypeDefinition(lexer: Lexer<*>): UnionTypeDefinitionNode {
   const start = lexer.token;
+  const description = parseDescription(lexer);
   expectKeyword(lexer, 'union');
   const name = parseName(lexer);
   const directives = parseDirectives(lexer);
-  expect(lexer, TokenKind.EQUALS);
-  const types = parseUnionMembers(lexer);
+  const types = skip(lexer, TokenKind.EQUALS) ? parseUnionMembers(lexer) : [];
   return {
     kind: UNION_TYPE_DEFINITION,
+    description,
     name,
     directives,
     types,
@@ -952,21 +1075,28 @@ function parseUnionMembers(lexer: Lexer<*>): Array<NamedTypeNode> {
 }
 
 /**
- * EnumTypeDefinition : enum Name Directives? { EnumValueDefinition+ }
+ * EnumTypeDefinition :
+ *   - Description? enum Name Directives? EnumValuesDefinition?
+ *
+ * EnumValuesDefinition : { EnumValueDefinition+ }
  */
 function parseEnumTypeDefinition(lexer: Lexer<*>): EnumTypeDefinitionNode {
   const start = lexer.token;
+  const description = parseDescription(lexer);
   expectKeyword(lexer, 'enum');
   const name = parseName(lexer);
   const directives = parseDirectives(lexer);
-  const values = many(
-    lexer,
-    TokenKind.BRACE_L,
-    parseEnumValueDefinition,
-    TokenKind.BRACE_R
-  );
+  const values = peek(lexer, TokenKind.BRACE_L) ?
+    many(
+      lexer,
+      TokenKind.BRACE_L,
+      withTrivia(lexer, parseEnumValueDefinition),
+      TokenKind.BRACE_R
+    ) :
+    [];
   return {
     kind: ENUM_TYPE_DEFINITION,
+    description,
     name,
     directives,
     values,
@@ -975,16 +1105,18 @@ function parseEnumTypeDefinition(lexer: Lexer<*>): EnumTypeDefinitionNode {
 }
 
 /**
- * EnumValueDefinition : EnumValue Directives?
+ * EnumValueDefinition : Description? EnumValue Directives?
  *
  * EnumValue : Name
  */
 function parseEnumValueDefinition(lexer: Lexer<*>): EnumValueDefinitionNode {
   const start = lexer.token;
+  const description = parseDescription(lexer);
   const name = parseName(lexer);
   const directives = parseDirectives(lexer);
   return {
     kind: ENUM_VALUE_DEFINITION,
+    description,
     name,
     directives,
     loc: loc(lexer, start),
@@ -992,23 +1124,30 @@ function parseEnumValueDefinition(lexer: Lexer<*>): EnumValueDefinitionNode {
 }
 
 /**
- * InputObjectTypeDefinition : input Name Directives? { InputValueDefinition+ }
+ * InputObjectTypeDefinition :
+ *   - Description? input Name Directives? InputFieldsDefinition?
+ *
+ * InputFieldsDefinition : { InputValueDefinition* }
  */
 function parseInputObjectTypeDefinition(
   lexer: Lexer<*>
 ): InputObjectTypeDefinitionNode {
   const start = lexer.token;
+  const description = parseDescription(lexer);
   expectKeyword(lexer, 'input');
   const name = parseName(lexer);
   const directives = parseDirectives(lexer);
-  const fields = any(
-    lexer,
-    TokenKind.BRACE_L,
-    parseInputValueDef,
-    TokenKind.BRACE_R
-  );
+  const fields = peek(lexer, TokenKind.BRACE_L) ?
+    any(
+      lexer,
+      TokenKind.BRACE_L,
+      withTrivia(lexer, parseInputValueDef),
+      TokenKind.BRACE_R
+    ) :
+    [];
   return {
     kind: INPUT_OBJECT_TYPE_DEFINITION,
+    description,
     name,
     directives,
     fields,
@@ -1017,14 +1156,66 @@ function parseInputObjectTypeDefinition(
 }
 
 /**
- * TypeExtensionDefinition : extend ObjectTypeDefinition
+ * ExtensionDefinition :
+ *   - SchemaExtensionDefinition
+ *   - TypeExtensionDefinition
+ */
+function parseExtensionDefinition(
+  lexer: Lexer<*>
+): SchemaExtensionDefinitionNode | TypeExtensionDefinitionNode {
+  const keywordToken = lexer.lookahead();
+  if (keywordToken.kind === TokenKind.NAME && keywordToken.value === 'schema') {
+    return parseSchemaExtensionDefinition(lexer);
+  }
+  return parseTypeExtensionDefinition(lexer);
+}
+
+/**
+ * SchemaExtensionDefinition :
+ *   - extend schema Directives? { OperationTypeDefinition+ }
+ *   - extend schema Directives
+ */
+function parseSchemaExtensionDefinition(
+  lexer: Lexer<*>
+): SchemaExtensionDefinitionNode {
+  const start = lexer.token;
+  expectKeyword(lexer, 'extend');
+  expectKeyword(lexer, 'schema');
+  const directives = parseDirectives(lexer);
+  const operationTypes = peek(lexer, TokenKind.BRACE_L) ?
+    many(
+      lexer,
+      TokenKind.BRACE_L,
+      withTrivia(lexer, parseOperationTypeDefinition),
+      TokenKind.BRACE_R
+    ) :
+    [];
+  if (directives.length === 0 && operationTypes.length === 0) {
+    throw unexpected(lexer);
+  }
+  return {
+    kind: SCHEMA_EXTENSION_DEFINITION,
+    directives,
+    operationTypes,
+    loc: loc(lexer, start),
+  };
+}
+
+/**
+ * TypeExtensionDefinition :
+ *   - extend ScalarTypeDefinition
+ *   - extend ObjectTypeDefinition
+ *   - extend InterfaceTypeDefinition
+ *   - extend UnionTypeDefinition
+ *   - extend EnumTypeDefinition
+ *   - extend InputObjectTypeDefinition
  */
 function parseTypeExtensionDefinition(
   lexer: Lexer<*>
 ): TypeExtensionDefinitionNode {
   const start = lexer.token;
   expectKeyword(lexer, 'extend');
-  const definition = parseObjectTypeDefinition(lexer);
+  const definition = parseExtendedTypeDefinition(lexer);
   return {
     kind: TYPE_EXTENSION_DEFINITION,
     definition,
@@ -1032,22 +1223,42 @@ function parseTypeExtensionDefinition(
   };
 }
 
+function parseExtendedTypeDefinition(lexer: Lexer<*>): TypeDefinitionNode {
+  if (peek(lexer, TokenKind.NAME)) {
+    switch (lexer.token.value) {
+      case 'scalar': return parseScalarTypeDefinition(lexer);
+      case 'type': return parseObjectTypeDefinition(lexer);
+      case 'interface': return parseInterfaceTypeDefinition(lexer);
+      case 'union': return parseUnionTypeDefinition(lexer);
+      case 'enum': return parseEnumTypeDefinition(lexer);
+      case 'input': return parseInputObjectTypeDefinition(lexer);
+    }
+  }
+
+  throw unexpected(lexer);
+}
+
 /**
  * DirectiveDefinition :
- *   - directive @ Name ArgumentsDefinition? on DirectiveLocations
+ *   - Description? directive @ Name ArgumentsDefinition? `repeatable`? on
+ *     DirectiveLocations
  */
 function parseDirectiveDefinition(lexer: Lexer<*>): DirectiveDefinitionNode {
   const start = lexer.token;
+  const description = parseDescription(lexer);
   expectKeyword(lexer, 'directive');
   expect(lexer, TokenKind.AT);
   const name = parseName(lexer);
   const args = parseArgumentDefs(lexer);
+  const repeatable = skipKeyword(lexer, 'repeatable');
   expectKeyword(lexer, 'on');
   const locations = parseDirectiveLocations(lexer);
   return {
     kind: DIRECTIVE_DEFINITION,
+    description,
     name,
     arguments: args,
+    repeatable,
     locations,
     loc: loc(lexer, start)
   };
@@ -1074,9 +1285,13 @@ function parseDirectiveLocations(lexer: Lexer<*>): Array<NameNode> {
  * Returns a location object, used to identify the place in
  * the source that created a given parsed object.
  */
-function loc(lexer: Lexer<*>, startToken: Token): Location | void {
+function loc(
+  lexer: Lexer<*>,
+  startToken: Token,
+  endToken?: Token
+): Location | void {
   if (!lexer.options.noLocation) {
-    return new Loc(startToken, lexer.lastToken, lexer.source);
+    return new Loc(startToken, endToken || lexer.lastToken, lexer.source);
   }
 }
 
@@ -1129,6 +1344,20 @@ function expect(lexer: Lexer<*>, kind: string): Token {
   );
 }
 
+/**
+ * If the next token is a keyword with the given value, return true after
+ * advancing the lexer. Otherwise, do not change the parser state and return
+ * false.
+ */
+function skipKeyword(lexer: Lexer<*>, value: string): boolean {
+  const match = lexer.token.kind === TokenKind.NAME &&
+    lexer.token.value === value;
+  if (match) {
+    lexer.advance();
+  }
+  return match;
+}
+
 /**
  * If the next token is a keyword with the given value, return that token after
  * advancing the lexer. Otherwise, do not change the parser state and return
@@ -1199,3 +1428,286 @@ function many<T>(
   }
   return nodes;
 }
+
+// Implements recovery from syntax errors, used by parseWithRecovery.
+
+/**
+ * Replaces the lexer's lookahead so that source which cannot be lexed is
+ * recorded as an error and skipped, rather than thrown.
+ */
+function recoverFromLexicalErrors(
+  lexer: Lexer<*>,
+  errors: Array<GraphQLError>
+): void {
+  const lookahead = lexer.lookahead;
+  (lexer: any).lookahead = function lookaheadWithRecovery() {
+    let token;
+    while (!token) {
+      try {
+        token = lookahead.call(lexer);
+      } catch (error) {
+        errors.push(error);
+        skipUnlexableCharacter(lexer, error);
+      }
+    }
+    return token;
+  };
+}
+
+/**
+ * Appends an ignored token covering the character the lexer failed at, so
+ * that lexing resumes after it. Line terminators are not covered, leaving the
+ * lexer to count the line.
+ */
+function skipUnlexableCharacter(lexer: Lexer<*>, error: GraphQLError): void {
+  let lastToken = lexer.token;
+  while (lastToken.next) {
+    lastToken = lastToken.next;
+  }
+  const body = lexer.source.body;
+  const start = error.positions ? error.positions[0] : lastToken.end;
+  const code = body.charCodeAt(start);
+  const end = start < body.length && code !== 10 && code !== 13 ?
+    start + 1 :
+    start;
+  const location = error.locations ? error.locations[0] : lastToken;
+  lastToken.next = {
+    kind: TokenKind.COMMENT,
+    start,
+    end,
+    line: location.line,
+    column: location.column,
+    value: body.slice(start, end),
+    prev: lastToken,
+    next: null,
+  };
+}
+
+/**
+ * Parses a node with parseFn. When parsing with recovery, a syntax error is
+ * recorded instead of thrown, and the parser skips ahead to where isBoundary
+ * holds, returning an Error node which covers the skipped source (or the
+ * unexpected token, if no source was skipped).
+ */
+function parseWithBoundary<T>(
+  lexer: Lexer<*>,
+  parseFn: (lexer: Lexer<*>) => T,
+  isBoundary: (lexer: Lexer<*>) => boolean
+): T | ErrorNode {
+  const errors = lexer.errors;
+  if (!errors) {
+    return parseFn(lexer);
+  }
+  const start = lexer.token;
+  try {
+    return parseFn(lexer);
+  } catch (error) {
+    if (!(error instanceof GraphQLError)) {
+      throw error;
+    }
+    errors.push(error);
+  }
+
+  // Always skip the token which could not be parsed, unless it closes the
+  // enclosing list.
+  const skipped = lexer.token !== start;
+  if (!skipped && !peek(lexer, TokenKind.BRACE_R)) {
+    lexer.advance();
+  }
+
+  let depth = 0;
+  while (!peek(lexer, TokenKind.EOF) && (depth !== 0 || !isBoundary(lexer))) {
+    const kind = lexer.token.kind;
+    if (
+      kind === TokenKind.BRACE_L ||
+      kind === TokenKind.PAREN_L ||
+      kind === TokenKind.BRACKET_L
+    ) {
+      depth++;
+    } else if (
+      depth !== 0 && (
+        kind === TokenKind.BRACE_R ||
+        kind === TokenKind.PAREN_R ||
+        kind === TokenKind.BRACKET_R
+      )
+    ) {
+      depth--;
+    }
+    lexer.advance();
+  }
+
+  return {
+    kind: ERROR,
+    loc: lexer.token !== start ? loc(lexer, start) : loc(lexer, start, start),
+  };
+}
+
+/**
+ * Determines if the next token can begin a definition.
+ */
+function isDefinitionBoundary(lexer: Lexer<*>): boolean {
+  const token = lexer.token;
+  if (token.kind === TokenKind.NAME) {
+    switch (token.value) {
+      case 'query':
+      case 'mutation':
+      case 'subscription':
+      case 'fragment':
+      case 'schema':
+      case 'scalar':
+      case 'type':
+      case 'interface':
+      case 'union':
+      case 'enum':
+      case 'input':
+      case 'extend':
+      case 'directive':
+        return true;
+    }
+    return false;
+  }
+  return peek(lexer, TokenKind.BRACE_L) || peekDescription(lexer);
+}
+
+/**
+ * Determines if the next token can begin a selection, or ends the enclosing
+ * selection set.
+ */
+function isSelectionBoundary(lexer: Lexer<*>): boolean {
+  return (
+    peek(lexer, TokenKind.NAME) ||
+    peek(lexer, TokenKind.SPREAD) ||
+    peek(lexer, TokenKind.BRACE_R)
+  );
+}
+
+/**
+ * Like many(), but each node is parsed with parseWithBoundary. When parsing
+ * with recovery, reaching the end of the source before closeKind is recorded
+ * as an error.
+ */
+function manyWithBoundary<T>(
+  lexer: Lexer<*>,
+  openKind: string,
+  parseFn: (lexer: Lexer<*>) => T,
+  closeKind: string,
+  isBoundary: (lexer: Lexer<*>) => boolean
+): Array<T | ErrorNode> {
+  const errors = lexer.errors;
+  expect(lexer, openKind);
+  const nodes = [ parseWithBoundary(lexer, parseFn, isBoundary) ];
+  while (!skip(lexer, closeKind)) {
+    if (errors && peek(lexer, TokenKind.EOF)) {
+      // Unless an error was already reported at the end of the source.
+      const lastError = errors[errors.length - 1];
+      const token = lexer.token;
+      if (!lastError || !lastError.positions ||
+          lastError.positions[0] !== token.start) {
+        errors.push(syntaxError(
+          lexer.source,
+          token.start,
+          `Expected ${closeKind}, found ${getTokenDesc(token)}`
+        ));
+      }
+      break;
+    }
+    nodes.push(parseWithBoundary(lexer, parseFn, isBoundary));
+  }
+  return nodes;
+}
+
+// Implements retaining comments, used when parsing with preserveComments.
+
+/**
+ * Wraps parseFn so that, when parsing with the preserveComments option, the
+ * comments and blank lines surrounding each parsed node are attached to it
+ * as `trivia`.
+ */
+function withTrivia<T>(
+  lexer: Lexer<*>,
+  parseFn: (lexer: Lexer<*>) => T
+): (lexer: Lexer<*>) => T {
+  if (!lexer.options.preserveComments) {
+    return parseFn;
+  }
+  return () => {
+    const start = lexer.token;
+    const node = parseFn(lexer);
+    (node: any).trivia = getTrivia(lexer, start, lexer.lastToken);
+    return node;
+  };
+}
+
+/**
+ * Collects the comments surrounding the node spanning from startToken to
+ * endToken. A comment sharing a line with the token before it belongs to
+ * the node ending there, unless that token opens a list.
+ */
+function getTrivia(
+  lexer: Lexer<*>,
+  startToken: Token,
+  endToken: Token
+): Trivia {
+  const body = lexer.source.body;
+
+  const leadingComments = [];
+  let before = startToken.prev;
+  while (before && before.kind === TokenKind.COMMENT) {
+    leadingComments.unshift(before);
+    before = before.prev;
+  }
+  if (
+    before &&
+    leadingComments.length !== 0 &&
+    countLineBreaks(body, before.end, leadingComments[0].start) === 0 &&
+    before.kind !== TokenKind.SOF &&
+    before.kind !== TokenKind.BRACE_L &&
+    before.kind !== TokenKind.PAREN_L &&
+    before.kind !== TokenKind.BRACKET_L
+  ) {
+    leadingComments.shift();
+  }
+
+  const first = leadingComments.length !== 0 ?
+    leadingComments[0] :
+    startToken;
+  const blankLineBefore = Boolean(
+    first.prev &&
+    first.prev.kind !== TokenKind.SOF &&
+    countLineBreaks(body, first.prev.end, first.start) > 1
+  );
+
+  let after = endToken.next;
+  let trailingComment = null;
+  if (
+    after &&
+    after.kind === TokenKind.COMMENT &&
+    countLineBreaks(body, endToken.end, after.start) === 0
+  ) {
+    trailingComment = after;
+    after = after.next;
+  }
+
+  // Comments following the last node of a list are kept with it.
+  let commentsAfter = [];
+  while (after && after.kind === TokenKind.COMMENT) {
+    commentsAfter.push(after);
+    after = after.next;
+  }
+  if (
+    !after ||
+    after.kind !== TokenKind.EOF &&
+    after.kind !== TokenKind.BRACE_R &&
+    after.kind !== TokenKind.PAREN_R &&
+    after.kind !== TokenKind.BRACKET_R
+  ) {
+    commentsAfter = [];
+  }
+
+  return { blankLineBefore, leadingComments, trailingComment, commentsAfter };
+}
+
+function countLineBreaks(body: string, start: number, end: number): number {
+  const lineBreaks = body.slice(start, end).match(/\r\n|[\n\r]/g);
+  return lineBreaks ? lineBreaks.length : 0;
+}
@@ -8,13 +8,74 @@
  */
 
 import { visit } from './visitor';
+import { createLexer, TokenKind } from './lexer';
+import { Source } from './source';
 
 /**
  * Converts an AST into a string, using one set of reasonable
  * formatting rules.
+ *
+ * The formatting may be configured with options:
+ *
+ *   - indentWidth: the number of spaces by which each level is indented,
+ *     2 by default.
+ *   - maxLineLength: when provided, the arguments or variable definitions
+ *     beginning a line which would be longer are printed on lines of their own.
+ *   - sort: when true, fields and arguments are printed ordered by name, and
+ *     fields are selected before fragments.
+ *   - compact: when true, the AST is printed on a single line without
+ *     insignificant whitespace, such as for hashing or transporting queries.
+ *   - preserveComments: when true, the comments and blank lines retained by
+ *     parse() with the same option are printed too.
+ */
+export function print(ast, options) {
+  const format = {
+    indentWidth:
+      options && options.indentWidth !== undefined ? options.indentWidth : 2,
+    maxLineLength: options && options.maxLineLength || Infinity,
+    preserveComments: Boolean(options && options.preserveComments),
+  };
+  const printed = visit(options && options.sort ? sortAST(ast) : ast, {
+    leave: (node, key, parent, path, ancestors) =>
+      printNode(node, format, ancestors)
+  });
+  return options && options.compact ? printCompact(printed) : printed;
+}
+
+function printNode(node, format, ancestors) {
+  const printNodeOfKind = printDocASTReducer[node.kind];
+  if (!printNodeOfKind) {
+    return;
+  }
+  const printed = printNodeOfKind(node, format, ancestors);
+  const trivia = node.trivia;
+  if (!format.preserveComments || !trivia) {
+    return printed;
+  }
+  // Definitions are always separated by a blank line.
+  const isDefinition = ancestors.length !== 0 &&
+    ancestors[ancestors.length - 1].kind === 'Document';
+  return (trivia.blankLineBefore && !isDefinition ? '\n' : '') + join([
+    printComments(trivia.leadingComments),
+    printed + wrap(' ', trivia.trailingComment && printComment(
+      trivia.trailingComment
+    )),
+    printComments(trivia.commentsAfter),
+  ], '\n');
+}
+
+/**
+ * Print comments on their own lines, keeping blank lines between them.
  */
-export function print(ast) {
-  return visit(ast, { leave: printDocASTReducer });
+function printComments(comments) {
+  return comments.map((comment, i) =>
+    (i !== 0 && comment.line - comments[i - 1].line > 1 ? '\n' : '') +
+    printComment(comment)
+  ).join('\n');
+}
+
+function printComment(token) {
+  return '#' + token.value;
 }
 
 const printDocASTReducer = {
@@ -25,30 +86,40 @@ const printDocASTReducer = {
 
   Document: node => join(node.definitions, '\n\n') + '\n',
 
-  OperationDefinition(node) {
+  OperationDefinition(node, format, ancestors) {
     const op = node.operation;
     const name = node.name;
-    const varDefs = wrap('(', join(node.variableDefinitions, ', '), ')');
     const directives = join(node.directives, ' ');
     const selectionSet = node.selectionSet;
+    const printOperation = varDefs =>
+      join([ op, join([ name, varDefs ]), directives, selectionSet ], ' ');
+    const varDefs = printWrappedArgs(
+      node.variableDefinitions,
+      format,
+      ancestors,
+      printOperation
+    );
     // Anonymous queries with no directives or variable definitions can use
     // the query short form.
     return !name && !directives && !varDefs && op === 'query' ?
       selectionSet :
-      join([ op, join([ name, varDefs ]), directives, selectionSet ], ' ');
+      printOperation(varDefs);
   },
 
   VariableDefinition: ({ variable, type, defaultValue }) =>
     variable + ': ' + type + wrap(' = ', defaultValue),
 
-  SelectionSet: ({ selections }) => block(selections),
+  SelectionSet: ({ selections }, format) => block(selections, format),
 
-  Field: ({ alias, name, arguments: args, directives, selectionSet }) =>
-    join([
-      wrap('', alias, ': ') + name + wrap('(', join(args, ', '), ')'),
+  Field(node, format, ancestors) {
+    const { alias, name, arguments: args, directives, selectionSet } = node;
+    const printField = printedArgs => join([
+      wrap('', alias, ': ') + name + printedArgs,
       join(directives, ' '),
       selectionSet
-    ], ' '),
+    ], ' ');
+    return printField(printWrappedArgs(args, format, ancestors, printField));
+  },
 
   Argument: ({ name, value }) => name + ': ' + value,
 
@@ -74,7 +145,8 @@ const printDocASTReducer = {
 
   IntValue: ({ value }) => value,
   FloatValue: ({ value }) => value,
-  StringValue: ({ value }) => JSON.stringify(value),
+  StringValue: ({ value, block: isBlockString }) =>
+    isBlockString ? printBlockString(value) : JSON.stringify(value),
   BooleanValue: ({ value }) => JSON.stringify(value),
   NullValue: () => 'null',
   EnumValue: ({ value }) => value,
@@ -95,81 +167,134 @@ const printDocASTReducer = {
 
   // Type System Definitions
 
-  SchemaDefinition: ({ directives, operationTypes }) =>
+  SchemaDefinition: ({ directives, operationTypes }, format) =>
     join([
       'schema',
       join(directives, ' '),
-      block(operationTypes),
+      block(operationTypes, format),
     ], ' '),
 
   OperationTypeDefinition: ({ operation, type }) =>
     operation + ': ' + type,
 
-  ScalarTypeDefinition: ({ name, directives }) =>
-    join([ 'scalar', name, join(directives, ' ') ], ' '),
-
-  ObjectTypeDefinition: ({ name, interfaces, directives, fields }) =>
-    join([
-      'type',
-      name,
-      wrap('implements ', join(interfaces, ', ')),
-      join(directives, ' '),
-      block(fields)
-    ], ' '),
-
-  FieldDefinition: ({ name, arguments: args, type, directives }) =>
-    name +
-    wrap('(', join(args, ', '), ')') +
-    ': ' + type +
-    wrap(' ', join(directives, ' ')),
-
-  InputValueDefinition: ({ name, type, defaultValue, directives }) =>
+  ScalarTypeDefinition: ({ description, name, directives }) =>
     join([
-      name + ': ' + type,
-      wrap('= ', defaultValue),
-      join(directives, ' ')
-    ], ' '),
+      description,
+      join([ 'scalar', name, join(directives, ' ') ], ' ')
+    ], '\n'),
+
+  ObjectTypeDefinition:
+    ({ description, name, interfaces, directives, fields }, format) =>
+      join([
+        description,
+        join([
+          'type',
+          name,
+          wrap('implements ', join(interfaces, ', ')),
+          join(directives, ' '),
+          block(fields, format)
+        ], ' ')
+      ], '\n'),
+
+  FieldDefinition(node, format, ancestors) {
+    const { description, name, arguments: args, type, directives } = node;
+    const printField = printedArgs =>
+      name + printedArgs + ': ' + type + wrap(' ', join(directives, ' '));
+    return join([
+      description,
+      printField(printArgs(args, format, ancestors, printField))
+    ], '\n');
+  },
 
-  InterfaceTypeDefinition: ({ name, directives, fields }) =>
+  InputValueDefinition:
+    ({ description, name, type, defaultValue, directives }) =>
+      join([
+        description,
+        join([
+          name + ': ' + type,
+          wrap('= ', defaultValue),
+          join(directives, ' ')
+        ], ' ')
+      ], '\n'),
+
+  InterfaceTypeDefinition:
+    ({ description, name, interfaces, directives, fields }, format) =>
+      join([
+        description,
+        join([
+          'interface',
+          name,
+          wrap('implements ', join(interfaces, ', ')),
+          join(directives, ' '),
+          block(fields, format)
+        ], ' ')
+      ], '\n'),
+
+  UnionTypeDefinition: ({ description, name, directives, types }) =>
     join([
-      'interface',
-      name,
-      join(directives, ' '),
-      block(fields)
-    ], ' '),
-
-  UnionTypeDefinition: ({ name, directives, types }) =>
+      description,
+      join([
+        'union',
+        name,
+        join(directives, ' '),
+        wrap('= ', join(types, ' | '))
+      ], ' ')
+    ], '\n'),
+
+  EnumTypeDefinition: ({ description, name, directives, values }, format) =>
     join([
-      'union',
-      name,
-      join(directives, ' '),
-      '= ' + join(types, ' | ')
-    ], ' '),
-
-  EnumTypeDefinition: ({ name, directives, values }) =>
+      description,
+      join([
+        'enum',
+        name,
+        join(directives, ' '),
+        values && values.length !== 0 ? block(values, format) : ''
+      ], ' ')
+    ], '\n'),
+
+  EnumValueDefinition: ({ description, name, directives }) =>
     join([
-      'enum',
-      name,
-      join(directives, ' '),
-      block(values)
-    ], ' '),
-
-  EnumValueDefinition: ({ name, directives }) =>
-    join([ name, join(directives, ' ') ], ' '),
-
-  InputObjectTypeDefinition: ({ name, directives, fields }) =>
+      description,
+      join([ name, join(directives, ' ') ], ' ')
+    ], '\n'),
+
+  InputObjectTypeDefinition:
+    ({ description, name, directives, fields }, format) =>
+      join([
+        description,
+        join([
+          'input',
+          name,
+          join(directives, ' '),
+          block(fields, format)
+        ], ' ')
+      ], '\n'),
+
+  SchemaExtensionDefinition: ({ directives, operationTypes }, format) =>
     join([
-      'input',
-      name,
+      'extend schema',
       join(directives, ' '),
-      block(fields)
+      operationTypes && operationTypes.length !== 0 ?
+        block(operationTypes, format) :
+        ''
     ], ' '),
 
   TypeExtensionDefinition: ({ definition }) => `extend ${definition}`,
 
-  DirectiveDefinition: ({ name, arguments: args, locations }) =>
-    'directive @' + name + wrap('(', join(args, ', '), ')') +
-    ' on ' + join(locations, ' | '),
+  DirectiveDefinition(node, format, ancestors) {
+    const { description, name, arguments: args, repeatable, locations } = node;
+    const printDirective = printedArgs =>
+      'directive @' + name + printedArgs +
+      (repeatable ? ' repeatable' : '') +
+      ' on ' + join(locations, ' | ');
+    return join([
+      description,
+      printDirective(printArgs(args, format, ancestors, printDirective))
+    ], '\n');
+  },
+
+  // Source which could not be parsed is left out.
+  Error: () => '',
 };
 
 /**
@@ -184,10 +309,9 @@ function join(maybeArray, separator) {
  * Given array, print each item on its own line, wrapped in an
  * indented "{ }" block.
  */
-function block(array) {
-  return array && array.length !== 0 ?
-    indent('{\n' + join(array, '\n')) + '\n}' :
-    '{}';
+function block(array, format) {
+  const contents = join(array, '\n');
+  return contents ? indent('{\n' + contents, format) + '\n}' : '{}';
 }
 
 /**
@@ -200,6 +324,163 @@ function wrap(start, maybeString, end) {
     '';
 }
 
-function indent(maybeString) {
-  return maybeString && maybeString.replace(/\n/g, '\n  ');
+/**
+ * Print argument definitions as printWrappedArgs does, but each on its own
+ * line if any of them spans multiple lines, such as when it has a
+ * description, or ends in a comment.
+ */
+function printArgs(args, format, ancestors, printLine) {
+  return !args || args.every(arg => !isMultiline(arg)) ?
+    printWrappedArgs(args, format, ancestors, printLine) :
+    printArgsOnLines(args, format);
+}
+
+/**
+ * Print arguments in parentheses on a single line, unless the line they
+ * begin, as printed by printLine, would be longer than the maximum line
+ * length, in which case each argument is printed on its own line.
+ */
+function printWrappedArgs(args, format, ancestors, printLine) {
+  const printed = wrap('(', join(args, ', '), ')');
+  if (printed && format.maxLineLength !== Infinity) {
+    const line = printLine(printed).split('\n', 1)[0];
+    const lineIndent = getDepth(ancestors) * format.indentWidth;
+    if (lineIndent + line.length > format.maxLineLength) {
+      return printArgsOnLines(args, format);
+    }
+  }
+  return printed;
+}
+
+function printArgsOnLines(args, format) {
+  return wrap('(', indent('\n' + join(args, '\n'), format), '\n)');
+}
+
+/**
+ * The number of levels a node is indented by, given its ancestors.
+ */
+function getDepth(ancestors) {
+  return ancestors.filter(ancestor => blockKinds[ancestor.kind]).length;
+}
+
+// The kinds of nodes which indent their contents in a block.
+const blockKinds = {
+  SelectionSet: true,
+  SchemaDefinition: true,
+  ObjectTypeDefinition: true,
+  InterfaceTypeDefinition: true,
+  EnumTypeDefinition: true,
+  InputObjectTypeDefinition: true,
+  SchemaExtensionDefinition: true,
+};
+
+function isMultiline(arg) {
+  // Comments may only appear outside of string values.
+  return arg.indexOf('\n') !== -1 ||
+    arg.replace(/"(?:[^"\\]|\\.)*"/g, '').indexOf('#') !== -1;
+}
+
+/**
+ * Print a block string. Values spanning multiple lines start on their own line
+ * so that indenting the printed block string does not change its value, unless
+ * the first line has leading whitespace which would then be stripped.
+ */
+function printBlockString(value) {
+  const escaped = value.replace(/"""/g, '\\"""');
+  if (value.indexOf('\n') === -1 && !/["\\]$/.test(value)) {
+    return `"""${escaped}"""`;
+  }
+  const hasLeadingSpace = value[0] === ' ' || value[0] === '\t';
+  return '"""' + (hasLeadingSpace ? '' : '\n') + escaped + '\n"""';
+}
+
+function indent(maybeString, format) {
+  return maybeString && maybeString.replace(
+    /\n(?!\n)/g,
+    '\n' + ' '.repeat(format.indentWidth)
+  );
+}
+
+/**
+ * Print the given GraphQL source on a single line, leaving out all ignored
+ * tokens and separating only tokens which would otherwise run together.
+ * Block strings are printed as strings, which cannot span lines.
+ */
+function printCompact(source) {
+  const lexer = createLexer(new Source(source), {});
+  let printed = '';
+  let wasWord = false;
+  let token = lexer.advance();
+  while (token.kind !== TokenKind.EOF) {
+    const isWord =
+      token.kind === TokenKind.NAME ||
+      token.kind === TokenKind.INT ||
+      token.kind === TokenKind.FLOAT;
+    printed += (wasWord && isWord ? ' ' : '') + (
+      token.kind === TokenKind.BLOCK_STRING ?
+        JSON.stringify(token.value) :
+        source.slice(token.start, token.end)
+    );
+    wasWord = isWord;
+    token = lexer.advance();
+  }
+  return printed;
+}
+
+/**
+ * Returns a copy of the AST in which fields and arguments are ordered by name,
+ * and the fields of each selection set precede its fragments.
+ */
+function sortAST(ast) {
+  return visit(ast, {
+    leave(node) {
+      const key = sortedLists[node.kind];
+      if (key && node[key]) {
+        return { ...node, [key]: sortByName(node[key]) };
+      }
+    }
+  });
+}
+
+// The list of each kind of node which is sorted with the sort option.
+const sortedLists = {
+  SelectionSet: 'selections',
+  Field: 'arguments',
+  Directive: 'arguments',
+  ObjectValue: 'fields',
+  ObjectTypeDefinition: 'fields',
+  InterfaceTypeDefinition: 'fields',
+  InputObjectTypeDefinition: 'fields',
+  FieldDefinition: 'arguments',
+  DirectiveDefinition: 'arguments',
+};
+
+/**
+ * Sorts nodes by name, keeping the order of nodes with equal names, and of
+ * fragments, which are placed last.
+ */
+function sortByName(nodes) {
+  return nodes
+    .map((node, index) => ({ node, index, name: getSortName(node) }))
+    .sort((a, b) => compareNames(a.name, b.name) || a.index - b.index)
+    .map(entry => entry.node);
+}
+
+function getSortName(node) {
+  switch (node.kind) {
+    case 'FragmentSpread':
+    case 'InlineFragment':
+    case 'Error':
+      return null;
+    case 'Field':
+      return (node.alias || node.name).value;
+  }
+  return node.name.value;
+}
+
+function compareNames(a, b) {
+  return a === b ? 0 :
+    a === null ? 1 :
+    b === null ? -1 :
+    a < b ? -1 : 1;
 }
@@ -0,0 +1,131 @@
+/**
+ * Copyright (c) 2017, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ */
+
+import { $$asyncIterator } from 'iterall';
+
+type Listener = (payload: mixed) => void;
+
+/**
+ * An in-memory publish/subscribe system, suitable for the `subscribe`
+ * function of subscription fields in a single process:
+ *
+ *     const pubsub = new PubSub();
+ *
+ *     const SubscriptionType = new GraphQLObjectType({
+ *       name: 'Subscription',
+ *       fields: {
+ *         messageAdded: {
+ *           type: MessageType,
+ *           subscribe: () => pubsub.asyncIterator('MESSAGE_ADDED'),
+ *         }
+ *       }
+ *     });
+ *
+ *     pubsub.publish('MESSAGE_ADDED', { messageAdded: message });
+ *
+ * Each AsyncIterator buffers the payloads published to its topics until they
+ * are read, and stops listening once it is closed with return() or throw().
+ */
+export class PubSub {
+  _listeners: {[topic: string]: Array<Listener>};
+
+  constructor(): void {
+    this._listeners = Object.create(null);
+  }
+
+  /**
+   * Publishes a payload to every AsyncIterator listening to the topic, and
+   * returns whether there were any.
+   */
+  publish(topic: string, payload: mixed): boolean {
+    const listeners = this._listeners[topic];
+    if (!listeners) {
+      return false;
+    }
+    // Copy, as a listener may be removed while publishing.
+    listeners.slice().forEach(listener => listener(payload));
+    return true;
+  }
+
+  /**
+   * Returns an AsyncIterator of the payloads published to one or more topics
+   * from now on.
+   */
+  asyncIterator(topics: string | Array<string>): AsyncIterator<mixed> {
+    const topicList = Array.isArray(topics) ? topics : [ topics ];
+    const pullQueue = [];
+    const pushQueue = [];
+    let listening = true;
+
+    const pushValue = payload => {
+      if (pullQueue.length !== 0) {
+        pullQueue.shift()({ value: payload, done: false });
+      } else {
+        pushQueue.push(payload);
+      }
+    };
+
+    const pullValue = () => new Promise(resolve => {
+      if (pushQueue.length !== 0) {
+        resolve({ value: pushQueue.shift(), done: false });
+      } else {
+        pullQueue.push(resolve);
+      }
+    });
+
+    const emptyQueue = () => {
+      if (listening) {
+        listening = false;
+        topicList.forEach(topic => this._removeListener(topic, pushValue));
+        pullQueue.forEach(resolve => resolve({ value: undefined, done: true }));
+        pullQueue.length = 0;
+        pushQueue.length = 0;
+      }
+    };
+
+    topicList.forEach(topic => this._addListener(topic, pushValue));
+
+    return {
+      next() {
+        return listening ?
+          pullValue() :
+          Promise.resolve({ value: undefined, done: true });
+      },
+      return() {
+        emptyQueue();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      throw(error) {
+        emptyQueue();
+        return Promise.reject(error);
+      },
+      [$$asyncIterator]() {
+        return this;
+      },
+    };
+  }
+
+  _addListener(topic: string, listener: Listener): void {
+    const listeners = this._listeners[topic] || (this._listeners[topic] = []);
+    listeners.push(listener);
+  }
+
+  _removeListener(topic: string, listener: Listener): void {
+    const listeners = this._listeners[topic];
+    const index = listeners ? listeners.indexOf(listener) : -1;
+    if (index !== -1) {
+      listeners.splice(index, 1);
+      if (listeners.length === 0) {
+        delete this._listeners[topic];
+      }
+    }
+  }
+}
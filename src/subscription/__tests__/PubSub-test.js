@@ -0,0 +1,141 @@
+/**
+ *  Copyright (c) 2017, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { PubSub } from '../PubSub';
+import { subscribe } from '../subscribe';
+import { parse } from '../../language';
+import {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLString,
+} from '../../type';
+
+describe('PubSub', () => {
+
+  it('delivers published payloads in order', async () => {
+    const pubsub = new PubSub();
+    const iterator = pubsub.asyncIterator('topic');
+
+    // Queue up publishes
+    expect(pubsub.publish('topic', 'Apple')).to.equal(true);
+    expect(pubsub.publish('topic', 'Banana')).to.equal(true);
+
+    expect(await iterator.next()).to.deep.equal(
+      { done: false, value: 'Apple' }
+    );
+    expect(await iterator.next()).to.deep.equal(
+      { done: false, value: 'Banana' }
+    );
+
+    // Read ahead
+    const i3 = iterator.next();
+    const i4 = iterator.next();
+
+    pubsub.publish('topic', 'Coconut');
+    pubsub.publish('topic', 'Durian');
+
+    expect(await i4).to.deep.equal({ done: false, value: 'Durian' });
+    expect(await i3).to.deep.equal({ done: false, value: 'Coconut' });
+  });
+
+  it('only delivers payloads of the subscribed topics', async () => {
+    const pubsub = new PubSub();
+    const one = pubsub.asyncIterator('one');
+    const both = pubsub.asyncIterator([ 'one', 'two' ]);
+
+    expect(pubsub.publish('two', 2)).to.equal(true);
+    expect(pubsub.publish('one', 1)).to.equal(true);
+    expect(pubsub.publish('three', 3)).to.equal(false);
+
+    expect(await one.next()).to.deep.equal({ done: false, value: 1 });
+    expect(await both.next()).to.deep.equal({ done: false, value: 2 });
+    expect(await both.next()).to.deep.equal({ done: false, value: 1 });
+  });
+
+  it('stops listening when returned', async () => {
+    const pubsub = new PubSub();
+    const iterator = pubsub.asyncIterator([ 'one', 'two' ]);
+    const other = pubsub.asyncIterator('one');
+
+    // Read ahead
+    const pending = iterator.next();
+
+    expect(await iterator.return()).to.deep.equal(
+      { done: true, value: undefined }
+    );
+
+    // The pending read completes, and no listener is left behind.
+    expect(await pending).to.deep.equal({ done: true, value: undefined });
+    expect(pubsub.publish('two', 'Fig')).to.equal(false);
+    expect(Object.keys(pubsub._listeners)).to.deep.equal([ 'one' ]);
+
+    expect(pubsub.publish('one', 'Grape')).to.equal(true);
+    expect(await iterator.next()).to.deep.equal(
+      { done: true, value: undefined }
+    );
+    expect(await other.next()).to.deep.equal(
+      { done: false, value: 'Grape' }
+    );
+  });
+
+  it('stops listening when thrown', async () => {
+    const pubsub = new PubSub();
+    const iterator = pubsub.asyncIterator('topic');
+
+    let caughtError;
+    try {
+      await iterator.throw(new Error('ouch'));
+    } catch (error) {
+      caughtError = error;
+    }
+    expect(caughtError).to.be.an('error');
+    expect(pubsub.publish('topic', 'Fig')).to.equal(false);
+    expect(await iterator.next()).to.deep.equal(
+      { done: true, value: undefined }
+    );
+  });
+
+  it('can be used to implement subscription fields', async () => {
+    const pubsub = new PubSub();
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: { field: { type: GraphQLString } },
+      }),
+      subscription: new GraphQLObjectType({
+        name: 'Subscription',
+        fields: {
+          messageAdded: {
+            type: GraphQLString,
+            subscribe: () => pubsub.asyncIterator('MESSAGE_ADDED'),
+          },
+        },
+      }),
+    });
+
+    const subscription = subscribe(
+      schema,
+      parse('subscription { messageAdded }')
+    );
+    const payload = subscription.next();
+    pubsub.publish('MESSAGE_ADDED', { messageAdded: 'Hello' });
+
+    expect(await payload).to.deep.equal({
+      done: false,
+      value: { data: { messageAdded: 'Hello' } },
+    });
+
+    // Closing the subscription stops listening to the topic.
+    await subscription.return();
+    expect(pubsub.publish('MESSAGE_ADDED', {})).to.equal(false);
+  });
+
+});
@@ -11,6 +11,7 @@
 
 import { expect } from 'chai';
 import { describe, it } from 'mocha';
+import { $$asyncIterator } from 'iterall';
 import mapAsyncIterator from '../mapAsyncIterator';
 
 describe('mapAsyncIterator', () => {
@@ -251,4 +252,81 @@ describe('mapAsyncIterator', () => {
     });
   });
 
+  function sourceWithoutReturn() {
+    const values = [ 1, 2, 3 ];
+    let nextCalls = 0;
+    return {
+      nextCalls: () => nextCalls,
+      iterator: ({
+        next() {
+          nextCalls++;
+          return Promise.resolve(
+            values.length !== 0 ?
+              { value: values.shift(), done: false } :
+              { value: undefined, done: true }
+          );
+        },
+        [$$asyncIterator]() {
+          return this;
+        },
+      }: any),
+    };
+  }
+
+  it('stops reading a source without return() once returned', async () => {
+    const source = sourceWithoutReturn();
+    const doubles = mapAsyncIterator(source.iterator, x => x + x);
+
+    expect(
+      await doubles.next()
+    ).to.deep.equal({ value: 2, done: false });
+
+    expect(
+      await doubles.return()
+    ).to.deep.equal({ value: undefined, done: true });
+
+    expect(
+      await doubles.next()
+    ).to.deep.equal({ value: undefined, done: true });
+    expect(source.nextCalls()).to.equal(1);
+  });
+
+  it('stops reading a source without return() once thrown', async () => {
+    const source = sourceWithoutReturn();
+    const doubles = mapAsyncIterator(source.iterator, x => x + x);
+
+    let caughtError;
+    try {
+      await doubles.throw('ouch');
+    } catch (e) {
+      caughtError = e;
+    }
+    expect(caughtError).to.equal('ouch');
+
+    expect(
+      await doubles.next()
+    ).to.deep.equal({ value: undefined, done: true });
+    expect(source.nextCalls()).to.equal(0);
+  });
+
+  it('stops reading a source without return() if mapper throws', async () => {
+    const source = sourceWithoutReturn();
+    const throwing = mapAsyncIterator(source.iterator, () => {
+      throw new Error('Cannot map');
+    });
+
+    let caughtError;
+    try {
+      await throwing.next();
+    } catch (e) {
+      caughtError = e;
+    }
+    expect(caughtError && caughtError.message).to.equal('Cannot map');
+
+    expect(
+      await throwing.next()
+    ).to.deep.equal({ value: undefined, done: true });
+    expect(source.nextCalls()).to.equal(1);
+  });
+
 });
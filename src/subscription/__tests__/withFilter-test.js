@@ -0,0 +1,187 @@
+/**
+ *  Copyright (c) 2017, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { PubSub } from '../PubSub';
+import { withFilter } from '../withFilter';
+import { subscribe } from '../subscribe';
+import { parse } from '../../language';
+import {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLString,
+} from '../../type';
+
+describe('withFilter', () => {
+
+  it('only produces the payloads the filter is true for', async () => {
+    const pubsub = new PubSub();
+    const subscribeFn = withFilter(
+      () => pubsub.asyncIterator('topic'),
+      (payload, args) => payload % args.divisor === 0
+    );
+    const iterator = subscribeFn(null, { divisor: 3 }, null, ({}: any));
+
+    [ 1, 2, 3, 4, 5, 6 ].forEach(value => pubsub.publish('topic', value));
+
+    expect(await iterator.next()).to.deep.equal({ done: false, value: 3 });
+    expect(await iterator.next()).to.deep.equal({ done: false, value: 6 });
+  });
+
+  it('supports asynchronous filters', async () => {
+    const pubsub = new PubSub();
+    const iterator = withFilter(
+      () => pubsub.asyncIterator('topic'),
+      async payload => payload !== 'skip'
+    )(null, {}, null, ({}: any));
+
+    pubsub.publish('topic', 'skip');
+    pubsub.publish('topic', 'keep');
+
+    expect(await iterator.next()).to.deep.equal(
+      { done: false, value: 'keep' }
+    );
+  });
+
+  it('supports a Promise of an AsyncIterable', async () => {
+    const pubsub = new PubSub();
+    let subscribed;
+    const iterator = withFilter(
+      () => new Promise(resolve => {
+        subscribed = () => resolve(pubsub.asyncIterator('topic'));
+      }),
+      payload => payload !== 'skip'
+    )(null, {}, null, ({}: any));
+
+    const next = iterator.next();
+    expect(pubsub.publish('topic', 'missed')).to.equal(false);
+    subscribed();
+    await Promise.resolve();
+
+    pubsub.publish('topic', 'skip');
+    pubsub.publish('topic', 'keep');
+    expect(await next).to.deep.equal({ done: false, value: 'keep' });
+
+    expect(await iterator.return()).to.deep.equal(
+      { done: true, value: undefined }
+    );
+    expect(pubsub.publish('topic', 'Fig')).to.equal(false);
+  });
+
+  it('reports a rejected Promise of an AsyncIterable when called', async () => {
+    const unhandledRejections = [];
+    const onUnhandledRejection = error => unhandledRejections.push(error);
+    process.on('unhandledRejection', onUnhandledRejection);
+
+    const iterator = withFilter(
+      () => Promise.reject(new Error('Subscribe failed')),
+      () => true
+    )(null, {}, null, ({}: any));
+
+    try {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    } finally {
+      process.removeListener('unhandledRejection', onUnhandledRejection);
+    }
+    expect(unhandledRejections).to.deep.equal([]);
+
+    const rejectionMessage = promise => promise.then(
+      () => null,
+      error => error.message
+    );
+    expect(await rejectionMessage(iterator.next())).to.equal(
+      'Subscribe failed'
+    );
+    expect(await rejectionMessage(iterator.return())).to.equal(
+      'Subscribe failed'
+    );
+    const thrown = iterator.throw(new Error('Closed'));
+    expect(await rejectionMessage(thrown)).to.equal('Subscribe failed');
+  });
+
+  it('closes the source when returned', async () => {
+    const pubsub = new PubSub();
+    const iterator = withFilter(
+      () => pubsub.asyncIterator('topic'),
+      () => true
+    )(null, {}, null, ({}: any));
+
+    expect(await iterator.return()).to.deep.equal(
+      { done: true, value: undefined }
+    );
+    expect(pubsub.publish('topic', 'Fig')).to.equal(false);
+    expect(await iterator.next()).to.deep.equal(
+      { done: true, value: undefined }
+    );
+  });
+
+  it('closes the source when the filter throws', async () => {
+    const pubsub = new PubSub();
+    const iterator = withFilter(
+      () => pubsub.asyncIterator('topic'),
+      () => {
+        throw new Error('Filter failed');
+      }
+    )(null, {}, null, ({}: any));
+
+    pubsub.publish('topic', 'Fig');
+
+    let caughtError;
+    try {
+      await iterator.next();
+    } catch (error) {
+      caughtError = error;
+    }
+    expect(caughtError).to.be.an('error');
+    expect(caughtError && caughtError.message).to.equal('Filter failed');
+    expect(pubsub.publish('topic', 'Grape')).to.equal(false);
+  });
+
+  it('filters the events of a subscription field', async () => {
+    const pubsub = new PubSub();
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: { field: { type: GraphQLString } },
+      }),
+      subscription: new GraphQLObjectType({
+        name: 'Subscription',
+        fields: {
+          messageAdded: {
+            type: GraphQLString,
+            args: { channel: { type: GraphQLString } },
+            subscribe: withFilter(
+              () => pubsub.asyncIterator('MESSAGE_ADDED'),
+              (payload, args) => payload.channel === args.channel
+            ),
+            resolve: payload => payload.text,
+          },
+        },
+      }),
+    });
+
+    const subscription = subscribe(
+      schema,
+      parse('subscription { messageAdded(channel: "news") }')
+    );
+    const payload = subscription.next();
+    pubsub.publish('MESSAGE_ADDED', { channel: 'sports', text: 'Goal' });
+    pubsub.publish('MESSAGE_ADDED', { channel: 'news', text: 'Hello' });
+
+    expect(await payload).to.deep.equal({
+      done: false,
+      value: { data: { messageAdded: 'Hello' } },
+    });
+
+    await subscription.return();
+    expect(pubsub.publish('MESSAGE_ADDED', {})).to.equal(false);
+  });
+
+});
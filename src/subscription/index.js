@@ -1 +1,4 @@
 export { subscribe, createSourceEventStream } from './subscribe';
+export { PubSub } from './PubSub';
+export { withFilter } from './withFilter';
+export type { SubscriptionFilter } from './withFilter';
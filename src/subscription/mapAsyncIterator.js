@@ -14,20 +14,31 @@ import { $$asyncIterator, getAsyncIterator } from 'iterall';
 /**
  * Given an AsyncIterable and a callback function, return an AsyncIterator
  * which produces values mapped via calling the callback function.
+ *
+ * Calls to return() and throw() are passed through to the source iterator, so
+ * that it may release its resources. A source which cannot be told to close is
+ * no longer read from once the returned iterator has been closed.
  */
 export default function mapAsyncIterator<T, U>(
   iterable: AsyncIterable<T>,
   callback: (value: T) => Promise<U> | U
 ): AsyncGenerator<U, void, void> {
   const iterator = getAsyncIterator(iterable);
-  let $return;
-  let abruptClose;
-  if (typeof iterator.return === 'function') {
-    $return = iterator.return;
-    abruptClose = error => {
-      const rethrow = () => Promise.reject(error);
+  const $return = typeof iterator.return === 'function' ?
+    iterator.return :
+    null;
+
+  // Only tracked for sources without a return() method, as any other source
+  // decides for itself what to produce once closed.
+  let closed = false;
+
+  function abruptClose(error) {
+    const rethrow = () => Promise.reject(error);
+    if ($return) {
       return $return.call(iterator).then(rethrow, rethrow);
-    };
+    }
+    closed = true;
+    return rethrow();
   }
 
   function mapResult(result) {
@@ -38,18 +49,22 @@ export default function mapAsyncIterator<T, U>(
 
   return {
     next() {
-      return iterator.next().then(mapResult);
+      return closed ?
+        Promise.resolve({ value: undefined, done: true }) :
+        iterator.next().then(mapResult);
     },
     return() {
-      return $return ?
-        $return.call(iterator).then(mapResult) :
-        Promise.resolve({ value: undefined, done: true });
+      if ($return) {
+        return $return.call(iterator).then(mapResult);
+      }
+      closed = true;
+      return Promise.resolve({ value: undefined, done: true });
     },
     throw(error) {
       if (typeof iterator.throw === 'function') {
         return iterator.throw(error).then(mapResult);
       }
-      return Promise.reject(error).catch(abruptClose);
+      return abruptClose(error);
     },
     [$$asyncIterator]() {
       return this;
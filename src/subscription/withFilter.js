@@ -0,0 +1,119 @@
+/**
+ * Copyright (c) 2017, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ */
+
+import { $$asyncIterator, getAsyncIterator } from 'iterall';
+import type { GraphQLResolveInfo } from '../type/definition';
+
+export type SubscriptionFilter<TContext> = (
+  payload: mixed,
+  args: {[argName: string]: mixed},
+  context: TContext,
+  info: GraphQLResolveInfo
+) => boolean | Promise<boolean>;
+
+/**
+ * Wraps the `subscribe` function of a subscription field, so that the events
+ * of the AsyncIterable it returns are only delivered when the filter function
+ * is true for them:
+ *
+ *     subscribe: withFilter(
+ *       () => pubsub.asyncIterator('MESSAGE_ADDED'),
+ *       (payload, args) => payload.messageAdded.channel === args.channel
+ *     )
+ *
+ * The wrapped function may also return a Promise of an AsyncIterable, whose
+ * events are delivered once it resolves. The filter is called with the event
+ * payload followed by the arguments, context and resolve info of the
+ * subscription field, and may return a Promise. Closing the returned
+ * AsyncIterator closes the wrapped one.
+ */
+export function withFilter<TSource, TContext>(
+  subscribe: (
+    source: TSource,
+    args: {[argName: string]: mixed},
+    context: TContext,
+    info: GraphQLResolveInfo
+  ) => AsyncIterable<mixed> | Promise<AsyncIterable<mixed>>,
+  filter: SubscriptionFilter<TContext>
+): (
+  source: TSource,
+  args: {[argName: string]: mixed},
+  context: TContext,
+  info: GraphQLResolveInfo
+) => AsyncIterator<mixed> {
+  return (source, args, context, info) => filterAsyncIterator(
+    subscribe(source, args, context, info),
+    payload => filter(payload, args, context, info)
+  );
+}
+
+/**
+ * Given an AsyncIterable, or a Promise of one, and a predicate, return an
+ * AsyncIterator which only produces the values the predicate is true for.
+ */
+function filterAsyncIterator<T>(
+  iterable: AsyncIterable<T> | Promise<AsyncIterable<T>>,
+  predicate: (value: T) => boolean | Promise<boolean>
+): AsyncGenerator<T, void, void> {
+  // An AsyncIterable which is already available is iterated immediately, so
+  // that no events are missed while waiting for the first call to next().
+  const iteratorPromise: Promise<AsyncIterator<T>> =
+    typeof (iterable: any).then === 'function' ?
+      (iterable: any).then(getAsyncIterator) :
+      Promise.resolve(getAsyncIterator((iterable: any)));
+  // A rejected Promise of an AsyncIterable is reported by the calls to the
+  // returned AsyncIterator, so it is not left unhandled until the first one.
+  iteratorPromise.catch(() => {});
+
+  function abruptClose(error) {
+    const rethrow = () => Promise.reject(error);
+    return iteratorPromise.then(iterator =>
+      typeof iterator.return === 'function' ?
+        iterator.return().then(rethrow, rethrow) :
+        rethrow()
+    );
+  }
+
+  function nextMatch() {
+    return iteratorPromise.then(iterator => iterator.next()).then(result => {
+      if (result.done) {
+        return result;
+      }
+      return new Promise(resolve => resolve(predicate(result.value))).then(
+        isMatch => (isMatch ? result : nextMatch()),
+        abruptClose
+      );
+    });
+  }
+
+  return {
+    next() {
+      return nextMatch();
+    },
+    return() {
+      return iteratorPromise.then(iterator =>
+        typeof iterator.return === 'function' ?
+          iterator.return() :
+          { value: undefined, done: true }
+      );
+    },
+    throw(error) {
+      return iteratorPromise.then(iterator =>
+        typeof iterator.throw === 'function' ?
+          iterator.throw(error) :
+          abruptClose(error)
+      );
+    },
+    [$$asyncIterator]() {
+      return this;
+    },
+  };
+}
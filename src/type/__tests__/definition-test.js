@@ -18,7 +18,8 @@ import {
   GraphQLNonNull,
   GraphQLInt,
   GraphQLString,
-  GraphQLBoolean
+  GraphQLBoolean,
+  validateSchema,
 } from '../';
 
 import { describe, it } from 'mocha';
@@ -182,6 +183,7 @@ describe('Type System: Example', () => {
       deprecationReason: 'Just because',
       value: 'foo',
       astNode: undefined,
+      appliedDirectives: [],
     });
   });
 
@@ -202,6 +204,7 @@ describe('Type System: Example', () => {
         deprecationReason: undefined,
         value: null,
         astNode: undefined,
+        appliedDirectives: [],
       },
       {
         name: 'UNDEFINED',
@@ -210,6 +213,7 @@ describe('Type System: Example', () => {
         deprecationReason: undefined,
         value: undefined,
         astNode: undefined,
+        appliedDirectives: [],
       },
     ]);
   });
@@ -230,7 +234,8 @@ describe('Type System: Example', () => {
       deprecationReason: 'A terrible reason',
       isDeprecated: true,
       name: 'bar',
-      args: []
+      args: [],
+      appliedDirectives: [],
     });
   });
 
@@ -396,21 +401,33 @@ describe('Type System: Example', () => {
   });
 
   it('prohibits putting non-Object types in unions', () => {
+    const SomeInterface = new GraphQLInterfaceType({
+      name: 'SomeInterface',
+      fields: { f: { type: GraphQLString } },
+    });
+    const SomeInputObject = new GraphQLInputObjectType({
+      name: 'SomeInputObject',
+      fields: { f: { type: GraphQLString } },
+    });
     const badUnionTypes = [
       GraphQLInt,
       new GraphQLNonNull(GraphQLInt),
       new GraphQLList(GraphQLInt),
-      InterfaceType,
-      UnionType,
+      SomeInterface,
       EnumType,
-      InputObjectType
+      SomeInputObject
     ];
     badUnionTypes.forEach(x => {
-      expect(() =>
-        new GraphQLUnionType({ name: 'BadUnion', types: [ x ] }).getTypes()
-      ).to.throw(
+      const BadUnion = new GraphQLUnionType({ name: 'BadUnion', types: [ x ] });
+      const schema = new GraphQLSchema({
+        query: new GraphQLObjectType({
+          name: 'Query',
+          fields: { badUnion: { type: BadUnion } },
+        }),
+      });
+      expect(validateSchema(schema).map(error => error.message)).to.deep.equal([
         `BadUnion may only contain Object types, it cannot contain: ${x}.`
-      );
+      ]);
     });
   });
 
@@ -13,14 +13,21 @@ import { describe, it } from 'mocha';
 import {
   missingFieldArgMessage
 } from '../../validation/rules/ProvidedNonNullArguments';
+import {
+  undefinedFieldMessage
+} from '../../validation/rules/FieldsOnCorrectType';
 import {
   graphql,
   GraphQLSchema,
   GraphQLObjectType,
   GraphQLList,
+  GraphQLNonNull,
   GraphQLInputObjectType,
   GraphQLString,
+  GraphQLInt,
   GraphQLEnumType,
+  GraphQLDirective,
+  specifiedDirectives,
 } from '../../';
 
 import { introspectionQuery } from '../../utilities/introspectionQuery';
@@ -302,6 +309,17 @@ describe('Introspection', () => {
                   isDeprecated: false,
                   deprecationReason: null
                 },
+                {
+                  name: 'isOneOf',
+                  args: [],
+                  type: {
+                    kind: 'SCALAR',
+                    name: 'Boolean',
+                    ofType: null
+                  },
+                  isDeprecated: false,
+                  deprecationReason: null
+                },
                 {
                   name: 'ofType',
                   args: [],
@@ -684,6 +702,21 @@ describe('Introspection', () => {
                   isDeprecated: false,
                   deprecationReason: null
                 },
+                {
+                  name: 'isRepeatable',
+                  args: [],
+                  type: {
+                    kind: 'NON_NULL',
+                    name: null,
+                    ofType: {
+                      kind: 'SCALAR',
+                      name: 'Boolean',
+                      ofType: null,
+                    },
+                  },
+                  isDeprecated: false,
+                  deprecationReason: null
+                },
                 {
                   name: 'onOperation',
                   args: [],
@@ -1357,4 +1390,168 @@ describe('Introspection', () => {
     });
   });
 
+  it('exposes whether input objects are OneOf', async () => {
+    const OneOfInput = new GraphQLInputObjectType({
+      name: 'OneOfInput',
+      isOneOf: true,
+      fields: {
+        a: { type: GraphQLString },
+        b: { type: GraphQLString },
+      },
+    });
+    const OtherInput = new GraphQLInputObjectType({
+      name: 'OtherInput',
+      fields: {
+        a: { type: GraphQLString },
+      },
+    });
+    const QueryRoot = new GraphQLObjectType({
+      name: 'QueryRoot',
+      fields: {
+        onlyField: {
+          type: GraphQLString,
+          args: {
+            oneOf: { type: OneOfInput },
+            other: { type: OtherInput },
+          },
+        },
+      },
+    });
+
+    const schema = new GraphQLSchema({ query: QueryRoot });
+    const request = `
+      {
+        oneOfInput: __type(name: "OneOfInput") { isOneOf }
+        otherInput: __type(name: "OtherInput") { isOneOf }
+        queryRoot: __type(name: "QueryRoot") { isOneOf }
+      }
+    `;
+
+    return expect(
+      await graphql(schema, request)
+    ).to.deep.equal({
+      data: {
+        oneOfInput: { isOneOf: true },
+        otherInput: { isOneOf: false },
+        queryRoot: { isOneOf: null },
+      }
+    });
+  });
+
+  it('exposes applied directives when the schema opts into it', async () => {
+    const TagDirective = new GraphQLDirective({
+      name: 'tag',
+      locations: [ 'OBJECT', 'FIELD_DEFINITION', 'ARGUMENT_DEFINITION' ],
+      args: {
+        name: { type: new GraphQLNonNull(GraphQLString) },
+        weight: { type: GraphQLInt },
+      },
+      isRepeatable: true,
+    });
+    const QueryRoot = new GraphQLObjectType({
+      name: 'QueryRoot',
+      appliedDirectives: [
+        { name: 'tag', args: { name: 'root' } },
+        { name: 'undefined', args: {} },
+      ],
+      fields: {
+        onlyField: {
+          type: GraphQLString,
+          args: {
+            arg: {
+              type: GraphQLString,
+              appliedDirectives: [ { name: 'tag', args: { name: 'arg' } } ],
+            },
+          },
+          appliedDirectives: [
+            { name: 'tag', args: { name: 'field', weight: 2 } },
+          ],
+        },
+      },
+    });
+    const directives = specifiedDirectives.concat([ TagDirective ]);
+
+    const request = `
+      {
+        __type(name: "QueryRoot") {
+          appliedDirectives { name, args { name, value } }
+          fields {
+            appliedDirectives { name, args { name, value } }
+            args {
+              appliedDirectives { name, args { name, value } }
+            }
+          }
+        }
+      }
+    `;
+
+    const exposingSchema = new GraphQLSchema({
+      query: QueryRoot,
+      directives,
+      exposeAppliedDirectives: true,
+    });
+    expect(await graphql(exposingSchema, request)).to.deep.equal({
+      data: {
+        __type: {
+          appliedDirectives: [
+            { name: 'tag', args: [ { name: 'name', value: '"root"' } ] },
+          ],
+          fields: [
+            {
+              appliedDirectives: [
+                {
+                  name: 'tag',
+                  args: [
+                    { name: 'name', value: '"field"' },
+                    { name: 'weight', value: '2' },
+                  ],
+                },
+              ],
+              args: [
+                {
+                  appliedDirectives: [
+                    { name: 'tag', args: [ { name: 'name', value: '"arg"' } ] },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      },
+    });
+  });
+
+  it('does not expose applied directives by default', async () => {
+    const QueryRoot = new GraphQLObjectType({
+      name: 'QueryRoot',
+      appliedDirectives: [ { name: 'deprecated', args: {} } ],
+      fields: {
+        onlyField: { type: GraphQLString }
+      }
+    });
+
+    const schema = new GraphQLSchema({ query: QueryRoot });
+    const request = `
+      {
+        __type(name: "QueryRoot") {
+          appliedDirectives { name }
+        }
+      }
+    `;
+
+    expect(await graphql(schema, request)).to.containSubset({
+      errors: [
+        { message: undefinedFieldMessage(
+            'appliedDirectives',
+            '__Type',
+            [],
+            []
+          ),
+          locations: [ { line: 4, column: 11 } ] }
+      ]
+    });
+    expect(schema.getType('__AppliedDirective')).to.equal(undefined);
+    expect(schema.getType('__AppliedDirectiveArgument')).to.equal(undefined);
+  });
+
 });
@@ -0,0 +1,324 @@
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLInputObjectType,
+  GraphQLString,
+  validateSchema,
+  assertValidSchema,
+  buildSchema,
+  buildASTSchema,
+  concatAST,
+  Source,
+  execute,
+  validate,
+  parse,
+} from '../../';
+
+function validationErrors(sdl) {
+  return validateSchema(buildSchema(sdl)).map(error => ({
+    message: error.message,
+    locations: error.locations,
+  }));
+}
+
+describe('Type System: validateSchema', () => {
+
+  it('accepts a valid schema', () => {
+    expect(validationErrors(`
+      interface Node { id: ID! }
+      type Query implements Node {
+        id: ID!
+        node(id: ID!): Node
+      }
+    `)).to.deep.equal([]);
+  });
+
+  it('reports all errors of a schema built from SDL at once', () => {
+    expect(validationErrors(`
+      type Query {
+        field: SomeInput
+        other: String
+      }
+
+      input SomeInput {
+        query: Query
+      }
+
+      type Impl implements Query {
+        field: String
+      }
+    `)).to.deep.equal([
+      {
+        message: 'Query.field field type must be Output Type but got: ' +
+          'SomeInput.',
+        locations: [ { line: 3, column: 16 } ],
+      },
+      {
+        message: 'SomeInput.query field type must be Input Type but got: ' +
+          'Query.',
+        locations: [ { line: 8, column: 16 } ],
+      },
+      {
+        message: 'Impl may only implement Interface types, it cannot ' +
+          'implement: Query.',
+        locations: [ { line: 11, column: 28 } ],
+      },
+    ]);
+  });
+
+  it('reports incorrect interface implementations with locations', () => {
+    expect(validationErrors(`
+      interface Node {
+        id: ID!
+        name(short: Boolean): String
+      }
+
+      type Query implements Node {
+        id: String
+        name: String
+      }
+    `)).to.deep.equal([
+      {
+        message: 'Node.id expects type "ID!" but Query.id provides type ' +
+          '"String".',
+        locations: [ { line: 3, column: 13 }, { line: 8, column: 13 } ],
+      },
+      {
+        message: 'Node.name expects argument "short" but Query.name does ' +
+          'not provide it.',
+        locations: [ { line: 4, column: 14 }, { line: 9, column: 9 } ],
+      },
+    ]);
+  });
+
+  it('accepts interfaces implementing interfaces', () => {
+    expect(validationErrors(`
+      interface Node { id: ID! }
+      interface Resource implements Node { id: ID!, url: String }
+      interface Image implements Resource, Node {
+        id: ID!
+        url: String
+        width: Int
+      }
+      type Query implements Image, Resource, Node {
+        id: ID!
+        url: String
+        width: Int
+      }
+    `)).to.deep.equal([]);
+  });
+
+  it('reports interfaces implemented only transitively', () => {
+    expect(validationErrors(`
+      interface Node { id: ID! }
+      interface Resource implements Node { id: ID! }
+      type Query implements Resource { id: ID! }
+    `)).to.deep.equal([
+      {
+        message: 'Query must implement Node because it is implemented by ' +
+          'Resource.',
+        locations: [ { line: 3, column: 37 }, { line: 4, column: 29 } ],
+      },
+    ]);
+  });
+
+  it('reports incorrect interface implementations by an interface', () => {
+    expect(validationErrors(`
+      type Query { field: Resource }
+      interface Node { id: ID! }
+      interface Resource implements Node { id: String }
+    `)).to.deep.equal([
+      {
+        message: 'Node.id expects type "ID!" but Resource.id provides type ' +
+          '"String".',
+        locations: [ { line: 3, column: 28 }, { line: 4, column: 48 } ],
+      },
+    ]);
+  });
+
+  it('reports interfaces implementing themselves or each other', () => {
+    expect(validationErrors(`
+      type Query { field: A }
+      interface A implements B { id: ID }
+      interface B implements A { id: ID }
+      interface C implements C { id: ID }
+    `)).to.deep.equal([
+      {
+        message: 'A cannot implement B because it would create a circular ' +
+          'reference.',
+        locations: [ { line: 4, column: 30 }, { line: 3, column: 30 } ],
+      },
+      {
+        message: 'B cannot implement A because it would create a circular ' +
+          'reference.',
+        locations: [ { line: 3, column: 30 }, { line: 4, column: 30 } ],
+      },
+      {
+        message: 'C cannot implement itself.',
+        locations: [ { line: 5, column: 30 } ],
+      },
+    ]);
+  });
+
+  it('reports duplicate definitions', () => {
+    expect(validationErrors(`
+      type Query {
+        field: String
+        field: Int
+        other(arg: String, arg: Int): String
+      }
+    `)).to.deep.equal([
+      {
+        message: 'Argument "Query.other(arg:)" can only be defined once.',
+        locations: [ { line: 5, column: 15 }, { line: 5, column: 28 } ],
+      },
+      {
+        message: 'Field "Query.field" can only be defined once.',
+        locations: [ { line: 3, column: 9 }, { line: 4, column: 9 } ],
+      },
+    ]);
+  });
+
+  it('reports duplicate types and bad field configs across files', () => {
+    const files = [
+      new Source(`
+        type Query {
+          book: Book
+          author: Author
+        }
+      `, 'query.graphql'),
+      new Source(`
+        type Book {
+          title: String
+        }
+
+        type Author {
+          name: String
+        }
+      `, 'book.graphql'),
+      new Source(`
+        type Book {
+          isbn: ID
+        }
+      `, 'isbn.graphql'),
+    ];
+    const schema = buildASTSchema(
+      concatAST(files.map(source => parse(source))),
+      {
+        resolvers: {
+          Book: {
+            title: { resolve: () => 'title', resolveBatch: () => [] },
+          },
+          Author: {
+            name: { resolve: 'name' },
+          },
+        },
+      }
+    );
+
+    expect(validateSchema(schema).map(error => ({
+      message: error.message,
+      files: error.nodes.map(node => node.loc.source.name),
+      locations: error.locations,
+    }))).to.deep.equal([
+      {
+        message: 'Schema must contain unique named types but contains ' +
+          'multiple types named "Book".',
+        files: [ 'book.graphql', 'isbn.graphql' ],
+        locations: [ { line: 2, column: 9 }, { line: 2, column: 9 } ],
+      },
+      {
+        message: 'Book.title may provide either "resolve" or ' +
+          '"resolveBatch", but not both.',
+        files: [ 'book.graphql' ],
+        locations: [ { line: 3, column: 11 } ],
+      },
+      {
+        message: 'Author.name field resolver must be a function if provided, ' +
+          'but got: name.',
+        files: [ 'book.graphql' ],
+        locations: [ { line: 7, column: 11 } ],
+      },
+    ]);
+  });
+
+  it('reports a root type which is not an Object type', () => {
+    expect(validationErrors(`
+      schema { query: Query }
+      interface Query { field: String }
+    `)).to.deep.equal([
+      {
+        message: 'Schema query must be Object Type but got: Query.',
+        locations: [ { line: 2, column: 23 } ],
+      },
+    ]);
+  });
+
+  it('reports OneOf input fields which are required or have defaults', () => {
+    expect(validationErrors(`
+      type Query { field(input: In): String }
+
+      input In @oneOf {
+        a: String!
+        b: Int = 1
+        c: String
+      }
+    `)).to.deep.equal([
+      {
+        message: 'OneOf input field In.a must be nullable.',
+        locations: [ { line: 5, column: 12 } ],
+      },
+      {
+        message: 'OneOf input field In.b cannot have a default value.',
+        locations: [ { line: 6, column: 18 } ],
+      },
+    ]);
+  });
+
+  it('caches the result on the schema', () => {
+    const schema = buildSchema('type Query { field: Query }');
+    expect(validateSchema(schema)).to.equal(validateSchema(schema));
+  });
+
+  it('asserts a schema is valid by throwing all of its errors', () => {
+    const schema = buildSchema(`
+      type Query { a: In, b: In }
+      input In { value: String }
+    `);
+    expect(() => assertValidSchema(schema)).to.throw(
+      'Query.a field type must be Output Type but got: In.\n\n' +
+      'Query.b field type must be Output Type but got: In.'
+    );
+  });
+
+  it('rejects an invalid schema before validating or executing', () => {
+    const SomeInput = new GraphQLInputObjectType({
+      name: 'SomeInput',
+      fields: { value: { type: GraphQLString } },
+    });
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: { field: { type: (SomeInput: any) } },
+      }),
+    });
+    const document = parse('{ field }');
+    const message =
+      'Query.field field type must be Output Type but got: SomeInput.';
+
+    expect(() => validate(schema, document)).to.throw(message);
+    expect(() => execute(schema, document)).to.throw(message);
+  });
+
+});
@@ -14,6 +14,7 @@ import { describe, it } from 'mocha';
 import { expect } from 'chai';
 import {
   GraphQLSchema,
+  assertValidSchema,
   GraphQLScalarType,
   GraphQLObjectType,
   GraphQLInterfaceType,
@@ -104,13 +105,15 @@ const notInputTypes = withModifiers([
 ]).concat(String);
 
 function schemaWithFieldType(type) {
-  return new GraphQLSchema({
+  const schema = new GraphQLSchema({
     query: new GraphQLObjectType({
       name: 'Query',
       fields: { f: { type } }
     }),
     types: [ type ],
   });
+  assertValidSchema(schema);
+  return schema;
 }
 
 
@@ -154,7 +157,7 @@ describe('Type System: A Schema must have Object root types', () => {
 
   it('rejects a Schema without a query type', () => {
     expect(
-      () => new GraphQLSchema({ })
+      () => assertValidSchema(new GraphQLSchema({ }))
     ).to.throw(
       'Schema query must be Object Type but got: undefined.'
     );
@@ -162,7 +165,7 @@ describe('Type System: A Schema must have Object root types', () => {
 
   it('rejects a Schema whose query type is an input type', () => {
     expect(
-      () => new GraphQLSchema({ query: SomeInputObjectType })
+      () => assertValidSchema(new GraphQLSchema({ query: SomeInputObjectType }))
     ).to.throw(
       'Schema query must be Object Type but got: SomeInputObject.'
     );
@@ -170,10 +173,10 @@ describe('Type System: A Schema must have Object root types', () => {
 
   it('rejects a Schema whose mutation type is an input type', () => {
     expect(
-      () => new GraphQLSchema({
+      () => assertValidSchema(new GraphQLSchema({
         query: SomeObjectType,
         mutation: SomeInputObjectType
-      })
+      }))
     ).to.throw(
       'Schema mutation must be Object Type if provided but got: SomeInputObject.'
     );
@@ -181,10 +184,10 @@ describe('Type System: A Schema must have Object root types', () => {
 
   it('rejects a Schema whose subscription type is an input type', () => {
     expect(
-      () => new GraphQLSchema({
+      () => assertValidSchema(new GraphQLSchema({
         query: SomeObjectType,
         subscription: SomeInputObjectType
-      })
+      }))
     ).to.throw(
       'Schema subscription must be Object Type if provided but got: SomeInputObject.'
     );
@@ -201,6 +204,17 @@ describe('Type System: A Schema must have Object root types', () => {
     );
   });
 
+  it('rejects a Schema whose field middleware are not functions', () => {
+    expect(
+      () => new GraphQLSchema({
+        query: SomeObjectType,
+        fieldMiddleware: [ 'somemiddleware' ]
+      })
+    ).to.throw(
+      'Schema field middleware must be an Array of functions if provided but got: somemiddleware.'
+    );
+  });
+
 });
 
 describe('Type System: A Schema must contain uniquely named types', () => {
@@ -220,7 +234,9 @@ describe('Type System: A Schema must contain uniquely named types', () => {
         }
       });
 
-      return new GraphQLSchema({ query: QueryType });
+      const schema = new GraphQLSchema({ query: QueryType });
+      assertValidSchema(schema);
+      return schema;
     }).to.throw(
       'Schema must contain unique named types but contains multiple types ' +
       'named "String".'
@@ -247,7 +263,9 @@ describe('Type System: A Schema must contain uniquely named types', () => {
         }
       });
 
-      return new GraphQLSchema({ query: QueryType });
+      const schema = new GraphQLSchema({ query: QueryType });
+      assertValidSchema(schema);
+      return schema;
     }).to.throw(
       'Schema must contain unique named types but contains multiple types ' +
       'named "SameName".'
@@ -281,10 +299,12 @@ describe('Type System: A Schema must contain uniquely named types', () => {
         }
       });
 
-      return new GraphQLSchema({
+      const schema = new GraphQLSchema({
         query: QueryType,
         types: [ FirstBadObject, SecondBadObject ]
       });
+      assertValidSchema(schema);
+      return schema;
     }).to.throw(
       'Schema must contain unique named types but contains multiple types ' +
       'named "BadObject".'
@@ -465,7 +485,9 @@ describe('Type System: Fields args must be properly named', () => {
             }
           }
         });
-        return new GraphQLSchema({ query: QueryType });
+        const schema = new GraphQLSchema({ query: QueryType });
+        assertValidSchema(schema);
+        return schema;
       }).to.throw(
       'Names must match /^[_a-zA-Z][_a-zA-Z0-9]*$/ but "bad-name-with-dashes" does not.'
     );
@@ -680,7 +702,7 @@ describe('Type System: Union types must be array', () => {
 describe('Type System: Input Objects must have fields', () => {
 
   function schemaWithInputObject(inputObjectType) {
-    return new GraphQLSchema({
+    const schema = new GraphQLSchema({
       query: new GraphQLObjectType({
         name: 'Query',
         fields: {
@@ -693,6 +715,8 @@ describe('Type System: Input Objects must have fields', () => {
         }
       })
     });
+    assertValidSchema(schema);
+    return schema;
   }
 
   it('accepts an Input Object type with fields', () => {
@@ -790,7 +814,7 @@ describe('Type System: Input Objects must have fields', () => {
 describe('Type System: Input Object fields must not have resolvers', () => {
 
   function schemaWithInputObject(inputObjectType) {
-    return new GraphQLSchema({
+    const schema = new GraphQLSchema({
       query: new GraphQLObjectType({
         name: 'Query',
         fields: {
@@ -803,6 +827,8 @@ describe('Type System: Input Object fields must not have resolvers', () => {
         }
       })
     });
+    assertValidSchema(schema);
+    return schema;
   }
 
   it('accepts an Input Object type with no resolver', () => {
@@ -1275,7 +1301,7 @@ describe('Type System: Object fields must have output types', () => {
       }
     });
 
-    return new GraphQLSchema({
+    const schema = new GraphQLSchema({
       query: new GraphQLObjectType({
         name: 'Query',
         fields: {
@@ -1283,6 +1309,8 @@ describe('Type System: Object fields must have output types', () => {
         }
       })
     });
+    assertValidSchema(schema);
+    return schema;
   }
 
   outputTypes.forEach(type => {
@@ -1321,7 +1349,7 @@ describe('Type System: Object fields must have valid resolve values', () => {
       }
     });
 
-    return new GraphQLSchema({
+    const schema = new GraphQLSchema({
       query: new GraphQLObjectType({
         name: 'Query',
         fields: {
@@ -1329,6 +1357,8 @@ describe('Type System: Object fields must have valid resolve values', () => {
         }
       })
     });
+    assertValidSchema(schema);
+    return schema;
   }
 
   it('accepts a lambda as an Object field resolver', () => {
@@ -1351,6 +1381,103 @@ describe('Type System: Object fields must have valid resolve values', () => {
 });
 
 
+describe('Type System: Object fields must have valid batch resolvers', () => {
+
+  function schemaWithObjectWithField(fieldConfig) {
+    const BadResolverType = new GraphQLObjectType({
+      name: 'BadResolver',
+      fields: {
+        badField: {
+          type: GraphQLString,
+          ...fieldConfig
+        }
+      }
+    });
+
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          f: { type: BadResolverType }
+        }
+      })
+    });
+    assertValidSchema(schema);
+    return schema;
+  }
+
+  it('accepts a lambda as an Object field batch resolver', () => {
+    expect(
+      () => schemaWithObjectWithField({ resolveBatch: sources => sources })
+    ).not.to.throw();
+  });
+
+  it('rejects a constant scalar value batch resolver', () => {
+    expect(() => schemaWithObjectWithField({ resolveBatch: 0 })).to.throw(
+      'BadResolver.badField field batch resolver must be a function if ' +
+      'provided, but got: 0.'
+    );
+  });
+
+  it('rejects a field with both a resolver and a batch resolver', () => {
+    expect(() => schemaWithObjectWithField({
+      resolve: () => null,
+      resolveBatch: sources => sources,
+    })).to.throw(
+      'BadResolver.badField may provide either "resolve" or "resolveBatch", ' +
+      'but not both.'
+    );
+  });
+});
+
+
+describe('Type System: Object fields must have valid costs', () => {
+
+  function schemaWithObjectWithField(fieldConfig) {
+    const BadCostType = new GraphQLObjectType({
+      name: 'BadCost',
+      fields: {
+        badField: {
+          type: GraphQLString,
+          ...fieldConfig
+        }
+      }
+    });
+
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          f: { type: BadCostType }
+        }
+      })
+    });
+    assertValidSchema(schema);
+    return schema;
+  }
+
+  it('accepts a numeric cost and an Array of cost multipliers', () => {
+    expect(
+      () => schemaWithObjectWithField({ cost: 2, costMultipliers: [ 'first' ] })
+    ).not.to.throw();
+  });
+
+  it('rejects a non-numeric cost', () => {
+    expect(() => schemaWithObjectWithField({ cost: 'high' })).to.throw(
+      'BadCost.badField field cost must be a number if provided, but got: high.'
+    );
+  });
+
+  it('rejects non-Array cost multipliers', () => {
+    expect(() => schemaWithObjectWithField({ costMultipliers: 'first' }))
+      .to.throw(
+        'BadCost.badField field cost multipliers must be an Array of ' +
+        'argument names if provided, but got: first.'
+      );
+  });
+});
+
+
 describe('Type System: Objects can only implement interfaces', () => {
 
   function schemaWithObjectImplementingType(implementedType) {
@@ -1360,7 +1487,7 @@ describe('Type System: Objects can only implement interfaces', () => {
       fields: { f: { type: GraphQLString } }
     });
 
-    return new GraphQLSchema({
+    const schema = new GraphQLSchema({
       query: new GraphQLObjectType({
         name: 'Query',
         fields: {
@@ -1369,6 +1496,8 @@ describe('Type System: Objects can only implement interfaces', () => {
       }),
       types: [ BadObjectType ]
     });
+    assertValidSchema(schema);
+    return schema;
   }
 
   it('accepts an Object implementing an Interface', () => {
@@ -1411,7 +1540,7 @@ describe('Type System: Unions must represent Object types', () => {
       types: [ type ],
     });
 
-    return new GraphQLSchema({
+    const schema = new GraphQLSchema({
       query: new GraphQLObjectType({
         name: 'Query',
         fields: {
@@ -1419,6 +1548,8 @@ describe('Type System: Unions must represent Object types', () => {
         }
       })
     });
+    assertValidSchema(schema);
+    return schema;
   }
 
   it('accepts a Union of an Object Type', () => {
@@ -1456,7 +1587,7 @@ describe('Type System: Interface fields must have output types', () => {
       }
     });
 
-    return new GraphQLSchema({
+    const schema = new GraphQLSchema({
       query: new GraphQLObjectType({
         name: 'Query',
         fields: {
@@ -1464,6 +1595,8 @@ describe('Type System: Interface fields must have output types', () => {
         }
       })
     });
+    assertValidSchema(schema);
+    return schema;
   }
 
   outputTypes.forEach(type => {
@@ -1504,7 +1637,7 @@ describe('Type System: Field arguments must have input types', () => {
       }
     });
 
-    return new GraphQLSchema({
+    const schema = new GraphQLSchema({
       query: new GraphQLObjectType({
         name: 'Query',
         fields: {
@@ -1512,6 +1645,8 @@ describe('Type System: Field arguments must have input types', () => {
         }
       })
     });
+    assertValidSchema(schema);
+    return schema;
   }
 
   inputTypes.forEach(type => {
@@ -1547,7 +1682,7 @@ describe('Type System: Input Object fields must have input types', () => {
       }
     });
 
-    return new GraphQLSchema({
+    const schema = new GraphQLSchema({
       query: new GraphQLObjectType({
         name: 'Query',
         fields: {
@@ -1560,6 +1695,8 @@ describe('Type System: Input Object fields must have input types', () => {
         }
       })
     });
+    assertValidSchema(schema);
+    return schema;
   }
 
   inputTypes.forEach(type => {
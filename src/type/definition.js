@@ -305,14 +305,17 @@ export class GraphQLScalarType {
   name: string;
   description: ?string;
   astNode: ?ScalarTypeDefinitionNode;
+  extensionASTNodes: Array<TypeExtensionDefinitionNode>;
 
   _scalarConfig: GraphQLScalarTypeConfig<*, *>;
+  _appliedDirectives: Array<GraphQLAppliedDirective>;
 
   constructor(config: GraphQLScalarTypeConfig<*, *>): void {
     assertValidName(config.name);
     this.name = config.name;
     this.description = config.description;
     this.astNode = config.astNode;
+    this.extensionASTNodes = config.extensionASTNodes || [];
     invariant(
       typeof config.serialize === 'function',
       `${this.name} must provide "serialize" function. If this custom Scalar ` +
@@ -360,6 +363,12 @@ export class GraphQLScalarType {
     return parser ? parser(valueNode) : undefined;
   }
 
+  getAppliedDirectives(): Array<GraphQLAppliedDirective> {
+    return this._appliedDirectives || (this._appliedDirectives =
+      resolveThunk(this._scalarConfig.appliedDirectives) || []
+    );
+  }
+
   toString(): string {
     return this.name;
   }
@@ -377,6 +386,8 @@ export type GraphQLScalarTypeConfig<TInternal, TExternal> = {
   name: string;
   description?: ?string;
   astNode?: ?ScalarTypeDefinitionNode;
+  extensionASTNodes?: ?Array<TypeExtensionDefinitionNode>;
+  appliedDirectives?: Thunk<?Array<GraphQLAppliedDirective>>;
   serialize: (value: mixed) => ?TExternal;
   parseValue?: (value: mixed) => ?TInternal;
   parseLiteral?: (valueNode: ValueNode) => ?TInternal;
@@ -420,6 +431,24 @@ export type GraphQLScalarTypeConfig<TInternal, TExternal> = {
  *       })
  *     });
  *
+ * A field may provide a `resolveBatch` function instead of `resolve`, which
+ * is called once for all objects whose field is being resolved together, such
+ * as the items of a list, and returns a value for each of them.
+ *
+ * Example:
+ *
+ *     const UserType = new GraphQLObjectType({
+ *       name: 'User',
+ *       fields: () => ({
+ *         manager: {
+ *           type: UserType,
+ *           resolveBatch(users) {
+ *             return loadUsers(users.map(user => user.managerID));
+ *           }
+ *         },
+ *       })
+ *     });
+ *
  */
 export class GraphQLObjectType {
   name: string;
@@ -429,7 +458,9 @@ export class GraphQLObjectType {
   isTypeOf: ?GraphQLIsTypeOfFn<*, *>;
 
   _typeConfig: GraphQLObjectTypeConfig<*, *>;
+  _appliedDirectives: Array<GraphQLAppliedDirective>;
   _fields: GraphQLFieldMap<*, *>;
+  _fieldConfigErrors: Array<GraphQLFieldConfigError>;
   _interfaces: Array<GraphQLInterfaceType>;
 
   constructor(config: GraphQLObjectTypeConfig<*, *>): void {
@@ -446,12 +477,15 @@ export class GraphQLObjectType {
     }
     this.isTypeOf = config.isTypeOf;
     this._typeConfig = config;
+    this._fieldConfigErrors = [];
   }
 
   getFields(): GraphQLFieldMap<*, *> {
-    return this._fields || (this._fields =
-      defineFieldMap(this, this._typeConfig.fields)
-    );
+    return this._fields || (this._fields = defineFieldMap(
+      this,
+      this._typeConfig.fields,
+      this._fieldConfigErrors
+    ));
   }
 
   getInterfaces(): Array<GraphQLInterfaceType> {
@@ -460,6 +494,12 @@ export class GraphQLObjectType {
     );
   }
 
+  getAppliedDirectives(): Array<GraphQLAppliedDirective> {
+    return this._appliedDirectives || (this._appliedDirectives =
+      resolveThunk(this._typeConfig.appliedDirectives) || []
+    );
+  }
+
   toString(): string {
     return this.name;
   }
@@ -474,7 +514,7 @@ GraphQLObjectType.prototype.toJSON =
     GraphQLObjectType.prototype.toString;
 
 function defineInterfaces(
-  type: GraphQLObjectType,
+  type: GraphQLObjectType | GraphQLInterfaceType,
   interfacesThunk: Thunk<?Array<GraphQLInterfaceType>>
 ): Array<GraphQLInterfaceType> {
   const interfaces = resolveThunk(interfacesThunk);
@@ -487,19 +527,13 @@ function defineInterfaces(
     'an Array.'
   );
 
-  const implementedTypeNames = Object.create(null);
+  // Implementing only Interface types, and each only once, is checked by
+  // validateSchema. Interfaces are never resolved to during execution, so
+  // only Object types need to be resolvable.
   interfaces.forEach(iface => {
-    invariant(
-      iface instanceof GraphQLInterfaceType,
-      `${type.name} may only implement Interface types, it cannot ` +
-      `implement: ${String(iface)}.`
-    );
-    invariant(
-      !implementedTypeNames[iface.name],
-      `${type.name} may declare it implements ${iface.name} only once.`
-    );
-    implementedTypeNames[iface.name] = true;
-    if (typeof iface.resolveType !== 'function') {
+    if (type instanceof GraphQLObjectType &&
+        iface instanceof GraphQLInterfaceType &&
+        typeof iface.resolveType !== 'function') {
       invariant(
         typeof type.isTypeOf === 'function',
         `Interface Type ${iface.name} does not provide a "resolveType" ` +
@@ -514,31 +548,30 @@ function defineInterfaces(
 
 function defineFieldMap<TSource, TContext>(
   type: GraphQLNamedType,
-  fieldsThunk: Thunk<GraphQLFieldConfigMap<TSource, TContext>>
+  fieldsThunk: Thunk<GraphQLFieldConfigMap<TSource, TContext>>,
+  errors: Array<GraphQLFieldConfigError>
 ): GraphQLFieldMap<TSource, TContext> {
   const fieldMap = resolveThunk(fieldsThunk);
-  invariant(
-    isPlainObj(fieldMap),
-    `${type.name} fields must be an object with field names as keys or a ` +
-    'function which returns such an object.'
-  );
-
-  const fieldNames = Object.keys(fieldMap);
-  invariant(
-    fieldNames.length > 0,
-    `${type.name} fields must be an object with field names as keys or a ` +
-    'function which returns such an object.'
-  );
-
   const resultFieldMap = Object.create(null);
-  fieldNames.forEach(fieldName => {
-    assertValidName(fieldName);
+  if (!isPlainObj(fieldMap) || Object.keys(fieldMap).length === 0) {
+    errors.push({
+      message:
+        `${type.name} fields must be an object with field names as keys or ` +
+        'a function which returns such an object.',
+    });
+    return resultFieldMap;
+  }
+
+  Object.keys(fieldMap).forEach(fieldName => {
+    const check = (condition, message) =>
+      checkFieldConfig(errors, condition, message, fieldName);
+    checkName(errors, fieldName, fieldName);
     const fieldConfig = fieldMap[fieldName];
-    invariant(
-      isPlainObj(fieldConfig),
-      `${type.name}.${fieldName} field config must be an object`
-    );
-    invariant(
+    if (!isPlainObj(fieldConfig)) {
+      check(false, `${type.name}.${fieldName} field config must be an object`);
+      return;
+    }
+    check(
       !fieldConfig.hasOwnProperty('isDeprecated'),
       `${type.name}.${fieldName} should provide "deprecationReason" instead ` +
       'of "isDeprecated".'
@@ -546,41 +579,55 @@ function defineFieldMap<TSource, TContext>(
     const field = {
       ...fieldConfig,
       isDeprecated: Boolean(fieldConfig.deprecationReason),
-      name: fieldName
+      name: fieldName,
+      appliedDirectives: fieldConfig.appliedDirectives || [],
     };
-    invariant(
-      isOutputType(field.type),
-      `${type.name}.${fieldName} field type must be Output Type but ` +
-      `got: ${String(field.type)}.`
-    );
-    invariant(
+    check(
       isValidResolver(field.resolve),
       `${type.name}.${fieldName} field resolver must be a function if ` +
       `provided, but got: ${String(field.resolve)}.`
     );
+    check(
+      isValidResolver(field.resolveBatch),
+      `${type.name}.${fieldName} field batch resolver must be a function if ` +
+      `provided, but got: ${String(field.resolveBatch)}.`
+    );
+    check(
+      field.resolve == null || field.resolveBatch == null,
+      `${type.name}.${fieldName} may provide either "resolve" or ` +
+      '"resolveBatch", but not both.'
+    );
+    check(
+      field.cost == null || typeof field.cost === 'number',
+      `${type.name}.${fieldName} field cost must be a number if provided, ` +
+      `but got: ${String(field.cost)}.`
+    );
+    check(
+      field.costMultipliers == null || Array.isArray(field.costMultipliers),
+      `${type.name}.${fieldName} field cost multipliers must be an Array of ` +
+      `argument names if provided, but got: ${String(field.costMultipliers)}.`
+    );
     const argsConfig = fieldConfig.args;
     if (!argsConfig) {
       field.args = [];
-    } else {
-      invariant(
-        isPlainObj(argsConfig),
+    } else if (!isPlainObj(argsConfig)) {
+      check(
+        false,
         `${type.name}.${fieldName} args must be an object with argument ` +
         'names as keys.'
       );
+      field.args = [];
+    } else {
       field.args = Object.keys(argsConfig).map(argName => {
-        assertValidName(argName);
+        checkName(errors, argName, fieldName, argName);
         const arg = argsConfig[argName];
-        invariant(
-          isInputType(arg.type),
-          `${type.name}.${fieldName}(${argName}:) argument type must be ` +
-          `Input Type but got: ${String(arg.type)}.`
-        );
         return {
           name: argName,
           description: arg.description === undefined ? null : arg.description,
           type: arg.type,
           defaultValue: arg.defaultValue,
           astNode: arg.astNode,
+          appliedDirectives: arg.appliedDirectives || [],
         };
       });
     }
@@ -589,6 +636,33 @@ function defineFieldMap<TSource, TContext>(
   return resultFieldMap;
 }
 
+// Records a problem with the configuration of a field unless the condition
+// holds, as invariant() would throw for it.
+function checkFieldConfig(
+  errors: Array<GraphQLFieldConfigError>,
+  condition: mixed,
+  message: string,
+  fieldName: string
+): void {
+  if (!condition) {
+    errors.push({ message, fieldName });
+  }
+}
+
+// Records the problem with the name of a field or argument, if any.
+function checkName(
+  errors: Array<GraphQLFieldConfigError>,
+  name: string,
+  fieldName: string,
+  argName?: string
+): void {
+  try {
+    assertValidName(name);
+  } catch (error) {
+    errors.push({ message: error.message, fieldName, argName });
+  }
+}
+
 function isPlainObj(obj) {
   return obj && typeof obj === 'object' && !Array.isArray(obj);
 }
@@ -598,6 +672,18 @@ function isValidResolver(resolver: mixed): boolean {
   return (resolver == null || typeof resolver === 'function');
 }
 
+/**
+ * A problem with the fields a type was configured with. Rather than being
+ * thrown when the fields are defined, each is reported by validateSchema,
+ * located at the field or argument it concerns, so that every problem with a
+ * schema may be reported at once.
+ */
+export type GraphQLFieldConfigError = {
+  message: string;
+  fieldName?: string;
+  argName?: string;
+};
+
 export type GraphQLObjectTypeConfig<TSource, TContext> = {
   name: string;
   interfaces?: Thunk<?Array<GraphQLInterfaceType>>;
@@ -607,6 +693,7 @@ export type GraphQLObjectTypeConfig<TSource, TContext> = {
   isIntrospection?: boolean;
   astNode?: ?ObjectTypeDefinitionNode;
   extensionASTNodes?: ?Array<TypeExtensionDefinitionNode>;
+  appliedDirectives?: Thunk<?Array<GraphQLAppliedDirective>>;
 };
 
 export type GraphQLTypeResolver<TSource, TContext> = (
@@ -628,6 +715,29 @@ export type GraphQLFieldResolver<TSource, TContext> = (
   info: GraphQLResolveInfo
 ) => mixed;
 
+/**
+ * Wraps the resolution of every field of a schema, see GraphQLSchema. Calls
+ * `resolve` to continue to the next middleware, or the field's resolver.
+ */
+export type GraphQLFieldMiddleware<TSource, TContext> = (
+  resolve: GraphQLFieldResolver<TSource, TContext>,
+  source: TSource,
+  args: { [argName: string]: any },
+  context: TContext,
+  info: GraphQLResolveInfo
+) => mixed;
+
+/**
+ * Resolves a field for many source values at once, returning an Array (or a
+ * Promise for an Array) with one value for each of the provided sources.
+ */
+export type GraphQLFieldBatchResolver<TSource, TContext> = (
+  sources: Array<TSource>,
+  args: { [argName: string]: any },
+  context: TContext,
+  info: GraphQLResolveInfo
+) => Array<mixed> | Promise<Array<mixed>>;
+
 export type GraphQLResolveInfo = {
   fieldName: string;
   fieldNodes: Array<FieldNode>;
@@ -639,18 +749,43 @@ export type GraphQLResolveInfo = {
   rootValue: mixed;
   operation: OperationDefinitionNode;
   variableValues: { [variableName: string]: mixed };
+  signal?: ?CancellationSignal;
 };
 
 export type ResponsePath = { prev: ResponsePath, key: string | number } | void;
 
+/**
+ * A signal which may cancel execution, such as an AbortSignal. Execution is
+ * cancelled once `aborted` is true, and immediately upon an "abort" event if
+ * the signal provides `addEventListener`.
+ */
+export type CancellationSignal = {
+  aborted: boolean;
+  addEventListener?: (
+    type: 'abort',
+    listener: () => void,
+    options?: { once?: boolean }
+  ) => mixed;
+  removeEventListener?: (type: 'abort', listener: () => void) => mixed;
+};
+
 export type GraphQLFieldConfig<TSource, TContext> = {
   type: GraphQLOutputType;
   args?: GraphQLFieldConfigArgumentMap;
   resolve?: GraphQLFieldResolver<TSource, TContext>;
+  resolveBatch?: GraphQLFieldBatchResolver<TSource, TContext>;
   subscribe?: GraphQLFieldResolver<TSource, TContext>;
   deprecationReason?: ?string;
   description?: ?string;
   astNode?: ?FieldDefinitionNode;
+  appliedDirectives?: ?Array<GraphQLAppliedDirective>;
+  /**
+   * Optionally provide the cost of resolving this field and the names of the
+   * arguments which multiply the cost of its selection set, used by the
+   * query cost validation rule.
+   */
+  cost?: number;
+  costMultipliers?: Array<string>;
 };
 
 export type GraphQLFieldConfigArgumentMap = {
@@ -662,6 +797,7 @@ export type GraphQLArgumentConfig = {
   defaultValue?: mixed;
   description?: ?string;
   astNode?: ?InputValueDefinitionNode;
+  appliedDirectives?: ?Array<GraphQLAppliedDirective>;
 };
 
 export type GraphQLFieldConfigMap<TSource, TContext> = {
@@ -674,10 +810,14 @@ export type GraphQLField<TSource, TContext> = {
   type: GraphQLOutputType;
   args: Array<GraphQLArgument>;
   resolve?: GraphQLFieldResolver<TSource, TContext>;
+  resolveBatch?: GraphQLFieldBatchResolver<TSource, TContext>;
   subscribe?: GraphQLFieldResolver<TSource, TContext>;
   isDeprecated?: boolean;
   deprecationReason?: ?string;
   astNode?: ?FieldDefinitionNode;
+  appliedDirectives?: Array<GraphQLAppliedDirective>;
+  cost?: number;
+  costMultipliers?: Array<string>;
 };
 
 export type GraphQLArgument = {
@@ -686,12 +826,22 @@ export type GraphQLArgument = {
   defaultValue?: mixed;
   description?: ?string;
   astNode?: ?InputValueDefinitionNode;
+  appliedDirectives?: Array<GraphQLAppliedDirective>;
 };
 
 export type GraphQLFieldMap<TSource, TContext> = {
   [fieldName: string]: GraphQLField<TSource, TContext>;
 };
 
+/**
+ * A directive applied to an element of a schema, with the values of its
+ * arguments, as recorded when building a schema from a schema document.
+ */
+export type GraphQLAppliedDirective = {
+  name: string;
+  args: { [argName: string]: mixed };
+};
+
 
 
 /**
@@ -711,21 +861,38 @@ export type GraphQLFieldMap<TSource, TContext> = {
  *       }
  *     });
  *
+ * An Interface type may itself implement other Interface types, in which case
+ * every type implementing it must also implement those interfaces.
+ *
+ *     const NamedEntityType = new GraphQLInterfaceType({
+ *       name: 'NamedEntity',
+ *       interfaces: [ EntityType ],
+ *       fields: {
+ *         name: { type: GraphQLString },
+ *         nickname: { type: GraphQLString }
+ *       }
+ *     });
+ *
  */
 export class GraphQLInterfaceType {
   name: string;
   description: ?string;
   astNode: ?InterfaceTypeDefinitionNode;
+  extensionASTNodes: Array<TypeExtensionDefinitionNode>;
   resolveType: ?GraphQLTypeResolver<*, *>;
 
   _typeConfig: GraphQLInterfaceTypeConfig<*, *>;
+  _appliedDirectives: Array<GraphQLAppliedDirective>;
   _fields: GraphQLFieldMap<*, *>;
+  _fieldConfigErrors: Array<GraphQLFieldConfigError>;
+  _interfaces: Array<GraphQLInterfaceType>;
 
   constructor(config: GraphQLInterfaceTypeConfig<*, *>): void {
     assertValidName(config.name);
     this.name = config.name;
     this.description = config.description;
     this.astNode = config.astNode;
+    this.extensionASTNodes = config.extensionASTNodes || [];
     if (config.resolveType) {
       invariant(
         typeof config.resolveType === 'function',
@@ -734,11 +901,27 @@ export class GraphQLInterfaceType {
     }
     this.resolveType = config.resolveType;
     this._typeConfig = config;
+    this._fieldConfigErrors = [];
   }
 
   getFields(): GraphQLFieldMap<*, *> {
-    return this._fields ||
-      (this._fields = defineFieldMap(this, this._typeConfig.fields));
+    return this._fields || (this._fields = defineFieldMap(
+      this,
+      this._typeConfig.fields,
+      this._fieldConfigErrors
+    ));
+  }
+
+  getInterfaces(): Array<GraphQLInterfaceType> {
+    return this._interfaces || (this._interfaces =
+      defineInterfaces(this, this._typeConfig.interfaces)
+    );
+  }
+
+  getAppliedDirectives(): Array<GraphQLAppliedDirective> {
+    return this._appliedDirectives || (this._appliedDirectives =
+      resolveThunk(this._typeConfig.appliedDirectives) || []
+    );
   }
 
   toString(): string {
@@ -756,6 +939,7 @@ GraphQLInterfaceType.prototype.toJSON =
 
 export type GraphQLInterfaceTypeConfig<TSource, TContext> = {
   name: string,
+  interfaces?: Thunk<?Array<GraphQLInterfaceType>>,
   fields: Thunk<GraphQLFieldConfigMap<TSource, TContext>>,
   /**
    * Optionally provide a custom type resolver function. If one is not provided,
@@ -765,6 +949,8 @@ export type GraphQLInterfaceTypeConfig<TSource, TContext> = {
   resolveType?: ?GraphQLTypeResolver<TSource, TContext>,
   description?: ?string,
   astNode?: ?InterfaceTypeDefinitionNode,
+  extensionASTNodes?: ?Array<TypeExtensionDefinitionNode>,
+  appliedDirectives?: Thunk<?Array<GraphQLAppliedDirective>>,
 };
 
 
@@ -796,9 +982,11 @@ export class GraphQLUnionType {
   name: string;
   description: ?string;
   astNode: ?UnionTypeDefinitionNode;
+  extensionASTNodes: Array<TypeExtensionDefinitionNode>;
   resolveType: ?GraphQLTypeResolver<*, *>;
 
   _typeConfig: GraphQLUnionTypeConfig<*, *>;
+  _appliedDirectives: Array<GraphQLAppliedDirective>;
   _types: Array<GraphQLObjectType>;
   _possibleTypeNames: {[typeName: string]: boolean};
 
@@ -807,6 +995,7 @@ export class GraphQLUnionType {
     this.name = config.name;
     this.description = config.description;
     this.astNode = config.astNode;
+    this.extensionASTNodes = config.extensionASTNodes || [];
     if (config.resolveType) {
       invariant(
         typeof config.resolveType === 'function',
@@ -823,6 +1012,12 @@ export class GraphQLUnionType {
     );
   }
 
+  getAppliedDirectives(): Array<GraphQLAppliedDirective> {
+    return this._appliedDirectives || (this._appliedDirectives =
+      resolveThunk(this._typeConfig.appliedDirectives) || []
+    );
+  }
+
   toString(): string {
     return this.name;
   }
@@ -847,19 +1042,11 @@ function defineTypes(
     'Must provide Array of types or a function which returns ' +
     `such an array for Union ${unionType.name}.`
   );
-  const includedTypeNames = Object.create(null);
+  // Containing only Object types, and each only once, is checked by
+  // validateSchema.
   types.forEach(objType => {
-    invariant(
-      objType instanceof GraphQLObjectType,
-      `${unionType.name} may only contain Object types, it cannot contain: ` +
-      `${String(objType)}.`
-    );
-    invariant(
-      !includedTypeNames[objType.name],
-      `${unionType.name} can include ${objType.name} type only once.`
-    );
-    includedTypeNames[objType.name] = true;
-    if (typeof unionType.resolveType !== 'function') {
+    if (objType instanceof GraphQLObjectType &&
+        typeof unionType.resolveType !== 'function') {
       invariant(
         typeof objType.isTypeOf === 'function',
         `Union type "${unionType.name}" does not provide a "resolveType" ` +
@@ -884,6 +1071,8 @@ export type GraphQLUnionTypeConfig<TSource, TContext> = {
   resolveType?: ?GraphQLTypeResolver<TSource, TContext>;
   description?: ?string;
   astNode?: ?UnionTypeDefinitionNode;
+  extensionASTNodes?: ?Array<TypeExtensionDefinitionNode>;
+  appliedDirectives?: Thunk<?Array<GraphQLAppliedDirective>>;
 };
 
 
@@ -913,8 +1102,10 @@ export class GraphQLEnumType/* <T> */ {
   name: string;
   description: ?string;
   astNode: ?EnumTypeDefinitionNode;
+  extensionASTNodes: Array<TypeExtensionDefinitionNode>;
 
   _enumConfig: GraphQLEnumTypeConfig/* <T> */;
+  _appliedDirectives: Array<GraphQLAppliedDirective>;
   _values: Array<GraphQLEnumValue/* <T> */>;
   _valueLookup: Map<any/* T */, GraphQLEnumValue>;
   _nameLookup: { [valueName: string]: GraphQLEnumValue };
@@ -924,6 +1115,7 @@ export class GraphQLEnumType/* <T> */ {
     assertValidName(config.name, config.isIntrospection);
     this.description = config.description;
     this.astNode = config.astNode;
+    this.extensionASTNodes = config.extensionASTNodes || [];
     this._values = defineEnumValues(this, config.values);
     this._enumConfig = config;
   }
@@ -991,6 +1183,12 @@ export class GraphQLEnumType/* <T> */ {
     return this._nameLookup;
   }
 
+  getAppliedDirectives(): Array<GraphQLAppliedDirective> {
+    return this._appliedDirectives || (this._appliedDirectives =
+      resolveThunk(this._enumConfig.appliedDirectives) || []
+    );
+  }
+
   toString(): string {
     return this.name;
   }
@@ -1041,6 +1239,7 @@ function defineEnumValues(
       isDeprecated: Boolean(value.deprecationReason),
       deprecationReason: value.deprecationReason,
       astNode: value.astNode,
+      appliedDirectives: value.appliedDirectives || [],
       value: value.hasOwnProperty('value') ? value.value : valueName,
     };
   });
@@ -1051,6 +1250,8 @@ export type GraphQLEnumTypeConfig/* <T> */ = {
   values: GraphQLEnumValueConfigMap/* <T> */;
   description?: ?string;
   astNode?: ?EnumTypeDefinitionNode;
+  extensionASTNodes?: ?Array<TypeExtensionDefinitionNode>;
+  appliedDirectives?: Thunk<?Array<GraphQLAppliedDirective>>;
   isIntrospection?: boolean;
 };
 
@@ -1063,6 +1264,7 @@ export type GraphQLEnumValueConfig/* <T> */ = {
   deprecationReason?: ?string;
   description?: ?string;
   astNode?: ?EnumValueDefinitionNode;
+  appliedDirectives?: ?Array<GraphQLAppliedDirective>;
 };
 
 export type GraphQLEnumValue/* <T> */ = {
@@ -1071,6 +1273,7 @@ export type GraphQLEnumValue/* <T> */ = {
   isDeprecated?: boolean;
   deprecationReason: ?string;
   astNode?: ?EnumValueDefinitionNode;
+  appliedDirectives?: Array<GraphQLAppliedDirective>;
   value: any/* T */;
 };
 
@@ -1095,21 +1298,41 @@ export type GraphQLEnumValue/* <T> */ = {
  *       }
  *     });
  *
+ * When `isOneOf` is true, exactly one of the fields must be provided, with a
+ * non-null value. Such input objects may only define nullable fields without
+ * default values.
+ *
+ *     const PetInput = new GraphQLInputObjectType({
+ *       name: 'PetInput',
+ *       isOneOf: true,
+ *       fields: {
+ *         cat: { type: CatInput },
+ *         dog: { type: DogInput },
+ *       }
+ *     });
+ *
  */
 export class GraphQLInputObjectType {
   name: string;
   description: ?string;
+  isOneOf: boolean;
   astNode: ?InputObjectTypeDefinitionNode;
+  extensionASTNodes: Array<TypeExtensionDefinitionNode>;
 
   _typeConfig: GraphQLInputObjectTypeConfig;
+  _appliedDirectives: Array<GraphQLAppliedDirective>;
   _fields: GraphQLInputFieldMap;
+  _fieldConfigErrors: Array<GraphQLFieldConfigError>;
 
   constructor(config: GraphQLInputObjectTypeConfig): void {
     assertValidName(config.name);
     this.name = config.name;
     this.description = config.description;
+    this.isOneOf = Boolean(config.isOneOf);
     this.astNode = config.astNode;
+    this.extensionASTNodes = config.extensionASTNodes || [];
     this._typeConfig = config;
+    this._fieldConfigErrors = [];
   }
 
   getFields(): GraphQLInputFieldMap {
@@ -1118,39 +1341,41 @@ export class GraphQLInputObjectType {
 
   _defineFieldMap(): GraphQLInputFieldMap {
     const fieldMap: any = resolveThunk(this._typeConfig.fields);
-    invariant(
-      isPlainObj(fieldMap),
-      `${this.name} fields must be an object with field names as keys or a ` +
-      'function which returns such an object.'
-    );
-    const fieldNames = Object.keys(fieldMap);
-    invariant(
-      fieldNames.length > 0,
-      `${this.name} fields must be an object with field names as keys or a ` +
-      'function which returns such an object.'
-    );
+    const errors = this._fieldConfigErrors;
     const resultFieldMap = Object.create(null);
-    fieldNames.forEach(fieldName => {
-      assertValidName(fieldName);
+    if (!isPlainObj(fieldMap) || Object.keys(fieldMap).length === 0) {
+      errors.push({
+        message:
+          `${this.name} fields must be an object with field names as keys ` +
+          'or a function which returns such an object.',
+      });
+      return resultFieldMap;
+    }
+    Object.keys(fieldMap).forEach(fieldName => {
+      checkName(errors, fieldName, fieldName);
       const field = {
         ...fieldMap[fieldName],
-        name: fieldName
+        name: fieldName,
+        appliedDirectives: fieldMap[fieldName].appliedDirectives || [],
       };
-      invariant(
-        isInputType(field.type),
-        `${this.name}.${fieldName} field type must be Input Type but ` +
-        `got: ${String(field.type)}.`
-      );
-      invariant(
+      checkFieldConfig(
+        errors,
         field.resolve == null,
         `${this.name}.${fieldName} field type has a resolve property, but ` +
-        'Input Types cannot define resolvers.'
+        'Input Types cannot define resolvers.',
+        fieldName
       );
       resultFieldMap[fieldName] = field;
     });
     return resultFieldMap;
   }
 
+  getAppliedDirectives(): Array<GraphQLAppliedDirective> {
+    return this._appliedDirectives || (this._appliedDirectives =
+      resolveThunk(this._typeConfig.appliedDirectives) || []
+    );
+  }
+
   toString(): string {
     return this.name;
   }
@@ -1168,7 +1393,10 @@ export type GraphQLInputObjectTypeConfig = {
   name: string;
   fields: Thunk<GraphQLInputFieldConfigMap>;
   description?: ?string;
+  isOneOf?: ?boolean;
   astNode?: ?InputObjectTypeDefinitionNode;
+  extensionASTNodes?: ?Array<TypeExtensionDefinitionNode>;
+  appliedDirectives?: Thunk<?Array<GraphQLAppliedDirective>>;
 };
 
 export type GraphQLInputFieldConfig = {
@@ -1176,6 +1404,7 @@ export type GraphQLInputFieldConfig = {
   defaultValue?: mixed;
   description?: ?string;
   astNode?: ?InputValueDefinitionNode;
+  appliedDirectives?: ?Array<GraphQLAppliedDirective>;
 };
 
 export type GraphQLInputFieldConfigMap = {
@@ -1188,6 +1417,7 @@ export type GraphQLInputField = {
   defaultValue?: mixed;
   description?: ?string;
   astNode?: ?InputValueDefinitionNode;
+  appliedDirectives?: Array<GraphQLAppliedDirective>;
 };
 
 export type GraphQLInputFieldMap = {
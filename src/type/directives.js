@@ -8,12 +8,12 @@
  *  of patent rights can be found in the PATENTS file in the same directory.
  */
 
-import { isInputType, GraphQLNonNull } from './definition';
+import { GraphQLNonNull } from './definition';
 import type {
   GraphQLFieldConfigArgumentMap,
   GraphQLArgument
 } from './definition';
-import { GraphQLString, GraphQLBoolean } from './scalars';
+import { GraphQLString, GraphQLBoolean, GraphQLInt } from './scalars';
 import invariant from '../jsutils/invariant';
 import { assertValidName } from '../utilities/assertValidName';
 import type { DirectiveDefinitionNode } from '../language/ast';
@@ -53,6 +53,7 @@ export class GraphQLDirective {
   description: ?string;
   locations: Array<DirectiveLocationEnum>;
   args: Array<GraphQLArgument>;
+  isRepeatable: boolean;
   astNode: ?DirectiveDefinitionNode;
 
   constructor(config: GraphQLDirectiveConfig): void {
@@ -65,6 +66,7 @@ export class GraphQLDirective {
     this.name = config.name;
     this.description = config.description;
     this.locations = config.locations;
+    this.isRepeatable = Boolean(config.isRepeatable);
     this.astNode = config.astNode;
 
     const args = config.args;
@@ -78,11 +80,6 @@ export class GraphQLDirective {
       this.args = Object.keys(args).map(argName => {
         assertValidName(argName);
         const arg = args[argName];
-        invariant(
-          isInputType(arg.type),
-          `@${config.name}(${argName}:) argument type must be ` +
-          `Input Type but got: ${String(arg.type)}.`
-        );
         return {
           name: argName,
           description: arg.description === undefined ? null : arg.description,
@@ -101,6 +98,7 @@ type GraphQLDirectiveConfig = {
   description?: ?string;
   locations: Array<DirectiveLocationEnum>;
   args?: ?GraphQLFieldConfigArgumentMap;
+  isRepeatable?: ?boolean;
   astNode?: ?DirectiveDefinitionNode;
 };
 
@@ -146,6 +144,63 @@ export const GraphQLSkipDirective = new GraphQLDirective({
   },
 });
 
+/**
+ * Used to defer the delivery of fragments until after the initial payload.
+ */
+export const GraphQLDeferDirective = new GraphQLDirective({
+  name: 'defer',
+  description:
+    'Directs the executor to deliver this fragment in a subsequent payload ' +
+    'instead of the initial response.',
+  locations: [
+    DirectiveLocation.FRAGMENT_SPREAD,
+    DirectiveLocation.INLINE_FRAGMENT,
+  ],
+  args: {
+    if: {
+      type: GraphQLBoolean,
+      description: 'Deferred when true or undefined.',
+      defaultValue: true,
+    },
+    label: {
+      type: GraphQLString,
+      description:
+        'Unique name used to identify the subsequent payload for this ' +
+        'fragment.',
+    },
+  },
+});
+
+/**
+ * Used to stream the items of a list field in subsequent payloads.
+ */
+export const GraphQLStreamDirective = new GraphQLDirective({
+  name: 'stream',
+  description:
+    'Directs the executor to deliver the items of this list field in ' +
+    'subsequent payloads, beyond those included in the initial response.',
+  locations: [
+    DirectiveLocation.FIELD,
+  ],
+  args: {
+    if: {
+      type: GraphQLBoolean,
+      description: 'Streamed when true or undefined.',
+      defaultValue: true,
+    },
+    label: {
+      type: GraphQLString,
+      description:
+        'Unique name used to identify the subsequent payloads for this field.',
+    },
+    initialCount: {
+      type: GraphQLInt,
+      description: 'Number of items to include in the initial response.',
+      defaultValue: 0,
+    },
+  },
+});
+
 /**
  * Constant string used for default reason for a deprecation.
  */
@@ -174,8 +229,26 @@ export const GraphQLDeprecatedDirective = new GraphQLDirective({
   },
 });
 
+/**
+ * Used to declare an input object type of which exactly one field must be
+ * provided.
+ */
+export const GraphQLOneOfDirective = new GraphQLDirective({
+  name: 'oneOf',
+  description:
+    'Indicates exactly one field must be supplied and this field must not ' +
+    'be `null`.',
+  locations: [
+    DirectiveLocation.INPUT_OBJECT,
+  ],
+});
+
 /**
  * The full list of specified directives.
+ *
+ * Note: the incremental delivery directives, `@defer` and `@stream`, and the
+ * `@oneOf` directive are not included and must be added to a schema's
+ * directives explicitly.
  */
 export const specifiedDirectives: Array<GraphQLDirective> = [
   GraphQLIncludeDirective,
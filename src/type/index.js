@@ -11,6 +11,9 @@
 // GraphQL Schema definition
 export { GraphQLSchema } from './schema';
 
+// Validate GraphQL schema.
+export { validateSchema, assertValidSchema } from './validate';
+
 export {
   // Predicates
   isType,
@@ -58,6 +61,13 @@ export {
   GraphQLSkipDirective,
   GraphQLDeprecatedDirective,
 
+  // Incremental delivery directives, opted into by a schema
+  GraphQLDeferDirective,
+  GraphQLStreamDirective,
+
+  // Declares input objects of which exactly one field is provided
+  GraphQLOneOfDirective,
+
   // Constant Deprecation Reason
   DEFAULT_DEPRECATION_REASON,
 } from './directives';
@@ -83,6 +93,8 @@ export {
   __Field,
   __InputValue,
   __EnumValue,
+  __AppliedDirective,
+  __AppliedDirectiveArgument,
   __TypeKind,
 
   // Meta-field definitions.
@@ -103,6 +115,7 @@ export type {
   GraphQLNullableType,
   GraphQLNamedType,
   Thunk,
+  GraphQLAppliedDirective,
   GraphQLArgument,
   GraphQLArgumentConfig,
   GraphQLEnumTypeConfig,
@@ -115,6 +128,8 @@ export type {
   GraphQLFieldConfigMap,
   GraphQLFieldMap,
   GraphQLFieldResolver,
+  GraphQLFieldBatchResolver,
+  GraphQLFieldMiddleware,
   GraphQLInputField,
   GraphQLInputFieldConfig,
   GraphQLInputFieldConfigMap,
@@ -125,6 +140,7 @@ export type {
   GraphQLObjectTypeConfig,
   GraphQLResolveInfo,
   ResponsePath,
+  CancellationSignal,
   GraphQLScalarTypeConfig,
   GraphQLTypeResolver,
   GraphQLUnionTypeConfig,
@@ -21,102 +21,383 @@ import {
   GraphQLList,
   GraphQLNonNull,
   isAbstractType,
+  isNamedType,
 } from './definition';
 import { GraphQLString, GraphQLBoolean } from './scalars';
 import { DirectiveLocation } from './directives';
 import type { GraphQLField } from './definition';
 
 
-export const __Schema = new GraphQLObjectType({
-  name: '__Schema',
-  isIntrospection: true,
-  description:
-    'A GraphQL Schema defines the capabilities of a GraphQL server. It ' +
-    'exposes all available types and directives on the server, as well as ' +
-    'the entry points for query, mutation, and subscription operations.',
-  fields: () => ({
-    types: {
-      description: 'A list of all types supported by this server.',
-      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(__Type))),
-      resolve(schema) {
-        const typeMap = schema.getTypeMap();
-        return Object.keys(typeMap).map(key => typeMap[key]);
+/**
+ * Creates the introspection types which describe the elements of a schema,
+ * and the meta fields which introspect it. Only the types of a schema which
+ * opts into exposing the directives applied to its elements include their
+ * `appliedDirectives` field.
+ */
+function createIntrospectionTypes(
+  exposeAppliedDirectives: boolean
+): IntrospectionTypes {
+  const __Schema = new GraphQLObjectType({
+    name: '__Schema',
+    isIntrospection: true,
+    description:
+      'A GraphQL Schema defines the capabilities of a GraphQL server. It ' +
+      'exposes all available types and directives on the server, as well as ' +
+      'the entry points for query, mutation, and subscription operations.',
+    fields: () => ({
+      types: {
+        description: 'A list of all types supported by this server.',
+        type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(__Type))),
+        resolve(schema) {
+          const typeMap = schema.getTypeMap();
+          return Object.keys(typeMap).map(key => typeMap[key]);
+        }
+      },
+      queryType: {
+        description: 'The type that query operations will be rooted at.',
+        type: new GraphQLNonNull(__Type),
+        resolve: schema => schema.getQueryType()
+      },
+      mutationType: {
+        description: 'If this server supports mutation, the type that ' +
+                     'mutation operations will be rooted at.',
+        type: __Type,
+        resolve: schema => schema.getMutationType()
+      },
+      subscriptionType: {
+        description: 'If this server support subscription, the type that ' +
+                     'subscription operations will be rooted at.',
+        type: __Type,
+        resolve: schema => schema.getSubscriptionType()
+      },
+      directives: {
+        description: 'A list of all directives supported by this server.',
+        type:
+          new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(__Directive))),
+        resolve: schema => schema.getDirectives(),
       }
-    },
-    queryType: {
-      description: 'The type that query operations will be rooted at.',
-      type: new GraphQLNonNull(__Type),
-      resolve: schema => schema.getQueryType()
-    },
-    mutationType: {
-      description: 'If this server supports mutation, the type that ' +
-                   'mutation operations will be rooted at.',
-      type: __Type,
-      resolve: schema => schema.getMutationType()
-    },
-    subscriptionType: {
-      description: 'If this server support subscription, the type that ' +
-                   'subscription operations will be rooted at.',
-      type: __Type,
-      resolve: schema => schema.getSubscriptionType()
-    },
-    directives: {
-      description: 'A list of all directives supported by this server.',
-      type:
-        new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(__Directive))),
-      resolve: schema => schema.getDirectives(),
+    })
+  });
+
+  const __Directive = new GraphQLObjectType({
+    name: '__Directive',
+    isIntrospection: true,
+    description:
+      'A Directive provides a way to describe alternate runtime execution ' +
+      'and type validation behavior in a GraphQL document.' +
+      '\n\nIn some cases, you need to provide options to alter GraphQL\'s ' +
+      'execution behavior in ways field arguments will not suffice, such as ' +
+      'conditionally including or skipping a field. Directives provide this ' +
+      'by describing additional information to the executor.',
+    fields: () => ({
+      name: { type: new GraphQLNonNull(GraphQLString) },
+      description: { type: GraphQLString },
+      locations: {
+        type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(
+          __DirectiveLocation
+        )))
+      },
+      args: {
+        type:
+          new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(__InputValue))),
+        resolve: directive => directive.args || []
+      },
+      isRepeatable: { type: new GraphQLNonNull(GraphQLBoolean) },
+      // NOTE: the following three fields are deprecated and are no longer part
+      // of the GraphQL specification.
+      onOperation: {
+        deprecationReason: 'Use `locations`.',
+        type: new GraphQLNonNull(GraphQLBoolean),
+        resolve: d =>
+          d.locations.indexOf(DirectiveLocation.QUERY) !== -1 ||
+          d.locations.indexOf(DirectiveLocation.MUTATION) !== -1 ||
+          d.locations.indexOf(DirectiveLocation.SUBSCRIPTION) !== -1
+      },
+      onFragment: {
+        deprecationReason: 'Use `locations`.',
+        type: new GraphQLNonNull(GraphQLBoolean),
+        resolve: d =>
+          d.locations.indexOf(DirectiveLocation.FRAGMENT_SPREAD) !== -1 ||
+          d.locations.indexOf(DirectiveLocation.INLINE_FRAGMENT) !== -1 ||
+          d.locations.indexOf(DirectiveLocation.FRAGMENT_DEFINITION) !== -1
+      },
+      onField: {
+        deprecationReason: 'Use `locations`.',
+        type: new GraphQLNonNull(GraphQLBoolean),
+        resolve: d => d.locations.indexOf(DirectiveLocation.FIELD) !== -1
+      },
+    }),
+  });
+
+  const __Type = new GraphQLObjectType({
+    name: '__Type',
+    isIntrospection: true,
+    description:
+      'The fundamental unit of any GraphQL Schema is the type. There are ' +
+      'many kinds of types in GraphQL as represented by the `__TypeKind` ' +
+      'enum.' +
+      '\n\nDepending on the kind of a type, certain fields describe ' +
+      'information about that type. Scalar types provide no information ' +
+      'beyond a name and description, while Enum types provide their values. ' +
+      'Object and Interface types provide the fields they describe. Abstract ' +
+      'types, Union and Interface, provide the Object types possible ' +
+      'at runtime. List and NonNull types compose other types.',
+    fields: () => ({
+      kind: {
+        type: new GraphQLNonNull(__TypeKind),
+        resolve(type) {
+          if (type instanceof GraphQLScalarType) {
+            return TypeKind.SCALAR;
+          } else if (type instanceof GraphQLObjectType) {
+            return TypeKind.OBJECT;
+          } else if (type instanceof GraphQLInterfaceType) {
+            return TypeKind.INTERFACE;
+          } else if (type instanceof GraphQLUnionType) {
+            return TypeKind.UNION;
+          } else if (type instanceof GraphQLEnumType) {
+            return TypeKind.ENUM;
+          } else if (type instanceof GraphQLInputObjectType) {
+            return TypeKind.INPUT_OBJECT;
+          } else if (type instanceof GraphQLList) {
+            return TypeKind.LIST;
+          } else if (type instanceof GraphQLNonNull) {
+            return TypeKind.NON_NULL;
+          }
+          throw new Error('Unknown kind of type: ' + type);
+        }
+      },
+      name: { type: GraphQLString },
+      description: { type: GraphQLString },
+      fields: {
+        type: new GraphQLList(new GraphQLNonNull(__Field)),
+        args: {
+          includeDeprecated: { type: GraphQLBoolean, defaultValue: false }
+        },
+        resolve(type, { includeDeprecated }) {
+          if (type instanceof GraphQLObjectType ||
+              type instanceof GraphQLInterfaceType) {
+            const fieldMap = type.getFields();
+            let fields =
+              Object.keys(fieldMap).map(fieldName => fieldMap[fieldName]);
+            if (!includeDeprecated) {
+              fields = fields.filter(field => !field.deprecationReason);
+            }
+            return fields;
+          }
+          return null;
+        }
+      },
+      interfaces: {
+        type: new GraphQLList(new GraphQLNonNull(__Type)),
+        resolve(type) {
+          if (type instanceof GraphQLObjectType ||
+              type instanceof GraphQLInterfaceType) {
+            return type.getInterfaces();
+          }
+        }
+      },
+      possibleTypes: {
+        type: new GraphQLList(new GraphQLNonNull(__Type)),
+        resolve(type, args, context, { schema }) {
+          if (isAbstractType(type)) {
+            return schema.getPossibleTypes(type);
+          }
+        }
+      },
+      enumValues: {
+        type: new GraphQLList(new GraphQLNonNull(__EnumValue)),
+        args: {
+          includeDeprecated: { type: GraphQLBoolean, defaultValue: false }
+        },
+        resolve(type, { includeDeprecated }) {
+          if (type instanceof GraphQLEnumType) {
+            let values = type.getValues();
+            if (!includeDeprecated) {
+              values = values.filter(value => !value.deprecationReason);
+            }
+            return values;
+          }
+        }
+      },
+      inputFields: {
+        type: new GraphQLList(new GraphQLNonNull(__InputValue)),
+        resolve(type) {
+          if (type instanceof GraphQLInputObjectType) {
+            const fieldMap = type.getFields();
+            return Object.keys(fieldMap).map(fieldName => fieldMap[fieldName]);
+          }
+        }
+      },
+      isOneOf: {
+        type: GraphQLBoolean,
+        resolve(type) {
+          if (type instanceof GraphQLInputObjectType) {
+            return type.isOneOf;
+          }
+        }
+      },
+      ofType: { type: __Type },
+      ...appliedDirectivesField(
+        type => isNamedType(type) ? type.getAppliedDirectives() : null
+      ),
+    })
+  });
+
+  const __Field = new GraphQLObjectType({
+    name: '__Field',
+    isIntrospection: true,
+    description:
+      'Object and Interface types are described by a list of Fields, each of ' +
+      'which has a name, potentially a list of arguments, and a return type.',
+    fields: () => ({
+      name: { type: new GraphQLNonNull(GraphQLString) },
+      description: { type: GraphQLString },
+      args: {
+        type:
+          new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(__InputValue))),
+        resolve: field => field.args || []
+      },
+      type: { type: new GraphQLNonNull(__Type) },
+      isDeprecated: { type: new GraphQLNonNull(GraphQLBoolean) },
+      deprecationReason: {
+        type: GraphQLString,
+      },
+      ...appliedDirectivesField(element => element.appliedDirectives),
+    })
+  });
+
+  const __InputValue = new GraphQLObjectType({
+    name: '__InputValue',
+    isIntrospection: true,
+    description:
+      'Arguments provided to Fields or Directives and the input fields of an ' +
+      'InputObject are represented as Input Values which describe their type ' +
+      'and optionally a default value.',
+    fields: () => ({
+      name: { type: new GraphQLNonNull(GraphQLString) },
+      description: { type: GraphQLString },
+      type: { type: new GraphQLNonNull(__Type) },
+      defaultValue: {
+        type: GraphQLString,
+        description:
+          'A GraphQL-formatted string representing the default value for ' +
+          'this input value.',
+        resolve: inputVal => isInvalid(inputVal.defaultValue) ?
+          null :
+          print(astFromValue(inputVal.defaultValue, inputVal.type))
+      },
+      ...appliedDirectivesField(element => element.appliedDirectives),
+    })
+  });
+
+  const __EnumValue = new GraphQLObjectType({
+    name: '__EnumValue',
+    isIntrospection: true,
+    description:
+      'One possible value for a given Enum. Enum values are unique values, ' +
+      'not a placeholder for a string or numeric value. However an Enum ' +
+      'value is returned in a JSON response as a string.',
+    fields: () => ({
+      name: { type: new GraphQLNonNull(GraphQLString) },
+      description: { type: GraphQLString },
+      isDeprecated: { type: new GraphQLNonNull(GraphQLBoolean) },
+      deprecationReason: {
+        type: GraphQLString,
+      },
+      ...appliedDirectivesField(element => element.appliedDirectives),
+    })
+  });
+
+  // The field exposing the directives applied to an element of a schema which
+  // opts into it, listing those the schema defines.
+  function appliedDirectivesField(getAppliedDirectives) {
+    if (!exposeAppliedDirectives) {
+      return {};
     }
-  })
-});
+    return {
+      appliedDirectives: {
+        type: new GraphQLList(new GraphQLNonNull(__AppliedDirective)),
+        description: 'The Directives applied to this element.',
+        resolve(element, args, context, { schema }) {
+          const appliedDirectives = getAppliedDirectives(element);
+          return appliedDirectives && appliedDirectives.filter(
+            appliedDirective => schema.getDirective(appliedDirective.name)
+          );
+        }
+      }
+    };
+  }
 
-export const __Directive = new GraphQLObjectType({
-  name: '__Directive',
-  isIntrospection: true,
-  description:
-    'A Directive provides a way to describe alternate runtime execution and ' +
-    'type validation behavior in a GraphQL document.' +
-    '\n\nIn some cases, you need to provide options to alter GraphQL\'s ' +
-    'execution behavior in ways field arguments will not suffice, such as ' +
-    'conditionally including or skipping a field. Directives provide this by ' +
-    'describing additional information to the executor.',
-  fields: () => ({
-    name: { type: new GraphQLNonNull(GraphQLString) },
-    description: { type: GraphQLString },
-    locations: {
-      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(
-        __DirectiveLocation
-      )))
-    },
-    args: {
-      type:
-        new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(__InputValue))),
-      resolve: directive => directive.args || []
-    },
-    // NOTE: the following three fields are deprecated and are no longer part
-    // of the GraphQL specification.
-    onOperation: {
-      deprecationReason: 'Use `locations`.',
-      type: new GraphQLNonNull(GraphQLBoolean),
-      resolve: d =>
-        d.locations.indexOf(DirectiveLocation.QUERY) !== -1 ||
-        d.locations.indexOf(DirectiveLocation.MUTATION) !== -1 ||
-        d.locations.indexOf(DirectiveLocation.SUBSCRIPTION) !== -1
-    },
-    onFragment: {
-      deprecationReason: 'Use `locations`.',
-      type: new GraphQLNonNull(GraphQLBoolean),
-      resolve: d =>
-        d.locations.indexOf(DirectiveLocation.FRAGMENT_SPREAD) !== -1 ||
-        d.locations.indexOf(DirectiveLocation.INLINE_FRAGMENT) !== -1 ||
-        d.locations.indexOf(DirectiveLocation.FRAGMENT_DEFINITION) !== -1
-    },
-    onField: {
-      deprecationReason: 'Use `locations`.',
-      type: new GraphQLNonNull(GraphQLBoolean),
-      resolve: d => d.locations.indexOf(DirectiveLocation.FIELD) !== -1
-    },
-  }),
-});
+  /**
+   * Note that these are GraphQLField and not GraphQLFieldConfig,
+   * so the format for args is different.
+   */
+
+  const SchemaMetaFieldDef: GraphQLField<*, *> = {
+    name: '__schema',
+    type: new GraphQLNonNull(__Schema),
+    description: 'Access the current type schema of this server.',
+    args: [],
+    resolve: (source, args, context, { schema }) => schema
+  };
+
+  const TypeMetaFieldDef: GraphQLField<*, *> = {
+    name: '__type',
+    type: __Type,
+    description: 'Request the type information of a single type.',
+    args: [
+      { name: 'name', type: new GraphQLNonNull(GraphQLString) }
+    ],
+    resolve: (source, { name }, context, { schema }) =>
+      schema.getType(name)
+  };
+
+  return {
+    __Schema,
+    __Directive,
+    __Type,
+    __Field,
+    __InputValue,
+    __EnumValue,
+    SchemaMetaFieldDef,
+    TypeMetaFieldDef,
+  };
+}
+
+type IntrospectionTypes = {
+  __Schema: GraphQLObjectType;
+  __Directive: GraphQLObjectType;
+  __Type: GraphQLObjectType;
+  __Field: GraphQLObjectType;
+  __InputValue: GraphQLObjectType;
+  __EnumValue: GraphQLObjectType;
+  SchemaMetaFieldDef: GraphQLField<*, *>;
+  TypeMetaFieldDef: GraphQLField<*, *>;
+};
+
+const introspectionTypes = createIntrospectionTypes(false);
+const appliedDirectivesIntrospectionTypes = createIntrospectionTypes(true);
+
+/**
+ * Returns the introspection types and meta fields of a schema, given whether
+ * it exposes the directives applied to its elements.
+ */
+export function getIntrospectionTypes(
+  exposeAppliedDirectives: boolean
+): IntrospectionTypes {
+  return exposeAppliedDirectives ?
+    appliedDirectivesIntrospectionTypes :
+    introspectionTypes;
+}
+
+export const __Schema = introspectionTypes.__Schema;
+export const __Directive = introspectionTypes.__Directive;
+export const __Type = introspectionTypes.__Type;
+export const __Field = introspectionTypes.__Field;
+export const __InputValue = introspectionTypes.__InputValue;
+export const __EnumValue = introspectionTypes.__EnumValue;
+export const SchemaMetaFieldDef = introspectionTypes.SchemaMetaFieldDef;
+export const TypeMetaFieldDef = introspectionTypes.TypeMetaFieldDef;
 
 export const __DirectiveLocation = new GraphQLEnumType({
   name: '__DirectiveLocation',
@@ -200,166 +481,44 @@ export const __DirectiveLocation = new GraphQLEnumType({
   }
 });
 
-export const __Type = new GraphQLObjectType({
-  name: '__Type',
-  isIntrospection: true,
-  description:
-    'The fundamental unit of any GraphQL Schema is the type. There are ' +
-    'many kinds of types in GraphQL as represented by the `__TypeKind` enum.' +
-    '\n\nDepending on the kind of a type, certain fields describe ' +
-    'information about that type. Scalar types provide no information ' +
-    'beyond a name and description, while Enum types provide their values. ' +
-    'Object and Interface types provide the fields they describe. Abstract ' +
-    'types, Union and Interface, provide the Object types possible ' +
-    'at runtime. List and NonNull types compose other types.',
-  fields: () => ({
-    kind: {
-      type: new GraphQLNonNull(__TypeKind),
-      resolve(type) {
-        if (type instanceof GraphQLScalarType) {
-          return TypeKind.SCALAR;
-        } else if (type instanceof GraphQLObjectType) {
-          return TypeKind.OBJECT;
-        } else if (type instanceof GraphQLInterfaceType) {
-          return TypeKind.INTERFACE;
-        } else if (type instanceof GraphQLUnionType) {
-          return TypeKind.UNION;
-        } else if (type instanceof GraphQLEnumType) {
-          return TypeKind.ENUM;
-        } else if (type instanceof GraphQLInputObjectType) {
-          return TypeKind.INPUT_OBJECT;
-        } else if (type instanceof GraphQLList) {
-          return TypeKind.LIST;
-        } else if (type instanceof GraphQLNonNull) {
-          return TypeKind.NON_NULL;
-        }
-        throw new Error('Unknown kind of type: ' + type);
-      }
-    },
-    name: { type: GraphQLString },
-    description: { type: GraphQLString },
-    fields: {
-      type: new GraphQLList(new GraphQLNonNull(__Field)),
-      args: {
-        includeDeprecated: { type: GraphQLBoolean, defaultValue: false }
-      },
-      resolve(type, { includeDeprecated }) {
-        if (type instanceof GraphQLObjectType ||
-            type instanceof GraphQLInterfaceType) {
-          const fieldMap = type.getFields();
-          let fields =
-            Object.keys(fieldMap).map(fieldName => fieldMap[fieldName]);
-          if (!includeDeprecated) {
-            fields = fields.filter(field => !field.deprecationReason);
-          }
-          return fields;
-        }
-        return null;
-      }
-    },
-    interfaces: {
-      type: new GraphQLList(new GraphQLNonNull(__Type)),
-      resolve(type) {
-        if (type instanceof GraphQLObjectType) {
-          return type.getInterfaces();
-        }
-      }
-    },
-    possibleTypes: {
-      type: new GraphQLList(new GraphQLNonNull(__Type)),
-      resolve(type, args, context, { schema }) {
-        if (isAbstractType(type)) {
-          return schema.getPossibleTypes(type);
-        }
-      }
-    },
-    enumValues: {
-      type: new GraphQLList(new GraphQLNonNull(__EnumValue)),
-      args: {
-        includeDeprecated: { type: GraphQLBoolean, defaultValue: false }
-      },
-      resolve(type, { includeDeprecated }) {
-        if (type instanceof GraphQLEnumType) {
-          let values = type.getValues();
-          if (!includeDeprecated) {
-            values = values.filter(value => !value.deprecationReason);
-          }
-          return values;
-        }
-      }
-    },
-    inputFields: {
-      type: new GraphQLList(new GraphQLNonNull(__InputValue)),
-      resolve(type) {
-        if (type instanceof GraphQLInputObjectType) {
-          const fieldMap = type.getFields();
-          return Object.keys(fieldMap).map(fieldName => fieldMap[fieldName]);
-        }
-      }
-    },
-    ofType: { type: __Type }
-  })
-});
-
-export const __Field = new GraphQLObjectType({
-  name: '__Field',
+export const __AppliedDirective = new GraphQLObjectType({
+  name: '__AppliedDirective',
   isIntrospection: true,
   description:
-    'Object and Interface types are described by a list of Fields, each of ' +
-    'which has a name, potentially a list of arguments, and a return type.',
+    'A Directive used at an element of the schema, with the values provided ' +
+    'for its arguments. Only exposed by schemas which opt into it.',
   fields: () => ({
     name: { type: new GraphQLNonNull(GraphQLString) },
-    description: { type: GraphQLString },
     args: {
-      type:
-        new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(__InputValue))),
-      resolve: field => field.args || []
+      type: new GraphQLNonNull(
+        new GraphQLList(new GraphQLNonNull(__AppliedDirectiveArgument))
+      ),
+      resolve(appliedDirective, args, context, { schema }) {
+        const directive = schema.getDirective(appliedDirective.name);
+        const argValues = appliedDirective.args;
+        return (directive ? directive.args : [])
+          .filter(arg => !isInvalid(argValues[arg.name]))
+          .map(arg => ({
+            name: arg.name,
+            value: print(astFromValue(argValues[arg.name], arg.type)),
+          }));
+      }
     },
-    type: { type: new GraphQLNonNull(__Type) },
-    isDeprecated: { type: new GraphQLNonNull(GraphQLBoolean) },
-    deprecationReason: {
-      type: GraphQLString,
-    }
   })
 });
 
-export const __InputValue = new GraphQLObjectType({
-  name: '__InputValue',
+export const __AppliedDirectiveArgument = new GraphQLObjectType({
+  name: '__AppliedDirectiveArgument',
   isIntrospection: true,
   description:
-    'Arguments provided to Fields or Directives and the input fields of an ' +
-    'InputObject are represented as Input Values which describe their type ' +
-    'and optionally a default value.',
+    'The value provided for an argument of an applied Directive.',
   fields: () => ({
     name: { type: new GraphQLNonNull(GraphQLString) },
-    description: { type: GraphQLString },
-    type: { type: new GraphQLNonNull(__Type) },
-    defaultValue: {
-      type: GraphQLString,
+    value: {
+      type: new GraphQLNonNull(GraphQLString),
       description:
-        'A GraphQL-formatted string representing the default value for this ' +
-        'input value.',
-      resolve: inputVal => isInvalid(inputVal.defaultValue) ?
-        null :
-        print(astFromValue(inputVal.defaultValue, inputVal.type))
-    }
-  })
-});
-
-export const __EnumValue = new GraphQLObjectType({
-  name: '__EnumValue',
-  isIntrospection: true,
-  description:
-    'One possible value for a given Enum. Enum values are unique values, not ' +
-    'a placeholder for a string or numeric value. However an Enum value is ' +
-    'returned in a JSON response as a string.',
-  fields: () => ({
-    name: { type: new GraphQLNonNull(GraphQLString) },
-    description: { type: GraphQLString },
-    isDeprecated: { type: new GraphQLNonNull(GraphQLBoolean) },
-    deprecationReason: {
-      type: GraphQLString,
-    }
+        'A GraphQL-formatted string representing the value of this argument.',
+    },
   })
 });
 
@@ -421,30 +580,6 @@ export const __TypeKind = new GraphQLEnumType({
   }
 });
 
-/**
- * Note that these are GraphQLField and not GraphQLFieldConfig,
- * so the format for args is different.
- */
-
-export const SchemaMetaFieldDef: GraphQLField<*, *> = {
-  name: '__schema',
-  type: new GraphQLNonNull(__Schema),
-  description: 'Access the current type schema of this server.',
-  args: [],
-  resolve: (source, args, context, { schema }) => schema
-};
-
-export const TypeMetaFieldDef: GraphQLField<*, *> = {
-  name: '__type',
-  type: __Type,
-  description: 'Request the type information of a single type.',
-  args: [
-    { name: 'name', type: new GraphQLNonNull(GraphQLString) }
-  ],
-  resolve: (source, { name }, context, { schema }) =>
-    schema.getType(name)
-};
-
 export const TypeNameMetaFieldDef: GraphQLField<*, *> = {
   name: '__typename',
   type: new GraphQLNonNull(GraphQLString),
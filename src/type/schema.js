@@ -14,19 +14,24 @@ import {
   GraphQLInterfaceType,
   GraphQLUnionType,
   GraphQLList,
-  GraphQLNonNull
+  GraphQLNonNull,
+  isNamedType,
 } from './definition';
 import type {
   GraphQLType,
   GraphQLNamedType,
-  GraphQLAbstractType
+  GraphQLAbstractType,
+  GraphQLFieldMiddleware,
 } from './definition';
-import type { SchemaDefinitionNode } from '../language/ast';
+import type {
+  SchemaDefinitionNode,
+  SchemaExtensionDefinitionNode,
+} from '../language/ast';
 import { GraphQLDirective, specifiedDirectives } from './directives';
-import { __Schema } from './introspection';
+import { getIntrospectionTypes } from './introspection';
 import find from '../jsutils/find';
 import invariant from '../jsutils/invariant';
-import { isEqualType, isTypeSubTypeOf } from '../utilities/typeComparators';
+import type { GraphQLError } from '../error/GraphQLError';
 
 
 /**
@@ -36,6 +41,11 @@ import { isEqualType, isTypeSubTypeOf } from '../utilities/typeComparators';
  * query and mutation (optional). A schema definition is then supplied to the
  * validator and executor.
  *
+ * Constructing a Schema does not check that its types are valid, such as that
+ * each Object type correctly implements its interfaces. Use `validateSchema`
+ * to find every problem with a Schema, which the validator and executor also
+ * do before using it.
+ *
  * Example:
  *
  *     const MyAppSchema = new GraphQLSchema({
@@ -54,18 +64,52 @@ import { isEqualType, isTypeSubTypeOf } from '../utilities/typeComparators';
  *       directives: specifiedDirectives.concat([ myCustomDirective ]),
  *     })
  *
+ * Note: Middleware which wraps the resolution of every field may be provided
+ * as `fieldMiddleware`, applied in order with the first outermost. Each is
+ * called with the next resolver followed by the resolver arguments, and may
+ * act before and after calling it, or return without calling it. Example:
+ *
+ *     const MyAppSchema = new GraphQLSchema({
+ *       ...
+ *       fieldMiddleware: [
+ *         (resolve, source, args, context, info) => {
+ *           const start = Date.now();
+ *           return Promise.resolve(resolve(source, args, context, info))
+ *             .then(result => {
+ *               log(info.fieldName, Date.now() - start);
+ *               return result;
+ *             });
+ *         },
+ *       ],
+ *     })
+ *
+ * Note: The `appliedDirectives` of the types, fields, arguments, enum values
+ * and input fields of a schema, such as those recorded when building a schema
+ * from a schema document, may be exposed through introspection by providing
+ * `exposeAppliedDirectives: true`. Only then do `__Type`, `__Field`,
+ * `__InputValue` and `__EnumValue` have an `appliedDirectives` field, and the
+ * schema include the `__AppliedDirective` and `__AppliedDirectiveArgument`
+ * types.
+ *
  */
 export class GraphQLSchema {
   astNode: ?SchemaDefinitionNode;
+  extensionASTNodes: Array<SchemaExtensionDefinitionNode>;
   _queryType: GraphQLObjectType;
   _mutationType: ?GraphQLObjectType;
   _subscriptionType: ?GraphQLObjectType;
   _directives: Array<GraphQLDirective>;
+  _fieldMiddleware: Array<GraphQLFieldMiddleware<*, *>>;
+  _exposeAppliedDirectives: boolean;
   _typeMap: TypeMap;
   _implementations: { [interfaceName: string]: Array<GraphQLObjectType> };
   _possibleTypeMap: ?{
     [abstractName: string]: { [possibleName: string]: boolean }
   };
+  // Types sharing their name with another type, reported by validateSchema().
+  __conflictingTypes: Array<GraphQLNamedType>;
+  // Used as a cache for validateSchema().
+  __validationErrors: ?Array<GraphQLError>;
 
   constructor(config: GraphQLSchemaConfig): void {
     invariant(
@@ -73,25 +117,9 @@ export class GraphQLSchema {
       'Must provide configuration object.'
     );
 
-    invariant(
-      config.query instanceof GraphQLObjectType,
-      `Schema query must be Object Type but got: ${
-        String(config.query)}.`
-    );
+    // Root types are checked by validateSchema.
     this._queryType = config.query;
-
-    invariant(
-      !config.mutation || config.mutation instanceof GraphQLObjectType,
-      `Schema mutation must be Object Type if provided but got: ${
-        String(config.mutation)}.`
-    );
     this._mutationType = config.mutation;
-
-    invariant(
-      !config.subscription || config.subscription instanceof GraphQLObjectType,
-      `Schema subscription must be Object Type if provided but got: ${
-        String(config.subscription)}.`
-    );
     this._subscriptionType = config.subscription;
 
     invariant(
@@ -109,14 +137,26 @@ export class GraphQLSchema {
     );
     // Provide specified directives (e.g. @include and @skip) by default.
     this._directives = config.directives || specifiedDirectives;
+
+    invariant(
+      !config.fieldMiddleware ||
+      Array.isArray(config.fieldMiddleware) && config.fieldMiddleware.every(
+        middleware => typeof middleware === 'function'
+      ),
+      'Schema field middleware must be an Array of functions if provided but ' +
+      `got: ${String(config.fieldMiddleware)}.`
+    );
+    this._fieldMiddleware = config.fieldMiddleware || [];
+    this._exposeAppliedDirectives = Boolean(config.exposeAppliedDirectives);
     this.astNode = config.astNode || null;
+    this.extensionASTNodes = config.extensionASTNodes || [];
 
     // Build type map now to detect any errors within this schema.
     let initialTypes: Array<?GraphQLNamedType> = [
       this.getQueryType(),
       this.getMutationType(),
       this.getSubscriptionType(),
-      __Schema
+      getIntrospectionTypes(this._exposeAppliedDirectives).__Schema
     ];
 
     const types = config.types;
@@ -124,11 +164,22 @@ export class GraphQLSchema {
       initialTypes = initialTypes.concat(types);
     }
 
+    this.__conflictingTypes = [];
+    const reducer = (map, type) =>
+      typeMapReducer(map, type, this.__conflictingTypes);
     this._typeMap = initialTypes.reduce(
-      typeMapReducer,
+      reducer,
       (Object.create(null): TypeMap)
     );
 
+    // Include the types of directive arguments, which may not be referenced
+    // anywhere else in the schema.
+    this._directives.forEach(directive => {
+      directive.args.forEach(arg => {
+        this._typeMap = reducer(this._typeMap, arg.type);
+      });
+    });
+
     // Keep track of all implementations by interface name.
     this._implementations = Object.create(null);
     Object.keys(this._typeMap).forEach(typeName => {
@@ -144,16 +195,6 @@ export class GraphQLSchema {
         });
       }
     });
-
-    // Enforce correct interface implementations.
-    Object.keys(this._typeMap).forEach(typeName => {
-      const type = this._typeMap[typeName];
-      if (type instanceof GraphQLObjectType) {
-        type.getInterfaces().forEach(
-          iface => assertObjectImplementsInterface(this, type, iface)
-        );
-      }
-    });
   }
 
   getQueryType(): GraphQLObjectType {
@@ -213,6 +254,24 @@ export class GraphQLSchema {
     return Boolean(possibleTypeMap[abstractType.name][possibleType.name]);
   }
 
+  /**
+   * Returns true if the given Object or Interface type is a subtype of the
+   * given abstract type: either a possible type of it or an Interface type
+   * which implements it.
+   */
+  isSubType(
+    abstractType: GraphQLAbstractType,
+    maybeSubType: GraphQLObjectType | GraphQLInterfaceType
+  ): boolean {
+    if (maybeSubType instanceof GraphQLInterfaceType) {
+      return abstractType instanceof GraphQLInterfaceType &&
+        maybeSubType.getInterfaces().some(
+          iface => iface.name === abstractType.name
+        );
+    }
+    return this.isPossibleType(abstractType, maybeSubType);
+  }
+
   getDirectives(): Array<GraphQLDirective> {
     return this._directives;
   }
@@ -220,6 +279,14 @@ export class GraphQLSchema {
   getDirective(name: string): ?GraphQLDirective {
     return find(this.getDirectives(), directive => directive.name === name);
   }
+
+  getFieldMiddleware(): Array<GraphQLFieldMiddleware<*, *>> {
+    return this._fieldMiddleware;
+  }
+
+  exposesAppliedDirectives(): boolean {
+    return this._exposeAppliedDirectives;
+  }
 }
 
 type TypeMap = { [typeName: string]: GraphQLNamedType };
@@ -230,22 +297,35 @@ type GraphQLSchemaConfig = {
   subscription?: ?GraphQLObjectType;
   types?: ?Array<GraphQLNamedType>;
   directives?: ?Array<GraphQLDirective>;
+  fieldMiddleware?: ?Array<GraphQLFieldMiddleware<*, *>>;
+  exposeAppliedDirectives?: ?boolean;
   astNode?: ?SchemaDefinitionNode;
+  extensionASTNodes?: ?Array<SchemaExtensionDefinitionNode>;
 };
 
-function typeMapReducer(map: TypeMap, type: ?GraphQLType): TypeMap {
+// Collects the named types reachable from the given type into the type map.
+// A type sharing its name with another type is collected as conflicting.
+function typeMapReducer(
+  map: TypeMap,
+  type: ?GraphQLType,
+  conflictingTypes: Array<GraphQLNamedType>
+): TypeMap {
+  const reducer = (reducedMap, innerType) =>
+    typeMapReducer(reducedMap, innerType, conflictingTypes);
   if (!type) {
     return map;
   }
   if (type instanceof GraphQLList || type instanceof GraphQLNonNull) {
-    return typeMapReducer(map, type.ofType);
+    return reducer(map, type.ofType);
+  }
+  // Anything else used as a type is reported by validateSchema.
+  if (!isNamedType(type)) {
+    return map;
   }
   if (map[type.name]) {
-    invariant(
-      map[type.name] === type,
-      'Schema must contain unique named types but contains multiple ' +
-      `types named "${type.name}".`
-    );
+    if (map[type.name] !== type && conflictingTypes.indexOf(type) === -1) {
+      conflictingTypes.push(type);
+    }
     return map;
   }
   map[type.name] = type;
@@ -253,24 +333,22 @@ function typeMapReducer(map: TypeMap, type: ?GraphQLType): TypeMap {
   let reducedMap = map;
 
   if (type instanceof GraphQLUnionType) {
-    reducedMap = type.getTypes().reduce(typeMapReducer, reducedMap);
-  }
-
-  if (type instanceof GraphQLObjectType) {
-    reducedMap = type.getInterfaces().reduce(typeMapReducer, reducedMap);
+    reducedMap = type.getTypes().reduce(reducer, reducedMap);
   }
 
   if (type instanceof GraphQLObjectType ||
       type instanceof GraphQLInterfaceType) {
+    reducedMap = type.getInterfaces().reduce(reducer, reducedMap);
+
     const fieldMap = type.getFields();
     Object.keys(fieldMap).forEach(fieldName => {
       const field = fieldMap[fieldName];
 
       if (field.args) {
         const fieldArgTypes = field.args.map(arg => arg.type);
-        reducedMap = fieldArgTypes.reduce(typeMapReducer, reducedMap);
+        reducedMap = fieldArgTypes.reduce(reducer, reducedMap);
       }
-      reducedMap = typeMapReducer(reducedMap, field.type);
+      reducedMap = reducer(reducedMap, field.type);
     });
   }
 
@@ -278,77 +356,9 @@ function typeMapReducer(map: TypeMap, type: ?GraphQLType): TypeMap {
     const fieldMap = type.getFields();
     Object.keys(fieldMap).forEach(fieldName => {
       const field = fieldMap[fieldName];
-      reducedMap = typeMapReducer(reducedMap, field.type);
+      reducedMap = reducer(reducedMap, field.type);
     });
   }
 
   return reducedMap;
 }
-
-function assertObjectImplementsInterface(
-  schema: GraphQLSchema,
-  object: GraphQLObjectType,
-  iface: GraphQLInterfaceType
-): void {
-  const objectFieldMap = object.getFields();
-  const ifaceFieldMap = iface.getFields();
-
-  // Assert each interface field is implemented.
-  Object.keys(ifaceFieldMap).forEach(fieldName => {
-    const objectField = objectFieldMap[fieldName];
-    const ifaceField = ifaceFieldMap[fieldName];
-
-    // Assert interface field exists on object.
-    invariant(
-      objectField,
-      `"${iface.name}" expects field "${fieldName}" but "${object.name}" ` +
-      'does not provide it.'
-    );
-
-    // Assert interface field type is satisfied by object field type, by being
-    // a valid subtype. (covariant)
-    invariant(
-      isTypeSubTypeOf(schema, objectField.type, ifaceField.type),
-      `${iface.name}.${fieldName} expects type "${String(ifaceField.type)}" ` +
-      'but ' +
-      `${object.name}.${fieldName} provides type "${String(objectField.type)}".`
-    );
-
-    // Assert each interface field arg is implemented.
-    ifaceField.args.forEach(ifaceArg => {
-      const argName = ifaceArg.name;
-      const objectArg = find(objectField.args, arg => arg.name === argName);
-
-      // Assert interface field arg exists on object field.
-      invariant(
-        objectArg,
-        `${iface.name}.${fieldName} expects argument "${argName}" but ` +
-        `${object.name}.${fieldName} does not provide it.`
-      );
-
-      // Assert interface field arg type matches object field arg type.
-      // (invariant)
-      invariant(
-        isEqualType(ifaceArg.type, objectArg.type),
-        `${iface.name}.${fieldName}(${argName}:) expects type ` +
-        `"${String(ifaceArg.type)}" but ` +
-        `${object.name}.${fieldName}(${argName}:) provides type ` +
-        `"${String(objectArg.type)}".`
-      );
-    });
-
-    // Assert additional arguments must not be required.
-    objectField.args.forEach(objectArg => {
-      const argName = objectArg.name;
-      const ifaceArg = find(ifaceField.args, arg => arg.name === argName);
-      if (!ifaceArg) {
-        invariant(
-          !(objectArg.type instanceof GraphQLNonNull),
-          `${object.name}.${fieldName}(${argName}:) is of required type ` +
-          `"${String(objectArg.type)}" but is not also provided by the ` +
-          `interface ${iface.name}.${fieldName}.`
-        );
-      }
-    });
-  });
-}
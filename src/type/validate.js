@@ -0,0 +1,566 @@
+/* @flow */
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import {
+  GraphQLObjectType,
+  GraphQLInterfaceType,
+  GraphQLUnionType,
+  GraphQLEnumType,
+  GraphQLInputObjectType,
+  GraphQLNonNull,
+  isInputType,
+  isOutputType,
+} from './definition';
+import type {
+  GraphQLArgument,
+  GraphQLNamedType,
+} from './definition';
+import { GraphQLSchema } from './schema';
+import { GraphQLError } from '../error/GraphQLError';
+import find from '../jsutils/find';
+import invariant from '../jsutils/invariant';
+import { isEqualType, isTypeSubTypeOf } from '../utilities/typeComparators';
+import type {
+  ASTNode,
+  FieldDefinitionNode,
+  InputValueDefinitionNode,
+  NameNode,
+  NamedTypeNode,
+  TypeNode,
+} from '../language/ast';
+
+
+/**
+ * Implements the "Type Validation" sub-sections of the specification's
+ * "Type System" section.
+ *
+ * Validation runs synchronously, returning an array of encountered errors, or
+ * an empty array if no errors were encountered and the Schema is valid. When
+ * the schema was built from the GraphQL schema language, each error includes
+ * the locations of the definitions responsible for it.
+ *
+ * The result is cached on the schema, which is not expected to change.
+ */
+export function validateSchema(
+  schema: GraphQLSchema
+): Array<GraphQLError> {
+  invariant(
+    schema instanceof GraphQLSchema,
+    'Schema must be an instance of GraphQLSchema. Also ensure that there are ' +
+    'not multiple versions of GraphQL installed in your node_modules directory.'
+  );
+
+  if (!schema.__validationErrors) {
+    const errors = [];
+    validateRootTypes(errors, schema);
+    validateDirectives(errors, schema);
+    validateUniqueTypeNames(errors, schema);
+    validateTypes(errors, schema);
+    schema.__validationErrors = errors;
+  }
+  return schema.__validationErrors;
+}
+
+/**
+ * Utility function which asserts a schema is valid by throwing an error with
+ * the messages of each validation error if it is invalid.
+ */
+export function assertValidSchema(schema: GraphQLSchema): void {
+  const errors = validateSchema(schema);
+  if (errors.length !== 0) {
+    throw new Error(errors.map(error => error.message).join('\n\n'));
+  }
+}
+
+function reportError(
+  errors: Array<GraphQLError>,
+  message: string,
+  nodes?: $ReadOnlyArray<?ASTNode>
+): void {
+  const astNodes = nodes && nodes.filter(Boolean);
+  errors.push(new GraphQLError(
+    message,
+    astNodes && astNodes.length > 0 ? astNodes : undefined
+  ));
+}
+
+function validateRootTypes(errors, schema) {
+  const schemaNode = schema.astNode;
+  const operationTypeNode = operation => schemaNode &&
+    find(schemaNode.operationTypes, node => node.operation === operation);
+
+  const queryType: mixed = schema.getQueryType();
+  if (!(queryType instanceof GraphQLObjectType)) {
+    const typeNode = operationTypeNode('query');
+    reportError(
+      errors,
+      `Schema query must be Object Type but got: ${String(queryType)}.`,
+      [ typeNode ? typeNode.type : getAstNode(queryType) ]
+    );
+  }
+
+  [ 'mutation', 'subscription' ].forEach(operation => {
+    const rootType: mixed = operation === 'mutation' ?
+      schema.getMutationType() :
+      schema.getSubscriptionType();
+    if (rootType && !(rootType instanceof GraphQLObjectType)) {
+      const typeNode = operationTypeNode(operation);
+      reportError(
+        errors,
+        `Schema ${operation} must be Object Type if provided but got: ` +
+        `${String(rootType)}.`,
+        [ typeNode ? typeNode.type : getAstNode(rootType) ]
+      );
+    }
+  });
+}
+
+function validateDirectives(errors, schema) {
+  const directivesByName = Object.create(null);
+  schema.getDirectives().forEach(directive => {
+    const existing = directivesByName[directive.name];
+    if (existing) {
+      reportError(
+        errors,
+        `Directive "@${directive.name}" can only be defined once.`,
+        [ existing.astNode, directive.astNode ]
+      );
+      return;
+    }
+    directivesByName[directive.name] = directive;
+
+    directive.args.forEach(arg => {
+      if (!isInputType(arg.type)) {
+        reportError(
+          errors,
+          `@${directive.name}(${arg.name}:) argument type must be Input ` +
+          `Type but got: ${String(arg.type)}.`,
+          [ getTypeNode(arg.astNode) ]
+        );
+      }
+    });
+
+    const argNodes = directive.astNode && directive.astNode.arguments;
+    validateUniqueNames(
+      errors,
+      argNodes,
+      name => `Argument "@${directive.name}(${name}:)" can only be defined ` +
+        'once.'
+    );
+  });
+}
+
+// Reports each type which shares its name with another type of the schema,
+// which the type map cannot include.
+function validateUniqueTypeNames(errors, schema) {
+  const typeMap = schema.getTypeMap();
+  const typesByName = Object.create(null);
+  schema.__conflictingTypes.forEach(type => {
+    if (typesByName[type.name]) {
+      typesByName[type.name].push(type);
+    } else {
+      typesByName[type.name] = [ typeMap[type.name], type ];
+    }
+  });
+  Object.keys(typesByName).forEach(typeName => {
+    reportError(
+      errors,
+      'Schema must contain unique named types but contains multiple types ' +
+      `named "${typeName}".`,
+      typesByName[typeName].map(type => type.astNode)
+    );
+  });
+}
+
+function validateTypes(errors, schema) {
+  const typeMap = schema.getTypeMap();
+  Object.keys(typeMap).forEach(typeName => {
+    const type = typeMap[typeName];
+
+    if (type instanceof GraphQLObjectType ||
+        type instanceof GraphQLInterfaceType) {
+      validateFieldConfigs(errors, type);
+      validateFields(errors, type);
+      validateInterfaces(errors, schema, type);
+    }
+
+    if (type instanceof GraphQLUnionType) {
+      validateUnionMembers(errors, type);
+    } else if (type instanceof GraphQLEnumType) {
+      validateUniqueNames(
+        errors,
+        type.astNode && type.astNode.values,
+        name => `Enum value "${type.name}.${name}" can only be defined once.`
+      );
+    } else if (type instanceof GraphQLInputObjectType) {
+      validateFieldConfigs(errors, type);
+      validateInputFields(errors, type);
+    }
+  });
+}
+
+// Reports the problems with the configuration of the fields of a type, found
+// when its fields were defined.
+function validateFieldConfigs(
+  errors,
+  type: GraphQLObjectType | GraphQLInterfaceType | GraphQLInputObjectType
+) {
+  const fieldMap: { [fieldName: string]: any } = type.getFields();
+  type._fieldConfigErrors.forEach(({ message, fieldName, argName }) => {
+    const field = fieldName ? fieldMap[fieldName] : null;
+    const arg = field && argName ?
+      find(field.args, fieldArg => fieldArg.name === argName) :
+      null;
+    reportError(errors, message, [
+      arg ? arg.astNode : field ? field.astNode : type.astNode
+    ]);
+  });
+}
+
+function validateFields(
+  errors,
+  type: GraphQLObjectType | GraphQLInterfaceType
+) {
+  const fieldMap = type.getFields();
+  Object.keys(fieldMap).forEach(fieldName => {
+    const field = fieldMap[fieldName];
+    if (!isOutputType(field.type)) {
+      reportError(
+        errors,
+        `${type.name}.${fieldName} field type must be Output Type but ` +
+        `got: ${String(field.type)}.`,
+        [ getTypeNode(field.astNode) ]
+      );
+    }
+
+    validateArgs(
+      errors,
+      `${type.name}.${fieldName}`,
+      field.args,
+      field.astNode && field.astNode.arguments
+    );
+  });
+
+  validateUniqueNames(
+    errors,
+    getFieldNodes(type),
+    name => `Field "${type.name}.${name}" can only be defined once.`
+  );
+}
+
+function validateArgs(
+  errors,
+  fieldCoordinate: string,
+  args: Array<GraphQLArgument>,
+  argNodes: ?Array<InputValueDefinitionNode>
+) {
+  args.forEach(arg => {
+    if (!isInputType(arg.type)) {
+      reportError(
+        errors,
+        `${fieldCoordinate}(${arg.name}:) argument type must be Input Type ` +
+        `but got: ${String(arg.type)}.`,
+        [ getTypeNode(arg.astNode) ]
+      );
+    }
+  });
+
+  validateUniqueNames(
+    errors,
+    argNodes,
+    name => `Argument "${fieldCoordinate}(${name}:)" can only be defined once.`
+  );
+}
+
+function validateInterfaces(
+  errors,
+  schema,
+  type: GraphQLObjectType | GraphQLInterfaceType
+) {
+  const implementedTypeNames = Object.create(null);
+  type.getInterfaces().forEach(iface => {
+    if (!(iface instanceof GraphQLInterfaceType)) {
+      reportError(
+        errors,
+        `${type.name} may only implement Interface types, it cannot ` +
+        `implement: ${String(iface)}.`,
+        [ getImplementsInterfaceNode(type, iface) ]
+      );
+      return;
+    }
+    if (iface === type) {
+      reportError(
+        errors,
+        `${type.name} cannot implement itself.`,
+        [ getImplementsInterfaceNode(type, iface) ]
+      );
+      return;
+    }
+    if (implementedTypeNames[iface.name]) {
+      reportError(
+        errors,
+        `${type.name} may declare it implements ${iface.name} only once.`,
+        getAllImplementsInterfaceNodes(type, iface)
+      );
+      return;
+    }
+    implementedTypeNames[iface.name] = true;
+    validateImplementsAncestors(errors, type, iface);
+    validateTypeImplementsInterface(errors, schema, type, iface);
+  });
+}
+
+// An interface implemented by an interface must also be implemented by each
+// of its implementations, and must not lead back to the implementing type.
+function validateImplementsAncestors(
+  errors,
+  type: GraphQLObjectType | GraphQLInterfaceType,
+  iface: GraphQLInterfaceType
+) {
+  const typeInterfaces = type.getInterfaces();
+  iface.getInterfaces().forEach(ancestor => {
+    if (typeInterfaces.indexOf(ancestor) !== -1) {
+      return;
+    }
+    reportError(
+      errors,
+      ancestor === type ?
+        `${type.name} cannot implement ${iface.name} because it would ` +
+        'create a circular reference.' :
+        `${type.name} must implement ${ancestor.name} because it is ` +
+        `implemented by ${iface.name}.`,
+      [
+        ...getAllImplementsInterfaceNodes(iface, ancestor),
+        ...getAllImplementsInterfaceNodes(type, iface),
+      ]
+    );
+  });
+}
+
+function validateTypeImplementsInterface(
+  errors,
+  schema: GraphQLSchema,
+  type: GraphQLObjectType | GraphQLInterfaceType,
+  iface: GraphQLInterfaceType
+) {
+  const typeFieldMap = type.getFields();
+  const ifaceFieldMap = iface.getFields();
+
+  // Assert each interface field is implemented.
+  Object.keys(ifaceFieldMap).forEach(fieldName => {
+    const typeField = typeFieldMap[fieldName];
+    const ifaceField = ifaceFieldMap[fieldName];
+
+    // Assert interface field exists on type.
+    if (!typeField) {
+      reportError(
+        errors,
+        `"${iface.name}" expects field "${fieldName}" but "${type.name}" ` +
+        'does not provide it.',
+        [ ifaceField.astNode, type.astNode ]
+      );
+      return;
+    }
+
+    // Assert interface field type is satisfied by implementing field type, by
+    // being a valid subtype. (covariant)
+    if (!isTypeSubTypeOf(schema, typeField.type, ifaceField.type)) {
+      reportError(
+        errors,
+        `${iface.name}.${fieldName} expects type ` +
+        `"${String(ifaceField.type)}" but ${type.name}.${fieldName} ` +
+        `provides type "${String(typeField.type)}".`,
+        [ getTypeNode(ifaceField.astNode), getTypeNode(typeField.astNode) ]
+      );
+    }
+
+    // Assert each interface field arg is implemented.
+    ifaceField.args.forEach(ifaceArg => {
+      const argName = ifaceArg.name;
+      const typeArg = find(typeField.args, arg => arg.name === argName);
+
+      // Assert interface field arg exists on implementing field.
+      if (!typeArg) {
+        reportError(
+          errors,
+          `${iface.name}.${fieldName} expects argument "${argName}" but ` +
+          `${type.name}.${fieldName} does not provide it.`,
+          [ ifaceArg.astNode, typeField.astNode ]
+        );
+        return;
+      }
+
+      // Assert interface field arg type matches implementing field arg type.
+      // (invariant)
+      if (!isEqualType(ifaceArg.type, typeArg.type)) {
+        reportError(
+          errors,
+          `${iface.name}.${fieldName}(${argName}:) expects type ` +
+          `"${String(ifaceArg.type)}" but ` +
+          `${type.name}.${fieldName}(${argName}:) provides type ` +
+          `"${String(typeArg.type)}".`,
+          [ getTypeNode(ifaceArg.astNode), getTypeNode(typeArg.astNode) ]
+        );
+      }
+    });
+
+    // Assert additional arguments must not be required.
+    typeField.args.forEach(typeArg => {
+      const argName = typeArg.name;
+      const ifaceArg = find(ifaceField.args, arg => arg.name === argName);
+      if (!ifaceArg && typeArg.type instanceof GraphQLNonNull) {
+        reportError(
+          errors,
+          `${type.name}.${fieldName}(${argName}:) is of required type ` +
+          `"${String(typeArg.type)}" but is not also provided by the ` +
+          `interface ${iface.name}.${fieldName}.`,
+          [ getTypeNode(typeArg.astNode), ifaceField.astNode ]
+        );
+      }
+    });
+  });
+}
+
+function validateUnionMembers(errors, union: GraphQLUnionType) {
+  const includedTypeNames = Object.create(null);
+  union.getTypes().forEach(memberType => {
+    if (!(memberType instanceof GraphQLObjectType)) {
+      reportError(
+        errors,
+        `${union.name} may only contain Object types, it cannot contain: ` +
+        `${String(memberType)}.`,
+        [ getUnionMemberTypeNode(union, String(memberType)) ]
+      );
+      return;
+    }
+    if (includedTypeNames[memberType.name]) {
+      reportError(
+        errors,
+        `${union.name} can include ${memberType.name} type only once.`,
+        getAllUnionMemberTypeNodes(union, memberType.name)
+      );
+      return;
+    }
+    includedTypeNames[memberType.name] = true;
+  });
+}
+
+function validateInputFields(errors, type: GraphQLInputObjectType) {
+  const fieldMap = type.getFields();
+  Object.keys(fieldMap).forEach(fieldName => {
+    const field = fieldMap[fieldName];
+    if (!isInputType(field.type)) {
+      reportError(
+        errors,
+        `${type.name}.${fieldName} field type must be Input Type but ` +
+        `got: ${String(field.type)}.`,
+        [ getTypeNode(field.astNode) ]
+      );
+    }
+
+    // Exactly one field of a OneOf input object is provided, so none of them
+    // can be required or take a default value.
+    if (type.isOneOf) {
+      if (field.type instanceof GraphQLNonNull) {
+        reportError(
+          errors,
+          `OneOf input field ${type.name}.${fieldName} must be nullable.`,
+          [ getTypeNode(field.astNode) ]
+        );
+      }
+      if (field.defaultValue !== undefined) {
+        reportError(
+          errors,
+          `OneOf input field ${type.name}.${fieldName} cannot have a ` +
+          'default value.',
+          [ field.astNode && field.astNode.defaultValue ]
+        );
+      }
+    }
+  });
+
+  validateUniqueNames(
+    errors,
+    type.astNode && type.astNode.fields,
+    name => `Field "${type.name}.${name}" can only be defined once.`
+  );
+}
+
+// Reports each name defined by more than one of the given definitions, which
+// the schema itself cannot represent since each definition replaces the last.
+function validateUniqueNames<T: { +name: NameNode }>(
+  errors,
+  nodes: ?$ReadOnlyArray<T>,
+  message: (name: string) => string
+) {
+  if (!nodes) {
+    return;
+  }
+  const nodesByName = Object.create(null);
+  nodes.forEach(node => {
+    const name = node.name.value;
+    if (nodesByName[name]) {
+      nodesByName[name].push(node);
+    } else {
+      nodesByName[name] = [ node ];
+    }
+  });
+  Object.keys(nodesByName).forEach(name => {
+    if (nodesByName[name].length > 1) {
+      reportError(errors, message(name), (nodesByName[name]: Array<any>));
+    }
+  });
+}
+
+function getAstNode(type: mixed): ?ASTNode {
+  return type && typeof type === 'object' ? (type: any).astNode : undefined;
+}
+
+function getTypeNode(
+  node: ?(FieldDefinitionNode | InputValueDefinitionNode)
+): ?TypeNode {
+  return node && node.type;
+}
+
+function getFieldNodes(
+  type: GraphQLObjectType | GraphQLInterfaceType
+): ?Array<FieldDefinitionNode> {
+  return type.astNode && type.astNode.fields;
+}
+
+function getAllImplementsInterfaceNodes(
+  type: GraphQLObjectType | GraphQLInterfaceType,
+  iface: GraphQLNamedType
+): Array<NamedTypeNode> {
+  const interfaceNodes = type.astNode && type.astNode.interfaces || [];
+  return interfaceNodes.filter(node => node.name.value === iface.name);
+}
+
+function getImplementsInterfaceNode(
+  type: GraphQLObjectType | GraphQLInterfaceType,
+  iface: GraphQLNamedType
+): ?NamedTypeNode {
+  return getAllImplementsInterfaceNodes(type, iface)[0];
+}
+
+function getAllUnionMemberTypeNodes(
+  union: GraphQLUnionType,
+  typeName: string
+): Array<NamedTypeNode> {
+  const memberNodes = union.astNode && union.astNode.types || [];
+  return memberNodes.filter(node => node.name.value === typeName);
+}
+
+function getUnionMemberTypeNode(
+  union: GraphQLUnionType,
+  typeName: string
+): ?NamedTypeNode {
+  return getAllUnionMemberTypeNodes(union, typeName)[0];
+}
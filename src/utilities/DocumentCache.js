@@ -0,0 +1,109 @@
+/* @flow */
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import invariant from '../jsutils/invariant';
+import { Source } from '../language/source';
+import type { DocumentNode } from '../language/ast';
+import type { GraphQLError } from '../error/GraphQLError';
+import type { GraphQLSchema } from '../type/schema';
+
+export type DocumentCacheEntry = {
+  document: DocumentNode,
+  validationErrors: $ReadOnlyArray<GraphQLError>,
+};
+
+type CachedEntry = {
+  schema: GraphQLSchema,
+  entry: DocumentCacheEntry,
+};
+
+/**
+ * DocumentCache is a bounded, least recently used cache of parsed documents
+ * and the outcome of validating them, keyed by schema and source. When provided
+ * to `graphql`, requests repeating a source skip both the parse and the
+ * validate phases:
+ *
+ *     const documentCache = new DocumentCache(500);
+ *
+ *     graphql({ schema, source, documentCache });
+ *
+ * Sources with the same body but another name or location offset are cached
+ * separately, as the locations of their errors differ. A plain string source
+ * is cached as a Source with the default name and location offset. A source
+ * is cached for a single schema at a time: using it with another schema
+ * replaces the entry.
+ */
+export class DocumentCache {
+  _maxSize: number;
+  _entries: Map<string, CachedEntry>;
+
+  constructor(maxSize?: number = 1000): void {
+    invariant(
+      maxSize > 0 && Math.floor(maxSize) === maxSize,
+      'DocumentCache must be created with a positive integer maximum size.'
+    );
+    this._maxSize = maxSize;
+    this._entries = new Map();
+  }
+
+  /**
+   * Returns the cached entry for the schema and source, marking it as the
+   * most recently used.
+   */
+  get(schema: GraphQLSchema, source: string | Source): ?DocumentCacheEntry {
+    const key = getSourceKey(source);
+    const cached = this._entries.get(key);
+    if (!cached || cached.schema !== schema) {
+      return;
+    }
+    // Re-insert the entry, as a Map iterates in insertion order.
+    this._entries.delete(key);
+    this._entries.set(key, cached);
+    return cached.entry;
+  }
+
+  /**
+   * Caches an entry for the schema and source, evicting the least recently
+   * used entry if the cache is full.
+   */
+  set(
+    schema: GraphQLSchema,
+    source: string | Source,
+    entry: DocumentCacheEntry
+  ): void {
+    const key = getSourceKey(source);
+    this._entries.delete(key);
+    this._entries.set(key, { schema, entry });
+    if (this._entries.size > this._maxSize) {
+      const leastRecentlyUsed: any = this._entries.keys().next().value;
+      this._entries.delete(leastRecentlyUsed);
+    }
+  }
+
+  getSize(): number {
+    return this._entries.size;
+  }
+
+  clear(): void {
+    this._entries.clear();
+  }
+}
+
+/**
+ * The key of a source in the cache, made of its name, location offset and
+ * body.
+ */
+function getSourceKey(source: string | Source): string {
+  const { name, locationOffset, body } =
+    typeof source === 'string' ? new Source(source) : source;
+  return JSON.stringify(
+    [ name, locationOffset.line, locationOffset.column, body ]
+  );
+}
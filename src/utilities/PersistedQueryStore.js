@@ -0,0 +1,107 @@
+/* @flow */
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import invariant from '../jsutils/invariant';
+import * as Kind from '../language/kinds';
+import { parse } from '../language/parser';
+import { print } from '../language/printer';
+import { validate } from '../validation/validate';
+import type { Source } from '../language/source';
+import type { DocumentNode } from '../language/ast';
+import type { GraphQLSchema } from '../type/schema';
+
+
+/**
+ * Returns the hash identifying a document: the given hash of the document as
+ * printed by `print`, so that documents which only differ in whitespace or
+ * comments share a hash.
+ */
+export function hashDocument(
+  document: DocumentNode,
+  hash: (body: string) => string
+): string {
+  return hash(print(document));
+}
+
+export type PersistedQueryStoreOptions = {
+  // Returns the hash of a printed document, such as the hex encoded SHA-256
+  // digest computed by `sha256` from 'graphql/utilities/sha256' in Node.
+  hash: (body: string) => string,
+  // Documents to add to the store when it is constructed.
+  documents?: ?Array<string | Source | DocumentNode>,
+};
+
+/**
+ * PersistedQueryStore holds the documents a server allows clients to execute,
+ * already parsed and validated against a schema, and keyed by the hash of
+ * each document. Given the store, `graphql` accepts such a hash in place of
+ * a source, skipping the parse and validate phases:
+ *
+ *     import { sha256 } from 'graphql/utilities/sha256';
+ *
+ *     const store = new PersistedQueryStore(schema, { hash: sha256 });
+ *     const hash = store.add('{ hero { name } }');
+ *
+ *     graphql({ schema, source: hash, persistedQueries: store });
+ */
+export class PersistedQueryStore {
+  _schema: GraphQLSchema;
+  _hash: (body: string) => string;
+  _documents: {[hash: string]: DocumentNode};
+
+  constructor(
+    schema: GraphQLSchema,
+    options: PersistedQueryStoreOptions
+  ): void {
+    invariant(
+      options && typeof options.hash === 'function',
+      'PersistedQueryStore must be provided a hash function.'
+    );
+    this._schema = schema;
+    this._hash = options.hash;
+    this._documents = Object.create(null);
+    if (options.documents) {
+      options.documents.forEach(document => this.add(document));
+    }
+  }
+
+  getSchema(): GraphQLSchema {
+    return this._schema;
+  }
+
+  /**
+   * Parses and validates a document, adds it to the store, and returns its
+   * hash. Throws if the document is not valid for the schema of the store.
+   */
+  add(source: string | Source | DocumentNode): string {
+    const document =
+      typeof source === 'object' && source.kind === Kind.DOCUMENT ?
+        (source: any) :
+        parse((source: any));
+    const errors = validate(this._schema, document);
+    if (errors.length > 0) {
+      throw new Error(errors.map(error => error.message).join('\n\n'));
+    }
+    const hash = hashDocument(document, this._hash);
+    this._documents[hash] = document;
+    return hash;
+  }
+
+  /**
+   * Returns the document with the given hash, if it was added to the store.
+   */
+  get(hash: string): ?DocumentNode {
+    return this._documents[hash];
+  }
+
+  getHashes(): Array<string> {
+    return Object.keys(this._documents);
+  }
+}
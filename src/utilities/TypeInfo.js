@@ -32,8 +32,7 @@ import type {
 } from '../type/definition';
 import type { GraphQLDirective } from '../type/directives';
 import {
-  SchemaMetaFieldDef,
-  TypeMetaFieldDef,
+  getIntrospectionTypes,
   TypeNameMetaFieldDef
 } from '../type/introspection';
 import type { GraphQLSchema } from '../type/schema';
@@ -249,6 +248,8 @@ function getFieldDef(
   fieldNode: FieldNode
 ): ?GraphQLField<*, *> {
   const name = fieldNode.name.value;
+  const { SchemaMetaFieldDef, TypeMetaFieldDef } =
+    getIntrospectionTypes(schema.exposesAppliedDirectives());
   if (name === SchemaMetaFieldDef.name &&
       schema.getQueryType() === parentType) {
     return SchemaMetaFieldDef;
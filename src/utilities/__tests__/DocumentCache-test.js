@@ -0,0 +1,168 @@
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { DocumentCache } from '../DocumentCache';
+import { graphql } from '../../graphql';
+import { parse, Source } from '../../language';
+import { buildSchema } from '../buildASTSchema';
+
+const schema = buildSchema(`
+  type Query {
+    hello: String
+    other: String
+  }
+`);
+
+const rootValue = { hello: 'world', other: 'value' };
+
+function entry(body) {
+  return { document: parse(body), validationErrors: [] };
+}
+
+describe('DocumentCache', () => {
+
+  it('requires a positive integer maximum size', () => {
+    expect(() => new DocumentCache(0)).to.throw(
+      'DocumentCache must be created with a positive integer maximum size.'
+    );
+    expect(() => new DocumentCache(1.5)).to.throw(
+      'DocumentCache must be created with a positive integer maximum size.'
+    );
+  });
+
+  it('evicts the least recently used entry', () => {
+    const cache = new DocumentCache(2);
+    const a = entry('{ a }');
+    const b = entry('{ b }');
+    const c = entry('{ c }');
+
+    cache.set(schema, '{ a }', a);
+    cache.set(schema, '{ b }', b);
+
+    // Using "a" makes "b" the least recently used entry.
+    expect(cache.get(schema, '{ a }')).to.equal(a);
+    cache.set(schema, '{ c }', c);
+
+    expect(cache.getSize()).to.equal(2);
+    expect(cache.get(schema, '{ a }')).to.equal(a);
+    expect(cache.get(schema, '{ b }')).to.equal(undefined);
+    expect(cache.get(schema, '{ c }')).to.equal(c);
+
+    cache.clear();
+    expect(cache.getSize()).to.equal(0);
+  });
+
+  it('only returns entries cached for the same schema', () => {
+    const cache = new DocumentCache();
+    cache.set(schema, '{ a }', entry('{ a }'));
+    expect(cache.get(buildSchema('type Query { a: String }'), '{ a }'))
+      .to.equal(undefined);
+  });
+
+  it('caches sources by name and location offset', () => {
+    const cache = new DocumentCache();
+    const a = entry('{ a }');
+    cache.set(schema, '{ a }', a);
+
+    expect(cache.get(schema, new Source('{ a }'))).to.equal(a);
+    expect(cache.get(schema, new Source('{ a }', 'a.graphql')))
+      .to.equal(undefined);
+    expect(cache.get(schema, new Source('{ a }', undefined, {
+      line: 2,
+      column: 1,
+    }))).to.equal(undefined);
+  });
+
+});
+
+describe('graphql with a document cache', () => {
+
+  it('reuses the parsed and validated document', async () => {
+    const documentCache = new DocumentCache();
+    const source = '{ hello }';
+
+    const first = await graphql({
+      schema,
+      source,
+      rootValue,
+      tracing: true,
+      documentCache,
+    });
+    expect(first.data).to.deep.equal({ hello: 'world' });
+    expect(first.extensions.tracing.parsing).to.be.an('object');
+    expect(first.extensions.tracing.validation).to.be.an('object');
+
+    const cached = documentCache.get(schema, source);
+    expect(cached && cached.validationErrors).to.deep.equal([]);
+
+    const second = await graphql({
+      schema,
+      source: new Source(source),
+      rootValue,
+      tracing: true,
+      documentCache,
+    });
+    expect(second.data).to.deep.equal({ hello: 'world' });
+    expect(second.extensions.tracing.parsing).to.equal(undefined);
+    expect(second.extensions.tracing.validation).to.equal(undefined);
+    expect(documentCache.get(schema, source)).to.equal(cached);
+  });
+
+  it('reuses the outcome of failed validation', async () => {
+    const documentCache = new DocumentCache();
+    const source = '{ unknown }';
+
+    const first = await graphql({ schema, source, documentCache });
+    const second = await graphql({ schema, source, documentCache });
+
+    expect(second.errors).to.have.lengthOf(1);
+    expect(second.errors).to.deep.equal(first.errors);
+    expect(second.errors[0].message).to.equal(
+      'Cannot query field "unknown" on type "Query".'
+    );
+  });
+
+  it('does not cache syntax errors', async () => {
+    const documentCache = new DocumentCache();
+
+    const result = await graphql({ schema, source: '{', documentCache });
+    expect(result.errors).to.have.lengthOf(1);
+    expect(documentCache.getSize()).to.equal(0);
+  });
+
+  it('reports errors in the source of each request', async () => {
+    const documentCache = new DocumentCache();
+    const body = '{ unknown }';
+
+    await graphql({ schema, source: body, documentCache });
+    const source = new Source(body, 'Other.graphql', { line: 10, column: 1 });
+    const result = await graphql({ schema, source, documentCache });
+    expect(result.errors[0].source).to.equal(source);
+  });
+
+  it('caches a source body per schema', async () => {
+    const documentCache = new DocumentCache();
+    const otherSchema = buildSchema('type Query { other: String }');
+    const source = '{ hello }';
+
+    await graphql({ schema, source, rootValue, documentCache });
+    const result = await graphql({
+      schema: otherSchema,
+      source,
+      rootValue,
+      documentCache,
+    });
+    expect(result.errors[0].message).to.equal(
+      'Cannot query field "hello" on type "Query".'
+    );
+  });
+
+});
@@ -0,0 +1,182 @@
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { PersistedQueryStore, hashDocument } from '../PersistedQueryStore';
+import { sha256 } from '../sha256';
+import { graphql } from '../../graphql';
+import { parse } from '../../language';
+import { buildSchema } from '../buildASTSchema';
+
+const schema = buildSchema(`
+  type Query {
+    hero: Character
+  }
+
+  type Character {
+    name: String
+    friends: [Character]
+  }
+`);
+
+const rootValue = {
+  hero: { name: 'Luke', friends: [ { name: 'Leia' } ] },
+};
+
+describe('hashDocument', () => {
+
+  it('hashes the printed document with the given hash', () => {
+    expect(hashDocument(parse('{ hero { name } }'), body => body)).to.equal(
+      '{\n  hero {\n    name\n  }\n}\n'
+    );
+  });
+
+  it('hashes the printed document with SHA-256', () => {
+    expect(hashDocument(parse('{ hero { name } }'), sha256)).to.equal(
+      'acc088d6d5fdba669a03cf99c1564e10730ec3ccda96ad7943bd57c7237b2aef'
+    );
+  });
+
+  it('ignores whitespace and comments', () => {
+    expect(hashDocument(parse(`
+      # The hero
+      {
+        hero { name }
+      }
+    `), sha256)).to.equal(hashDocument(parse('{hero{name}}'), sha256));
+    expect(hashDocument(parse('{ hero { name } }'), sha256)).to.not.equal(
+      hashDocument(parse('{ hero { friends { name } } }'), sha256)
+    );
+  });
+
+});
+
+describe('PersistedQueryStore', () => {
+
+  it('stores parsed documents by hash', () => {
+    const store = new PersistedQueryStore(schema, { hash: sha256 });
+    const source = '{ hero { name } }';
+    const hash = store.add(source);
+
+    expect(hash).to.equal(hashDocument(parse(source), sha256));
+    expect(store.get(hash)).to.deep.equal(parse(source));
+    expect(store.get('unknown')).to.equal(undefined);
+    expect(store.getSchema()).to.equal(schema);
+  });
+
+  it('accepts documents when constructed', () => {
+    const document = parse('{ hero { friends { name } } }');
+    const store = new PersistedQueryStore(schema, {
+      hash: sha256,
+      documents: [ '{ hero { name } }', document ],
+    });
+
+    expect(store.getHashes()).to.deep.equal([
+      hashDocument(parse('{ hero { name } }'), sha256),
+      hashDocument(document, sha256),
+    ]);
+    expect(store.get(hashDocument(document, sha256))).to.equal(document);
+  });
+
+  it('uses the hash function it is provided', () => {
+    const store = new PersistedQueryStore(schema, {
+      hash: body => `hash:${body.length}`,
+    });
+
+    expect(store.add('{ hero { name } }')).to.equal('hash:26');
+    expect(store.get('hash:26')).to.deep.equal(parse('{ hero { name } }'));
+  });
+
+  it('requires a hash function', () => {
+    expect(() => new PersistedQueryStore(schema, ({}: any))).to.throw(
+      'PersistedQueryStore must be provided a hash function.'
+    );
+  });
+
+  it('rejects documents which are not valid for the schema', () => {
+    const store = new PersistedQueryStore(schema, { hash: sha256 });
+
+    expect(() => store.add('{ hero { name }')).to.throw(
+      'Syntax Error GraphQL request (1:16) Expected Name, found <EOF>'
+    );
+    expect(() => store.add('{ villain hero { age } }')).to.throw(
+      'Cannot query field "villain" on type "Query".\n\n' +
+      'Cannot query field "age" on type "Character".'
+    );
+    expect(store.getHashes()).to.deep.equal([]);
+  });
+
+});
+
+describe('graphql with persisted queries', () => {
+
+  it('executes a persisted document given its hash', async () => {
+    const store = new PersistedQueryStore(schema, { hash: sha256 });
+    const hash = store.add('query Hero { hero { name } }');
+
+    const result = await graphql({
+      schema,
+      source: hash,
+      rootValue,
+      persistedQueries: store,
+    });
+    expect(result).to.deep.equal({ data: { hero: { name: 'Luke' } } });
+  });
+
+  it('skips parsing and validation', async () => {
+    const store = new PersistedQueryStore(schema, { hash: sha256 });
+    const hash = store.add('{ hero { name } }');
+
+    const result = await graphql({
+      schema,
+      source: hash,
+      rootValue,
+      tracing: true,
+      persistedQueries: store,
+    });
+    const trace = result.extensions.tracing;
+    expect(trace.parsing).to.equal(undefined);
+    expect(trace.validation).to.equal(undefined);
+    expect(trace.execution).to.be.an('object');
+  });
+
+  it('only executes persisted documents', async () => {
+    const store = new PersistedQueryStore(schema, { hash: sha256 });
+
+    const result = await graphql({
+      schema,
+      source: '{ hero { name } }',
+      rootValue,
+      persistedQueries: store,
+    });
+    expect(result.data).to.equal(undefined);
+    expect(result.errors.map(error => error.message)).to.deep.equal([
+      'No persisted query found for "{ hero { name } }".',
+    ]);
+  });
+
+  it('requires the store to be for the same schema', async () => {
+    const store = new PersistedQueryStore(buildSchema(`
+      type Query { hero: String }
+    `), { hash: sha256 });
+    const hash = store.add('{ hero }');
+
+    let caughtError;
+    try {
+      await graphql({ schema, source: hash, persistedQueries: store });
+    } catch (error) {
+      caughtError = error;
+    }
+    expect(caughtError && caughtError.message).to.equal(
+      'Persisted queries must be stored for the schema being executed.'
+    );
+  });
+
+});
@@ -15,9 +15,12 @@ import { buildASTSchema, buildSchema } from '../buildASTSchema';
 import dedent from '../../jsutils/dedent';
 import {
   graphql,
+  GraphQLScalarType,
   GraphQLSkipDirective,
   GraphQLIncludeDirective,
   GraphQLDeprecatedDirective,
+  GraphQLOneOfDirective,
+  validateSchema,
 } from '../../';
 
 /**
@@ -97,30 +100,51 @@ describe('Schema Builder', () => {
     expect(output).to.equal(body);
   });
 
+  it('With repeatable directives', () => {
+    const body = dedent`
+      schema {
+        query: Hello
+      }
+
+      directive @tag(name: String!) repeatable on FIELD_DEFINITION | OBJECT
+
+      type Hello {
+        str: String
+      }
+    `;
+    const output = cycleOutput(body);
+    expect(output).to.equal(body);
+    expect(buildSchema(body).getDirective('tag').isRepeatable).to.equal(true);
+  });
+
   it('Supports descriptions', () => {
     const body = dedent`
       schema {
         query: Hello
       }
 
-      # This is a directive
+      """This is a directive"""
       directive @foo(
-        # It has an argument
+        """It has an argument"""
         arg: Int
       ) on FIELD
 
-      # With an enum
+      """With an enum"""
       enum Color {
         RED
 
-        # Not a creative color
+        """Not a creative color"""
         GREEN
         BLUE
       }
 
-      # What a great type
+      """
+      What a great type
+
+      with a second paragraph
+      """
       type Hello {
-        # And a field to boot
+        """And a field to boot"""
         str: String
       }
     `;
@@ -128,6 +152,104 @@ describe('Schema Builder', () => {
     expect(output).to.equal(body);
   });
 
+  it('Prints comment descriptions as block strings', () => {
+    const body = dedent`
+      # What a great type
+      # with a second line
+      type Query {
+        # And a field to boot
+        str: String
+      }
+    `;
+    expect(cycleOutput(body)).to.equal(dedent`
+      """
+      What a great type
+      with a second line
+      """
+      type Query {
+        """And a field to boot"""
+        str: String
+      }
+    `);
+  });
+
+  it('Supports string descriptions', () => {
+    const schema = buildSchema(`
+      """
+      This is a directive
+      """
+      directive @foo(
+        "It has an argument"
+        arg: Int
+      ) on FIELD
+
+      "With an enum"
+      enum Color {
+        RED
+
+        """Not a creative color"""
+        GREEN
+      }
+
+      # A comment which is not a description
+      """
+      What a great type
+        with an indented line
+      """
+      type Query {
+        "And a field to boot"
+        str(
+          "With an argument"
+          arg: Color
+        ): String
+      }
+
+      "An input"
+      input Input {
+        "With a field"
+        field: String
+      }
+    `);
+
+    const query = schema.getQueryType();
+    const field = query.getFields().str;
+    const directive = schema.getDirective('foo');
+    const color = schema.getType('Color');
+    const input = schema.getType('Input');
+    expect(query.description).to.equal(
+      'What a great type\n  with an indented line'
+    );
+    expect(field.description).to.equal('And a field to boot');
+    expect(field.args[0].description).to.equal('With an argument');
+    expect(directive.description).to.equal('This is a directive');
+    expect(directive.args[0].description).to.equal('It has an argument');
+    expect(color.description).to.equal('With an enum');
+    expect(color.getValue('GREEN').description).to.equal(
+      'Not a creative color'
+    );
+    expect(input.description).to.equal('An input');
+    expect(input.getFields().field.description).to.equal('With a field');
+  });
+
+  it('Keeps string descriptions when the document is reprinted', () => {
+    const ast = parse(`
+      "What a great type"
+      type Query {
+        """
+        And a field
+        to boot
+        """
+        str: String
+      }
+    `);
+    const schema = buildASTSchema(parse(print(ast)));
+    const query = schema.getQueryType();
+    expect(query.description).to.equal('What a great type');
+    expect(query.getFields().str.description).to.equal(
+      'And a field\nto boot'
+    );
+  });
+
   it('Maintains @skip & @include', () => {
     const body = dedent`
       schema {
@@ -191,6 +313,99 @@ describe('Schema Builder', () => {
     expect(schema.getDirective('deprecated')).to.not.equal(undefined);
   });
 
+  it('Supports OneOf input objects', () => {
+    const body = dedent`
+      schema {
+        query: Hello
+      }
+
+      directive @oneOf on INPUT_OBJECT
+
+      type Hello {
+        str(input: Input): String
+      }
+
+      input Input @oneOf {
+        int: Int
+        str: String
+      }
+    `;
+    const output = cycleOutput(body);
+    expect(output).to.equal(body);
+  });
+
+  it('Adds @oneOf when used by an input object', () => {
+    const schema = buildSchema(`
+      type Query { str(input: Input, other: Other): String }
+      input Input @oneOf { int: Int, str: String }
+      input Other { int: Int }
+    `);
+    expect(schema.getDirectives().length).to.equal(4);
+    expect(schema.getDirective('oneOf')).to.equal(GraphQLOneOfDirective);
+    expect(schema.getType('Input').isOneOf).to.equal(true);
+    expect(schema.getType('Other').isOneOf).to.equal(false);
+  });
+
+  it('Records applied directives', () => {
+    const schema = buildSchema(`
+      directive @sensitive(level: Level = HIGH) on
+        | OBJECT
+        | FIELD_DEFINITION
+        | ENUM
+      directive @tag(name: String!) repeatable on
+        | FIELD_DEFINITION
+        | ARGUMENT_DEFINITION
+        | ENUM_VALUE
+        | INPUT_FIELD_DEFINITION
+
+      enum Level @sensitive(level: LOW) {
+        LOW @tag(name: "low")
+        HIGH @deprecated
+      }
+
+      input Filter { level: Level @tag(name: "level") @undefined }
+
+      type Query @sensitive {
+        str(filter: Filter @tag(name: "filter")): String
+          @tag(name: "a")
+          @tag(name: "b")
+        int: Int
+      }
+    `);
+
+    const queryType = schema.getType('Query');
+    expect(queryType.getAppliedDirectives()).to.deep.equal([
+      { name: 'sensitive', args: { level: 'HIGH' } },
+    ]);
+    const fields = queryType.getFields();
+    expect(fields.str.appliedDirectives).to.deep.equal([
+      { name: 'tag', args: { name: 'a' } },
+      { name: 'tag', args: { name: 'b' } },
+    ]);
+    expect(fields.str.args[0].appliedDirectives).to.deep.equal([
+      { name: 'tag', args: { name: 'filter' } },
+    ]);
+    expect(fields.int.appliedDirectives).to.deep.equal([]);
+
+    const levelType = schema.getType('Level');
+    expect(levelType.getAppliedDirectives()).to.deep.equal([
+      { name: 'sensitive', args: { level: 'LOW' } },
+    ]);
+    expect(levelType.getValue('LOW').appliedDirectives).to.deep.equal([
+      { name: 'tag', args: { name: 'low' } },
+    ]);
+    expect(levelType.getValue('HIGH').appliedDirectives).to.deep.equal([
+      { name: 'deprecated', args: { reason: 'No longer supported' } },
+    ]);
+
+    // Directives which are not defined in the schema are not recorded.
+    expect(
+      schema.getType('Filter').getFields().level.appliedDirectives
+    ).to.deep.equal([
+      { name: 'tag', args: { name: 'level' } },
+    ]);
+  });
+
   it('Type modifiers', () => {
     const body = dedent`
       schema {
@@ -295,6 +510,30 @@ describe('Schema Builder', () => {
     expect(output).to.equal(body);
   });
 
+  it('Simple interface implementing interfaces', () => {
+    const body = dedent`
+      schema {
+        query: Hello
+      }
+
+      type Hello implements WorldInterface, NamedInterface {
+        name: String
+        str: String
+      }
+
+      interface NamedInterface {
+        name: String
+      }
+
+      interface WorldInterface implements NamedInterface {
+        name: String
+        str: String
+      }
+    `;
+    const output = cycleOutput(body, 'Hello');
+    expect(output).to.equal(body);
+  });
+
   it('Simple output enum', () => {
     const body = dedent`
       schema {
@@ -634,6 +873,245 @@ describe('Schema Builder', () => {
   });
 });
 
+describe('Schema Builder with resolvers', () => {
+
+  it('uses field resolvers from the resolver map', async () => {
+    const schema = buildSchema(`
+      type Query {
+        greeting(name: String!): String
+        user: User
+      }
+
+      type User {
+        name: String
+        shout: String
+      }
+    `, {
+      resolvers: {
+        Query: {
+          greeting: (source, args) => `Hello ${args.name}`,
+          user: { resolve: () => ({ name: 'Ada' }) },
+        },
+        User: {
+          shout: user => user.name.toUpperCase(),
+        },
+      },
+    });
+
+    const result = await graphql(
+      schema,
+      '{ greeting(name: "World") user { name shout } }'
+    );
+    expect(result).to.deep.equal({
+      data: {
+        greeting: 'Hello World',
+        user: { name: 'Ada', shout: 'ADA' },
+      },
+    });
+  });
+
+  it('uses __resolveType for interfaces and unions', async () => {
+    const schema = buildSchema(`
+      type Query {
+        pet: Pet
+        search: [Result]
+      }
+
+      interface Pet { name: String }
+      type Dog implements Pet { name: String, barks: Boolean }
+      type Cat implements Pet { name: String, meows: Boolean }
+      union Result = Dog | Cat
+    `, {
+      resolvers: {
+        Query: {
+          pet: () => ({ name: 'Rex', barks: true }),
+          search: () => [ { name: 'Rex', barks: true }, { meows: false } ],
+        },
+        Pet: {
+          __resolveType: (value, context, info) =>
+            info.schema.getType('barks' in value ? 'Dog' : 'Cat'),
+        },
+        Result: {
+          __resolveType: (value, context, info) =>
+            info.schema.getType('barks' in value ? 'Dog' : 'Cat'),
+        },
+      },
+    });
+
+    const result = await graphql(schema, `{
+      pet { __typename name }
+      search { ... on Dog { barks } ... on Cat { meows } }
+    }`);
+    expect(result).to.deep.equal({
+      data: {
+        pet: { __typename: 'Dog', name: 'Rex' },
+        search: [ { barks: true }, { meows: false } ],
+      },
+    });
+  });
+
+  it('uses __isTypeOf when no __resolveType is given', async () => {
+    const schema = buildSchema(`
+      type Query { pet: Pet }
+      interface Pet { name: String }
+      type Dog implements Pet { name: String }
+      type Cat implements Pet { name: String }
+    `, {
+      resolvers: {
+        Query: { pet: () => ({ kind: 'cat', name: 'Tom' }) },
+        Dog: { __isTypeOf: value => value.kind === 'dog' },
+        Cat: { __isTypeOf: value => value.kind === 'cat' },
+      },
+    });
+
+    const result = await graphql(schema, '{ pet { __typename name } }');
+    expect(result).to.deep.equal({
+      data: { pet: { __typename: 'Cat', name: 'Tom' } },
+    });
+  });
+
+  it('uses custom scalar implementations', async () => {
+    const schema = buildSchema(`
+      # An uppercased string.
+      scalar Upper
+
+      scalar Odd
+
+      type Query {
+        echo(value: Upper): Upper
+        odd(value: Odd): Odd
+      }
+    `, {
+      resolvers: {
+        Upper: new GraphQLScalarType({
+          name: 'UpperImpl',
+          serialize: value => String(value).toUpperCase(),
+          parseValue: value => String(value).toLowerCase(),
+          parseLiteral: ast => ast.value.toLowerCase(),
+        }),
+        Odd: {
+          serialize: value => value,
+          parseValue: value => (value % 2 === 1 ? value : undefined),
+          parseLiteral: ast => {
+            const value = parseInt(ast.value, 10);
+            return value % 2 === 1 ? value : undefined;
+          },
+        },
+        Query: {
+          echo: (source, args) => args.value,
+          odd: (source, args) => args.value,
+        },
+      },
+    });
+
+    const upper = schema.getType('Upper');
+    expect(upper.name).to.equal('Upper');
+    expect(upper.description).to.equal('An uppercased string.');
+
+    expect(
+      await graphql(schema, '{ echo(value: "AbC") odd(value: 3) }')
+    ).to.deep.equal({ data: { echo: 'ABC', odd: 3 } });
+
+    const result = await graphql(schema, '{ odd(value: 2) }');
+    expect(result.errors.map(error => error.message)).to.deep.equal([
+      'Argument "value" has invalid value 2.\nExpected type "Odd", found 2.',
+    ]);
+  });
+
+  it('uses a custom scalar of the same name as given', async () => {
+    const Upper = new GraphQLScalarType({
+      name: 'Upper',
+      serialize: value => String(value).toUpperCase(),
+    });
+    const schema = buildSchema(`
+      scalar Upper
+
+      type Query {
+        upper: Upper
+      }
+    `, {
+      resolvers: {
+        Upper,
+        Query: { upper: () => 'abc' },
+      },
+    });
+
+    expect(schema.getType('Upper')).to.equal(Upper);
+    expect(schema.getQueryType().getFields().upper.type).to.equal(Upper);
+    expect(await graphql(schema, '{ upper }')).to.deep.equal(
+      { data: { upper: 'ABC' } }
+    );
+  });
+
+  it('uses internal enum values', async () => {
+    const schema = buildSchema(`
+      enum Color { RED, GREEN }
+
+      type Query {
+        color(color: Color): Color
+        hex(color: Color): String
+      }
+    `, {
+      resolvers: {
+        Color: { RED: '#f00', GREEN: '#0f0' },
+        Query: {
+          color: () => '#0f0',
+          hex: (source, args) => args.color,
+        },
+      },
+    });
+
+    const result = await graphql(schema, '{ color hex(color: RED) }');
+    expect(result).to.deep.equal({ data: { color: 'GREEN', hex: '#f00' } });
+  });
+
+  it('uses enum value names as internal values by default', async () => {
+    const schema = buildSchema(`
+      enum Color { RED, GREEN }
+
+      type Query {
+        color(color: Color): Color
+        favorite: Color
+      }
+    `);
+
+    const rootValue = { color: ({ color }) => color, favorite: 'GREEN' };
+    const result = await graphql(
+      schema,
+      '{ color(color: RED) favorite }',
+      rootValue
+    );
+    expect(result).to.deep.equal({ data: { color: 'RED', favorite: 'GREEN' } });
+  });
+
+  it('uses enum value names for values missing from a resolver map', () => {
+    const schema = buildSchema(`
+      enum Color { RED, GREEN }
+      type Query { color: Color }
+    `, {
+      resolvers: { Color: { RED: '#f00' } },
+    });
+    const values = schema.getType('Color').getValues();
+    expect(values.map(value => value.value)).to.deep.equal([ '#f00', 'GREEN' ]);
+  });
+
+  it('supports subscribe functions', () => {
+    const subscribe = () => null;
+    const schema = buildSchema(`
+      type Query { field: String }
+      type Subscription { event: String }
+    `, {
+      resolvers: {
+        Subscription: { event: { subscribe } },
+      },
+    });
+    const field = schema.getSubscriptionType().getFields().event;
+    expect(field.subscribe).to.equal(subscribe);
+    expect(field.resolve).to.equal(undefined);
+  });
+
+});
+
 describe('Failures', () => {
 
   it('Requires a schema definition or Query type', () => {
@@ -865,7 +1343,7 @@ describe('Failures', () => {
       .to.throw('Specified query type "Foo" not found in document.');
   });
 
-  it('Forbids duplicate type definitions', () => {
+  it('Reports duplicate type definitions from validateSchema', () => {
     const body = dedent`
       schema {
         query: Repeated
@@ -879,8 +1357,61 @@ describe('Failures', () => {
         id: String
       }
     `;
-    const doc = parse(body);
-    expect(() => buildASTSchema(doc))
-      .to.throw('Type "Repeated" was defined more than once.');
+    const schema = buildASTSchema(parse(body));
+    expect(validateSchema(schema).map(error => ({
+      message: error.message,
+      locations: error.locations,
+    }))).to.deep.equal([
+      {
+        message: 'Schema must contain unique named types but contains ' +
+          'multiple types named "Repeated".',
+        locations: [ { line: 5, column: 1 }, { line: 9, column: 1 } ],
+      },
+    ]);
+  });
+
+  it('Rejects resolvers for unknown types', () => {
+    const body = 'type Query { field: String }';
+    expect(() => buildSchema(body, { resolvers: { Querry: {} } }))
+      .to.throw(
+        'Resolvers were given for type "Querry" which is not defined in the ' +
+        'document.'
+      );
+  });
+
+  it('Rejects resolvers for unknown fields', () => {
+    const body = 'type Query { field: String }';
+    expect(() => buildSchema(body, {
+      resolvers: { Query: { feild: () => null } }
+    })).to.throw(
+      'Resolver was given for "Query.feild" which is not defined in the ' +
+      'document.'
+    );
+  });
+
+  it('Rejects resolvers for unknown enum values', () => {
+    const body = `
+      type Query { field: Color }
+      enum Color { RED }
+    `;
+    expect(() => buildSchema(body, {
+      resolvers: { Color: { BLUE: 'blue' } }
+    })).to.throw(
+      'Resolver was given for "Color.BLUE" which is not defined in the ' +
+      'document.'
+    );
+  });
+
+  it('Rejects a scalar implementation for a non-scalar type', () => {
+    const body = 'type Query { field: String }';
+    expect(() => buildSchema(body, {
+      resolvers: { Query: new GraphQLScalarType({
+        name: 'Query',
+        serialize: value => value,
+      }) }
+    })).to.throw(
+      'Scalar implementation was given for type "Query" which is not a ' +
+      'scalar type.'
+    );
   });
 });
@@ -10,7 +10,10 @@
 import { describe, it } from 'mocha';
 import { expect } from 'chai';
 import { buildClientSchema } from '../buildClientSchema';
-import { introspectionQuery } from '../introspectionQuery';
+import {
+  introspectionQuery,
+  getIntrospectionQuery,
+} from '../introspectionQuery';
 import {
   graphql,
   GraphQLSchema,
@@ -27,6 +30,7 @@ import {
   GraphQLString,
   GraphQLBoolean,
   GraphQLID,
+  buildSchema,
 } from '../../';
 import { GraphQLDirective } from '../../type/directives';
 
@@ -222,6 +226,44 @@ describe('Type System: build schema from introspection', () => {
     await testSchema(schema);
   });
 
+  it('builds a schema with an interface implementing interfaces', async () => {
+    const namedType = new GraphQLInterfaceType({
+      name: 'Named',
+      resolveType: () => null,
+      fields: {
+        name: { type: GraphQLString }
+      }
+    });
+    const friendlyType = new GraphQLInterfaceType({
+      name: 'Friendly',
+      resolveType: () => null,
+      interfaces: [ namedType ],
+      fields: () => ({
+        name: { type: GraphQLString },
+        bestFriend: { type: friendlyType }
+      })
+    });
+    const dogType = new GraphQLObjectType({
+      name: 'Dog',
+      interfaces: [ friendlyType, namedType ],
+      fields: () => ({
+        name: { type: GraphQLString },
+        bestFriend: { type: friendlyType }
+      })
+    });
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'WithInterface',
+        fields: {
+          friendly: { type: friendlyType }
+        }
+      }),
+      types: [ dogType ]
+    });
+
+    await testSchema(schema);
+  });
+
   it('builds a schema with an implicit interface', async () => {
     const friendlyType = new GraphQLInterfaceType({
       name: 'Friendly',
@@ -405,31 +447,36 @@ describe('Type System: build schema from introspection', () => {
         description: 'Foods that are vegetables.',
         isDeprecated: false,
         deprecationReason: null,
-        astNode: undefined, },
+        astNode: undefined,
+        appliedDirectives: [], },
       { name: 'FRUITS',
         value: 'FRUITS',
         description: 'Foods that are fruits.',
         isDeprecated: false,
         deprecationReason: null,
-        astNode: undefined, },
+        astNode: undefined,
+        appliedDirectives: [], },
       { name: 'OILS',
         value: 'OILS',
         description: 'Foods that are oils.',
         isDeprecated: false,
         deprecationReason: null,
-        astNode: undefined, },
+        astNode: undefined,
+        appliedDirectives: [], },
       { name: 'DAIRY',
         value: 'DAIRY',
         description: 'Foods that are dairy.',
         isDeprecated: false,
         deprecationReason: null,
-        astNode: undefined, },
+        astNode: undefined,
+        appliedDirectives: [], },
       { name: 'MEAT',
         value: 'MEAT',
         description: 'Foods that are meat.',
         isDeprecated: false,
         deprecationReason: null,
-        astNode: undefined, },
+        astNode: undefined,
+        appliedDirectives: [], },
     ]);
   });
 
@@ -564,6 +611,39 @@ describe('Type System: build schema from introspection', () => {
     await testSchema(schema);
   });
 
+  it('builds a schema with repeatable directives', async () => {
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Simple',
+        fields: {
+          string: { type: GraphQLString }
+        }
+      }),
+      directives: [
+        new GraphQLDirective({
+          name: 'tag',
+          locations: [ 'FIELD' ],
+          isRepeatable: true,
+        }),
+        new GraphQLDirective({
+          name: 'once',
+          locations: [ 'FIELD' ],
+        })
+      ]
+    });
+
+    // The introspection query only asks for `isRepeatable` when opted into,
+    // so that it can still be used with servers which do not support it.
+    expect(introspectionQuery).to.not.contain('isRepeatable');
+    const introspection = await graphql(
+      schema,
+      getIntrospectionQuery({ directiveIsRepeatable: true })
+    );
+    const clientSchema = buildClientSchema(introspection.data);
+    expect(clientSchema.getDirective('tag').isRepeatable).to.equal(true);
+    expect(clientSchema.getDirective('once').isRepeatable).to.equal(false);
+  });
+
   it('builds a schema with legacy directives', async () => {
 
     const oldIntrospection = {
@@ -671,6 +751,107 @@ describe('Type System: build schema from introspection', () => {
     await testSchema(schema);
   });
 
+  it('builds a schema with OneOf input objects when introspected', async () => {
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Simple',
+        fields: {
+          string: {
+            type: GraphQLString,
+            args: {
+              input: {
+                type: new GraphQLInputObjectType({
+                  name: 'OneOfInput',
+                  isOneOf: true,
+                  fields: {
+                    a: { type: GraphQLString },
+                    b: { type: GraphQLString },
+                  },
+                }),
+              },
+            },
+          },
+        },
+      }),
+    });
+
+    // The introspection query only asks for `isOneOf` when opted into, so
+    // that it can still be used with servers which do not support it.
+    expect(introspectionQuery).to.not.contain('isOneOf');
+    const introspection = await graphql(
+      schema,
+      getIntrospectionQuery({ inputObjectOneOf: true })
+    );
+    const clientSchema = buildClientSchema(introspection.data);
+    expect(clientSchema.getType('OneOfInput').isOneOf).to.equal(true);
+
+    await testSchema(schema);
+  });
+
+  it('builds a schema with applied directives', async () => {
+    const schema = buildSchema(`
+      directive @key(fields: String!) repeatable on OBJECT
+      directive @sensitive(level: Level = HIGH) on FIELD_DEFINITION | ENUM
+      directive @tag(name: String!) repeatable on
+        | FIELD_DEFINITION
+        | ARGUMENT_DEFINITION
+        | ENUM_VALUE
+        | INPUT_FIELD_DEFINITION
+
+      enum Level @sensitive {
+        LOW @tag(name: "low")
+        HIGH
+      }
+
+      input Filter {
+        level: Level @tag(name: "level")
+      }
+
+      type Query @key(fields: "id") @key(fields: "sku") {
+        id: ID!
+        secret(filter: Filter @tag(name: "filter")): String
+          @sensitive
+          @tag(name: "secret")
+      }
+    `, { exposeAppliedDirectives: true });
+
+    // The introspection query only asks for `appliedDirectives` when opted
+    // into, as they are only exposed by schemas which opt into it.
+    expect(introspectionQuery).to.not.contain('appliedDirectives');
+    const query = getIntrospectionQuery({ appliedDirectives: true });
+    const introspection = await graphql(schema, query);
+    const clientSchema = buildClientSchema(introspection.data);
+    expect(clientSchema.exposesAppliedDirectives()).to.equal(true);
+    expect(await graphql(clientSchema, query)).to.deep.equal(introspection);
+
+    const queryType = clientSchema.getType('Query');
+    expect(queryType.getAppliedDirectives()).to.deep.equal([
+      { name: 'key', args: { fields: 'id' } },
+      { name: 'key', args: { fields: 'sku' } },
+    ]);
+    const secretField = queryType.getFields().secret;
+    expect(secretField.appliedDirectives).to.deep.equal([
+      { name: 'sensitive', args: { level: 'HIGH' } },
+      { name: 'tag', args: { name: 'secret' } },
+    ]);
+    expect(secretField.args[0].appliedDirectives).to.deep.equal([
+      { name: 'tag', args: { name: 'filter' } },
+    ]);
+
+    const levelType = clientSchema.getType('Level');
+    expect(levelType.getAppliedDirectives()).to.deep.equal([
+      { name: 'sensitive', args: { level: 'HIGH' } },
+    ]);
+    expect(levelType.getValue('LOW').appliedDirectives).to.deep.equal([
+      { name: 'tag', args: { name: 'low' } },
+    ]);
+    expect(
+      clientSchema.getType('Filter').getFields().level.appliedDirectives
+    ).to.deep.equal([
+      { name: 'tag', args: { name: 'level' } },
+    ]);
+  });
+
   it('can use client schema for limited execution', async () => {
     const customScalar = new GraphQLScalarType({
       name: 'CustomScalar',
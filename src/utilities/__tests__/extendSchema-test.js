@@ -15,6 +15,7 @@ import { extendSchema } from '../extendSchema';
 import { execute } from '../../execution';
 import { parse, print } from '../../language';
 import { printSchema } from '../schemaPrinter';
+import { validateSchema } from '../../type/validate';
 import {
   GraphQLSchema,
   GraphQLObjectType,
@@ -26,6 +27,7 @@ import {
   GraphQLNonNull,
   GraphQLList,
   GraphQLScalarType,
+  GraphQLInputObjectType,
 } from '../../type';
 
 // Test schema.
@@ -134,6 +136,134 @@ describe('extendSchema', () => {
     expect(result.data).to.deep.equal({ newField: '123' });
   });
 
+  it('preserves field middleware', async () => {
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: { field: { type: GraphQLString } },
+      }),
+      fieldMiddleware: [
+        (resolve, source, args, context, info) =>
+          `${info.fieldName}: ${String(resolve(source, args, context, info))}`
+      ],
+    });
+    const extendedSchema = extendSchema(schema, parse(`
+      extend type Query {
+        newField: String
+      }
+    `));
+    expect(extendedSchema.getFieldMiddleware()).to.deep.equal(
+      schema.getFieldMiddleware()
+    );
+
+    const result = await execute(
+      extendedSchema,
+      parse('{ field newField }'),
+      { field: 'a', newField: 'b' }
+    );
+    expect(result.data).to.deep.equal({
+      field: 'field: a',
+      newField: 'newField: b',
+    });
+  });
+
+  it('preserves the execution config of existing fields', async () => {
+    const ItemType = new GraphQLObjectType({
+      name: 'Item',
+      fields: {
+        label: {
+          type: GraphQLString,
+          args: { first: { type: GraphQLID } },
+          resolveBatch: items => items.map(item => `item ${item.id}`),
+          cost: 2,
+          costMultipliers: [ 'first' ],
+        },
+      },
+    });
+    const subscribe = () => [];
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          items: {
+            type: new GraphQLList(ItemType),
+            resolve: () => [ { id: 1 }, { id: 2 } ],
+          },
+        },
+      }),
+      subscription: new GraphQLObjectType({
+        name: 'Subscription',
+        fields: { itemAdded: { type: GraphQLString, subscribe } },
+      }),
+    });
+    const extendedSchema = extendSchema(schema, parse(`
+      extend type Query {
+        extra: String
+      }
+    `));
+
+    const result = await execute(
+      extendedSchema,
+      parse('{ items { label } }')
+    );
+    expect(result).to.deep.equal({
+      data: { items: [ { label: 'item 1' }, { label: 'item 2' } ] },
+    });
+
+    const labelField = extendedSchema.getType('Item').getFields().label;
+    expect(labelField.cost).to.equal(2);
+    expect(labelField.costMultipliers).to.deep.equal([ 'first' ]);
+    expect(
+      extendedSchema.getSubscriptionType().getFields().itemAdded.subscribe
+    ).to.equal(subscribe);
+  });
+
+  it('keeps the types which are not extended', () => {
+    const SomeScalar = new GraphQLScalarType({
+      name: 'SomeScalar',
+      serialize: value => value,
+    });
+    const SomeInput = new GraphQLInputObjectType({
+      name: 'SomeInput',
+      fields: { scalar: { type: SomeScalar }, enum: { type: SomeEnumType } },
+    });
+    const ExtendedEnum = new GraphQLEnumType({
+      name: 'ExtendedEnum',
+      values: { ONE: {} },
+    });
+    const ReferringInput = new GraphQLInputObjectType({
+      name: 'ReferringInput',
+      fields: { value: { type: new GraphQLList(ExtendedEnum) } },
+    });
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          field: {
+            type: GraphQLString,
+            args: {
+              some: { type: SomeInput },
+              referring: { type: ReferringInput },
+            },
+          },
+        },
+      }),
+    });
+    const extendedSchema = extendSchema(schema, parse(`
+      extend enum ExtendedEnum { TWO }
+    `));
+
+    expect(extendedSchema.getType('SomeScalar')).to.equal(SomeScalar);
+    expect(extendedSchema.getType('SomeEnum')).to.equal(SomeEnumType);
+    expect(extendedSchema.getType('SomeInput')).to.equal(SomeInput);
+
+    const extendedEnum = extendedSchema.getType('ExtendedEnum');
+    expect(extendedEnum).to.not.equal(ExtendedEnum);
+    const referringInput = extendedSchema.getType('ReferringInput');
+    expect(referringInput).to.not.equal(ReferringInput);
+    expect(referringInput.getFields().value.type.ofType).to.equal(extendedEnum);
+  });
+
   it('can describe the extended fields', async () => {
     const ast = parse(`
       extend type Query {
@@ -768,6 +898,274 @@ describe('extendSchema', () => {
     `);
   });
 
+  it('extends enums by adding new values', () => {
+    const ast = parse(`
+      extend enum SomeEnum {
+        # New value description.
+        NEW_ENUM
+        OLD_ENUM @deprecated(reason: "Use NEW_ENUM.")
+      }
+    `);
+    const extendedSchema = extendSchema(testSchema, ast);
+    const someEnum = extendedSchema.getType('SomeEnum');
+    expect(someEnum.getValues().map(value => value.name)).to.deep.equal([
+      'ONE', 'TWO', 'NEW_ENUM', 'OLD_ENUM'
+    ]);
+    expect(someEnum.getValue('ONE').value).to.equal(1);
+    expect(someEnum.getValue('NEW_ENUM').description).to.equal(
+      'New value description.'
+    );
+    expect(someEnum.getValue('OLD_ENUM').deprecationReason).to.equal(
+      'Use NEW_ENUM.'
+    );
+    expect(someEnum.extensionASTNodes[0]).to.equal(ast.definitions[0]);
+    expect(testSchema.getType('SomeEnum').getValues().length).to.equal(2);
+  });
+
+  it('extends unions by adding new types', async () => {
+    const ast = parse(`
+      extend union SomeUnion = Bar | NewType
+
+      type NewType {
+        field: String
+      }
+    `);
+    const extendedSchema = extendSchema(testSchema, ast);
+    const someUnion = extendedSchema.getType('SomeUnion');
+    expect(someUnion.getTypes().map(type => type.name)).to.deep.equal([
+      'Foo', 'Biz', 'Bar', 'NewType'
+    ]);
+    expect(someUnion.getTypes()[2]).to.equal(extendedSchema.getType('Bar'));
+    expect(extendedSchema.isPossibleType(
+      someUnion,
+      extendedSchema.getType('NewType')
+    )).to.equal(true);
+
+    const result = await execute(
+      extendedSchema,
+      parse('{ someUnion { __typename } }'),
+      { someUnion: {} }
+    );
+    expect(result.data).to.deep.equal({ someUnion: { __typename: 'Foo' } });
+  });
+
+  it('extends interfaces by adding new fields', () => {
+    const ast = parse(`
+      extend interface SomeInterface {
+        newField: String
+      }
+
+      extend type Foo {
+        newField: String
+      }
+
+      extend type Bar {
+        newField: String
+      }
+    `);
+    const extendedSchema = extendSchema(testSchema, ast);
+    const someInterface = extendedSchema.getType('SomeInterface');
+    expect(Object.keys(someInterface.getFields())).to.deep.equal([
+      'name', 'some', 'newField'
+    ]);
+    expect(someInterface.extensionASTNodes.length).to.equal(1);
+    expect(validateSchema(extendedSchema)).to.deep.equal([]);
+  });
+
+  it('extends interfaces by adding implemented interfaces', () => {
+    const ast = parse(`
+      interface Named {
+        name: String
+      }
+
+      extend interface SomeInterface implements Named {
+        newField: String
+      }
+    `);
+    const extendedSchema = extendSchema(testSchema, ast);
+    const someInterface = extendedSchema.getType('SomeInterface');
+    expect(
+      someInterface.getInterfaces().map(iface => iface.name)
+    ).to.deep.equal([ 'Named' ]);
+    expect(testSchema.getType('SomeInterface').getInterfaces()).to.deep.equal(
+      []
+    );
+  });
+
+  it('extends input objects by adding new fields', () => {
+    const schema = buildSchema(`
+      type Query {
+        field(input: SomeInput): String
+      }
+
+      input SomeInput {
+        oldField: String
+      }
+    `);
+    const ast = parse(`
+      extend input SomeInput {
+        newField: Int = 1
+        nested: SomeInput
+      }
+    `);
+    const extendedSchema = extendSchema(schema, ast);
+    const someInput = extendedSchema.getType('SomeInput');
+    const fields = someInput.getFields();
+    expect(Object.keys(fields)).to.deep.equal([
+      'oldField', 'newField', 'nested'
+    ]);
+    expect(fields.newField.defaultValue).to.equal(1);
+    expect(fields.nested.type).to.equal(someInput);
+    expect(
+      extendedSchema.getQueryType().getFields().field.args[0].type
+    ).to.equal(someInput);
+  });
+
+  it('extends scalars by adding directives', () => {
+    const SomeScalar = new GraphQLScalarType({
+      name: 'SomeScalar',
+      serialize: value => `serialized ${value}`,
+    });
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: { field: { type: SomeScalar } },
+      }),
+    });
+    const ast = parse(`
+      directive @marker on SCALAR
+
+      extend scalar SomeScalar @marker
+    `);
+    const extendedSchema = extendSchema(schema, ast);
+    const extendedScalar = extendedSchema.getType('SomeScalar');
+    expect(extendedScalar).to.not.equal(SomeScalar);
+    expect(extendedScalar.serialize('value')).to.equal('serialized value');
+    expect(extendedScalar.extensionASTNodes.map(print)).to.deep.equal([
+      'extend scalar SomeScalar @marker'
+    ]);
+  });
+
+  it('rebuilds custom directives with extended argument types', () => {
+    const schema = buildSchema(`
+      directive @cache(scope: Scope) on FIELD
+
+      enum Scope { PUBLIC }
+
+      type Query { field: String }
+    `);
+    const ast = parse(`
+      extend enum Scope { PRIVATE }
+    `);
+    const extendedSchema = extendSchema(schema, ast);
+    const scope = extendedSchema.getType('Scope');
+    expect(scope.getValues().map(value => value.name)).to.deep.equal([
+      'PUBLIC', 'PRIVATE'
+    ]);
+    expect(extendedSchema.getDirective('cache').args[0].type).to.equal(scope);
+    expect(extendedSchema.getDirective('include')).to.equal(
+      schema.getDirective('include')
+    );
+  });
+
+  it('records the directives applied by extensions', () => {
+    const schema = buildSchema(`
+      directive @tag(name: String!) repeatable on
+        | OBJECT
+        | FIELD_DEFINITION
+        | ENUM_VALUE
+
+      enum Scope { PUBLIC @tag(name: "public") }
+
+      type Query @tag(name: "query") {
+        field: String @tag(name: "field")
+      }
+    `, { exposeAppliedDirectives: true });
+    const ast = parse(`
+      directive @key(fields: String!) on OBJECT
+
+      extend type Query @key(fields: "field") @tag(name: "extended") {
+        newField(arg: String): Scope @tag(name: "new")
+      }
+
+      extend enum Scope { PRIVATE @tag(name: "private") }
+    `);
+    const extendedSchema = extendSchema(schema, ast);
+    expect(extendedSchema.exposesAppliedDirectives()).to.equal(true);
+
+    const queryType = extendedSchema.getType('Query');
+    expect(queryType.getAppliedDirectives()).to.deep.equal([
+      { name: 'tag', args: { name: 'query' } },
+      { name: 'key', args: { fields: 'field' } },
+      { name: 'tag', args: { name: 'extended' } },
+    ]);
+    const fields = queryType.getFields();
+    expect(fields.field.appliedDirectives).to.deep.equal([
+      { name: 'tag', args: { name: 'field' } },
+    ]);
+    expect(fields.newField.appliedDirectives).to.deep.equal([
+      { name: 'tag', args: { name: 'new' } },
+    ]);
+    expect(fields.newField.args[0].appliedDirectives).to.deep.equal([]);
+
+    const scopeType = extendedSchema.getType('Scope');
+    expect(
+      scopeType.getValues().map(value => value.appliedDirectives)
+    ).to.deep.equal([
+      [ { name: 'tag', args: { name: 'public' } } ],
+      [ { name: 'tag', args: { name: 'private' } } ],
+    ]);
+
+    // The types of the original schema are unchanged.
+    expect(schema.getType('Query').getAppliedDirectives()).to.deep.equal([
+      { name: 'tag', args: { name: 'query' } },
+    ]);
+  });
+
+  it('may add mutation and subscription types with a schema extension', () => {
+    const ast = parse(`
+      extend schema {
+        mutation: Mutation
+        subscription: Subscription
+      }
+
+      type Mutation {
+        doSomething: String
+      }
+
+      type Subscription {
+        somethingHappened: String
+      }
+    `);
+    const extendedSchema = extendSchema(testSchema, ast);
+    expect(extendedSchema.getQueryType()).to.equal(
+      extendedSchema.getType('Query')
+    );
+    expect(extendedSchema.getMutationType()).to.equal(
+      extendedSchema.getType('Mutation')
+    );
+    expect(extendedSchema.getSubscriptionType()).to.equal(
+      extendedSchema.getType('Subscription')
+    );
+    expect(extendedSchema.extensionASTNodes.map(print)).to.deep.equal([
+      print(ast.definitions[0])
+    ]);
+    expect(validateSchema(extendedSchema)).to.deep.equal([]);
+  });
+
+  it('records schema extensions which only add directives', () => {
+    const ast = parse(`
+      directive @onSchema on SCHEMA
+
+      extend schema @onSchema
+    `);
+    const extendedSchema = extendSchema(testSchema, ast);
+    expect(extendedSchema.getMutationType()).to.equal(null);
+    expect(extendedSchema.extensionASTNodes.map(print)).to.deep.equal([
+      'extend schema @onSchema'
+    ]);
+  });
+
   it('may extend mutations and subscriptions', () => {
     const mutationSchema = new GraphQLSchema({
       query: new GraphQLObjectType({
@@ -972,6 +1370,77 @@ describe('extendSchema', () => {
     );
   });
 
+  it('does not allow replacing an existing enum value', () => {
+    const ast = parse(`
+      extend enum SomeEnum {
+        ONE
+      }
+    `);
+    expect(() =>
+      extendSchema(testSchema, ast)
+    ).to.throw(
+      'Enum value "SomeEnum.ONE" already exists in the schema. It cannot ' +
+      'also be defined in this type extension.'
+    );
+  });
+
+  it('does not allow adding an existing union member', () => {
+    const ast = parse(`
+      extend union SomeUnion = Biz
+    `);
+    expect(() =>
+      extendSchema(testSchema, ast)
+    ).to.throw(
+      'Union "SomeUnion" already includes "Biz". It cannot also be ' +
+      'included in this type extension.'
+    );
+  });
+
+  it('does not allow replacing an existing input field', () => {
+    const schema = buildSchema(`
+      type Query { field(input: SomeInput): String }
+      input SomeInput { oldField: String }
+    `);
+    const ast = parse(`
+      extend input SomeInput {
+        oldField: Int
+      }
+    `);
+    expect(() =>
+      extendSchema(schema, ast)
+    ).to.throw(
+      'Field "SomeInput.oldField" already exists in the schema. It cannot ' +
+      'also be defined in this type extension.'
+    );
+  });
+
+  it('does not allow replacing an existing root operation type', () => {
+    const ast = parse(`
+      extend schema {
+        query: Foo
+      }
+    `);
+    expect(() =>
+      extendSchema(testSchema, ast)
+    ).to.throw(
+      'Schema already has a query type "Query". It cannot also be defined ' +
+      'in this schema extension.'
+    );
+  });
+
+  it('does not allow defining a root operation type twice', () => {
+    const ast = parse(`
+      extend schema { mutation: Foo }
+      extend schema { mutation: Bar }
+    `);
+    expect(() =>
+      extendSchema(testSchema, ast)
+    ).to.throw(
+      'Schema already has a mutation type "Foo". It cannot also be defined ' +
+      'in this schema extension.'
+    );
+  });
+
   describe('does not allow extending a non-object type', () => {
 
     it('not an interface', () => {
@@ -1001,4 +1470,47 @@ describe('extendSchema', () => {
     });
 
   });
+
+  describe('does not allow extending a type of another kind', () => {
+
+    it('not an object', () => {
+      const ast = parse(`
+        extend interface Foo {
+          baz: String
+        }
+      `);
+      expect(() =>
+        extendSchema(testSchema, ast)
+      ).to.throw(
+        'Cannot extend non-interface type "Foo".'
+      );
+    });
+
+    it('not an enum', () => {
+      const ast = parse(`
+        extend enum SomeUnion {
+          VALUE
+        }
+      `);
+      expect(() =>
+        extendSchema(testSchema, ast)
+      ).to.throw(
+        'Cannot extend non-enum type "SomeUnion".'
+      );
+    });
+
+    it('not an input object', () => {
+      const ast = parse(`
+        extend input Foo {
+          baz: String
+        }
+      `);
+      expect(() =>
+        extendSchema(testSchema, ast)
+      ).to.throw(
+        'Cannot extend non-input object type "Foo".'
+      );
+    });
+
+  });
 });
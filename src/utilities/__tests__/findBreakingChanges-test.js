@@ -34,7 +34,10 @@ import {
   findValuesRemovedFromEnums,
   findArgChanges,
   findInterfacesRemovedFromObjectTypes,
+  diffSchema,
+  ChangeSeverity,
 } from '../findBreakingChanges';
+import { buildSchema } from '../buildASTSchema';
 
 describe('findBreakingChanges', () => {
   const queryType = new GraphQLObjectType({
@@ -1406,3 +1409,400 @@ describe('findDangerousChanges', () => {
     );
   });
 });
+
+describe('diffSchema', () => {
+  function diff(oldSDL, newSDL) {
+    return diffSchema(buildSchema(oldSDL), buildSchema(newSDL));
+  }
+
+  it('reports no changes between equivalent schemas', () => {
+    const sdl = `
+      type Query {
+        field(arg: [Int] = [1, 2], input: In = { a: "a" }): String
+      }
+
+      input In {
+        a: String = "default"
+      }
+
+      directive @dir(arg: Int = 1) on FIELD
+    `;
+    expect(diff(sdl, sdl)).to.deep.equal([]);
+  });
+
+  it('reports added, removed and changed types and fields', () => {
+    expect(diff(`
+      type Query {
+        a: String
+        b: String
+        c: [String]
+        d: String
+      }
+      type Removed { field: String }
+      type ChangedKind { field: String }
+    `, `
+      type Query {
+        a: String
+        c: [String]!
+        d: Int
+        e: String
+      }
+      interface ChangedKind { field: String }
+      type Added { field: String }
+    `)).to.deep.equal([
+      {
+        type: 'FIELD_REMOVED',
+        severity: ChangeSeverity.BREAKING,
+        coordinate: 'Query.b',
+        description: 'Query.b was removed.',
+      },
+      {
+        type: 'FIELD_CHANGED_KIND',
+        severity: ChangeSeverity.SAFE,
+        coordinate: 'Query.c',
+        description: 'Query.c changed type from [String] to [String]!.',
+      },
+      {
+        type: 'FIELD_CHANGED_KIND',
+        severity: ChangeSeverity.BREAKING,
+        coordinate: 'Query.d',
+        description: 'Query.d changed type from String to Int.',
+      },
+      {
+        type: 'FIELD_ADDED',
+        severity: ChangeSeverity.SAFE,
+        coordinate: 'Query.e',
+        description: 'Query.e was added.',
+      },
+      {
+        type: 'TYPE_REMOVED',
+        severity: ChangeSeverity.BREAKING,
+        coordinate: 'Removed',
+        description: 'Removed was removed.',
+      },
+      {
+        type: 'TYPE_CHANGED_KIND',
+        severity: ChangeSeverity.BREAKING,
+        coordinate: 'ChangedKind',
+        description:
+          'ChangedKind changed from an Object type to an Interface type.',
+      },
+      {
+        type: 'TYPE_ADDED',
+        severity: ChangeSeverity.SAFE,
+        coordinate: 'Int',
+        description: 'Int was added.',
+      },
+      {
+        type: 'TYPE_ADDED',
+        severity: ChangeSeverity.SAFE,
+        coordinate: 'Added',
+        description: 'Added was added.',
+      },
+    ]);
+  });
+
+  it('reports argument and input field changes', () => {
+    expect(diff(`
+      type Query {
+        field(removed: Int, loosened: Int!, changed: Int, default: Int = 1):
+          String
+      }
+      input In {
+        removed: String
+        changed: String
+        default: String = "a"
+      }
+    `, `
+      type Query {
+        field(
+          loosened: Int
+          changed: [Int]
+          default: Int = 2
+          added: Int
+          required: Int!
+        ): String
+      }
+      input In {
+        changed: String!
+        default: String
+        added: String
+        required: String!
+      }
+    `)).to.deep.equal([
+      {
+        type: 'ARG_REMOVED',
+        severity: ChangeSeverity.BREAKING,
+        coordinate: 'Query.field(removed:)',
+        description: 'Query.field(removed:) was removed.',
+      },
+      {
+        type: 'ARG_CHANGED_KIND',
+        severity: ChangeSeverity.SAFE,
+        coordinate: 'Query.field(loosened:)',
+        description: 'Query.field(loosened:) changed type from Int! to Int.',
+      },
+      {
+        type: 'ARG_CHANGED_KIND',
+        severity: ChangeSeverity.BREAKING,
+        coordinate: 'Query.field(changed:)',
+        description: 'Query.field(changed:) changed type from Int to [Int].',
+      },
+      {
+        type: 'ARG_DEFAULT_VALUE_CHANGE',
+        severity: ChangeSeverity.DANGEROUS,
+        coordinate: 'Query.field(default:)',
+        description: 'Query.field(default:) default value changed from 1 to 2.',
+      },
+      {
+        type: 'ARG_ADDED',
+        severity: ChangeSeverity.SAFE,
+        coordinate: 'Query.field(added:)',
+        description: 'Query.field(added:) was added.',
+      },
+      {
+        type: 'NON_NULL_ARG_ADDED',
+        severity: ChangeSeverity.BREAKING,
+        coordinate: 'Query.field(required:)',
+        description: 'A non-null argument Query.field(required:) was added.',
+      },
+      {
+        type: 'FIELD_REMOVED',
+        severity: ChangeSeverity.BREAKING,
+        coordinate: 'In.removed',
+        description: 'In.removed was removed.',
+      },
+      {
+        type: 'FIELD_CHANGED_KIND',
+        severity: ChangeSeverity.BREAKING,
+        coordinate: 'In.changed',
+        description: 'In.changed changed type from String to String!.',
+      },
+      {
+        type: 'INPUT_FIELD_DEFAULT_VALUE_CHANGE',
+        severity: ChangeSeverity.DANGEROUS,
+        coordinate: 'In.default',
+        description: 'In.default default value "a" was removed.',
+      },
+      {
+        type: 'INPUT_FIELD_ADDED',
+        severity: ChangeSeverity.SAFE,
+        coordinate: 'In.added',
+        description: 'In.added was added.',
+      },
+      {
+        type: 'NON_NULL_INPUT_FIELD_ADDED',
+        severity: ChangeSeverity.BREAKING,
+        coordinate: 'In.required',
+        description: 'A non-null input field In.required was added.',
+      },
+    ]);
+  });
+
+  it('reports enum value, union member and interface changes', () => {
+    expect(diff(`
+      type Query { field: String }
+      enum Enum { A B }
+      union Union = Foo | Bar
+      interface Iface1 { field: String }
+      interface Iface2 { field: String }
+      type Foo implements Iface1 { field: String }
+      type Bar { field: String }
+    `, `
+      type Query { field: String }
+      enum Enum { A C }
+      union Union = Foo | Baz
+      interface Iface1 { field: String }
+      interface Iface2 { field: String }
+      type Foo implements Iface2 { field: String }
+      type Bar { field: String }
+      type Baz { field: String }
+    `).filter(change => change.type !== 'TYPE_ADDED')).to.deep.equal([
+      {
+        type: 'VALUE_REMOVED_FROM_ENUM',
+        severity: ChangeSeverity.BREAKING,
+        coordinate: 'Enum.B',
+        description: 'B was removed from enum type Enum.',
+      },
+      {
+        type: 'VALUE_ADDED_TO_ENUM',
+        severity: ChangeSeverity.DANGEROUS,
+        coordinate: 'Enum.C',
+        description: 'C was added to enum type Enum.',
+      },
+      {
+        type: 'TYPE_REMOVED_FROM_UNION',
+        severity: ChangeSeverity.BREAKING,
+        coordinate: 'Union',
+        description: 'Bar was removed from union type Union.',
+      },
+      {
+        type: 'TYPE_ADDED_TO_UNION',
+        severity: ChangeSeverity.DANGEROUS,
+        coordinate: 'Union',
+        description: 'Baz was added to union type Union.',
+      },
+      {
+        type: 'INTERFACE_REMOVED_FROM_OBJECT',
+        severity: ChangeSeverity.BREAKING,
+        coordinate: 'Foo',
+        description: 'Foo no longer implements interface Iface1.',
+      },
+      {
+        type: 'INTERFACE_ADDED_TO_OBJECT',
+        severity: ChangeSeverity.DANGEROUS,
+        coordinate: 'Foo',
+        description: 'Foo now implements interface Iface2.',
+      },
+    ]);
+  });
+
+  it('reports description and deprecation changes', () => {
+    expect(diff(`
+      "Old description"
+      type Query {
+        "Old field description"
+        a: String
+        b: String @deprecated
+        c: String @deprecated(reason: "Old reason")
+        d(arg: Int): String
+      }
+      enum Enum {
+        "Described value"
+        A
+        B
+      }
+    `, `
+      "New description"
+      type Query {
+        a: String @deprecated
+        b: String
+        c: String @deprecated(reason: "New reason")
+        "Added field description"
+        d("Added argument description" arg: Int): String
+      }
+      enum Enum {
+        A
+        B @deprecated
+      }
+    `)).to.deep.equal([
+      {
+        type: 'DESCRIPTION_CHANGED',
+        severity: ChangeSeverity.SAFE,
+        coordinate: 'Query',
+        description: 'Query description changed.',
+      },
+      {
+        type: 'DESCRIPTION_CHANGED',
+        severity: ChangeSeverity.SAFE,
+        coordinate: 'Query.a',
+        description: 'Query.a description was removed.',
+      },
+      {
+        type: 'DEPRECATION_ADDED',
+        severity: ChangeSeverity.SAFE,
+        coordinate: 'Query.a',
+        description: 'Query.a was deprecated.',
+      },
+      {
+        type: 'DEPRECATION_REMOVED',
+        severity: ChangeSeverity.SAFE,
+        coordinate: 'Query.b',
+        description: 'Query.b is no longer deprecated.',
+      },
+      {
+        type: 'DEPRECATION_REASON_CHANGED',
+        severity: ChangeSeverity.SAFE,
+        coordinate: 'Query.c',
+        description: 'Query.c deprecation reason changed.',
+      },
+      {
+        type: 'DESCRIPTION_CHANGED',
+        severity: ChangeSeverity.SAFE,
+        coordinate: 'Query.d',
+        description: 'Query.d description was added.',
+      },
+      {
+        type: 'DESCRIPTION_CHANGED',
+        severity: ChangeSeverity.SAFE,
+        coordinate: 'Query.d(arg:)',
+        description: 'Query.d(arg:) description was added.',
+      },
+      {
+        type: 'DESCRIPTION_CHANGED',
+        severity: ChangeSeverity.SAFE,
+        coordinate: 'Enum.A',
+        description: 'Enum.A description was removed.',
+      },
+      {
+        type: 'DEPRECATION_ADDED',
+        severity: ChangeSeverity.SAFE,
+        coordinate: 'Enum.B',
+        description: 'Enum.B was deprecated.',
+      },
+    ]);
+  });
+
+  it('reports directive changes', () => {
+    expect(diff(`
+      type Query { field: String }
+      directive @removed on FIELD
+      directive @changed(removed: Int, default: Int = 1) on FIELD | QUERY
+    `, `
+      type Query { field: String }
+      "Now described"
+      directive @changed(default: Int, required: Int!)
+        on FIELD | FRAGMENT_SPREAD
+      directive @added on FIELD
+    `)).to.deep.equal([
+      {
+        type: 'DIRECTIVE_REMOVED',
+        severity: ChangeSeverity.BREAKING,
+        coordinate: '@removed',
+        description: '@removed was removed.',
+      },
+      {
+        type: 'DESCRIPTION_CHANGED',
+        severity: ChangeSeverity.SAFE,
+        coordinate: '@changed',
+        description: '@changed description was added.',
+      },
+      {
+        type: 'DIRECTIVE_LOCATION_REMOVED',
+        severity: ChangeSeverity.BREAKING,
+        coordinate: '@changed',
+        description: 'QUERY was removed from @changed.',
+      },
+      {
+        type: 'DIRECTIVE_LOCATION_ADDED',
+        severity: ChangeSeverity.SAFE,
+        coordinate: '@changed',
+        description: 'FRAGMENT_SPREAD was added to @changed.',
+      },
+      {
+        type: 'ARG_REMOVED',
+        severity: ChangeSeverity.BREAKING,
+        coordinate: '@changed(removed:)',
+        description: '@changed(removed:) was removed.',
+      },
+      {
+        type: 'ARG_DEFAULT_VALUE_CHANGE',
+        severity: ChangeSeverity.DANGEROUS,
+        coordinate: '@changed(default:)',
+        description: '@changed(default:) default value 1 was removed.',
+      },
+      {
+        type: 'NON_NULL_ARG_ADDED',
+        severity: ChangeSeverity.BREAKING,
+        coordinate: '@changed(required:)',
+        description: 'A non-null argument @changed(required:) was added.',
+      },
+      {
+        type: 'DIRECTIVE_ADDED',
+        severity: ChangeSeverity.SAFE,
+        coordinate: '@added',
+        description: '@added was added.',
+      },
+    ]);
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import {
+  parseSchemaCoordinate,
+  printSchemaCoordinate,
+  resolveSchemaCoordinate,
+} from '../schemaCoordinate';
+import { buildSchema } from '../buildASTSchema';
+
+const schema = buildSchema(`
+  type Query {
+    user(id: ID!, includeDeleted: Boolean): User
+    search(term: String): [SearchResult]
+  }
+
+  interface Node {
+    id: ID!
+  }
+
+  type User implements Node {
+    id: ID!
+    name: String
+    role: Role
+  }
+
+  union SearchResult = User
+
+  enum Role {
+    ADMIN
+    MEMBER
+  }
+
+  input UserFilter {
+    role: Role
+    name: String
+  }
+
+  scalar Date
+
+  directive @auth(requires: Role = ADMIN) on FIELD_DEFINITION
+`);
+
+describe('parseSchemaCoordinate', () => {
+
+  it('parses each form of schema coordinate', () => {
+    expect([
+      'Type',
+      'Type.field',
+      'Type.field(argument:)',
+      '@directive',
+      '@directive(argument:)',
+    ].map(parseSchemaCoordinate)).to.deep.equal([
+      {
+        isDirective: false,
+        name: 'Type',
+        memberName: null,
+        argumentName: null,
+      },
+      {
+        isDirective: false,
+        name: 'Type',
+        memberName: 'field',
+        argumentName: null,
+      },
+      {
+        isDirective: false,
+        name: 'Type',
+        memberName: 'field',
+        argumentName: 'argument',
+      },
+      {
+        isDirective: true,
+        name: 'directive',
+        memberName: null,
+        argumentName: null,
+      },
+      {
+        isDirective: true,
+        name: 'directive',
+        memberName: null,
+        argumentName: 'argument',
+      },
+    ]);
+  });
+
+  it('prints parsed schema coordinates', () => {
+    [
+      'Type',
+      'Type.field',
+      'Type.field(argument:)',
+      '@directive',
+      '@directive(argument:)',
+    ].forEach(coordinate => {
+      expect(
+        printSchemaCoordinate(parseSchemaCoordinate(coordinate))
+      ).to.equal(coordinate);
+    });
+  });
+
+  it('rejects invalid schema coordinates', () => {
+    [
+      '',
+      'Type.',
+      'Type field',
+      ' Type',
+      'Type.field(argument)',
+      'Type(argument:)',
+      '@directive.field',
+      'Type.field.other',
+      '1Type',
+    ].forEach(coordinate => {
+      expect(() => parseSchemaCoordinate(coordinate)).to.throw(
+        `Invalid schema coordinate "${coordinate}". Expected "Type", ` +
+        '"Type.field", "Type.field(argument:)", "@directive" or ' +
+        '"@directive(argument:)".'
+      );
+    });
+  });
+
+});
+
+describe('resolveSchemaCoordinate', () => {
+
+  it('resolves named types', () => {
+    expect(resolveSchemaCoordinate(schema, 'User')).to.deep.equal({
+      kind: 'Type',
+      type: schema.getType('User'),
+    });
+    expect(resolveSchemaCoordinate(schema, 'String')).to.deep.equal({
+      kind: 'Type',
+      type: schema.getType('String'),
+    });
+  });
+
+  it('resolves fields and their arguments', () => {
+    const Query = schema.getType('Query');
+    const userField = Query.getFields().user;
+    expect(resolveSchemaCoordinate(schema, 'Query.user')).to.deep.equal({
+      kind: 'Field',
+      type: Query,
+      field: userField,
+    });
+    expect(
+      resolveSchemaCoordinate(schema, 'Query.user(includeDeleted:)')
+    ).to.deep.equal({
+      kind: 'FieldArgument',
+      type: Query,
+      field: userField,
+      argument: userField.args[1],
+    });
+    const Node = schema.getType('Node');
+    expect(resolveSchemaCoordinate(schema, 'Node.id')).to.deep.equal({
+      kind: 'Field',
+      type: Node,
+      field: Node.getFields().id,
+    });
+  });
+
+  it('resolves input fields and enum values', () => {
+    const UserFilter = schema.getType('UserFilter');
+    expect(resolveSchemaCoordinate(schema, 'UserFilter.role')).to.deep.equal({
+      kind: 'InputField',
+      type: UserFilter,
+      field: UserFilter.getFields().role,
+    });
+    const Role = schema.getType('Role');
+    expect(resolveSchemaCoordinate(schema, 'Role.ADMIN')).to.deep.equal({
+      kind: 'EnumValue',
+      type: Role,
+      value: Role.getValue('ADMIN'),
+    });
+  });
+
+  it('resolves directives and their arguments', () => {
+    const auth = schema.getDirective('auth');
+    expect(resolveSchemaCoordinate(schema, '@auth')).to.deep.equal({
+      kind: 'Directive',
+      directive: auth,
+    });
+    expect(resolveSchemaCoordinate(schema, '@auth(requires:)')).to.deep.equal({
+      kind: 'DirectiveArgument',
+      directive: auth,
+      argument: auth.args[0],
+    });
+    expect(
+      resolveSchemaCoordinate(schema, '@include(if:)').argument
+    ).to.equal(schema.getDirective('include').args[0]);
+  });
+
+  it('resolves parsed schema coordinates', () => {
+    expect(
+      resolveSchemaCoordinate(schema, parseSchemaCoordinate('User.name'))
+    ).to.deep.equal(resolveSchemaCoordinate(schema, 'User.name'));
+  });
+
+  it('suggests elements for those which do not exist', () => {
+    const errorFor = coordinate => {
+      try {
+        resolveSchemaCoordinate(schema, coordinate);
+      } catch (error) {
+        return error.message;
+      }
+    };
+
+    expect([
+      'Usr',
+      'Unknown',
+      'User.nme',
+      'Query.user(include:)',
+      'UserFilter.rol',
+      'Role.ADMN',
+      '@ath',
+      '@auth(require:)',
+    ].map(errorFor)).to.deep.equal([
+      'Unknown type "Usr". Did you mean "User"?',
+      'Unknown type "Unknown".',
+      'Type "User" has no field "nme". Did you mean "name"?',
+      'Field "Query.user" has no argument "include". Did you mean ' +
+        '"includeDeleted"?',
+      'Input type "UserFilter" has no field "rol". Did you mean "role"?',
+      'Enum "Role" has no value "ADMN". Did you mean "ADMIN"?',
+      'Unknown directive "@ath". Did you mean "@auth"?',
+      'Directive "@auth" has no argument "require". Did you mean ' +
+        '"requires"?',
+    ]);
+  });
+
+  it('rejects members of types which have none', () => {
+    expect(() => resolveSchemaCoordinate(schema, 'Date.value')).to.throw(
+      'Type "Date" has no fields or values, so "Date.value" does not refer ' +
+      'to anything.'
+    );
+    expect(
+      () => resolveSchemaCoordinate(schema, 'SearchResult.id')
+    ).to.throw(
+      'Type "SearchResult" has no fields or values, so "SearchResult.id" ' +
+      'does not refer to anything.'
+    );
+    expect(
+      () => resolveSchemaCoordinate(schema, 'UserFilter.role(arg:)')
+    ).to.throw('Input field "UserFilter.role" does not have arguments.');
+    expect(
+      () => resolveSchemaCoordinate(schema, 'Role.ADMIN(arg:)')
+    ).to.throw('Enum value "Role.ADMIN" does not have arguments.');
+  });
+
+});
@@ -0,0 +1,231 @@
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { graphql, defaultFieldResolver } from '../../';
+import { buildSchema } from '../buildASTSchema';
+import { extendSchema } from '../extendSchema';
+import { visitSchemaDirectives } from '../schemaDirectives';
+import { parse } from '../../language';
+
+const upper = {
+  visitFieldDefinition(field) {
+    const resolve = field.resolve || defaultFieldResolver;
+    field.resolve = (...args) => {
+      const value = resolve(...args);
+      return typeof value === 'string' ? value.toUpperCase() : value;
+    };
+  }
+};
+
+const auth = {
+  visitObject(type, { role }) {
+    const fieldMap = type.getFields();
+    Object.keys(fieldMap).forEach(fieldName => {
+      const field = fieldMap[fieldName];
+      const resolve = field.resolve || defaultFieldResolver;
+      field.resolve = (source, args, context, info) => {
+        if (context.role !== role) {
+          throw new Error(`Requires role ${role}.`);
+        }
+        return resolve(source, args, context, info);
+      };
+    });
+  }
+};
+
+describe('visitSchemaDirectives', () => {
+
+  it('transforms fields where a directive is used', async () => {
+    const schema = buildSchema(`
+      directive @upper on FIELD_DEFINITION
+
+      type Query {
+        hello: String @upper
+        greeting(name: String): String @upper
+        plain: String
+      }
+    `, {
+      resolvers: {
+        Query: { greeting: (source, { name }) => `hello ${name}` },
+      },
+      schemaDirectives: { upper },
+    });
+
+    const result = await graphql(
+      schema,
+      '{ hello greeting(name: "you") plain }',
+      { hello: 'hello', plain: 'plain' }
+    );
+    expect(result).to.deep.equal({
+      data: { hello: 'HELLO', greeting: 'HELLO YOU', plain: 'plain' }
+    });
+  });
+
+  it('provides the values of the directive arguments', async () => {
+    const schema = buildSchema(`
+      directive @auth(role: String = "USER") on OBJECT
+
+      type Query {
+        user: User
+        admin: Admin
+      }
+
+      type User @auth {
+        name: String
+      }
+
+      type Admin @auth(role: "ADMIN") {
+        name: String
+      }
+    `, { schemaDirectives: { auth } });
+
+    const rootValue = { user: { name: 'u' }, admin: { name: 'a' } };
+    const result = await graphql(
+      schema,
+      '{ user { name } admin { name } }',
+      rootValue,
+      { role: 'USER' }
+    );
+    expect(result.data).to.deep.equal({
+      user: { name: 'u' },
+      admin: { name: null },
+    });
+    expect(result.errors.map(error => error.message)).to.deep.equal([
+      'Requires role ADMIN.'
+    ]);
+  });
+
+  it('visits every use of a repeatable directive', () => {
+    const tags = [];
+    buildSchema(`
+      directive @tag(name: String!) repeatable on FIELD_DEFINITION | OBJECT
+
+      type Query @tag(name: "root") {
+        field: String @tag(name: "a") @tag(name: "b")
+      }
+    `, {
+      schemaDirectives: {
+        tag: {
+          visitObject(type, args) {
+            tags.push(`${type.name}: ${args.name}`);
+          },
+          visitFieldDefinition(field, args, { objectType }) {
+            tags.push(`${objectType.name}.${field.name}: ${args.name}`);
+          },
+        },
+      },
+    });
+    expect(tags).to.deep.equal([
+      'Query: root',
+      'Query.field: a',
+      'Query.field: b',
+    ]);
+  });
+
+  it('visits each kind of schema element', () => {
+    const visited = [];
+    const visit = kind => (element, args, details) => {
+      visited.push(
+        kind + ' ' + (element.name || 'schema') +
+        (details ? ' of ' + Object.keys(details).map(
+          key => details[key].name
+        ).join(', ') : '')
+      );
+    };
+    buildSchema(`
+      directive @mark on
+        | SCHEMA
+        | SCALAR
+        | OBJECT
+        | FIELD_DEFINITION
+        | ARGUMENT_DEFINITION
+        | INTERFACE
+        | UNION
+        | ENUM
+        | ENUM_VALUE
+        | INPUT_OBJECT
+        | INPUT_FIELD_DEFINITION
+
+      schema @mark { query: Query }
+
+      scalar Date @mark
+
+      interface Node @mark { id: ID @mark }
+
+      type Query implements Node @mark {
+        id: ID
+        search(input: Input @mark): Result
+      }
+
+      union Result @mark = Query
+
+      enum Color @mark { RED @mark, BLUE }
+
+      input Input @mark { color: Color @mark, date: Date }
+    `, {
+      schemaDirectives: {
+        mark: {
+          visitSchema: visit('schema'),
+          visitScalar: visit('scalar'),
+          visitObject: visit('object'),
+          visitFieldDefinition: visit('field'),
+          visitArgumentDefinition: visit('argument'),
+          visitInterface: visit('interface'),
+          visitUnion: visit('union'),
+          visitEnum: visit('enum'),
+          visitEnumValue: visit('enum value'),
+          visitInputObject: visit('input object'),
+          visitInputFieldDefinition: visit('input field'),
+        },
+      },
+    });
+    expect(visited).to.deep.equal([
+      'schema schema',
+      'object Query',
+      'argument input of search, Query',
+      'interface Node',
+      'field id of Node',
+      'input object Input',
+      'input field color of Input',
+      'enum Color',
+      'enum value RED of Color',
+      'scalar Date',
+      'union Result',
+    ]);
+  });
+
+  it('visits directives used in type extensions', () => {
+    const visited = [];
+    const schema = buildSchema(`
+      directive @mark on OBJECT
+
+      type Query { field: String }
+    `);
+    const extendedSchema = extendSchema(schema, parse(`
+      extend type Query @mark {
+        other: String
+      }
+    `));
+    visitSchemaDirectives(extendedSchema, {
+      mark: { visitObject: type => visited.push(type.name) },
+    });
+    expect(visited).to.deep.equal([ 'Query' ]);
+  });
+
+  it('rejects visitors of directives which are not defined', () => {
+    expect(() => buildSchema('type Query { field: String @upper }', {
+      schemaDirectives: { upper },
+    })).to.throw(
+      'Cannot visit directive "@upper" as it is not defined in the schema.'
+    );
+  });
+
+});
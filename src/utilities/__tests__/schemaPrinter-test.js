@@ -426,6 +426,46 @@ describe('Type System Printer', () => {
     `);
   });
 
+  it('Print Interface implementing Interface', () => {
+    const FooType = new GraphQLInterfaceType({
+      name: 'Foo',
+      resolveType: () => null,
+      fields: { str: { type: GraphQLString } },
+    });
+
+    const BaazType = new GraphQLInterfaceType({
+      name: 'Baaz',
+      resolveType: () => null,
+      fields: { str: { type: GraphQLString } },
+      interfaces: [ FooType ],
+    });
+
+    const Root = new GraphQLObjectType({
+      name: 'Root',
+      fields: { baaz: { type: BaazType } },
+    });
+
+    const Schema = new GraphQLSchema({ query: Root });
+    const output = printForTest(Schema);
+    expect(output).to.equal(dedent`
+      schema {
+        query: Root
+      }
+
+      interface Baaz implements Foo {
+        str: String
+      }
+
+      interface Foo {
+        str: String
+      }
+
+      type Root {
+        baaz: Baaz
+      }
+    `);
+  });
+
   it('Print Unions', () => {
     const FooType = new GraphQLObjectType({
       name: 'Foo',
@@ -522,6 +562,44 @@ describe('Type System Printer', () => {
     `);
   });
 
+  it('Print OneOf Input Type', () => {
+    const InputType = new GraphQLInputObjectType({
+      name: 'InputType',
+      isOneOf: true,
+      fields: {
+        int: { type: GraphQLInt },
+        str: { type: GraphQLString },
+      },
+    });
+
+    const Root = new GraphQLObjectType({
+      name: 'Root',
+      fields: {
+        str: {
+          type: GraphQLString,
+          args: { argOne: { type: InputType } },
+        },
+      },
+    });
+
+    const Schema = new GraphQLSchema({ query: Root });
+    const output = printForTest(Schema);
+    expect(output).to.equal(dedent`
+      schema {
+        query: Root
+      }
+
+      input InputType @oneOf {
+        int: Int
+        str: String
+      }
+
+      type Root {
+        str(argOne: InputType): String
+      }
+    `);
+  });
+
   it('Custom Scalar', () => {
     const OddType = new GraphQLScalarType({
       name: 'Odd',
@@ -602,103 +680,112 @@ describe('Type System Printer', () => {
         query: Root
       }
 
-      # Directs the executor to include this field or fragment only when the \`if\` argument is true.
+      """Directs the executor to include this field or fragment only when the \`if\` argument is true."""
       directive @include(
-        # Included when true.
+        """Included when true."""
         if: Boolean!
       ) on FIELD | FRAGMENT_SPREAD | INLINE_FRAGMENT
 
-      # Directs the executor to skip this field or fragment when the \`if\` argument is true.
+      """Directs the executor to skip this field or fragment when the \`if\` argument is true."""
       directive @skip(
-        # Skipped when true.
+        """Skipped when true."""
         if: Boolean!
       ) on FIELD | FRAGMENT_SPREAD | INLINE_FRAGMENT
 
-      # Marks an element of a GraphQL schema as no longer supported.
+      """Marks an element of a GraphQL schema as no longer supported."""
       directive @deprecated(
-        # Explains why this element was deprecated, usually also including a suggestion
-        # for how to access supported similar data. Formatted in
-        # [Markdown](https://daringfireball.net/projects/markdown/).
+        """
+        Explains why this element was deprecated, usually also including a suggestion
+        for how to access supported similar data. Formatted in
+        [Markdown](https://daringfireball.net/projects/markdown/).
+        """
         reason: String = "No longer supported"
       ) on FIELD_DEFINITION | ENUM_VALUE
 
-      # A Directive provides a way to describe alternate runtime execution and type validation behavior in a GraphQL document.
-      #
-      # In some cases, you need to provide options to alter GraphQL's execution behavior
-      # in ways field arguments will not suffice, such as conditionally including or
-      # skipping a field. Directives provide this by describing additional information
-      # to the executor.
+      """
+      A Directive provides a way to describe alternate runtime execution and type validation behavior in a GraphQL document.
+
+      In some cases, you need to provide options to alter GraphQL's execution behavior
+      in ways field arguments will not suffice, such as conditionally including or
+      skipping a field. Directives provide this by describing additional information
+      to the executor.
+      """
       type __Directive {
         name: String!
         description: String
         locations: [__DirectiveLocation!]!
         args: [__InputValue!]!
+        isRepeatable: Boolean!
         onOperation: Boolean! @deprecated(reason: "Use \`locations\`.")
         onFragment: Boolean! @deprecated(reason: "Use \`locations\`.")
         onField: Boolean! @deprecated(reason: "Use \`locations\`.")
       }
 
-      # A Directive can be adjacent to many parts of the GraphQL language, a
-      # __DirectiveLocation describes one such possible adjacencies.
+      """
+      A Directive can be adjacent to many parts of the GraphQL language, a
+      __DirectiveLocation describes one such possible adjacencies.
+      """
       enum __DirectiveLocation {
-        # Location adjacent to a query operation.
+        """Location adjacent to a query operation."""
         QUERY
 
-        # Location adjacent to a mutation operation.
+        """Location adjacent to a mutation operation."""
         MUTATION
 
-        # Location adjacent to a subscription operation.
+        """Location adjacent to a subscription operation."""
         SUBSCRIPTION
 
-        # Location adjacent to a field.
+        """Location adjacent to a field."""
         FIELD
 
-        # Location adjacent to a fragment definition.
+        """Location adjacent to a fragment definition."""
         FRAGMENT_DEFINITION
 
-        # Location adjacent to a fragment spread.
+        """Location adjacent to a fragment spread."""
         FRAGMENT_SPREAD
 
-        # Location adjacent to an inline fragment.
+        """Location adjacent to an inline fragment."""
         INLINE_FRAGMENT
 
-        # Location adjacent to a schema definition.
+        """Location adjacent to a schema definition."""
         SCHEMA
 
-        # Location adjacent to a scalar definition.
+        """Location adjacent to a scalar definition."""
         SCALAR
 
-        # Location adjacent to an object type definition.
+        """Location adjacent to an object type definition."""
         OBJECT
 
-        # Location adjacent to a field definition.
+        """Location adjacent to a field definition."""
         FIELD_DEFINITION
 
-        # Location adjacent to an argument definition.
+        """Location adjacent to an argument definition."""
         ARGUMENT_DEFINITION
 
-        # Location adjacent to an interface definition.
+        """Location adjacent to an interface definition."""
         INTERFACE
 
-        # Location adjacent to a union definition.
+        """Location adjacent to a union definition."""
         UNION
 
-        # Location adjacent to an enum definition.
+        """Location adjacent to an enum definition."""
         ENUM
 
-        # Location adjacent to an enum value definition.
+        """Location adjacent to an enum value definition."""
         ENUM_VALUE
 
-        # Location adjacent to an input object type definition.
+        """Location adjacent to an input object type definition."""
         INPUT_OBJECT
 
-        # Location adjacent to an input object field definition.
+        """Location adjacent to an input object field definition."""
         INPUT_FIELD_DEFINITION
       }
 
-      # One possible value for a given Enum. Enum values are unique values, not a
-      # placeholder for a string or numeric value. However an Enum value is returned in
-      # a JSON response as a string.
+      """
+      One possible value for a given Enum. Enum values are unique values, not a
+      placeholder for a string or numeric value. However an Enum value is returned in
+      a JSON response as a string.
+      """
       type __EnumValue {
         name: String!
         description: String
@@ -706,8 +793,10 @@ describe('Type System Printer', () => {
         deprecationReason: String
       }
 
-      # Object and Interface types are described by a list of Fields, each of which has
-      # a name, potentially a list of arguments, and a return type.
+      """
+      Object and Interface types are described by a list of Fields, each of which has
+      a name, potentially a list of arguments, and a return type.
+      """
       type __Field {
         name: String!
         description: String
@@ -717,46 +806,52 @@ describe('Type System Printer', () => {
         deprecationReason: String
       }
 
-      # Arguments provided to Fields or Directives and the input fields of an
-      # InputObject are represented as Input Values which describe their type and
-      # optionally a default value.
+      """
+      Arguments provided to Fields or Directives and the input fields of an
+      InputObject are represented as Input Values which describe their type and
+      optionally a default value.
+      """
       type __InputValue {
         name: String!
         description: String
         type: __Type!
 
-        # A GraphQL-formatted string representing the default value for this input value.
+        """A GraphQL-formatted string representing the default value for this input value."""
         defaultValue: String
       }
 
-      # A GraphQL Schema defines the capabilities of a GraphQL server. It exposes all
-      # available types and directives on the server, as well as the entry points for
-      # query, mutation, and subscription operations.
+      """
+      A GraphQL Schema defines the capabilities of a GraphQL server. It exposes all
+      available types and directives on the server, as well as the entry points for
+      query, mutation, and subscription operations.
+      """
       type __Schema {
-        # A list of all types supported by this server.
+        """A list of all types supported by this server."""
         types: [__Type!]!
 
-        # The type that query operations will be rooted at.
+        """The type that query operations will be rooted at."""
         queryType: __Type!
 
-        # If this server supports mutation, the type that mutation operations will be rooted at.
+        """If this server supports mutation, the type that mutation operations will be rooted at."""
         mutationType: __Type
 
-        # If this server support subscription, the type that subscription operations will be rooted at.
+        """If this server support subscription, the type that subscription operations will be rooted at."""
         subscriptionType: __Type
 
-        # A list of all directives supported by this server.
+        """A list of all directives supported by this server."""
         directives: [__Directive!]!
       }
 
-      # The fundamental unit of any GraphQL Schema is the type. There are many kinds of
-      # types in GraphQL as represented by the \`__TypeKind\` enum.
-      #
-      # Depending on the kind of a type, certain fields describe information about that
-      # type. Scalar types provide no information beyond a name and description, while
-      # Enum types provide their values. Object and Interface types provide the fields
-      # they describe. Abstract types, Union and Interface, provide the Object types
-      # possible at runtime. List and NonNull types compose other types.
+      """
+      The fundamental unit of any GraphQL Schema is the type. There are many kinds of
+      types in GraphQL as represented by the \`__TypeKind\` enum.
+
+      Depending on the kind of a type, certain fields describe information about that
+      type. Scalar types provide no information beyond a name and description, while
+      Enum types provide their values. Object and Interface types provide the fields
+      they describe. Abstract types, Union and Interface, provide the Object types
+      possible at runtime. List and NonNull types compose other types.
+      """
       type __Type {
         kind: __TypeKind!
         name: String
@@ -766,33 +861,34 @@ describe('Type System Printer', () => {
         possibleTypes: [__Type!]
         enumValues(includeDeprecated: Boolean = false): [__EnumValue!]
         inputFields: [__InputValue!]
+        isOneOf: Boolean
         ofType: __Type
       }
 
-      # An enum describing what kind of type a given \`__Type\` is.
+      """An enum describing what kind of type a given \`__Type\` is."""
       enum __TypeKind {
-        # Indicates this type is a scalar.
+        """Indicates this type is a scalar."""
         SCALAR
 
-        # Indicates this type is an object. \`fields\` and \`interfaces\` are valid fields.
+        """Indicates this type is an object. \`fields\` and \`interfaces\` are valid fields."""
         OBJECT
 
-        # Indicates this type is an interface. \`fields\` and \`possibleTypes\` are valid fields.
+        """Indicates this type is an interface. \`fields\` and \`possibleTypes\` are valid fields."""
         INTERFACE
 
-        # Indicates this type is a union. \`possibleTypes\` is a valid field.
+        """Indicates this type is a union. \`possibleTypes\` is a valid field."""
         UNION
 
-        # Indicates this type is an enum. \`enumValues\` is a valid field.
+        """Indicates this type is an enum. \`enumValues\` is a valid field."""
         ENUM
 
-        # Indicates this type is an input object. \`inputFields\` is a valid field.
+        """Indicates this type is an input object. \`inputFields\` is a valid field."""
         INPUT_OBJECT
 
-        # Indicates this type is a list. \`ofType\` is a valid field.
+        """Indicates this type is a list. \`ofType\` is a valid field."""
         LIST
 
-        # Indicates this type is a non-null. \`ofType\` is a valid field.
+        """Indicates this type is a non-null. \`ofType\` is a valid field."""
         NON_NULL
       }
     `;
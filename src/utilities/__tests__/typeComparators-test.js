@@ -153,6 +153,29 @@ describe('typeComparators', () => {
       ).to.equal(true);
     });
 
+    it('interface implementing an interface is subtype of it', () => {
+      const iface = new GraphQLInterfaceType({
+        name: 'Interface',
+        fields: {
+          field: { type: GraphQLString }
+        }
+      });
+      const subIface = new GraphQLInterfaceType({
+        name: 'SubInterface',
+        interfaces: [ iface ],
+        fields: {
+          field: { type: GraphQLString }
+        }
+      });
+      const schema = testSchema({ field: { type: subIface } });
+      expect(
+        isTypeSubTypeOf(schema, subIface, iface)
+      ).to.equal(true);
+      expect(
+        isTypeSubTypeOf(schema, iface, subIface)
+      ).to.equal(false);
+    });
+
   });
 
 });
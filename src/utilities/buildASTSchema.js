@@ -8,6 +8,7 @@
  *  of patent rights can be found in the PATENTS file in the same directory.
  */
 
+import find from '../jsutils/find';
 import invariant from '../jsutils/invariant';
 import keyValMap from '../jsutils/keyValMap';
 import { valueFromAST } from './valueFromAST';
@@ -15,6 +16,8 @@ import { TokenKind } from '../language/lexer';
 import { parse } from '../language/parser';
 import type { Source } from '../language/source';
 import { getDirectiveValues } from '../execution/values';
+import { visitSchemaDirectives } from './schemaDirectives';
+import type { SchemaDirectiveVisitorMap } from './schemaDirectives';
 
 import * as Kind from '../language/kinds';
 
@@ -35,6 +38,8 @@ import type {
   EnumValueDefinitionNode,
   InputObjectTypeDefinitionNode,
   DirectiveDefinitionNode,
+  DirectiveNode,
+  StringValueNode,
 } from '../language/ast';
 
 import { GraphQLSchema } from '../type/schema';
@@ -56,8 +61,6 @@ import {
   GraphQLInputObjectType,
   GraphQLList,
   GraphQLNonNull,
-  assertInputType,
-  assertOutputType,
 } from '../type/definition';
 
 import type {
@@ -65,6 +68,9 @@ import type {
   GraphQLNamedType,
   GraphQLInputType,
   GraphQLOutputType,
+  GraphQLTypeResolver,
+  GraphQLIsTypeOfFn,
+  GraphQLAppliedDirective,
 } from '../type/definition';
 
 import {
@@ -72,6 +78,8 @@ import {
   GraphQLSkipDirective,
   GraphQLIncludeDirective,
   GraphQLDeprecatedDirective,
+  GraphQLOneOfDirective,
+  specifiedDirectives,
 } from '../type/directives';
 
 import type {
@@ -79,13 +87,10 @@ import type {
 } from '../type/directives';
 
 import {
-  __Schema,
-  __Directive,
+  getIntrospectionTypes,
   __DirectiveLocation,
-  __Type,
-  __Field,
-  __InputValue,
-  __EnumValue,
+  __AppliedDirective,
+  __AppliedDirectiveArgument,
   __TypeKind,
 } from '../type/introspection';
 
@@ -116,6 +121,28 @@ function getNamedTypeNode(typeNode: TypeNode): NamedTypeNode {
   return namedType;
 }
 
+/**
+ * The implementation of the types of a schema document, keyed by type name:
+ *
+ *   - Object types: an optional `__isTypeOf` function and, keyed by field
+ *     name, either the field's resolve function or an object providing its
+ *     `resolve`, `resolveBatch` and `subscribe` functions.
+ *   - Interface and union types: a `__resolveType` function.
+ *   - Scalar types: a GraphQLScalarType, or a config providing `serialize`,
+ *     `parseValue` and `parseLiteral`. A GraphQLScalarType of the same name is
+ *     used in the schema as given.
+ *   - Enum types: the internal value of each enum value, keyed by its name.
+ */
+export type GraphQLResolverMap = {
+  [typeName: string]: GraphQLScalarType | { [key: string]: any }
+};
+
+export type BuildSchemaOptions = {
+  resolvers?: GraphQLResolverMap,
+  schemaDirectives?: SchemaDirectiveVisitorMap,
+  exposeAppliedDirectives?: boolean,
+};
+
 /**
  * This takes the ast of a schema document produced by the parse function in
  * src/language/parser.js.
@@ -123,18 +150,34 @@ function getNamedTypeNode(typeNode: TypeNode): NamedTypeNode {
  * If no schema definition is provided, then it will look for types named Query
  * and Mutation.
  *
- * Given that AST it constructs a GraphQLSchema. The resulting schema
- * has no resolve methods, so execution will use default resolvers.
+ * Given that AST it constructs a GraphQLSchema. Unless a resolver map is
+ * provided as the `resolvers` option, the resulting schema has no resolve
+ * methods, so execution will use default resolvers.
+ *
+ * The behavior of custom directives used in the document may be provided as
+ * the `schemaDirectives` option, a map of visitors keyed by directive name,
+ * each called with the built elements its directive is used at.
+ *
+ * The directives used in the document are recorded as the `appliedDirectives`
+ * of the elements they are used at, and are exposed through introspection when
+ * the `exposeAppliedDirectives` option is set.
  */
-export function buildASTSchema(ast: DocumentNode): GraphQLSchema {
+export function buildASTSchema(
+  ast: DocumentNode,
+  options?: BuildSchemaOptions
+): GraphQLSchema {
   if (!ast || ast.kind !== Kind.DOCUMENT) {
     throw new Error('Must provide a document ast.');
   }
 
+  const resolvers = (options && options.resolvers) || {};
+
   let schemaDef: ?SchemaDefinitionNode;
 
   const typeDefs: Array<TypeDefinitionNode> = [];
   const nodeMap: {[name: string]: TypeDefinitionNode} = Object.create(null);
+  // Definitions of types already defined, which validateSchema reports.
+  const duplicateTypeDefs: Array<TypeDefinitionNode> = [];
   const directiveDefs: Array<DirectiveDefinitionNode> = [];
   for (let i = 0; i < ast.definitions.length; i++) {
     const d = ast.definitions[i];
@@ -153,7 +196,8 @@ export function buildASTSchema(ast: DocumentNode): GraphQLSchema {
       case Kind.INPUT_OBJECT_TYPE_DEFINITION:
         const typeName = d.name.value;
         if (nodeMap[typeName]) {
-          throw new Error(`Type "${typeName}" was defined more than once.`);
+          duplicateTypeDefs.push(d);
+          break;
         }
         typeDefs.push(d);
         nodeMap[typeName] = d;
@@ -220,23 +264,48 @@ export function buildASTSchema(ast: DocumentNode): GraphQLSchema {
     );
   }
 
+  Object.keys(resolvers).forEach(typeName => {
+    assertValidTypeResolvers(nodeMap[typeName], typeName, resolvers[typeName]);
+  });
+
+  // Abstract types without a "__resolveType" function can only be executed
+  // when their possible types are given "__isTypeOf" functions.
+  const usesIsTypeOf = Object.keys(resolvers).some(typeName =>
+    nodeMap[typeName].kind === Kind.OBJECT_TYPE_DEFINITION &&
+    Boolean(getTypeResolvers(nodeMap[typeName]).__isTypeOf)
+  );
+
+  const exposeAppliedDirectives = Boolean(
+    options && options.exposeAppliedDirectives
+  );
+  const introspectionTypes = getIntrospectionTypes(exposeAppliedDirectives);
+
   const innerTypeMap = {
     String: GraphQLString,
     Int: GraphQLInt,
     Float: GraphQLFloat,
     Boolean: GraphQLBoolean,
     ID: GraphQLID,
-    __Schema,
-    __Directive,
+    __Schema: introspectionTypes.__Schema,
+    __Directive: introspectionTypes.__Directive,
     __DirectiveLocation,
-    __Type,
-    __Field,
-    __InputValue,
-    __EnumValue,
+    __Type: introspectionTypes.__Type,
+    __Field: introspectionTypes.__Field,
+    __InputValue: introspectionTypes.__InputValue,
+    __EnumValue: introspectionTypes.__EnumValue,
+    __AppliedDirective,
+    __AppliedDirectiveArgument,
     __TypeKind,
   };
 
-  const types = typeDefs.map(def => typeDefNamed(def.name.value));
+  // Directives are built as they are first needed, which may be when the
+  // directives applied to an element are provided to build it.
+  const directiveCache: Map<DirectiveDefinitionNode, GraphQLDirective> =
+    new Map();
+
+  const types = typeDefs.map(def => typeDefNamed(def.name.value)).concat(
+    duplicateTypeDefs.map(makeSchemaDef)
+  );
 
   const directives = directiveDefs.map(getDirective);
 
@@ -253,7 +322,17 @@ export function buildASTSchema(ast: DocumentNode): GraphQLSchema {
     directives.push(GraphQLDeprecatedDirective);
   }
 
-  return new GraphQLSchema({
+  // The @oneOf directive is not specified, so is only added when used.
+  if (
+    !directives.some(directive => directive.name === 'oneOf') &&
+    typeDefs.some(def =>
+      def.kind === Kind.INPUT_OBJECT_TYPE_DEFINITION && isOneOfDefinition(def)
+    )
+  ) {
+    directives.push(GraphQLOneOfDirective);
+  }
+
+  const schema = new GraphQLSchema({
     query: getObjectType(nodeMap[queryTypeName]),
     mutation: mutationTypeName ?
       getObjectType(nodeMap[mutationTypeName]) :
@@ -263,30 +342,64 @@ export function buildASTSchema(ast: DocumentNode): GraphQLSchema {
       null,
     types,
     directives,
+    exposeAppliedDirectives,
     astNode: schemaDef,
   });
 
+  return options && options.schemaDirectives ?
+    visitSchemaDirectives(schema, options.schemaDirectives) :
+    schema;
+
   function getDirective(
     directiveNode: DirectiveDefinitionNode
   ): GraphQLDirective {
-    return new GraphQLDirective({
+    const cachedDirective = directiveCache.get(directiveNode);
+    if (cachedDirective) {
+      return cachedDirective;
+    }
+    const directive = new GraphQLDirective({
       name: directiveNode.name.value,
       description: getDescription(directiveNode),
       locations: directiveNode.locations.map(
         node => ((node.value: any): DirectiveLocationEnum)
       ),
-      args: directiveNode.arguments && makeInputValues(directiveNode.arguments),
+      // The directives applied to the arguments of a directive are not
+      // recorded, as they may refer to the directive itself.
+      args: directiveNode.arguments &&
+        makeInputValues(directiveNode.arguments, false),
+      isRepeatable: directiveNode.repeatable,
       astNode: directiveNode,
     });
+    directiveCache.set(directiveNode, directive);
+    return directive;
   }
 
-  function getObjectType(typeNode: TypeDefinitionNode): GraphQLObjectType {
-    const type = typeDefNamed(typeNode.name.value);
-    invariant(
-      type instanceof GraphQLObjectType,
-      'AST must provide object type.'
+  // Finds the directive of the schema with the given name, including the
+  // specified directives added to it when not defined in the document.
+  function findDirective(name: string): ?GraphQLDirective {
+    const directiveNode = find(
+      directiveDefs,
+      directiveDef => directiveDef.name.value === name
+    );
+    if (directiveNode) {
+      return getDirective(directiveNode);
+    }
+    return find(
+      specifiedDirectives.concat(GraphQLOneOfDirective),
+      directive => directive.name === name
     );
-    return (type: any);
+  }
+
+  function makeAppliedDirectives(node: {
+    +directives?: ?Array<DirectiveNode>
+  }): Array<GraphQLAppliedDirective> {
+    return getAppliedDirectives(node, findDirective);
+  }
+
+  // The kind of each type is checked by validateSchema, so that every
+  // problem with the document may be reported at once.
+  function getObjectType(typeNode: TypeDefinitionNode): GraphQLObjectType {
+    return (typeDefNamed(typeNode.name.value): any);
   }
 
   function produceType(typeNode: TypeNode): GraphQLType {
@@ -296,23 +409,19 @@ export function buildASTSchema(ast: DocumentNode): GraphQLSchema {
   }
 
   function produceInputType(typeNode: TypeNode): GraphQLInputType {
-    return assertInputType(produceType(typeNode));
+    return (produceType(typeNode): any);
   }
 
   function produceOutputType(typeNode: TypeNode): GraphQLOutputType {
-    return assertOutputType(produceType(typeNode));
+    return (produceType(typeNode): any);
   }
 
   function produceObjectType(typeNode: TypeNode): GraphQLObjectType {
-    const type = produceType(typeNode);
-    invariant(type instanceof GraphQLObjectType, 'Expected Object type.');
-    return type;
+    return (produceType(typeNode): any);
   }
 
   function produceInterfaceType(typeNode: TypeNode): GraphQLInterfaceType {
-    const type = produceType(typeNode);
-    invariant(type instanceof GraphQLInterfaceType, 'Expected Interface type.');
-    return type;
+    return (produceType(typeNode): any);
   }
 
   function typeDefNamed(typeName: string): GraphQLNamedType {
@@ -354,39 +463,75 @@ export function buildASTSchema(ast: DocumentNode): GraphQLSchema {
     }
   }
 
+  function getTypeResolvers(
+    def: TypeDefinitionNode
+  ): { [key: string]: any } {
+    return resolvers[def.name.value] || {};
+  }
+
+  function getTypeResolver(
+    def: InterfaceTypeDefinitionNode | UnionTypeDefinitionNode
+  ): ?GraphQLTypeResolver<*, *> {
+    return getTypeResolvers(def).__resolveType ||
+      (usesIsTypeOf ? undefined : cannotExecuteSchema);
+  }
+
   function makeTypeDef(def: ObjectTypeDefinitionNode) {
     const typeName = def.name.value;
+    const isTypeOf: ?GraphQLIsTypeOfFn<*, *> =
+      getTypeResolvers(def).__isTypeOf;
     return new GraphQLObjectType({
       name: typeName,
       description: getDescription(def),
       fields: () => makeFieldDefMap(def),
       interfaces: () => makeImplementedInterfaces(def),
       astNode: def,
+      appliedDirectives: () => makeAppliedDirectives(def),
+      isTypeOf,
     });
   }
 
   function makeFieldDefMap(
     def: ObjectTypeDefinitionNode | InterfaceTypeDefinitionNode
   ) {
+    const typeResolvers = def.kind === Kind.OBJECT_TYPE_DEFINITION ?
+      getTypeResolvers(def) :
+      {};
     return keyValMap(
       def.fields,
       field => field.name.value,
-      field => ({
-        type: produceOutputType(field.type),
-        description: getDescription(field),
-        args: makeInputValues(field.arguments),
-        deprecationReason: getDeprecationReason(field),
-        astNode: field,
-      })
+      field => {
+        const fieldResolver = typeResolvers[field.name.value];
+        const fieldConfig: { [key: string]: any } =
+          typeof fieldResolver === 'function' ?
+            { resolve: fieldResolver } :
+            fieldResolver || {};
+        return {
+          type: produceOutputType(field.type),
+          description: getDescription(field),
+          args: makeInputValues(field.arguments, true),
+          resolve: fieldConfig.resolve,
+          resolveBatch: fieldConfig.resolveBatch,
+          subscribe: fieldConfig.subscribe,
+          deprecationReason: getDeprecationReason(field),
+          astNode: field,
+          appliedDirectives: makeAppliedDirectives(field),
+        };
+      }
     );
   }
 
-  function makeImplementedInterfaces(def: ObjectTypeDefinitionNode) {
+  function makeImplementedInterfaces(
+    def: ObjectTypeDefinitionNode | InterfaceTypeDefinitionNode
+  ) {
     return def.interfaces &&
       def.interfaces.map(iface => produceInterfaceType(iface));
   }
 
-  function makeInputValues(values: Array<InputValueDefinitionNode>) {
+  function makeInputValues(
+    values: Array<InputValueDefinitionNode>,
+    withAppliedDirectives: boolean
+  ) {
     return keyValMap(
       values,
       value => value.name.value,
@@ -397,6 +542,9 @@ export function buildASTSchema(ast: DocumentNode): GraphQLSchema {
           description: getDescription(value),
           defaultValue: valueFromAST(value.defaultValue, type),
           astNode: value,
+          appliedDirectives: withAppliedDirectives ?
+            makeAppliedDirectives(value) :
+            [],
         };
       }
     );
@@ -408,25 +556,39 @@ export function buildASTSchema(ast: DocumentNode): GraphQLSchema {
       name: typeName,
       description: getDescription(def),
       fields: () => makeFieldDefMap(def),
+      interfaces: () => makeImplementedInterfaces(def),
       astNode: def,
-      resolveType: cannotExecuteSchema,
+      appliedDirectives: () => makeAppliedDirectives(def),
+      resolveType: getTypeResolver(def),
     });
   }
 
   function makeEnumDef(def: EnumTypeDefinitionNode) {
+    const internalValues = getTypeResolvers(def);
     const enumType = new GraphQLEnumType({
       name: def.name.value,
       description: getDescription(def),
       values: keyValMap(
         def.values,
         enumValue => enumValue.name.value,
-        enumValue => ({
-          description: getDescription(enumValue),
-          deprecationReason: getDeprecationReason(enumValue),
-          astNode: enumValue,
-        })
+        enumValue => {
+          const valueName = enumValue.name.value;
+          return {
+            description: getDescription(enumValue),
+            deprecationReason: getDeprecationReason(enumValue),
+            value: Object.prototype.hasOwnProperty.call(
+              internalValues,
+              valueName
+            ) ?
+              internalValues[valueName] :
+              valueName,
+            astNode: enumValue,
+            appliedDirectives: makeAppliedDirectives(enumValue),
+          };
+        }
       ),
       astNode: def,
+      appliedDirectives: () => makeAppliedDirectives(def),
     });
 
     return enumType;
@@ -437,23 +599,45 @@ export function buildASTSchema(ast: DocumentNode): GraphQLSchema {
       name: def.name.value,
       description: getDescription(def),
       types: def.types.map(t => produceObjectType(t)),
-      resolveType: cannotExecuteSchema,
+      resolveType: getTypeResolver(def),
       astNode: def,
+      appliedDirectives: () => makeAppliedDirectives(def),
     });
   }
 
   function makeScalarDef(def: ScalarTypeDefinitionNode) {
+    const scalarImpl = resolvers[def.name.value];
+    if (scalarImpl instanceof GraphQLScalarType) {
+      // A scalar of the same name is the one used in the schema, while the
+      // methods of a scalar of another name implement the defined scalar.
+      if (scalarImpl.name === def.name.value) {
+        return scalarImpl;
+      }
+      return makeScalarDefWith(def, {
+        serialize: value => scalarImpl.serialize(value),
+        parseValue: value => scalarImpl.parseValue(value),
+        parseLiteral: valueNode => scalarImpl.parseLiteral(valueNode),
+      });
+    }
+    return makeScalarDefWith(def, getTypeResolvers(def));
+  }
+
+  function makeScalarDefWith(
+    def: ScalarTypeDefinitionNode,
+    scalarConfig: { [key: string]: any }
+  ) {
     return new GraphQLScalarType({
       name: def.name.value,
       description: getDescription(def),
       astNode: def,
-      serialize: () => null,
+      appliedDirectives: () => makeAppliedDirectives(def),
+      serialize: scalarConfig.serialize || (() => null),
       // Note: validation calls the parse functions to determine if a
       // literal value is correct. Returning null would cause use of custom
       // scalars to always fail validation. Returning false causes them to
       // always pass validation.
-      parseValue: () => false,
-      parseLiteral: () => false,
+      parseValue: scalarConfig.parseValue || (() => false),
+      parseLiteral: scalarConfig.parseLiteral || (() => false),
     });
   }
 
@@ -461,12 +645,67 @@ export function buildASTSchema(ast: DocumentNode): GraphQLSchema {
     return new GraphQLInputObjectType({
       name: def.name.value,
       description: getDescription(def),
-      fields: () => makeInputValues(def.fields),
+      fields: () => makeInputValues(def.fields, true),
+      isOneOf: isOneOfDefinition(def),
       astNode: def,
+      appliedDirectives: () => makeAppliedDirectives(def),
     });
   }
 }
 
+/**
+ * Throws if the resolvers given for a type do not match its definition in the
+ * document, as a misspelled name would otherwise be silently ignored.
+ */
+function assertValidTypeResolvers(
+  def: ?TypeDefinitionNode,
+  typeName: string,
+  typeResolvers: mixed
+): void {
+  if (!def) {
+    throw new Error(
+      `Resolvers were given for type "${typeName}" which is not defined in ` +
+      'the document.'
+    );
+  }
+  if (!typeResolvers || typeof typeResolvers !== 'object') {
+    throw new Error(`Resolvers for type "${typeName}" must be an object.`);
+  }
+  if (def.kind === Kind.SCALAR_TYPE_DEFINITION ||
+      typeResolvers instanceof GraphQLScalarType) {
+    if (def.kind !== Kind.SCALAR_TYPE_DEFINITION) {
+      throw new Error(
+        `Scalar implementation was given for type "${typeName}" which is ` +
+        'not a scalar type.'
+      );
+    }
+    return;
+  }
+  let names;
+  switch (def.kind) {
+    case Kind.OBJECT_TYPE_DEFINITION:
+      names = def.fields.map(field => field.name.value).concat('__isTypeOf');
+      break;
+    case Kind.INTERFACE_TYPE_DEFINITION:
+    case Kind.UNION_TYPE_DEFINITION:
+      names = [ '__resolveType' ];
+      break;
+    case Kind.ENUM_TYPE_DEFINITION:
+      names = def.values.map(value => value.name.value);
+      break;
+    default:
+      names = [];
+  }
+  Object.keys(typeResolvers).forEach(name => {
+    if (names.indexOf(name) === -1) {
+      throw new Error(
+        `Resolver was given for "${typeName}.${name}" which is not defined ` +
+        'in the document.'
+      );
+    }
+  });
+}
+
 /**
  * Given a field or enum value node, returns the string value for the
  * deprecation reason.
@@ -479,10 +718,47 @@ export function getDeprecationReason(
 }
 
 /**
- * Given an ast node, returns its string description based on a contiguous
- * block full-line of comments preceding it.
+ * Given an input object type definition node, returns true if it is declared
+ * with the @oneOf directive.
+ */
+export function isOneOfDefinition(
+  node: InputObjectTypeDefinitionNode
+): boolean {
+  return Boolean(getDirectiveValues(GraphQLOneOfDirective, node));
+}
+
+/**
+ * Given an ast node, returns the directives used in it which the given
+ * function finds the definition of, along with the values of their arguments,
+ * as the directives applied to the element it defines.
  */
-export function getDescription(node: { loc?: Location }): ?string {
+export function getAppliedDirectives(
+  node: { +directives?: ?Array<DirectiveNode> },
+  findDirective: (name: string) => ?GraphQLDirective
+): Array<GraphQLAppliedDirective> {
+  const appliedDirectives = [];
+  (node.directives || []).forEach(directiveNode => {
+    const directive = findDirective(directiveNode.name.value);
+    if (directive) {
+      const argValues =
+        getDirectiveValues(directive, { directives: [ directiveNode ] });
+      appliedDirectives.push({ name: directive.name, args: argValues || {} });
+    }
+  });
+  return appliedDirectives;
+}
+
+/**
+ * Given an ast node, returns its string description: the string literal
+ * preceding its definition or, for documents which predate descriptions, a
+ * contiguous block full-line of comments preceding it.
+ */
+export function getDescription(
+  node: { description?: StringValueNode, loc?: Location }
+): ?string {
+  if (node.description) {
+    return node.description.value;
+  }
   const loc = node.loc;
   if (!loc) {
     return;
@@ -515,8 +791,11 @@ export function getDescription(node: { loc?: Location }): ?string {
  * A helper function to build a GraphQLSchema directly from a source
  * document.
  */
-export function buildSchema(source: string | Source): GraphQLSchema {
-  return buildASTSchema(parse(source));
+export function buildSchema(
+  source: string | Source,
+  options?: BuildSchemaOptions
+): GraphQLSchema {
+  return buildASTSchema(parse(source), options);
 }
 
 // Count the number of spaces on the starting side of a string.
@@ -8,6 +8,7 @@
  *  of patent rights can be found in the PATENTS file in the same directory.
  */
 
+import find from '../jsutils/find';
 import invariant from '../jsutils/invariant';
 import keyMap from '../jsutils/keyMap';
 import keyValMap from '../jsutils/keyValMap';
@@ -29,13 +30,10 @@ import {
 } from '../type/definition';
 
 import {
-  __Schema,
-  __Directive,
+  getIntrospectionTypes,
   __DirectiveLocation,
-  __Type,
-  __Field,
-  __InputValue,
-  __EnumValue,
+  __AppliedDirective,
+  __AppliedDirectiveArgument,
   __TypeKind,
 } from '../type/introspection';
 
@@ -56,6 +54,7 @@ import type {
   GraphQLInputType,
   GraphQLOutputType,
   GraphQLNamedType,
+  GraphQLAppliedDirective,
 } from '../type/definition';
 
 import type {
@@ -70,6 +69,8 @@ import type {
   IntrospectionTypeRef,
   IntrospectionListTypeRef,
   IntrospectionNonNullTypeRef,
+  IntrospectionDirective,
+  IntrospectionAppliedDirective,
 } from './introspectionQuery';
 
 
@@ -81,6 +82,12 @@ import type {
  * tools, but cannot be used to execute a query, as introspection does not
  * represent the "resolver", "parse" or "serialize" functions or any other
  * server-internal mechanisms.
+ *
+ * When the introspection result includes the `appliedDirectives` of schema
+ * elements, as asked for by the `appliedDirectives` option of
+ * getIntrospectionQuery, those of directives it describes are recorded on the
+ * elements of the client schema, which exposes them through introspection
+ * like the schema it was introspected from.
  */
 export function buildClientSchema(
   introspection: IntrospectionQuery
@@ -95,6 +102,11 @@ export function buildClientSchema(
     type => type.name
   );
 
+  // A schema exposing applied directives includes the types describing them.
+  const exposeAppliedDirectives =
+    Boolean(typeIntrospectionMap[__AppliedDirective.name]);
+  const introspectionTypes = getIntrospectionTypes(exposeAppliedDirectives);
+
   // A cache to use to store the actual GraphQLType definition objects by name.
   // Initialize to the GraphQL built in scalars. All functions below are inline
   // so that this type def cache is within the scope of the closure.
@@ -104,16 +116,23 @@ export function buildClientSchema(
     Float: GraphQLFloat,
     Boolean: GraphQLBoolean,
     ID: GraphQLID,
-    __Schema,
-    __Directive,
+    __Schema: introspectionTypes.__Schema,
+    __Directive: introspectionTypes.__Directive,
     __DirectiveLocation,
-    __Type,
-    __Field,
-    __InputValue,
-    __EnumValue,
+    __Type: introspectionTypes.__Type,
+    __Field: introspectionTypes.__Field,
+    __InputValue: introspectionTypes.__InputValue,
+    __EnumValue: introspectionTypes.__EnumValue,
+    __AppliedDirective,
+    __AppliedDirectiveArgument,
     __TypeKind,
   };
 
+  // Directives are built as they are first needed, which may be when the
+  // directives applied to an element are provided to build it.
+  const directiveCache: Map<IntrospectionDirective, GraphQLDirective> =
+    new Map();
+
   // Given a type reference in introspection, return the GraphQLType instance.
   // preferring cached instances before building new instances.
   function getType(typeRef: IntrospectionTypeRef): GraphQLType {
@@ -226,6 +245,7 @@ export function buildClientSchema(
     return new GraphQLScalarType({
       name: scalarIntrospection.name,
       description: scalarIntrospection.description,
+      appliedDirectives: () => buildAppliedDirectives(scalarIntrospection),
       serialize: id => id,
       // Note: validation calls the parse functions to determine if a
       // literal value is correct. Returning null would cause use of custom
@@ -244,6 +264,7 @@ export function buildClientSchema(
       description: objectIntrospection.description,
       interfaces: objectIntrospection.interfaces.map(getInterfaceType),
       fields: () => buildFieldDefMap(objectIntrospection),
+      appliedDirectives: () => buildAppliedDirectives(objectIntrospection),
     });
   }
 
@@ -253,7 +274,10 @@ export function buildClientSchema(
     return new GraphQLInterfaceType({
       name: interfaceIntrospection.name,
       description: interfaceIntrospection.description,
+      interfaces: () => (interfaceIntrospection.interfaces || [])
+        .map(getInterfaceType),
       fields: () => buildFieldDefMap(interfaceIntrospection),
+      appliedDirectives: () => buildAppliedDirectives(interfaceIntrospection),
       resolveType: cannotExecuteClientSchema,
     });
   }
@@ -265,6 +289,7 @@ export function buildClientSchema(
       name: unionIntrospection.name,
       description: unionIntrospection.description,
       types: unionIntrospection.possibleTypes.map(getObjectType),
+      appliedDirectives: () => buildAppliedDirectives(unionIntrospection),
       resolveType: cannotExecuteClientSchema,
     });
   }
@@ -281,8 +306,10 @@ export function buildClientSchema(
         valueIntrospection => ({
           description: valueIntrospection.description,
           deprecationReason: valueIntrospection.deprecationReason,
+          appliedDirectives: buildAppliedDirectives(valueIntrospection),
         })
-      )
+      ),
+      appliedDirectives: () => buildAppliedDirectives(enumIntrospection),
     });
   }
 
@@ -292,7 +319,13 @@ export function buildClientSchema(
     return new GraphQLInputObjectType({
       name: inputObjectIntrospection.name,
       description: inputObjectIntrospection.description,
-      fields: () => buildInputValueDefMap(inputObjectIntrospection.inputFields),
+      fields: () => buildInputValueDefMap(
+        inputObjectIntrospection.inputFields,
+        true
+      ),
+      isOneOf: inputObjectIntrospection.isOneOf,
+      appliedDirectives: () =>
+        buildAppliedDirectives(inputObjectIntrospection),
     });
   }
 
@@ -304,20 +337,27 @@ export function buildClientSchema(
         description: fieldIntrospection.description,
         deprecationReason: fieldIntrospection.deprecationReason,
         type: getOutputType(fieldIntrospection.type),
-        args: buildInputValueDefMap(fieldIntrospection.args),
+        args: buildInputValueDefMap(fieldIntrospection.args, true),
+        appliedDirectives: buildAppliedDirectives(fieldIntrospection),
       })
     );
   }
 
-  function buildInputValueDefMap(inputValueIntrospections) {
+  function buildInputValueDefMap(
+    inputValueIntrospections,
+    withAppliedDirectives: boolean
+  ) {
     return keyValMap(
       inputValueIntrospections,
       inputValue => inputValue.name,
-      buildInputValue
+      inputValue => buildInputValue(inputValue, withAppliedDirectives)
     );
   }
 
-  function buildInputValue(inputValueIntrospection) {
+  function buildInputValue(
+    inputValueIntrospection,
+    withAppliedDirectives: boolean
+  ) {
     const type = getInputType(inputValueIntrospection.type);
     const defaultValue = inputValueIntrospection.defaultValue ?
       valueFromAST(parseValue(inputValueIntrospection.defaultValue), type) :
@@ -327,10 +367,19 @@ export function buildClientSchema(
       description: inputValueIntrospection.description,
       type,
       defaultValue,
+      appliedDirectives: withAppliedDirectives ?
+        buildAppliedDirectives(inputValueIntrospection) :
+        [],
     };
   }
 
-  function buildDirective(directiveIntrospection) {
+  function buildDirective(
+    directiveIntrospection: IntrospectionDirective
+  ): GraphQLDirective {
+    const cachedDirective = directiveCache.get(directiveIntrospection);
+    if (cachedDirective) {
+      return cachedDirective;
+    }
     // Support deprecated `on****` fields for building `locations`, as this
     // is used by GraphiQL which may need to support outdated servers.
     const locations = directiveIntrospection.locations ?
@@ -350,12 +399,44 @@ export function buildClientSchema(
           DirectiveLocation.INLINE_FRAGMENT,
         ]
       );
-    return new GraphQLDirective({
+    const directive = new GraphQLDirective({
       name: directiveIntrospection.name,
       description: directiveIntrospection.description,
       locations,
-      args: buildInputValueDefMap(directiveIntrospection.args),
+      // The directives applied to the arguments of a directive are not
+      // recorded, as they may refer to the directive itself.
+      args: buildInputValueDefMap(directiveIntrospection.args, false),
+      isRepeatable: directiveIntrospection.isRepeatable,
     });
+    directiveCache.set(directiveIntrospection, directive);
+    return directive;
+  }
+
+  // Finds the directive with the given name among those introspected.
+  function findDirective(name: string): ?GraphQLDirective {
+    const directiveIntrospection = find(
+      schemaIntrospection.directives || [],
+      directive => directive.name === name
+    );
+    return directiveIntrospection && buildDirective(directiveIntrospection);
+  }
+
+  function buildAppliedDirectives(elementIntrospection: {
+    +appliedDirectives?: ?Array<IntrospectionAppliedDirective>
+  }): Array<GraphQLAppliedDirective> {
+    const appliedDirectives = [];
+    (elementIntrospection.appliedDirectives || []).forEach(
+      appliedIntrospection => {
+        const directive = findDirective(appliedIntrospection.name);
+        if (directive) {
+          appliedDirectives.push({
+            name: directive.name,
+            args: buildAppliedDirectiveArgs(directive, appliedIntrospection),
+          });
+        }
+      }
+    );
+    return appliedDirectives;
   }
 
   // Iterate through all types, getting the type definition for each, ensuring
@@ -388,7 +469,28 @@ export function buildClientSchema(
     subscription: subscriptionType,
     types,
     directives,
+    exposeAppliedDirectives,
+  });
+}
+
+function buildAppliedDirectiveArgs(
+  directive: GraphQLDirective,
+  appliedIntrospection: IntrospectionAppliedDirective
+): { [argName: string]: mixed } {
+  const args = Object.create(null);
+  appliedIntrospection.args.forEach(argIntrospection => {
+    const argDef = find(
+      directive.args,
+      arg => arg.name === argIntrospection.name
+    );
+    if (argDef) {
+      args[argDef.name] = valueFromAST(
+        parseValue(argIntrospection.value),
+        argDef.type
+      );
+    }
   });
+  return args;
 }
 
 function cannotExecuteClientSchema() {
@@ -8,12 +8,15 @@
  *  of patent rights can be found in the PATENTS file in the same directory.
  */
 
+import find from '../jsutils/find';
 import invariant from '../jsutils/invariant';
 import keyMap from '../jsutils/keyMap';
 import keyValMap from '../jsutils/keyValMap';
 import {
+  getAppliedDirectives,
   getDescription,
   getDeprecationReason,
+  isOneOfDefinition,
 } from './buildASTSchema';
 import { valueFromAST } from './valueFromAST';
 import { GraphQLError } from '../error/GraphQLError';
@@ -30,20 +33,19 @@ import {
   GraphQLInputObjectType,
   assertInputType,
   assertOutputType,
+  getNamedType,
 } from '../type/definition';
 
 import {
   GraphQLDirective,
+  specifiedDirectives,
 } from '../type/directives';
 
 import {
-  __Schema,
-  __Directive,
+  getIntrospectionTypes,
   __DirectiveLocation,
-  __Type,
-  __Field,
-  __InputValue,
-  __EnumValue,
+  __AppliedDirective,
+  __AppliedDirectiveArgument,
   __TypeKind,
 } from '../type/introspection';
 
@@ -62,6 +64,8 @@ import type {
   GraphQLNamedType,
   GraphQLInputType,
   GraphQLOutputType,
+  GraphQLArgument,
+  GraphQLAppliedDirective,
 } from '../type/definition';
 
 import type {
@@ -81,6 +85,9 @@ import type {
   EnumTypeDefinitionNode,
   InputObjectTypeDefinitionNode,
   DirectiveDefinitionNode,
+  DirectiveNode,
+  OperationTypeDefinitionNode,
+  SchemaExtensionDefinitionNode,
 } from '../language/ast';
 
 
@@ -118,6 +125,12 @@ export function extendSchema(
   // have the same name. For example, a type named "skip".
   const directiveDefinitions : Array<DirectiveDefinitionNode> = [];
 
+  // Schema extensions may add root operation types, collected by operation.
+  const schemaExtensions: Array<SchemaExtensionDefinitionNode> = [];
+  const operationTypeNodes: {
+    [operation: string]: OperationTypeDefinitionNode
+  } = Object.create(null);
+
   for (let i = 0; i < documentAST.definitions.length; i++) {
     const def = documentAST.definitions[i];
     switch (def.kind) {
@@ -151,9 +164,11 @@ export function extendSchema(
             [ def.definition ]
           );
         }
-        if (!(existingType instanceof GraphQLObjectType)) {
+        const extensionKind = getExtensionKind(def.definition);
+        if (!(existingType instanceof extensionKind.type)) {
           throw new GraphQLError(
-            `Cannot extend non-object type "${extendedTypeName}".`,
+            `Cannot extend non-${extensionKind.name} type ` +
+            `"${extendedTypeName}".`,
             [ def.definition ]
           );
         }
@@ -165,6 +180,28 @@ export function extendSchema(
         }
         typeExtensionsMap[extendedTypeName] = extensions;
         break;
+      case Kind.SCHEMA_EXTENSION_DEFINITION:
+        // Sanity check that the root operation types added by this extension
+        // are not already defined.
+        def.operationTypes.forEach(operationType => {
+          const operation = operationType.operation;
+          const existingRootType = getRootType(schema, operation);
+          const existingRootTypeName = existingRootType ?
+            existingRootType.name :
+            operationTypeNodes[operation] &&
+              operationTypeNodes[operation].type.name.value;
+          if (existingRootTypeName) {
+            throw new GraphQLError(
+              `Schema already has a ${operation} type ` +
+              `"${existingRootTypeName}". It cannot also be defined in this ` +
+              'schema extension.',
+              [ operationType ]
+            );
+          }
+          operationTypeNodes[operation] = operationType;
+        });
+        schemaExtensions.push(def);
+        break;
       case Kind.DIRECTIVE_DEFINITION:
         const directiveName = def.name.value;
         const existingDirective = schema.getDirective(directiveName);
@@ -184,10 +221,14 @@ export function extendSchema(
   // return the same unmodified GraphQLSchema instance.
   if (Object.keys(typeExtensionsMap).length === 0 &&
       Object.keys(typeDefinitionMap).length === 0 &&
-      directiveDefinitions.length === 0) {
+      directiveDefinitions.length === 0 &&
+      schemaExtensions.length === 0) {
     return schema;
   }
 
+  const introspectionTypes =
+    getIntrospectionTypes(schema.exposesAppliedDirectives());
+
   // A cache to use to store the actual GraphQLType definition objects by name.
   // Initialize to the GraphQL built in scalars and introspection types. All
   // functions below are inline so that this type def cache is within the scope
@@ -198,28 +239,35 @@ export function extendSchema(
     Float: GraphQLFloat,
     Boolean: GraphQLBoolean,
     ID: GraphQLID,
-    __Schema,
-    __Directive,
+    __Schema: introspectionTypes.__Schema,
+    __Directive: introspectionTypes.__Directive,
     __DirectiveLocation,
-    __Type,
-    __Field,
-    __InputValue,
-    __EnumValue,
+    __Type: introspectionTypes.__Type,
+    __Field: introspectionTypes.__Field,
+    __InputValue: introspectionTypes.__InputValue,
+    __EnumValue: introspectionTypes.__EnumValue,
+    __AppliedDirective,
+    __AppliedDirectiveArgument,
     __TypeKind,
   };
 
-  // Get the root Query, Mutation, and Subscription object types.
-  const queryType = getTypeFromDef(schema.getQueryType());
+  // The names of the existing Scalar, Enum and Input Object types which are
+  // rebuilt in the extended schema. The others are kept as they are.
+  const rebuiltInputTypeNames = getRebuiltInputTypeNames();
 
-  const existingMutationType = schema.getMutationType();
-  const mutationType = existingMutationType ?
-    getTypeFromDef(existingMutationType) :
-    null;
+  // The directives of the extended schema, built as they are first needed,
+  // which may be when the directives applied to an element are provided to
+  // build it.
+  const directiveCache: Map<
+    GraphQLDirective | DirectiveDefinitionNode,
+    GraphQLDirective
+  > = new Map();
 
-  const existingSubscriptionType = schema.getSubscriptionType();
-  const subscriptionType = existingSubscriptionType ?
-    getTypeFromDef(existingSubscriptionType) :
-    null;
+  // Get the root Query, Mutation, and Subscription object types, including
+  // those added by schema extensions.
+  const queryType = getTypeFromDef(schema.getQueryType());
+  const mutationType = getExtendedRootType('mutation');
+  const subscriptionType = getExtendedRootType('subscription');
 
   // Iterate through all types, getting the type definition for each, ensuring
   // that any type not directly referenced by a field will get created.
@@ -233,19 +281,35 @@ export function extendSchema(
     types.push(getTypeFromAST(typeDefinitionMap[typeName]));
   });
 
-  // Then produce and return a Schema with these types.
-  return new GraphQLSchema({
+  // Then produce a Schema with these types.
+  const extendedSchema = new GraphQLSchema({
     query: queryType,
     mutation: mutationType,
     subscription: subscriptionType,
     types,
     directives: getMergedDirectives(),
+    fieldMiddleware: schema.getFieldMiddleware(),
+    exposeAppliedDirectives: schema.exposesAppliedDirectives(),
     astNode: schema.astNode,
+    extensionASTNodes: schema.extensionASTNodes.concat(schemaExtensions),
   });
 
+  return extendedSchema;
+
   // Below are functions used for producing this schema that have closed over
   // this scope and have access to the schema, cache, and newly defined types.
 
+  function getExtendedRootType(operation: string): ?GraphQLObjectType {
+    const existingRootType = getRootType(schema, operation);
+    if (existingRootType) {
+      return getTypeFromDef(existingRootType);
+    }
+    const operationType = operationTypeNodes[operation];
+    // Note: a root type which is not an Object type is reported by
+    // validateSchema.
+    return operationType ? (getTypeFromAST(operationType.type): any) : null;
+  }
+
   function getMergedDirectives(): Array<GraphQLDirective> {
     const existingDirectives = schema.getDirectives();
     invariant(existingDirectives, 'schema must have default directives');
@@ -253,7 +317,60 @@ export function extendSchema(
     const newDirectives = directiveDefinitions.map(directiveNode =>
       getDirective(directiveNode)
     );
-    return existingDirectives.concat(newDirectives);
+    return existingDirectives.map(extendDirective).concat(newDirectives);
+  }
+
+  function extendDirective(directive: GraphQLDirective): GraphQLDirective {
+    // The specified directives only refer to the built-in scalars.
+    if (specifiedDirectives.indexOf(directive) !== -1) {
+      return directive;
+    }
+    const cachedDirective = directiveCache.get(directive);
+    if (cachedDirective) {
+      return cachedDirective;
+    }
+    const extendedDirective = new GraphQLDirective({
+      name: directive.name,
+      description: directive.description,
+      locations: directive.locations,
+      args: extendArgs(directive.args),
+      isRepeatable: directive.isRepeatable,
+      astNode: directive.astNode,
+    });
+    directiveCache.set(directive, extendedDirective);
+    return extendedDirective;
+  }
+
+  // Finds the directive of the extended schema with the given name.
+  function findDirective(name: string): ?GraphQLDirective {
+    const existingDirective = schema.getDirective(name);
+    if (existingDirective) {
+      return extendDirective(existingDirective);
+    }
+    const directiveNode = find(
+      directiveDefinitions,
+      directiveDef => directiveDef.name.value === name
+    );
+    return directiveNode && getDirective(directiveNode);
+  }
+
+  function makeAppliedDirectives(node: {
+    +directives?: ?Array<DirectiveNode>
+  }): Array<GraphQLAppliedDirective> {
+    return getAppliedDirectives(node, findDirective);
+  }
+
+  // The directives applied to an existing type, followed by those applied in
+  // its extensions.
+  function extendAppliedDirectives(
+    type: GraphQLNamedType
+  ): Array<GraphQLAppliedDirective> {
+    const extensions = typeExtensionsMap[type.name] || [];
+    return extensions.reduce(
+      (appliedDirectives, extension) =>
+        appliedDirectives.concat(makeAppliedDirectives(extension.definition)),
+      type.getAppliedDirectives()
+    );
   }
 
   function getTypeFromDef<T: GraphQLNamedType>(typeDef: T): T {
@@ -329,23 +446,64 @@ export function extendSchema(
     if (type instanceof GraphQLUnionType) {
       return extendUnionType(type);
     }
+    if (!rebuiltInputTypeNames[type.name]) {
+      return type;
+    }
+    if (type instanceof GraphQLScalarType) {
+      return extendScalarType(type);
+    }
+    if (type instanceof GraphQLEnumType) {
+      return extendEnumType(type);
+    }
+    if (type instanceof GraphQLInputObjectType) {
+      return extendInputObjectType(type);
+    }
     return type;
   }
 
-  function extendObjectType(type: GraphQLObjectType): GraphQLObjectType {
-    const name = type.name;
-    let extensionASTNodes = type.extensionASTNodes;
-    if (typeExtensionsMap[name]) {
-      extensionASTNodes = extensionASTNodes.concat(typeExtensionsMap[name]);
+  // Scalar, Enum and Input Object types are rebuilt when they are extended.
+  // Input Object types which refer to a rebuilt type are rebuilt as well, so
+  // that they refer to the type of the extended schema.
+  function getRebuiltInputTypeNames(): {[typeName: string]: boolean} {
+    const existingTypeMap = schema.getTypeMap();
+    const rebuiltTypeNames = Object.create(null);
+    Object.keys(typeExtensionsMap).forEach(typeName => {
+      rebuiltTypeNames[typeName] = true;
+    });
+    let foundRebuiltType = true;
+    while (foundRebuiltType) {
+      foundRebuiltType = false;
+      Object.keys(existingTypeMap).forEach(typeName => {
+        const type = existingTypeMap[typeName];
+        if (
+          !rebuiltTypeNames[typeName] &&
+          type instanceof GraphQLInputObjectType &&
+          refersToRebuiltType(type, rebuiltTypeNames)
+        ) {
+          rebuiltTypeNames[typeName] = true;
+          foundRebuiltType = true;
+        }
+      });
     }
+    return rebuiltTypeNames;
+  }
 
+  function getExtensionASTNodes(type: GraphQLNamedType) {
+    const extensions = typeExtensionsMap[type.name];
+    return extensions ?
+      type.extensionASTNodes.concat(extensions) :
+      type.extensionASTNodes;
+  }
+
+  function extendObjectType(type: GraphQLObjectType): GraphQLObjectType {
     return new GraphQLObjectType({
-      name,
+      name: type.name,
       description: type.description,
       interfaces: () => extendImplementedInterfaces(type),
       fields: () => extendFieldMap(type),
       astNode: type.astNode,
-      extensionASTNodes,
+      appliedDirectives: () => extendAppliedDirectives(type),
+      extensionASTNodes: getExtensionASTNodes(type),
       isTypeOf: type.isTypeOf,
     });
   }
@@ -357,7 +515,10 @@ export function extendSchema(
       name: type.name,
       description: type.description,
       fields: () => extendFieldMap(type),
+      interfaces: () => extendImplementedInterfaces(type),
       astNode: type.astNode,
+      appliedDirectives: () => extendAppliedDirectives(type),
+      extensionASTNodes: getExtensionASTNodes(type),
       resolveType: type.resolveType,
     });
   }
@@ -366,14 +527,160 @@ export function extendSchema(
     return new GraphQLUnionType({
       name: type.name,
       description: type.description,
-      types: type.getTypes().map(getTypeFromDef),
+      types: () => extendPossibleTypes(type),
       astNode: type.astNode,
+      appliedDirectives: () => extendAppliedDirectives(type),
+      extensionASTNodes: getExtensionASTNodes(type),
       resolveType: type.resolveType,
     });
   }
 
+  function extendScalarType(type: GraphQLScalarType): GraphQLScalarType {
+    const scalarConfig = type._scalarConfig;
+    return new GraphQLScalarType({
+      name: type.name,
+      description: type.description,
+      astNode: type.astNode,
+      appliedDirectives: () => extendAppliedDirectives(type),
+      extensionASTNodes: getExtensionASTNodes(type),
+      serialize: scalarConfig.serialize,
+      parseValue: scalarConfig.parseValue,
+      parseLiteral: scalarConfig.parseLiteral,
+    });
+  }
+
+  function extendEnumType(type: GraphQLEnumType): GraphQLEnumType {
+    return new GraphQLEnumType({
+      name: type.name,
+      description: type.description,
+      values: extendValueMap(type),
+      astNode: type.astNode,
+      appliedDirectives: () => extendAppliedDirectives(type),
+      extensionASTNodes: getExtensionASTNodes(type),
+    });
+  }
+
+  function extendInputObjectType(
+    type: GraphQLInputObjectType
+  ): GraphQLInputObjectType {
+    return new GraphQLInputObjectType({
+      name: type.name,
+      description: type.description,
+      fields: () => extendInputFieldMap(type),
+      isOneOf: type.isOneOf,
+      astNode: type.astNode,
+      appliedDirectives: () => extendAppliedDirectives(type),
+      extensionASTNodes: getExtensionASTNodes(type),
+    });
+  }
+
+  function extendPossibleTypes(
+    type: GraphQLUnionType
+  ): Array<GraphQLObjectType> {
+    const possibleTypes = type.getTypes().map(getTypeFromDef);
+
+    // If there are any extensions to the union members, apply those here.
+    const extensions = typeExtensionsMap[type.name];
+    if (extensions) {
+      extensions.forEach(extension => {
+        extension.definition.types.forEach(namedType => {
+          const typeName = namedType.name.value;
+          if (possibleTypes.some(def => def.name === typeName)) {
+            throw new GraphQLError(
+              `Union "${type.name}" already includes "${typeName}". ` +
+              'It cannot also be included in this type extension.',
+              [ namedType ]
+            );
+          }
+          possibleTypes.push(getObjectTypeFromAST(namedType));
+        });
+      });
+    }
+
+    return possibleTypes;
+  }
+
+  function extendValueMap(type: GraphQLEnumType) {
+    const newValueMap = Object.create(null);
+    const oldValueMap = keyMap(type.getValues(), value => value.name);
+    Object.keys(oldValueMap).forEach(valueName => {
+      const value = oldValueMap[valueName];
+      newValueMap[valueName] = {
+        description: value.description,
+        deprecationReason: value.deprecationReason,
+        value: value.value,
+        astNode: value.astNode,
+        appliedDirectives: value.appliedDirectives,
+      };
+    });
+
+    // If there are any extensions to the values, apply those here.
+    const extensions = typeExtensionsMap[type.name];
+    if (extensions) {
+      extensions.forEach(extension => {
+        extension.definition.values.forEach(value => {
+          const valueName = value.name.value;
+          if (oldValueMap[valueName]) {
+            throw new GraphQLError(
+              `Enum value "${type.name}.${valueName}" already exists in the ` +
+              'schema. It cannot also be defined in this type extension.',
+              [ value ]
+            );
+          }
+          newValueMap[valueName] = {
+            description: getDescription(value),
+            deprecationReason: getDeprecationReason(value),
+            astNode: value,
+            appliedDirectives: makeAppliedDirectives(value),
+          };
+        });
+      });
+    }
+
+    return newValueMap;
+  }
+
+  function extendInputFieldMap(type: GraphQLInputObjectType) {
+    const newFieldMap = Object.create(null);
+    const oldFieldMap = type.getFields();
+    Object.keys(oldFieldMap).forEach(fieldName => {
+      const field = oldFieldMap[fieldName];
+      newFieldMap[fieldName] = {
+        description: field.description,
+        type: extendFieldType(field.type),
+        defaultValue: field.defaultValue,
+        astNode: field.astNode,
+        appliedDirectives: field.appliedDirectives,
+      };
+    });
+
+    // If there are any extensions to the fields, apply those here.
+    const extensions = typeExtensionsMap[type.name];
+    if (extensions) {
+      extensions.forEach(extension => {
+        const fields = extension.definition.fields;
+        fields.forEach(field => {
+          const fieldName = field.name.value;
+          if (oldFieldMap[fieldName]) {
+            throw new GraphQLError(
+              `Field "${type.name}.${fieldName}" already exists in the ` +
+              'schema. It cannot also be defined in this type extension.',
+              [ field ]
+            );
+          }
+        });
+        const extensionFieldMap = buildInputValues(fields, true);
+        Object.keys(extensionFieldMap).forEach(fieldName => {
+          newFieldMap[fieldName] = extensionFieldMap[fieldName];
+        });
+      });
+    }
+
+    return newFieldMap;
+  }
+
   function extendImplementedInterfaces(
-    type: GraphQLObjectType
+    type: GraphQLObjectType | GraphQLInterfaceType
   ): Array<GraphQLInterfaceType> {
     const interfaces = type.getInterfaces().map(getTypeFromDef);
 
@@ -407,9 +714,14 @@ export function extendSchema(
         description: field.description,
         deprecationReason: field.deprecationReason,
         type: extendFieldType(field.type),
-        args: keyMap(field.args, arg => arg.name),
+        args: extendArgs(field.args),
         astNode: field.astNode,
+        appliedDirectives: field.appliedDirectives,
         resolve: field.resolve,
+        resolveBatch: field.resolveBatch,
+        subscribe: field.subscribe,
+        cost: field.cost,
+        costMultipliers: field.costMultipliers,
       };
     });
 
@@ -429,9 +741,10 @@ export function extendSchema(
           newFieldMap[fieldName] = {
             description: getDescription(field),
             type: buildOutputFieldType(field.type),
-            args: buildInputValues(field.arguments),
+            args: buildInputValues(field.arguments, true),
             deprecationReason: getDeprecationReason(field),
             astNode: field,
+            appliedDirectives: makeAppliedDirectives(field),
           };
         });
       });
@@ -440,6 +753,20 @@ export function extendSchema(
     return newFieldMap;
   }
 
+  function extendArgs(args: Array<GraphQLArgument>) {
+    return keyValMap(
+      args,
+      arg => arg.name,
+      arg => ({
+        type: extendFieldType(arg.type),
+        defaultValue: arg.defaultValue,
+        description: arg.description,
+        astNode: arg.astNode,
+        appliedDirectives: arg.appliedDirectives,
+      })
+    );
+  }
+
   function extendFieldType<T: GraphQLType>(typeDef: T): T {
     if (typeDef instanceof GraphQLList) {
       return (new GraphQLList(extendFieldType(typeDef.ofType)): any);
@@ -470,6 +797,7 @@ export function extendSchema(
       interfaces: () => buildImplementedInterfaces(typeNode),
       fields: () => buildFieldMap(typeNode),
       astNode: typeNode,
+      appliedDirectives: () => makeAppliedDirectives(typeNode),
     });
   }
 
@@ -478,7 +806,9 @@ export function extendSchema(
       name: typeNode.name.value,
       description: getDescription(typeNode),
       fields: () => buildFieldMap(typeNode),
+      interfaces: () => buildImplementedInterfaces(typeNode),
       astNode: typeNode,
+      appliedDirectives: () => makeAppliedDirectives(typeNode),
       resolveType: cannotExecuteExtendedSchema,
     });
   }
@@ -489,6 +819,7 @@ export function extendSchema(
       description: getDescription(typeNode),
       types: typeNode.types.map(getObjectTypeFromAST),
       astNode: typeNode,
+      appliedDirectives: () => makeAppliedDirectives(typeNode),
       resolveType: cannotExecuteExtendedSchema,
     });
   }
@@ -498,6 +829,7 @@ export function extendSchema(
       name: typeNode.name.value,
       description: getDescription(typeNode),
       astNode: typeNode,
+      appliedDirectives: () => makeAppliedDirectives(typeNode),
       serialize: id => id,
       // Note: validation calls the parse functions to determine if a
       // literal value is correct. Returning null would cause use of custom
@@ -519,9 +851,11 @@ export function extendSchema(
           description: getDescription(enumValue),
           deprecationReason: getDeprecationReason(enumValue),
           astNode: enumValue,
+          appliedDirectives: makeAppliedDirectives(enumValue),
         }),
       ),
       astNode: typeNode,
+      appliedDirectives: () => makeAppliedDirectives(typeNode),
     });
   }
 
@@ -529,27 +863,40 @@ export function extendSchema(
     return new GraphQLInputObjectType({
       name: typeNode.name.value,
       description: getDescription(typeNode),
-      fields: () => buildInputValues(typeNode.fields),
+      fields: () => buildInputValues(typeNode.fields, true),
+      isOneOf: isOneOfDefinition(typeNode),
       astNode: typeNode,
+      appliedDirectives: () => makeAppliedDirectives(typeNode),
     });
   }
 
   function getDirective(
     directiveNode: DirectiveDefinitionNode
   ): GraphQLDirective {
-    return new GraphQLDirective({
+    const cachedDirective = directiveCache.get(directiveNode);
+    if (cachedDirective) {
+      return cachedDirective;
+    }
+    const directive = new GraphQLDirective({
       name: directiveNode.name.value,
       description: getDescription(directiveNode),
       locations: directiveNode.locations.map(
         node => ((node.value: any): DirectiveLocationEnum)
       ),
-      args:
-        directiveNode.arguments && buildInputValues(directiveNode.arguments),
+      // The directives applied to the arguments of a directive are not
+      // recorded, as they may refer to the directive itself.
+      args: directiveNode.arguments &&
+        buildInputValues(directiveNode.arguments, false),
+      isRepeatable: directiveNode.repeatable,
       astNode: directiveNode,
     });
+    directiveCache.set(directiveNode, directive);
+    return directive;
   }
 
-  function buildImplementedInterfaces(typeNode: ObjectTypeDefinitionNode) {
+  function buildImplementedInterfaces(
+    typeNode: ObjectTypeDefinitionNode | InterfaceTypeDefinitionNode
+  ) {
     return typeNode.interfaces &&
       typeNode.interfaces.map(getInterfaceTypeFromAST);
   }
@@ -561,14 +908,18 @@ export function extendSchema(
       field => ({
         type: buildOutputFieldType(field.type),
         description: getDescription(field),
-        args: buildInputValues(field.arguments),
+        args: buildInputValues(field.arguments, true),
         deprecationReason: getDeprecationReason(field),
         astNode: field,
+        appliedDirectives: makeAppliedDirectives(field),
       })
     );
   }
 
-  function buildInputValues(values: Array<InputValueDefinitionNode>) {
+  function buildInputValues(
+    values: Array<InputValueDefinitionNode>,
+    withAppliedDirectives: boolean
+  ) {
     return keyValMap(
       values,
       value => value.name.value,
@@ -579,6 +930,9 @@ export function extendSchema(
           description: getDescription(value),
           defaultValue: valueFromAST(value.defaultValue, type),
           astNode: value,
+          appliedDirectives: withAppliedDirectives ?
+            makeAppliedDirectives(value) :
+            [],
         };
       }
     );
@@ -609,8 +963,57 @@ export function extendSchema(
   }
 }
 
+/**
+ * Returns whether a field of the given Input Object type refers to one of the
+ * rebuilt types.
+ */
+function refersToRebuiltType(
+  type: GraphQLInputObjectType,
+  rebuiltTypeNames: {[typeName: string]: boolean}
+): boolean {
+  const fieldMap = type.getFields();
+  return Object.keys(fieldMap).some(
+    fieldName => rebuiltTypeNames[getNamedType(fieldMap[fieldName].type).name]
+  );
+}
+
 function cannotExecuteExtendedSchema() {
   throw new Error(
     'Extended Schema cannot use Interface or Union types for execution.'
   );
 }
+
+function getRootType(
+  schema: GraphQLSchema,
+  operation: string
+): ?GraphQLObjectType {
+  switch (operation) {
+    case 'query': return schema.getQueryType();
+    case 'mutation': return schema.getMutationType();
+    case 'subscription': return schema.getSubscriptionType();
+  }
+}
+
+/**
+ * Returns the kind of type a type extension applies to, and its name as used
+ * in error messages.
+ */
+function getExtensionKind(
+  definition: TypeDefinitionNode
+): { type: Class<*>, name: string } {
+  switch (definition.kind) {
+    case Kind.SCALAR_TYPE_DEFINITION:
+      return { type: GraphQLScalarType, name: 'scalar' };
+    case Kind.OBJECT_TYPE_DEFINITION:
+      return { type: GraphQLObjectType, name: 'object' };
+    case Kind.INTERFACE_TYPE_DEFINITION:
+      return { type: GraphQLInterfaceType, name: 'interface' };
+    case Kind.UNION_TYPE_DEFINITION:
+      return { type: GraphQLUnionType, name: 'union' };
+    case Kind.ENUM_TYPE_DEFINITION:
+      return { type: GraphQLEnumType, name: 'enum' };
+    case Kind.INPUT_OBJECT_TYPE_DEFINITION:
+      return { type: GraphQLInputObjectType, name: 'input object' };
+  }
+  throw new TypeError('Unknown type kind ' + definition.kind);
+}
@@ -21,12 +21,18 @@ import {
 } from '../type/definition';
 
 import type {
+  GraphQLArgument,
+  GraphQLInputField,
   GraphQLNamedType,
   GraphQLFieldMap,
   GraphQLType,
 } from '../type/definition';
 
+import type { GraphQLDirective } from '../type/directives';
 import { GraphQLSchema } from '../type/schema';
+import { print } from '../language/printer';
+import find from '../jsutils/find';
+import { astFromValue } from './astFromValue';
 
 export const BreakingChangeType = {
   FIELD_CHANGED_KIND: 'FIELD_CHANGED_KIND',
@@ -56,6 +62,55 @@ export type DangerousChange = {
   description: string;
 };
 
+export const ChangeSeverity = {
+  BREAKING: 'BREAKING',
+  DANGEROUS: 'DANGEROUS',
+  SAFE: 'SAFE',
+};
+
+export const SchemaChangeType = {
+  FIELD_CHANGED_KIND: 'FIELD_CHANGED_KIND',
+  FIELD_REMOVED: 'FIELD_REMOVED',
+  TYPE_CHANGED_KIND: 'TYPE_CHANGED_KIND',
+  TYPE_REMOVED: 'TYPE_REMOVED',
+  TYPE_REMOVED_FROM_UNION: 'TYPE_REMOVED_FROM_UNION',
+  VALUE_REMOVED_FROM_ENUM: 'VALUE_REMOVED_FROM_ENUM',
+  ARG_REMOVED: 'ARG_REMOVED',
+  ARG_CHANGED_KIND: 'ARG_CHANGED_KIND',
+  NON_NULL_ARG_ADDED: 'NON_NULL_ARG_ADDED',
+  NON_NULL_INPUT_FIELD_ADDED: 'NON_NULL_INPUT_FIELD_ADDED',
+  INTERFACE_REMOVED_FROM_OBJECT: 'INTERFACE_REMOVED_FROM_OBJECT',
+  ARG_DEFAULT_VALUE_CHANGE: 'ARG_DEFAULT_VALUE_CHANGE',
+  TYPE_ADDED: 'TYPE_ADDED',
+  TYPE_ADDED_TO_UNION: 'TYPE_ADDED_TO_UNION',
+  VALUE_ADDED_TO_ENUM: 'VALUE_ADDED_TO_ENUM',
+  INTERFACE_ADDED_TO_OBJECT: 'INTERFACE_ADDED_TO_OBJECT',
+  FIELD_ADDED: 'FIELD_ADDED',
+  INPUT_FIELD_ADDED: 'INPUT_FIELD_ADDED',
+  INPUT_FIELD_DEFAULT_VALUE_CHANGE: 'INPUT_FIELD_DEFAULT_VALUE_CHANGE',
+  ARG_ADDED: 'ARG_ADDED',
+  DESCRIPTION_CHANGED: 'DESCRIPTION_CHANGED',
+  DEPRECATION_ADDED: 'DEPRECATION_ADDED',
+  DEPRECATION_REMOVED: 'DEPRECATION_REMOVED',
+  DEPRECATION_REASON_CHANGED: 'DEPRECATION_REASON_CHANGED',
+  DIRECTIVE_ADDED: 'DIRECTIVE_ADDED',
+  DIRECTIVE_REMOVED: 'DIRECTIVE_REMOVED',
+  DIRECTIVE_LOCATION_ADDED: 'DIRECTIVE_LOCATION_ADDED',
+  DIRECTIVE_LOCATION_REMOVED: 'DIRECTIVE_LOCATION_REMOVED',
+};
+
+/**
+ * A single difference between two schemas, as reported by diffSchema. The
+ * coordinate is the schema coordinate of the changed element, such as
+ * "Type.field(argument:)" or "@directive".
+ */
+export type SchemaChange = {
+  type: $Keys<typeof SchemaChangeType>;
+  severity: $Keys<typeof ChangeSeverity>;
+  coordinate: string;
+  description: string;
+};
+
 /**
  * Given two schemas, returns an Array containing descriptions of all the types
  * of breaking changes covered by the other functions down below.
@@ -88,6 +143,63 @@ export function findDangerousChanges(
   ];
 }
 
+/**
+ * Given two schemas, returns an Array describing every change between them:
+ * added, removed and changed types, fields, arguments, input fields, enum
+ * values and directives, as well as description and deprecation changes.
+ *
+ * Each change has a severity: BREAKING changes may fail existing operations,
+ * DANGEROUS changes may change the results of existing operations, and SAFE
+ * changes do neither.
+ */
+export function diffSchema(
+  oldSchema: GraphQLSchema,
+  newSchema: GraphQLSchema
+): Array<SchemaChange> {
+  const oldTypeMap = oldSchema.getTypeMap();
+  const newTypeMap = newSchema.getTypeMap();
+
+  const changes = [];
+  Object.keys(oldTypeMap).forEach(typeName => {
+    const oldType = oldTypeMap[typeName];
+    const newType = newTypeMap[typeName];
+    if (!newType) {
+      addChange(
+        changes,
+        SchemaChangeType.TYPE_REMOVED,
+        ChangeSeverity.BREAKING,
+        typeName,
+        `${typeName} was removed.`
+      );
+    } else if (!(oldType instanceof newType.constructor)) {
+      addChange(
+        changes,
+        SchemaChangeType.TYPE_CHANGED_KIND,
+        ChangeSeverity.BREAKING,
+        typeName,
+        `${typeName} changed from ` +
+          `${typeKindName(oldType)} to ${typeKindName(newType)}.`
+      );
+    } else {
+      diffNamedType(changes, oldType, newType);
+    }
+  });
+  Object.keys(newTypeMap).forEach(typeName => {
+    if (!oldTypeMap[typeName]) {
+      addChange(
+        changes,
+        SchemaChangeType.TYPE_ADDED,
+        ChangeSeverity.SAFE,
+        typeName,
+        `${typeName} was added.`
+      );
+    }
+  });
+
+  diffDirectives(changes, oldSchema.getDirectives(), newSchema.getDirectives());
+  return changes;
+}
+
 /**
  * Given two schemas, returns an Array containing descriptions of any breaking
  * changes in the newSchema related to removing an entire type.
@@ -574,3 +686,489 @@ export function findInterfacesRemovedFromObjectTypes(
   });
   return breakingChanges;
 }
+
+function addChange(
+  changes: Array<SchemaChange>,
+  type: $Keys<typeof SchemaChangeType>,
+  severity: $Keys<typeof ChangeSeverity>,
+  coordinate: string,
+  description: string
+): void {
+  changes.push({ type, severity, coordinate, description });
+}
+
+function diffNamedType(
+  changes: Array<SchemaChange>,
+  oldType: GraphQLNamedType,
+  newType: GraphQLNamedType
+): void {
+  diffDescription(changes, oldType.name, oldType, newType);
+
+  if (
+    oldType instanceof GraphQLObjectType &&
+    newType instanceof GraphQLObjectType ||
+    oldType instanceof GraphQLInterfaceType &&
+    newType instanceof GraphQLInterfaceType
+  ) {
+    diffFields(changes, oldType, newType);
+    diffInterfaces(changes, oldType, newType);
+  } else if (
+    oldType instanceof GraphQLUnionType &&
+    newType instanceof GraphQLUnionType
+  ) {
+    diffUnionMembers(changes, oldType, newType);
+  } else if (
+    oldType instanceof GraphQLEnumType &&
+    newType instanceof GraphQLEnumType
+  ) {
+    diffEnumValues(changes, oldType, newType);
+  } else if (
+    oldType instanceof GraphQLInputObjectType &&
+    newType instanceof GraphQLInputObjectType
+  ) {
+    diffInputFields(changes, oldType, newType);
+  }
+}
+
+function diffFields(
+  changes: Array<SchemaChange>,
+  oldType: GraphQLObjectType | GraphQLInterfaceType,
+  newType: GraphQLObjectType | GraphQLInterfaceType
+): void {
+  const oldFields = oldType.getFields();
+  const newFields = newType.getFields();
+
+  Object.keys(oldFields).forEach(fieldName => {
+    const coordinate = `${oldType.name}.${fieldName}`;
+    const oldField = oldFields[fieldName];
+    const newField = newFields[fieldName];
+    if (!newField) {
+      addChange(
+        changes,
+        SchemaChangeType.FIELD_REMOVED,
+        ChangeSeverity.BREAKING,
+        coordinate,
+        `${coordinate} was removed.`
+      );
+      return;
+    }
+    if (String(oldField.type) !== String(newField.type)) {
+      addChange(
+        changes,
+        SchemaChangeType.FIELD_CHANGED_KIND,
+        isChangeSafeForObjectOrInterfaceField(oldField.type, newField.type) ?
+          ChangeSeverity.SAFE :
+          ChangeSeverity.BREAKING,
+        coordinate,
+        `${coordinate} changed type from ${String(oldField.type)} to ` +
+          `${String(newField.type)}.`
+      );
+    }
+    diffDescription(changes, coordinate, oldField, newField);
+    diffDeprecation(changes, coordinate, oldField, newField);
+    diffArgs(changes, coordinate, oldField.args, newField.args);
+  });
+
+  Object.keys(newFields).forEach(fieldName => {
+    if (!oldFields[fieldName]) {
+      const coordinate = `${newType.name}.${fieldName}`;
+      addChange(
+        changes,
+        SchemaChangeType.FIELD_ADDED,
+        ChangeSeverity.SAFE,
+        coordinate,
+        `${coordinate} was added.`
+      );
+    }
+  });
+}
+
+function diffArgs(
+  changes: Array<SchemaChange>,
+  ownerCoordinate: string,
+  oldArgs: Array<GraphQLArgument>,
+  newArgs: Array<GraphQLArgument>
+): void {
+  oldArgs.forEach(oldArg => {
+    const coordinate = `${ownerCoordinate}(${oldArg.name}:)`;
+    const newArg = find(newArgs, arg => arg.name === oldArg.name);
+    if (!newArg) {
+      addChange(
+        changes,
+        SchemaChangeType.ARG_REMOVED,
+        ChangeSeverity.BREAKING,
+        coordinate,
+        `${coordinate} was removed.`
+      );
+      return;
+    }
+    if (String(oldArg.type) !== String(newArg.type)) {
+      addChange(
+        changes,
+        SchemaChangeType.ARG_CHANGED_KIND,
+        isChangeSafeForInputObjectFieldOrFieldArg(oldArg.type, newArg.type) ?
+          ChangeSeverity.SAFE :
+          ChangeSeverity.BREAKING,
+        coordinate,
+        `${coordinate} changed type from ${String(oldArg.type)} to ` +
+          `${String(newArg.type)}.`
+      );
+    }
+    diffDefaultValue(
+      changes,
+      SchemaChangeType.ARG_DEFAULT_VALUE_CHANGE,
+      coordinate,
+      oldArg,
+      newArg
+    );
+    diffDescription(changes, coordinate, oldArg, newArg);
+  });
+
+  newArgs.forEach(newArg => {
+    if (!find(oldArgs, arg => arg.name === newArg.name)) {
+      const coordinate = `${ownerCoordinate}(${newArg.name}:)`;
+      if (newArg.type instanceof GraphQLNonNull) {
+        addChange(
+          changes,
+          SchemaChangeType.NON_NULL_ARG_ADDED,
+          ChangeSeverity.BREAKING,
+          coordinate,
+          `A non-null argument ${coordinate} was added.`
+        );
+      } else {
+        addChange(
+          changes,
+          SchemaChangeType.ARG_ADDED,
+          ChangeSeverity.SAFE,
+          coordinate,
+          `${coordinate} was added.`
+        );
+      }
+    }
+  });
+}
+
+function diffInputFields(
+  changes: Array<SchemaChange>,
+  oldType: GraphQLInputObjectType,
+  newType: GraphQLInputObjectType
+): void {
+  const oldFields = oldType.getFields();
+  const newFields = newType.getFields();
+
+  Object.keys(oldFields).forEach(fieldName => {
+    const coordinate = `${oldType.name}.${fieldName}`;
+    const oldField = oldFields[fieldName];
+    const newField = newFields[fieldName];
+    if (!newField) {
+      addChange(
+        changes,
+        SchemaChangeType.FIELD_REMOVED,
+        ChangeSeverity.BREAKING,
+        coordinate,
+        `${coordinate} was removed.`
+      );
+      return;
+    }
+    if (String(oldField.type) !== String(newField.type)) {
+      addChange(
+        changes,
+        SchemaChangeType.FIELD_CHANGED_KIND,
+        isChangeSafeForInputObjectFieldOrFieldArg(
+          oldField.type,
+          newField.type
+        ) ?
+          ChangeSeverity.SAFE :
+          ChangeSeverity.BREAKING,
+        coordinate,
+        `${coordinate} changed type from ${String(oldField.type)} to ` +
+          `${String(newField.type)}.`
+      );
+    }
+    diffDefaultValue(
+      changes,
+      SchemaChangeType.INPUT_FIELD_DEFAULT_VALUE_CHANGE,
+      coordinate,
+      oldField,
+      newField
+    );
+    diffDescription(changes, coordinate, oldField, newField);
+  });
+
+  Object.keys(newFields).forEach(fieldName => {
+    if (!oldFields[fieldName]) {
+      const coordinate = `${newType.name}.${fieldName}`;
+      if (newFields[fieldName].type instanceof GraphQLNonNull) {
+        addChange(
+          changes,
+          SchemaChangeType.NON_NULL_INPUT_FIELD_ADDED,
+          ChangeSeverity.BREAKING,
+          coordinate,
+          `A non-null input field ${coordinate} was added.`
+        );
+      } else {
+        addChange(
+          changes,
+          SchemaChangeType.INPUT_FIELD_ADDED,
+          ChangeSeverity.SAFE,
+          coordinate,
+          `${coordinate} was added.`
+        );
+      }
+    }
+  });
+}
+
+function diffInterfaces(
+  changes: Array<SchemaChange>,
+  oldType: GraphQLObjectType | GraphQLInterfaceType,
+  newType: GraphQLObjectType | GraphQLInterfaceType
+): void {
+  const oldInterfaces = oldType.getInterfaces();
+  const newInterfaces = newType.getInterfaces();
+
+  oldInterfaces.forEach(oldInterface => {
+    if (!newInterfaces.some(int => int.name === oldInterface.name)) {
+      addChange(
+        changes,
+        SchemaChangeType.INTERFACE_REMOVED_FROM_OBJECT,
+        ChangeSeverity.BREAKING,
+        oldType.name,
+        `${oldType.name} no longer implements interface ` +
+          `${oldInterface.name}.`
+      );
+    }
+  });
+  newInterfaces.forEach(newInterface => {
+    if (!oldInterfaces.some(int => int.name === newInterface.name)) {
+      addChange(
+        changes,
+        SchemaChangeType.INTERFACE_ADDED_TO_OBJECT,
+        ChangeSeverity.DANGEROUS,
+        newType.name,
+        `${newType.name} now implements interface ${newInterface.name}.`
+      );
+    }
+  });
+}
+
+function diffUnionMembers(
+  changes: Array<SchemaChange>,
+  oldType: GraphQLUnionType,
+  newType: GraphQLUnionType
+): void {
+  const oldMembers = oldType.getTypes();
+  const newMembers = newType.getTypes();
+
+  oldMembers.forEach(oldMember => {
+    if (!newMembers.some(type => type.name === oldMember.name)) {
+      addChange(
+        changes,
+        SchemaChangeType.TYPE_REMOVED_FROM_UNION,
+        ChangeSeverity.BREAKING,
+        oldType.name,
+        `${oldMember.name} was removed from union type ${oldType.name}.`
+      );
+    }
+  });
+  newMembers.forEach(newMember => {
+    if (!oldMembers.some(type => type.name === newMember.name)) {
+      addChange(
+        changes,
+        SchemaChangeType.TYPE_ADDED_TO_UNION,
+        ChangeSeverity.DANGEROUS,
+        newType.name,
+        `${newMember.name} was added to union type ${newType.name}.`
+      );
+    }
+  });
+}
+
+function diffEnumValues(
+  changes: Array<SchemaChange>,
+  oldType: GraphQLEnumType,
+  newType: GraphQLEnumType
+): void {
+  oldType.getValues().forEach(oldValue => {
+    const coordinate = `${oldType.name}.${oldValue.name}`;
+    const newValue = newType.getValue(oldValue.name);
+    if (!newValue) {
+      addChange(
+        changes,
+        SchemaChangeType.VALUE_REMOVED_FROM_ENUM,
+        ChangeSeverity.BREAKING,
+        coordinate,
+        `${oldValue.name} was removed from enum type ${oldType.name}.`
+      );
+      return;
+    }
+    diffDescription(changes, coordinate, oldValue, newValue);
+    diffDeprecation(changes, coordinate, oldValue, newValue);
+  });
+
+  newType.getValues().forEach(newValue => {
+    if (!oldType.getValue(newValue.name)) {
+      addChange(
+        changes,
+        SchemaChangeType.VALUE_ADDED_TO_ENUM,
+        ChangeSeverity.DANGEROUS,
+        `${newType.name}.${newValue.name}`,
+        `${newValue.name} was added to enum type ${newType.name}.`
+      );
+    }
+  });
+}
+
+function diffDirectives(
+  changes: Array<SchemaChange>,
+  oldDirectives: Array<GraphQLDirective>,
+  newDirectives: Array<GraphQLDirective>
+): void {
+  oldDirectives.forEach(oldDirective => {
+    const coordinate = `@${oldDirective.name}`;
+    const newDirective = find(
+      newDirectives,
+      directive => directive.name === oldDirective.name
+    );
+    if (!newDirective) {
+      addChange(
+        changes,
+        SchemaChangeType.DIRECTIVE_REMOVED,
+        ChangeSeverity.BREAKING,
+        coordinate,
+        `${coordinate} was removed.`
+      );
+      return;
+    }
+    diffDescription(changes, coordinate, oldDirective, newDirective);
+    oldDirective.locations.forEach(location => {
+      if (newDirective.locations.indexOf(location) === -1) {
+        addChange(
+          changes,
+          SchemaChangeType.DIRECTIVE_LOCATION_REMOVED,
+          ChangeSeverity.BREAKING,
+          coordinate,
+          `${location} was removed from ${coordinate}.`
+        );
+      }
+    });
+    newDirective.locations.forEach(location => {
+      if (oldDirective.locations.indexOf(location) === -1) {
+        addChange(
+          changes,
+          SchemaChangeType.DIRECTIVE_LOCATION_ADDED,
+          ChangeSeverity.SAFE,
+          coordinate,
+          `${location} was added to ${coordinate}.`
+        );
+      }
+    });
+    diffArgs(changes, coordinate, oldDirective.args, newDirective.args);
+  });
+
+  newDirectives.forEach(newDirective => {
+    const oldDirective = find(
+      oldDirectives,
+      directive => directive.name === newDirective.name
+    );
+    if (!oldDirective) {
+      addChange(
+        changes,
+        SchemaChangeType.DIRECTIVE_ADDED,
+        ChangeSeverity.SAFE,
+        `@${newDirective.name}`,
+        `@${newDirective.name} was added.`
+      );
+    }
+  });
+}
+
+function diffDescription(
+  changes: Array<SchemaChange>,
+  coordinate: string,
+  oldElement: { description?: ?string },
+  newElement: { description?: ?string }
+): void {
+  const oldDescription = oldElement.description || null;
+  const newDescription = newElement.description || null;
+  if (oldDescription !== newDescription) {
+    addChange(
+      changes,
+      SchemaChangeType.DESCRIPTION_CHANGED,
+      ChangeSeverity.SAFE,
+      coordinate,
+      !oldDescription ? `${coordinate} description was added.` :
+      !newDescription ? `${coordinate} description was removed.` :
+      `${coordinate} description changed.`
+    );
+  }
+}
+
+function diffDeprecation(
+  changes: Array<SchemaChange>,
+  coordinate: string,
+  oldElement: { isDeprecated?: boolean, deprecationReason?: ?string },
+  newElement: { isDeprecated?: boolean, deprecationReason?: ?string }
+): void {
+  if (!oldElement.isDeprecated && newElement.isDeprecated) {
+    addChange(
+      changes,
+      SchemaChangeType.DEPRECATION_ADDED,
+      ChangeSeverity.SAFE,
+      coordinate,
+      `${coordinate} was deprecated.`
+    );
+  } else if (oldElement.isDeprecated && !newElement.isDeprecated) {
+    addChange(
+      changes,
+      SchemaChangeType.DEPRECATION_REMOVED,
+      ChangeSeverity.SAFE,
+      coordinate,
+      `${coordinate} is no longer deprecated.`
+    );
+  } else if (oldElement.deprecationReason !== newElement.deprecationReason) {
+    addChange(
+      changes,
+      SchemaChangeType.DEPRECATION_REASON_CHANGED,
+      ChangeSeverity.SAFE,
+      coordinate,
+      `${coordinate} deprecation reason changed.`
+    );
+  }
+}
+
+function diffDefaultValue(
+  changes: Array<SchemaChange>,
+  type: $Keys<typeof SchemaChangeType>,
+  coordinate: string,
+  oldInput: GraphQLArgument | GraphQLInputField,
+  newInput: GraphQLArgument | GraphQLInputField
+): void {
+  const oldDefault = printDefaultValue(oldInput);
+  const newDefault = printDefaultValue(newInput);
+  if (oldDefault !== newDefault) {
+    addChange(
+      changes,
+      type,
+      ChangeSeverity.DANGEROUS,
+      coordinate,
+      !oldDefault ? `${coordinate} default value ${String(newDefault)} ` +
+        'was added.' :
+      !newDefault ? `${coordinate} default value ${oldDefault} was removed.` :
+      `${coordinate} default value changed from ${oldDefault} to ` +
+        `${newDefault}.`
+    );
+  }
+}
+
+// Default values are compared in their printed form, as separately built
+// schemas do not share default value objects.
+function printDefaultValue(
+  input: GraphQLArgument | GraphQLInputField
+): ?string {
+  if (input.defaultValue === undefined) {
+    return null;
+  }
+  const valueAST = astFromValue(input.defaultValue, input.type);
+  return valueAST ? print(valueAST) : null;
+}
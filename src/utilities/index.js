@@ -9,8 +9,12 @@
  */
 
 // The GraphQL query recommended for a full schema introspection.
-export { introspectionQuery } from './introspectionQuery';
+export {
+  introspectionQuery,
+  getIntrospectionQuery,
+} from './introspectionQuery';
 export type {
+  IntrospectionOptions,
   IntrospectionQuery,
   IntrospectionSchema,
   IntrospectionType,
@@ -27,6 +31,7 @@ export type {
   IntrospectionField,
   IntrospectionInputValue,
   IntrospectionEnumValue,
+  IntrospectionAppliedDirective,
   IntrospectionDirective,
 } from './introspectionQuery';
 
@@ -38,6 +43,17 @@ export { buildClientSchema } from './buildClientSchema';
 
 // Build a GraphQLSchema from GraphQL Schema language.
 export { buildASTSchema, buildSchema } from './buildASTSchema';
+export type {
+  BuildSchemaOptions,
+  GraphQLResolverMap,
+} from './buildASTSchema';
+
+// Applies the runtime behavior of the directives used in a schema document.
+export { visitSchemaDirectives } from './schemaDirectives';
+export type {
+  SchemaDirectiveVisitor,
+  SchemaDirectiveVisitorMap,
+} from './schemaDirectives';
 
 // Extends an existing GraphQLSchema from a parsed GraphQL Schema language AST.
 export { extendSchema } from './extendSchema';
@@ -74,6 +90,13 @@ export { concatAST } from './concatAST';
 // Separates an AST into an AST per Operation.
 export { separateOperations } from './separateOperations';
 
+// Stores documents parsed and validated ahead of time, keyed by hash.
+export { PersistedQueryStore, hashDocument } from './PersistedQueryStore';
+export type { PersistedQueryStoreOptions } from './PersistedQueryStore';
+
+// Caches parsed and validated documents by schema and source.
+export { DocumentCache } from './DocumentCache';
+
 // Comparators for types
 export {
   isEqualType,
@@ -88,13 +111,28 @@ export { assertValidName } from './assertValidName';
 export {
   BreakingChangeType,
   DangerousChangeType,
+  SchemaChangeType,
+  ChangeSeverity,
   findBreakingChanges,
   findDangerousChanges,
+  diffSchema,
 } from './findBreakingChanges';
 export type {
   BreakingChange,
   DangerousChange,
+  SchemaChange,
 } from './findBreakingChanges';
 
 // Report all deprecated usage within a GraphQL document.
 export { findDeprecatedUsages } from './findDeprecatedUsages';
+
+// Parse, print and resolve schema coordinates, such as "Type.field(arg:)".
+export {
+  parseSchemaCoordinate,
+  printSchemaCoordinate,
+  resolveSchemaCoordinate,
+} from './schemaCoordinate';
+export type {
+  SchemaCoordinate,
+  SchemaElement,
+} from './schemaCoordinate';
@@ -11,7 +11,35 @@
 import type { DirectiveLocationEnum } from '../type/directives';
 
 
-export const introspectionQuery = `
+export type IntrospectionOptions = {
+  // Whether to include `isOneOf` on input object types. Only servers which
+  // support OneOf Input Objects may be queried with it. Default: false.
+  inputObjectOneOf?: boolean,
+  // Whether to include `isRepeatable` on directives. Only servers which
+  // support repeatable directives may be queried with it. Default: false.
+  directiveIsRepeatable?: boolean,
+  // Whether to include `appliedDirectives` on types, fields, input values and
+  // enum values. Only servers which expose applied directives may be queried
+  // with it. Default: false.
+  appliedDirectives?: boolean,
+};
+
+/**
+ * Returns the GraphQL query recommended for a full schema introspection,
+ * including the fields which not every server supports that are enabled by
+ * the given options.
+ */
+export function getIntrospectionQuery(options?: IntrospectionOptions): string {
+  const inputObjectOneOf = Boolean(options && options.inputObjectOneOf);
+  const directiveIsRepeatable =
+    Boolean(options && options.directiveIsRepeatable);
+  const appliedDirectives = Boolean(options && options.appliedDirectives);
+  // Selects the applied directives of an element on a line indented by the
+  // given prefix, following the preceding selection.
+  const appliedDirectivesOn = indent => (appliedDirectives ?
+    `\n${indent}appliedDirectives { name args { name value } }` :
+    '');
+  return `
   query IntrospectionQuery {
     __schema {
       queryType { name }
@@ -24,7 +52,7 @@ export const introspectionQuery = `
         name
         description
         locations
-        args {
+        ${directiveIsRepeatable ? 'isRepeatable\n        ' : ''}args {
           ...InputValue
         }
       }
@@ -45,9 +73,9 @@ export const introspectionQuery = `
         ...TypeRef
       }
       isDeprecated
-      deprecationReason
+      deprecationReason${appliedDirectivesOn('      ')}
     }
-    inputFields {
+    ${inputObjectOneOf ? 'isOneOf\n    ' : ''}inputFields {
       ...InputValue
     }
     interfaces {
@@ -57,18 +85,18 @@ export const introspectionQuery = `
       name
       description
       isDeprecated
-      deprecationReason
+      deprecationReason${appliedDirectivesOn('      ')}
     }
     possibleTypes {
       ...TypeRef
-    }
+    }${appliedDirectivesOn('    ')}
   }
 
   fragment InputValue on __InputValue {
     name
     description
     type { ...TypeRef }
-    defaultValue
+    defaultValue${appliedDirectivesOn('    ')}
   }
 
   fragment TypeRef on __Type {
@@ -104,6 +132,13 @@ export const introspectionQuery = `
     }
   }
 `;
+}
+
+/**
+ * The GraphQL query recommended for a full schema introspection, with the
+ * default options of getIntrospectionQuery.
+ */
+export const introspectionQuery = getIntrospectionQuery();
 
 export type IntrospectionQuery = {
   __schema: IntrospectionSchema
@@ -129,6 +164,7 @@ export type IntrospectionScalarType = {
   kind: 'SCALAR';
   name: string;
   description: ?string;
+  appliedDirectives?: ?Array<IntrospectionAppliedDirective>;
 };
 
 export type IntrospectionObjectType = {
@@ -137,6 +173,7 @@ export type IntrospectionObjectType = {
   description: ?string;
   fields: Array<IntrospectionField>;
   interfaces: Array<IntrospectionNamedTypeRef>;
+  appliedDirectives?: ?Array<IntrospectionAppliedDirective>;
 };
 
 export type IntrospectionInterfaceType = {
@@ -144,7 +181,9 @@ export type IntrospectionInterfaceType = {
   name: string;
   description: ?string;
   fields: Array<IntrospectionField>;
+  interfaces?: ?Array<IntrospectionNamedTypeRef>;
   possibleTypes: Array<IntrospectionNamedTypeRef>;
+  appliedDirectives?: ?Array<IntrospectionAppliedDirective>;
 };
 
 export type IntrospectionUnionType = {
@@ -152,6 +191,7 @@ export type IntrospectionUnionType = {
   name: string;
   description: ?string;
   possibleTypes: Array<IntrospectionNamedTypeRef>;
+  appliedDirectives?: ?Array<IntrospectionAppliedDirective>;
 };
 
 export type IntrospectionEnumType = {
@@ -159,6 +199,7 @@ export type IntrospectionEnumType = {
   name: string;
   description: ?string;
   enumValues: Array<IntrospectionEnumValue>;
+  appliedDirectives?: ?Array<IntrospectionAppliedDirective>;
 };
 
 export type IntrospectionInputObjectType = {
@@ -166,6 +207,8 @@ export type IntrospectionInputObjectType = {
   name: string;
   description: ?string;
   inputFields: Array<IntrospectionInputValue>;
+  isOneOf?: ?boolean;
+  appliedDirectives?: ?Array<IntrospectionAppliedDirective>;
 };
 
 export type IntrospectionTypeRef =
@@ -195,6 +238,7 @@ export type IntrospectionField = {
   type: IntrospectionTypeRef;
   isDeprecated: boolean;
   deprecationReason: ?string;
+  appliedDirectives?: ?Array<IntrospectionAppliedDirective>;
 };
 
 export type IntrospectionInputValue = {
@@ -202,6 +246,7 @@ export type IntrospectionInputValue = {
   description: ?string;
   type: IntrospectionTypeRef;
   defaultValue: ?string;
+  appliedDirectives?: ?Array<IntrospectionAppliedDirective>;
 };
 
 export type IntrospectionEnumValue = {
@@ -209,6 +254,12 @@ export type IntrospectionEnumValue = {
   description: ?string;
   isDeprecated: boolean;
   deprecationReason: ?string;
+  appliedDirectives?: ?Array<IntrospectionAppliedDirective>;
+};
+
+export type IntrospectionAppliedDirective = {
+  name: string;
+  args: Array<{ name: string; value: string }>;
 };
 
 export type IntrospectionDirective = {
@@ -216,4 +267,5 @@ export type IntrospectionDirective = {
   description: ?string;
   locations: Array<DirectiveLocationEnum>;
   args: Array<IntrospectionInputValue>;
+  isRepeatable?: ?boolean;
 };
@@ -83,6 +83,24 @@ export function isValidJSValue(
       )));
     });
 
+    // Ensure exactly one field of a OneOf input object is provided.
+    if (type.isOneOf) {
+      const providedFields = Object.keys(value).filter(
+        fieldName => (value: any)[fieldName] !== undefined
+      );
+      if (providedFields.length !== 1) {
+        errors.push(
+          `Expected exactly one field for OneOf type "${type.name}", ` +
+          `found ${providedFields.length}.`
+        );
+      } else if ((value: any)[providedFields[0]] === null) {
+        errors.push(
+          `In field "${providedFields[0]}": Expected non-null value for ` +
+          `OneOf type "${type.name}", found null.`
+        );
+      }
+    }
+
     return errors;
   }
 
@@ -101,6 +101,21 @@ export function isValidLiteralValue(
       )));
     });
 
+    // Ensure exactly one field of a OneOf input object is provided.
+    if (type.isOneOf) {
+      if (fieldNodes.length !== 1) {
+        errors.push(
+          `Expected exactly one field for OneOf type "${type.name}", ` +
+          `found ${fieldNodes.length}.`
+        );
+      } else if (fieldNodes[0].value.kind === Kind.NULL) {
+        errors.push(
+          `In field "${fieldNodes[0].name.value}": Expected non-null value ` +
+          `for OneOf type "${type.name}", found null.`
+        );
+      }
+    }
+
     return errors;
   }
 
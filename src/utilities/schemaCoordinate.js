@@ -0,0 +1,267 @@
+/* @flow */
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { GraphQLError } from '../error/GraphQLError';
+import find from '../jsutils/find';
+import quotedOrList from '../jsutils/quotedOrList';
+import suggestionList from '../jsutils/suggestionList';
+import {
+  GraphQLObjectType,
+  GraphQLInterfaceType,
+  GraphQLInputObjectType,
+  GraphQLEnumType,
+} from '../type/definition';
+import type {
+  GraphQLNamedType,
+  GraphQLField,
+  GraphQLArgument,
+  GraphQLInputField,
+  GraphQLEnumValue,
+} from '../type/definition';
+import type { GraphQLDirective } from '../type/directives';
+import type { GraphQLSchema } from '../type/schema';
+
+
+/**
+ * A schema coordinate refers to an element of a schema by name:
+ *
+ *     Type
+ *     Type.field
+ *     Type.field(argument:)
+ *     InputType.field
+ *     Enum.VALUE
+ *     @directive
+ *     @directive(argument:)
+ */
+export type SchemaCoordinate = {
+  isDirective: boolean,
+  name: string,
+  memberName: ?string,
+  argumentName: ?string,
+};
+
+/**
+ * The schema element a schema coordinate refers to.
+ */
+export type SchemaElement =
+  | {
+      kind: 'Type',
+      type: GraphQLNamedType,
+    }
+  | {
+      kind: 'Field',
+      type: GraphQLObjectType | GraphQLInterfaceType,
+      field: GraphQLField<*, *>,
+    }
+  | {
+      kind: 'FieldArgument',
+      type: GraphQLObjectType | GraphQLInterfaceType,
+      field: GraphQLField<*, *>,
+      argument: GraphQLArgument,
+    }
+  | {
+      kind: 'InputField',
+      type: GraphQLInputObjectType,
+      field: GraphQLInputField,
+    }
+  | {
+      kind: 'EnumValue',
+      type: GraphQLEnumType,
+      value: GraphQLEnumValue,
+    }
+  | {
+      kind: 'Directive',
+      directive: GraphQLDirective,
+    }
+  | {
+      kind: 'DirectiveArgument',
+      directive: GraphQLDirective,
+      argument: GraphQLArgument,
+    };
+
+const NAME = '[_A-Za-z][_0-9A-Za-z]*';
+const COORDINATE_REGEXP = new RegExp(
+  `^(@)?(${NAME})(?:\\.(${NAME}))?(?:\\((${NAME}):\\))?$`
+);
+
+/**
+ * Given a schema coordinate string, such as `Type.field(argument:)`, parses
+ * the names it is made of. Throws GraphQLError if it is not a valid schema
+ * coordinate.
+ */
+export function parseSchemaCoordinate(coordinate: string): SchemaCoordinate {
+  const match = COORDINATE_REGEXP.exec(coordinate);
+  const isDirective = Boolean(match && match[1]);
+  if (
+    !match ||
+    isDirective && match[3] ||
+    !isDirective && match[4] && !match[3]
+  ) {
+    throw new GraphQLError(
+      `Invalid schema coordinate "${coordinate}". Expected "Type", ` +
+      '"Type.field", "Type.field(argument:)", "@directive" or ' +
+      '"@directive(argument:)".'
+    );
+  }
+  return {
+    isDirective,
+    name: match[2],
+    memberName: match[3] || null,
+    argumentName: match[4] || null,
+  };
+}
+
+/**
+ * Prints a parsed schema coordinate back to its string form.
+ */
+export function printSchemaCoordinate(coordinate: SchemaCoordinate): string {
+  return (coordinate.isDirective ? '@' : '') +
+    coordinate.name +
+    (coordinate.memberName ? '.' + coordinate.memberName : '') +
+    (coordinate.argumentName ? '(' + coordinate.argumentName + ':)' : '');
+}
+
+/**
+ * Given a schema and a schema coordinate, either as a string or parsed,
+ * returns the type, field, input field, enum value, argument or directive it
+ * refers to.
+ *
+ * Throws GraphQLError if the schema has no such element, suggesting similarly
+ * named elements where there are any.
+ */
+export function resolveSchemaCoordinate(
+  schema: GraphQLSchema,
+  coordinate: string | SchemaCoordinate
+): SchemaElement {
+  const { isDirective, name, memberName, argumentName } =
+    typeof coordinate === 'string' ?
+      parseSchemaCoordinate(coordinate) :
+      coordinate;
+
+  if (isDirective) {
+    const directive = schema.getDirective(name);
+    if (!directive) {
+      const directiveNames = schema.getDirectives().map(d => d.name);
+      throw new GraphQLError(
+        `Unknown directive "@${name}".` + didYouMean(
+          suggestionList(name, directiveNames).map(n => '@' + n)
+        )
+      );
+    }
+    if (!argumentName) {
+      return { kind: 'Directive', directive };
+    }
+    const argument = findArgument(
+      directive.args,
+      argumentName,
+      `Directive "@${name}"`
+    );
+    return { kind: 'DirectiveArgument', directive, argument };
+  }
+
+  const type = schema.getType(name);
+  if (!type) {
+    throw new GraphQLError(
+      `Unknown type "${name}".` + didYouMean(
+        suggestionList(name, Object.keys(schema.getTypeMap()))
+      )
+    );
+  }
+  if (!memberName) {
+    return { kind: 'Type', type };
+  }
+
+  const coordinateName = `${name}.${memberName}`;
+  if (
+    type instanceof GraphQLObjectType ||
+    type instanceof GraphQLInterfaceType
+  ) {
+    const fields = type.getFields();
+    const field = fields[memberName];
+    if (!field) {
+      throw new GraphQLError(
+        `Type "${name}" has no field "${memberName}".` + didYouMean(
+          suggestionList(memberName, Object.keys(fields))
+        )
+      );
+    }
+    if (!argumentName) {
+      return { kind: 'Field', type, field };
+    }
+    const argument = findArgument(
+      field.args,
+      argumentName,
+      `Field "${coordinateName}"`
+    );
+    return { kind: 'FieldArgument', type, field, argument };
+  }
+
+  if (type instanceof GraphQLInputObjectType) {
+    const fields = type.getFields();
+    const field = fields[memberName];
+    if (!field) {
+      throw new GraphQLError(
+        `Input type "${name}" has no field "${memberName}".` + didYouMean(
+          suggestionList(memberName, Object.keys(fields))
+        )
+      );
+    }
+    if (argumentName) {
+      throw new GraphQLError(
+        `Input field "${coordinateName}" does not have arguments.`
+      );
+    }
+    return { kind: 'InputField', type, field };
+  }
+
+  if (type instanceof GraphQLEnumType) {
+    const value = type.getValue(memberName);
+    if (!value) {
+      throw new GraphQLError(
+        `Enum "${name}" has no value "${memberName}".` + didYouMean(
+          suggestionList(memberName, type.getValues().map(v => v.name))
+        )
+      );
+    }
+    if (argumentName) {
+      throw new GraphQLError(
+        `Enum value "${coordinateName}" does not have arguments.`
+      );
+    }
+    return { kind: 'EnumValue', type, value };
+  }
+
+  throw new GraphQLError(
+    `Type "${name}" has no fields or values, so "${coordinateName}" does ` +
+    'not refer to anything.'
+  );
+}
+
+function findArgument(
+  args: Array<GraphQLArgument>,
+  argumentName: string,
+  owner: string
+): GraphQLArgument {
+  const argument = find(args, arg => arg.name === argumentName);
+  if (!argument) {
+    throw new GraphQLError(
+      `${owner} has no argument "${argumentName}".` + didYouMean(
+        suggestionList(argumentName, args.map(arg => arg.name))
+      )
+    );
+  }
+  return argument;
+}
+
+function didYouMean(suggestions: Array<string>): string {
+  return suggestions.length !== 0 ?
+    ` Did you mean ${quotedOrList(suggestions)}?` :
+    '';
+}
@@ -0,0 +1,217 @@
+/* @flow */
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { getArgumentValues } from '../execution/values';
+import {
+  GraphQLScalarType,
+  GraphQLObjectType,
+  GraphQLInterfaceType,
+  GraphQLUnionType,
+  GraphQLEnumType,
+  GraphQLInputObjectType,
+} from '../type/definition';
+import type {
+  GraphQLNamedType,
+  GraphQLField,
+  GraphQLArgument,
+  GraphQLEnumValue,
+  GraphQLInputField,
+} from '../type/definition';
+import type { GraphQLDirective } from '../type/directives';
+import type { GraphQLSchema } from '../type/schema';
+import type { DirectiveNode } from '../language/ast';
+
+
+type DirectiveArgs = { [argName: string]: mixed };
+
+/**
+ * The runtime behavior of a directive used in a schema document.
+ *
+ * Each method is called for every use of the directive at the location its
+ * name refers to, with the built schema element found there and the values of
+ * the directive's arguments. Elements are changed in place, for example by
+ * wrapping the `resolve` function of a field:
+ *
+ *     const upper = {
+ *       visitFieldDefinition(field) {
+ *         const resolve = field.resolve || defaultFieldResolver;
+ *         field.resolve = (...args) => {
+ *           const value = resolve(...args);
+ *           return typeof value === 'string' ? value.toUpperCase() : value;
+ *         };
+ *       }
+ *     };
+ *
+ */
+export type SchemaDirectiveVisitor = {
+  visitSchema?: (schema: GraphQLSchema, args: DirectiveArgs) => mixed,
+  visitScalar?: (type: GraphQLScalarType, args: DirectiveArgs) => mixed,
+  visitObject?: (type: GraphQLObjectType, args: DirectiveArgs) => mixed,
+  visitFieldDefinition?: (
+    field: GraphQLField<*, *>,
+    args: DirectiveArgs,
+    details: { objectType: GraphQLObjectType | GraphQLInterfaceType }
+  ) => mixed,
+  visitArgumentDefinition?: (
+    argument: GraphQLArgument,
+    args: DirectiveArgs,
+    details: {
+      field: GraphQLField<*, *>,
+      objectType: GraphQLObjectType | GraphQLInterfaceType,
+    }
+  ) => mixed,
+  visitInterface?: (type: GraphQLInterfaceType, args: DirectiveArgs) => mixed,
+  visitUnion?: (type: GraphQLUnionType, args: DirectiveArgs) => mixed,
+  visitEnum?: (type: GraphQLEnumType, args: DirectiveArgs) => mixed,
+  visitEnumValue?: (
+    value: GraphQLEnumValue,
+    args: DirectiveArgs,
+    details: { enumType: GraphQLEnumType }
+  ) => mixed,
+  visitInputObject?: (
+    type: GraphQLInputObjectType,
+    args: DirectiveArgs
+  ) => mixed,
+  visitInputFieldDefinition?: (
+    field: GraphQLInputField,
+    args: DirectiveArgs,
+    details: { objectType: GraphQLInputObjectType }
+  ) => mixed,
+};
+
+/**
+ * Visitors for the directives of a schema, keyed by directive name.
+ */
+export type SchemaDirectiveVisitorMap = {
+  [directiveName: string]: SchemaDirectiveVisitor
+};
+
+/**
+ * Given a schema built from a schema document, calls the visitors of the
+ * directives used in that document with the schema elements they are used
+ * at: the schema, then each type followed by its fields, arguments, enum
+ * values or input fields. A repeatable directive is visited once per use.
+ *
+ * The schema is changed in place and returned. As visitors are not idempotent
+ * in general, the directives of a schema should only be visited once.
+ */
+export function visitSchemaDirectives(
+  schema: GraphQLSchema,
+  visitors: SchemaDirectiveVisitorMap
+): GraphQLSchema {
+  const directives: { [name: string]: GraphQLDirective } = Object.create(null);
+  Object.keys(visitors).forEach(directiveName => {
+    const directive = schema.getDirective(directiveName);
+    if (!directive) {
+      throw new Error(
+        `Cannot visit directive "@${directiveName}" as it is not defined in ` +
+        'the schema.'
+      );
+    }
+    directives[directiveName] = directive;
+  });
+
+  function visitDirectives(
+    nodes: Array<?{ +directives?: ?Array<DirectiveNode> }>,
+    methodName: string,
+    element: mixed,
+    details?: mixed
+  ): void {
+    nodes.forEach(node => {
+      const directiveNodes = node && node.directives || [];
+      directiveNodes.forEach(directiveNode => {
+        const directiveName = directiveNode.name.value;
+        const visitor = visitors[directiveName];
+        const visit = visitor && (visitor: any)[methodName];
+        if (typeof visit === 'function') {
+          const args = getArgumentValues(
+            directives[directiveName],
+            directiveNode
+          );
+          visit.call(visitor, element, args, details);
+        }
+      });
+    });
+  }
+
+  visitDirectives([ schema.astNode ], 'visitSchema', schema);
+
+  const typeMap = schema.getTypeMap();
+  Object.keys(typeMap).forEach(typeName => {
+    const type = typeMap[typeName];
+    const typeNodes = getTypeNodes(type);
+
+    if (type instanceof GraphQLScalarType) {
+      visitDirectives(typeNodes, 'visitScalar', type);
+    } else if (
+      type instanceof GraphQLObjectType ||
+      type instanceof GraphQLInterfaceType
+    ) {
+      visitDirectives(
+        typeNodes,
+        type instanceof GraphQLObjectType ? 'visitObject' : 'visitInterface',
+        type
+      );
+      const fieldMap = type.getFields();
+      Object.keys(fieldMap).forEach(fieldName => {
+        const field = fieldMap[fieldName];
+        visitDirectives(
+          [ field.astNode ],
+          'visitFieldDefinition',
+          field,
+          { objectType: type }
+        );
+        field.args.forEach(arg => {
+          visitDirectives(
+            [ arg.astNode ],
+            'visitArgumentDefinition',
+            arg,
+            { field, objectType: type }
+          );
+        });
+      });
+    } else if (type instanceof GraphQLUnionType) {
+      visitDirectives(typeNodes, 'visitUnion', type);
+    } else if (type instanceof GraphQLEnumType) {
+      visitDirectives(typeNodes, 'visitEnum', type);
+      type.getValues().forEach(value => {
+        visitDirectives(
+          [ value.astNode ],
+          'visitEnumValue',
+          value,
+          { enumType: type }
+        );
+      });
+    } else if (type instanceof GraphQLInputObjectType) {
+      visitDirectives(typeNodes, 'visitInputObject', type);
+      const fieldMap = type.getFields();
+      Object.keys(fieldMap).forEach(fieldName => {
+        visitDirectives(
+          [ fieldMap[fieldName].astNode ],
+          'visitInputFieldDefinition',
+          fieldMap[fieldName],
+          { objectType: type }
+        );
+      });
+    }
+  });
+
+  return schema;
+}
+
+// The definition of a type and those of its extensions.
+function getTypeNodes(
+  type: GraphQLNamedType
+): Array<?{ +directives?: ?Array<DirectiveNode> }> {
+  const extensionNodes = type.extensionASTNodes || [];
+  return [ type.astNode ].concat(
+    extensionNodes.map(extension => extension.definition)
+  );
+}
@@ -13,6 +13,7 @@ import isNullish from '../jsutils/isNullish';
 import isInvalid from '../jsutils/isInvalid';
 import { astFromValue } from '../utilities/astFromValue';
 import { print } from '../language/printer';
+import { STRING } from '../language/kinds';
 import type { GraphQLSchema } from '../type/schema';
 import type { GraphQLType } from '../type/definition';
 import {
@@ -158,22 +159,27 @@ function printScalar(type: GraphQLScalarType): string {
 }
 
 function printObject(type: GraphQLObjectType): string {
-  const interfaces = type.getInterfaces();
-  const implementedInterfaces = interfaces.length ?
-    ' implements ' + interfaces.map(i => i.name).join(', ') : '';
   return printDescription(type) +
-    `type ${type.name}${implementedInterfaces} {\n` +
+    `type ${type.name}${printImplementedInterfaces(type)} {\n` +
       printFields(type) + '\n' +
     '}';
 }
 
 function printInterface(type: GraphQLInterfaceType): string {
   return printDescription(type) +
-    `interface ${type.name} {\n` +
+    `interface ${type.name}${printImplementedInterfaces(type)} {\n` +
       printFields(type) + '\n' +
     '}';
 }
 
+function printImplementedInterfaces(
+  type: GraphQLObjectType | GraphQLInterfaceType
+): string {
+  const interfaces = type.getInterfaces();
+  return interfaces.length ?
+    ' implements ' + interfaces.map(i => i.name).join(', ') : '';
+}
+
 function printUnion(type: GraphQLUnionType): string {
   return printDescription(type) +
     `union ${type.name} = ${type.getTypes().join(' | ')}`;
@@ -197,7 +203,7 @@ function printInputObject(type: GraphQLInputObjectType): string {
   const fieldMap = type.getFields();
   const fields = Object.keys(fieldMap).map(fieldName => fieldMap[fieldName]);
   return printDescription(type) +
-    `input ${type.name} {\n` +
+    `input ${type.name}${type.isOneOf ? ' @oneOf' : ''} {\n` +
       fields.map((f, i) =>
         printDescription(f, '  ', !i) + '  ' + printInputValue(f)
       ).join('\n') + '\n' +
@@ -241,6 +247,7 @@ function printInputValue(arg) {
 function printDirective(directive) {
   return printDescription(directive) +
     'directive @' + directive.name + printArgs(directive.args) +
+    (directive.isRepeatable ? ' repeatable' : '') +
     ' on ' + directive.locations.join(' | ');
 }
 
@@ -263,21 +270,21 @@ function printDescription(def, indentation = '', firstInBlock = true): string {
   if (!def.description) {
     return '';
   }
-  const lines = def.description.split('\n');
-  let description = indentation && !firstInBlock ? '\n' : '';
-  for (let i = 0; i < lines.length; i++) {
-    if (lines[i] === '') {
-      description += indentation + '#\n';
-    } else {
-      // For > 120 character long lines, cut at space boundaries into sublines
-      // of ~80 chars.
-      const sublines = breakLine(lines[i], 120 - indentation.length);
-      for (let j = 0; j < sublines.length; j++) {
-        description += indentation + '# ' + sublines[j] + '\n';
-      }
-    }
-  }
-  return description;
+  const lines = [];
+  def.description.split('\n').forEach(line => {
+    // For > 120 character long lines, cut at space boundaries into sublines
+    // of ~80 chars.
+    lines.push(...breakLine(line, 120 - indentation.length));
+  });
+  const blockString = print({
+    kind: STRING,
+    value: lines.join('\n'),
+    block: true,
+  });
+  const prefix = indentation && !firstInBlock ? '\n' : '';
+  // Every line but an empty one is indented, including the closing quotes.
+  return prefix + indentation +
+    blockString.replace(/\n(?=.)/g, '\n' + indentation) + '\n';
 }
 
 function breakLine(line: string, len: number): Array<string> {
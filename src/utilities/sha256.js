@@ -0,0 +1,23 @@
+/* @flow */
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { createHash } from 'crypto';
+
+
+/**
+ * Returns the hex encoded SHA-256 digest of a string, such as to hash the
+ * documents of a PersistedQueryStore.
+ *
+ * This depends on Node's `crypto` module, so it is not exported from the
+ * package, and must be imported from 'graphql/utilities/sha256' instead.
+ */
+export function sha256(body: string): string {
+  return createHash('sha256').update(body).digest('hex');
+}
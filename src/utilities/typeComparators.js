@@ -11,6 +11,7 @@
 import {
   isAbstractType,
   GraphQLObjectType,
+  GraphQLInterfaceType,
   GraphQLList,
   GraphQLNonNull,
 } from '../type/definition';
@@ -83,10 +84,11 @@ export function isTypeSubTypeOf(
   }
 
   // If superType type is an abstract type, maybeSubType type may be a currently
-  // possible object type.
+  // possible object type, or an interface type which implements it.
   if (isAbstractType(superType) &&
-      maybeSubType instanceof GraphQLObjectType &&
-      schema.isPossibleType(superType, maybeSubType)) {
+      (maybeSubType instanceof GraphQLObjectType ||
+        maybeSubType instanceof GraphQLInterfaceType) &&
+      schema.isSubType(superType, maybeSubType)) {
     return true;
   }
 
@@ -143,6 +143,9 @@ export function valueFromAST(
       }
       coercedObj[fieldName] = fieldValue;
     }
+    if (type.isOneOf && !isOneOfValue(coercedObj)) {
+      return; // Invalid: intentionally return no value.
+    }
     return coercedObj;
   }
 
@@ -161,6 +164,13 @@ export function valueFromAST(
   return parsed;
 }
 
+// Returns true if exactly one field of the coerced OneOf input object was
+// provided, with a non-null value.
+function isOneOfValue(coercedObj) {
+  const fieldNames = Object.keys(coercedObj);
+  return fieldNames.length === 1 && coercedObj[fieldNames[0]] !== null;
+}
+
 // Returns true if the provided valueNode is a variable which is not defined
 // in the set of variables.
 function isMissingVariable(valueNode, variables) {
@@ -872,6 +872,79 @@ describe('Validate: Argument values of correct type', () => {
 
   });
 
+
+  describe('OneOf input object value', () => {
+
+    it('Exactly one field', () => {
+      expectPassesRule(ArgumentsOfCorrectType, `
+        {
+          complicatedArgs {
+            oneOfArgField(oneOfArg: { intField: 4 })
+          }
+        }
+      `);
+    });
+
+    it('Exactly one field provided by a variable', () => {
+      expectPassesRule(ArgumentsOfCorrectType, `
+        query Query($string: String!) {
+          complicatedArgs {
+            oneOfArgField(oneOfArg: { stringField: $string })
+          }
+        }
+      `);
+    });
+
+    it('No fields', () => {
+      expectFailsRule(ArgumentsOfCorrectType, `
+        {
+          complicatedArgs {
+            oneOfArgField(oneOfArg: {})
+          }
+        }
+      `, [
+        badValue('oneOfArg', 'OneOfInput', '{}', 4, 37, [
+          'Expected exactly one field for OneOf type "OneOfInput", found 0.'
+        ]),
+      ]);
+    });
+
+    it('More than one field', () => {
+      expectFailsRule(ArgumentsOfCorrectType, `
+        {
+          complicatedArgs {
+            oneOfArgField(oneOfArg: { intField: 4, stringField: "abc" })
+          }
+        }
+      `, [
+        badValue(
+          'oneOfArg',
+          'OneOfInput',
+          '{intField: 4, stringField: "abc"}',
+          4,
+          37,
+          [ 'Expected exactly one field for OneOf type "OneOfInput", found 2.' ]
+        ),
+      ]);
+    });
+
+    it('Null field', () => {
+      expectFailsRule(ArgumentsOfCorrectType, `
+        {
+          complicatedArgs {
+            oneOfArgField(oneOfArg: { intField: null })
+          }
+        }
+      `, [
+        badValue('oneOfArg', 'OneOfInput', '{intField: null}', 4, 37, [
+          'In field "intField": Expected non-null value for OneOf type ' +
+            '"OneOfInput", found null.'
+        ]),
+      ]);
+    });
+
+  });
+
   describe('Directive arguments', () => {
 
     it('with directives of valid types', () => {
@@ -0,0 +1,200 @@
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { describe, it } from 'mocha';
+import {
+  expectPassesRuleWithSchema,
+  expectFailsRuleWithSchema,
+} from './harness';
+import {
+  DeferStreamDirectiveOnRootField,
+  deferOnRootFieldMessage,
+  streamOnRootFieldMessage,
+} from '../rules/DeferStreamDirectiveOnRootField';
+import {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLString,
+  specifiedDirectives,
+  GraphQLDeferDirective,
+  GraphQLStreamDirective,
+} from '../../type';
+
+
+const Message = new GraphQLObjectType({
+  name: 'Message',
+  fields: {
+    body: { type: GraphQLString },
+    sender: { type: GraphQLString },
+  },
+});
+
+const schema = new GraphQLSchema({
+  query: new GraphQLObjectType({
+    name: 'QueryRoot',
+    fields: {
+      message: { type: Message },
+      messages: { type: new GraphQLList(Message) },
+    },
+  }),
+  mutation: new GraphQLObjectType({
+    name: 'MutationRoot',
+    fields: {
+      mutationField: { type: Message },
+      mutationListField: { type: new GraphQLList(Message) },
+    },
+  }),
+  subscription: new GraphQLObjectType({
+    name: 'SubscriptionRoot',
+    fields: {
+      subscriptionField: { type: Message },
+      subscriptionListField: { type: new GraphQLList(Message) },
+    },
+  }),
+  directives: [
+    ...specifiedDirectives,
+    GraphQLDeferDirective,
+    GraphQLStreamDirective,
+  ],
+});
+
+function expectPasses(queryString) {
+  expectPassesRuleWithSchema(
+    schema,
+    DeferStreamDirectiveOnRootField,
+    queryString
+  );
+}
+
+function expectFails(queryString, errors) {
+  expectFailsRuleWithSchema(
+    schema,
+    DeferStreamDirectiveOnRootField,
+    queryString,
+    errors
+  );
+}
+
+describe('Validate: Defer and stream not used on root fields', () => {
+
+  it('defer on root query type', () => {
+    expectPasses(`
+      {
+        ... @defer {
+          message {
+            body
+          }
+        }
+      }
+    `);
+  });
+
+  it('defer below the root mutation type', () => {
+    expectPasses(`
+      mutation {
+        mutationField {
+          ... @defer {
+            body
+          }
+        }
+      }
+    `);
+  });
+
+  it('stream on root mutation field', () => {
+    expectPasses(`
+      mutation {
+        mutationListField @stream {
+          body
+        }
+      }
+    `);
+  });
+
+  it('stream below the root subscription type', () => {
+    expectPasses(`
+      subscription {
+        subscriptionField {
+          ...MessageFragment
+        }
+      }
+      fragment MessageFragment on Message {
+        body
+      }
+    `);
+  });
+
+  it('defer inline fragment on root mutation type', () => {
+    expectFails(`
+      mutation {
+        ... @defer {
+          mutationField {
+            body
+          }
+        }
+      }
+    `, [ {
+      message: deferOnRootFieldMessage('MutationRoot'),
+      locations: [ { line: 3, column: 13 } ],
+      path: undefined,
+    } ]);
+  });
+
+  it('defer fragment spread on root subscription type', () => {
+    expectFails(`
+      subscription {
+        ...SubscriptionFragment @defer
+      }
+      fragment SubscriptionFragment on SubscriptionRoot {
+        subscriptionField {
+          body
+        }
+      }
+    `, [ {
+      message: deferOnRootFieldMessage('SubscriptionRoot'),
+      locations: [ { line: 3, column: 33 } ],
+      path: undefined,
+    } ]);
+  });
+
+  it('defer within a fragment spread on the root mutation type', () => {
+    expectFails(`
+      mutation {
+        ...MutationFragment
+      }
+      fragment MutationFragment on MutationRoot {
+        ... @defer {
+          mutationField {
+            body
+          }
+        }
+      }
+    `, [ {
+      message: deferOnRootFieldMessage('MutationRoot'),
+      locations: [ { line: 6, column: 13 } ],
+      path: undefined,
+    } ]);
+  });
+
+  it('stream on root subscription field', () => {
+    expectFails(`
+      subscription {
+        subscriptionListField @stream {
+          body
+        }
+      }
+    `, [ {
+      message: streamOnRootFieldMessage('SubscriptionRoot'),
+      locations: [ { line: 3, column: 31 } ],
+      path: undefined,
+    } ]);
+  });
+
+});
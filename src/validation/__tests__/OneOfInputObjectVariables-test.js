@@ -0,0 +1,113 @@
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { describe, it } from 'mocha';
+import { expectPassesRule, expectFailsRule } from './harness';
+import {
+  OneOfInputObjectVariables,
+  nullableOneOfVariableMessage,
+} from '../rules/OneOfInputObjectVariables';
+
+
+function nullableVariable(varName, varType, line1, column1, line2, column2) {
+  return {
+    message: nullableOneOfVariableMessage(varName, varType, 'OneOfInput'),
+    locations: [
+      { line: line1, column: column1 },
+      { line: line2, column: column2 },
+    ],
+    path: undefined,
+  };
+}
+
+describe('Validate: Variables used in OneOf input objects are non-null', () => {
+
+  it('literal values', () => {
+    expectPassesRule(OneOfInputObjectVariables, `
+      {
+        complicatedArgs {
+          oneOfArgField(oneOfArg: { stringField: "abc" })
+        }
+      }
+    `);
+  });
+
+  it('non-null variable', () => {
+    expectPassesRule(OneOfInputObjectVariables, `
+      query Query($string: String!) {
+        complicatedArgs {
+          oneOfArgField(oneOfArg: { stringField: $string })
+        }
+      }
+    `);
+  });
+
+  it('nullable variable used for the whole OneOf input object', () => {
+    expectPassesRule(OneOfInputObjectVariables, `
+      query Query($input: OneOfInput) {
+        complicatedArgs {
+          oneOfArgField(oneOfArg: $input)
+        }
+      }
+    `);
+  });
+
+  it('nullable variable used for a field of another input object', () => {
+    expectPassesRule(OneOfInputObjectVariables, `
+      query Query($string: String) {
+        complicatedArgs {
+          complexArgField(complexArg: {
+            requiredField: true,
+            stringField: $string
+          })
+        }
+      }
+    `);
+  });
+
+  it('nullable variable', () => {
+    expectFailsRule(OneOfInputObjectVariables, `
+      query Query($string: String) {
+        complicatedArgs {
+          oneOfArgField(oneOfArg: { stringField: $string })
+        }
+      }
+    `, [
+      nullableVariable('string', 'String', 2, 19, 4, 50),
+    ]);
+  });
+
+  it('nullable variable with a default value', () => {
+    expectFailsRule(OneOfInputObjectVariables, `
+      query Query($int: Int = 1) {
+        complicatedArgs {
+          oneOfArgField(oneOfArg: { intField: $int })
+        }
+      }
+    `, [
+      nullableVariable('int', 'Int', 2, 19, 4, 47),
+    ]);
+  });
+
+  it('nullable variable within a fragment defined after the operation', () => {
+    expectFailsRule(OneOfInputObjectVariables, `
+      query Query($string: String) {
+        complicatedArgs {
+          ...oneOfFrag
+        }
+      }
+      fragment oneOfFrag on ComplicatedArgs {
+        oneOfArgField(oneOfArg: { stringField: $string })
+      }
+    `, [
+      nullableVariable('string', 'String', 2, 19, 8, 48),
+    ]);
+  });
+
+});
@@ -0,0 +1,237 @@
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { parse } from '../../language';
+import { validate } from '../validate';
+import {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLInterfaceType,
+  GraphQLList,
+  GraphQLInt,
+  GraphQLString,
+} from '../../type';
+import {
+  createQueryCostRule,
+  maximumCostExceededMessage,
+} from '../rules/QueryCost';
+
+
+const Node = new GraphQLInterfaceType({
+  name: 'Node',
+  fields: {
+    id: { type: GraphQLString },
+  },
+});
+
+const Post = new GraphQLObjectType({
+  name: 'Post',
+  interfaces: [ Node ],
+  isTypeOf: () => true,
+  fields: {
+    id: { type: GraphQLString },
+    title: { type: GraphQLString },
+    body: { type: GraphQLString, cost: 5 },
+  },
+});
+
+const User = new GraphQLObjectType({
+  name: 'User',
+  interfaces: [ Node ],
+  isTypeOf: () => true,
+  fields: () => ({
+    id: { type: GraphQLString },
+    name: { type: GraphQLString },
+    posts: {
+      type: new GraphQLList(Post),
+      args: {
+        first: { type: GraphQLInt, defaultValue: 10 },
+      },
+    },
+    friends: {
+      type: new GraphQLList(User),
+      cost: 2,
+      costMultipliers: [ 'limit' ],
+      args: {
+        limit: { type: GraphQLInt },
+        first: { type: GraphQLInt },
+      },
+    },
+  }),
+});
+
+const schema = new GraphQLSchema({
+  query: new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+      user: { type: User, args: { id: { type: GraphQLString } } },
+      users: {
+        type: new GraphQLList(User),
+        args: {
+          first: { type: GraphQLInt },
+          last: { type: GraphQLInt },
+        },
+      },
+      node: { type: Node, cost: 0 },
+    },
+  }),
+});
+
+function getCostErrors(source, options) {
+  const rule = createQueryCostRule({ maximumCost: 0, ...options });
+  return validate(schema, parse(source), [ rule ])
+    .map(error => error.message);
+}
+
+// The cost of an operation, found by validating it with a maximum of 0.
+function getCost(source, options) {
+  const errors = getCostErrors(source, options);
+  expect(errors).to.have.length(1);
+  return Number(/has a cost of (\d+)/.exec(errors[0])[1]);
+}
+
+describe('Validate: Query cost', () => {
+
+  it('requires a maximum cost', () => {
+    expect(
+      () => createQueryCostRule(({}: any))
+    ).to.throw('Must provide a numeric "maximumCost" option.');
+  });
+
+  it('costs each field the default cost', () => {
+    expect(getCost('{ user { id name } }')).to.equal(3);
+    expect(getCost('{ user { id name } }', { defaultCost: 2 })).to.equal(6);
+  });
+
+  it('costs meta fields the default cost', () => {
+    expect(getCost('{ __typename user { __typename id } }')).to.equal(4);
+    expect(getCost('{ __type(name: "User") { name } }')).to.equal(2);
+  });
+
+  it('uses the cost given in field config', () => {
+    expect(getCost('{ user { posts(first: 1) { body } } }')).to.equal(7);
+  });
+
+  it('multiplies the cost of child fields by list arguments', () => {
+    expect(getCost('{ users(first: 10) { id name } }')).to.equal(21);
+    expect(getCost('{ users(first: 2, last: 3) { id } }')).to.equal(7);
+    expect(getCost('{ users { id } }')).to.equal(2);
+  });
+
+  it('uses default and variable argument values', () => {
+    expect(getCost('{ user { posts { id } } }')).to.equal(12);
+    expect(getCost(
+      'query ($n: Int) { users(first: $n) { id } }',
+      { variables: { n: 4 } }
+    )).to.equal(5);
+  });
+
+  it('uses the multiplier arguments given in field config', () => {
+    expect(getCost('{ user { friends(limit: 3, first: 5) { id } } }'))
+      .to.equal(6);
+  });
+
+  it('uses the multiplier arguments given as an option', () => {
+    expect(getCost(
+      '{ users(first: 5, last: 5) { id } }',
+      { multiplierArguments: [ 'last' ] }
+    )).to.equal(6);
+  });
+
+  it('multiplies nested lists', () => {
+    expect(getCost(`{
+      users(first: 10) {
+        posts(first: 5) {
+          title
+        }
+      }
+    }`)).to.equal(61);
+  });
+
+  it('expands fragment spreads and inline fragments', () => {
+    expect(getCost(`
+      {
+        user {
+          ...userFields
+          ... on User {
+            posts(first: 2) { title }
+          }
+        }
+      }
+      fragment userFields on User {
+        name
+      }
+    `)).to.equal(5);
+  });
+
+  it('counts fields merged by response key once', () => {
+    expect(getCost(`
+      {
+        user {
+          name
+          ...userFields
+          posts(first: 2) { id }
+          posts(first: 2) { title }
+        }
+      }
+      fragment userFields on User {
+        name
+      }
+    `)).to.equal(7);
+  });
+
+  it('costs abstract types as the most expensive possible type', () => {
+    expect(getCost(`
+      {
+        node {
+          id
+          ... on User { name }
+          ... on Post { title body }
+        }
+      }
+    `)).to.equal(7);
+  });
+
+  it('does not follow fragment cycles', () => {
+    expect(getCost(`
+      {
+        user { ...userFields }
+      }
+      fragment userFields on User {
+        name
+        friends(limit: 1) { ...userFields }
+      }
+    `)).to.equal(4);
+  });
+
+  it('passes operations within the maximum cost', () => {
+    const rule = createQueryCostRule({ maximumCost: 21 });
+    expect(validate(
+      schema,
+      parse('{ users(first: 10) { id name } }'),
+      [ rule ]
+    )).to.deep.equal([]);
+  });
+
+  it('reports each operation exceeding the maximum cost', () => {
+    const rule = createQueryCostRule({ maximumCost: 20 });
+    const errors = validate(schema, parse(`
+      query Cheap { user { id } }
+      query Expensive { users(first: 10) { id name } }
+    `), [ rule ]);
+    expect(errors).to.have.length(1);
+    expect(errors[0].message).to.equal(
+      maximumCostExceededMessage('Expensive', 21, 20)
+    );
+    expect(errors[0].locations).to.deep.equal([ { line: 3, column: 7 } ]);
+  });
+
+});
@@ -0,0 +1,180 @@
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { expectPassesRule, expectFailsRule } from './harness';
+import {
+  createQueryDepthRule,
+  maximumDepthExceededMessage,
+} from '../rules/QueryDepth';
+
+
+function tooDeep(operationName, depth, maximumDepth, line, column) {
+  return {
+    message: maximumDepthExceededMessage(operationName, depth, maximumDepth),
+    locations: [ { line, column } ],
+    path: undefined,
+  };
+}
+
+const QueryDepth = createQueryDepthRule({ maximumDepth: 3 });
+
+describe('Validate: Query depth', () => {
+
+  it('requires a maximum depth', () => {
+    expect(
+      () => createQueryDepthRule(({}: any))
+    ).to.throw('Must provide a numeric "maximumDepth" option.');
+  });
+
+  it('operation within the maximum depth', () => {
+    expectPassesRule(QueryDepth, `
+      query Shallow {
+        human {
+          relatives {
+            name
+          }
+        }
+        dog {
+          name
+        }
+      }
+    `);
+  });
+
+  it('operation exceeding the maximum depth', () => {
+    expectFailsRule(QueryDepth, `
+      query Deep {
+        human {
+          relatives {
+            relatives {
+              name
+            }
+          }
+        }
+      }
+    `, [ tooDeep('Deep', 4, 3, 2, 7) ]);
+  });
+
+  it('anonymous operation exceeding the maximum depth', () => {
+    expectFailsRule(QueryDepth, `
+      {
+        human {
+          relatives {
+            pets {
+              name
+            }
+          }
+        }
+      }
+    `, [ tooDeep(null, 4, 3, 2, 7) ]);
+  });
+
+  it('only reports operations exceeding the maximum depth', () => {
+    expectFailsRule(QueryDepth, `
+      query Shallow {
+        dog {
+          name
+        }
+      }
+      query Deep {
+        human {
+          relatives {
+            relatives {
+              name
+            }
+          }
+        }
+      }
+    `, [ tooDeep('Deep', 4, 3, 7, 7) ]);
+  });
+
+  it('expands fragment spreads', () => {
+    expectFailsRule(QueryDepth, `
+      query Deep {
+        human {
+          ...relativeFields
+        }
+      }
+      fragment relativeFields on Human {
+        relatives {
+          ...nameFields
+        }
+      }
+      fragment nameFields on Human {
+        relatives {
+          name
+        }
+      }
+    `, [ tooDeep('Deep', 4, 3, 2, 7) ]);
+  });
+
+  it('expands inline fragments', () => {
+    expectFailsRule(QueryDepth, `
+      query Deep {
+        human {
+          ... on Human {
+            relatives {
+              ... {
+                pets {
+                  name
+                }
+              }
+            }
+          }
+        }
+      }
+    `, [ tooDeep('Deep', 4, 3, 2, 7) ]);
+  });
+
+  it('fragments do not add depth on their own', () => {
+    expectPassesRule(QueryDepth, `
+      query Shallow {
+        human {
+          ... on Human {
+            ...relativeFields
+          }
+        }
+      }
+      fragment relativeFields on Human {
+        ... {
+          relatives {
+            name
+          }
+        }
+      }
+    `);
+  });
+
+  it('does not follow fragment cycles', () => {
+    expectPassesRule(QueryDepth, `
+      query Cyclic {
+        human {
+          ...humanFields
+        }
+      }
+      fragment humanFields on Human {
+        name
+        ...humanFields
+      }
+    `);
+  });
+
+  it('ignores unknown fragments', () => {
+    expectPassesRule(QueryDepth, `
+      query Unknown {
+        human {
+          ...unknownFields
+        }
+      }
+    `);
+  });
+
+});
@@ -0,0 +1,106 @@
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import { describe, it } from 'mocha';
+import { expectPassesRule, expectFailsRule } from './harness';
+import {
+  StreamDirectiveOnListField,
+  streamOnNonListFieldMessage,
+  negativeStreamInitialCountMessage,
+} from '../rules/StreamDirectiveOnListField';
+
+
+function streamOnNonList(fieldName, type, line, column) {
+  return {
+    message: streamOnNonListFieldMessage(fieldName, type),
+    locations: [ { line, column } ],
+    path: undefined,
+  };
+}
+
+describe('Validate: Stream directives are used on list fields', () => {
+
+  it('stream on list field', () => {
+    expectPassesRule(StreamDirectiveOnListField, `
+      fragment objectFieldSelection on Human {
+        pets @stream(initialCount: 0) {
+          name
+        }
+      }
+    `);
+  });
+
+  it('stream on nested list field', () => {
+    expectPassesRule(StreamDirectiveOnListField, `
+      query {
+        human {
+          relatives @stream(label: "relatives") {
+            name
+          }
+        }
+      }
+    `);
+  });
+
+  it('other directives on non-list field', () => {
+    expectPassesRule(StreamDirectiveOnListField, `
+      fragment objectFieldSelection on Dog {
+        name @include(if: true)
+      }
+    `);
+  });
+
+  it('stream on scalar field', () => {
+    expectFailsRule(StreamDirectiveOnListField, `
+      fragment objectFieldSelection on Dog {
+        name @stream(initialCount: 1)
+      }
+    `, [ streamOnNonList('name', 'String', 3, 14) ]);
+  });
+
+  it('stream on object field', () => {
+    expectFailsRule(StreamDirectiveOnListField, `
+      query {
+        human {
+          name
+        }
+        dog @stream {
+          name
+        }
+      }
+    `, [ streamOnNonList('dog', 'Dog', 6, 13) ]);
+  });
+
+  it('stream with a negative initialCount', () => {
+    expectFailsRule(StreamDirectiveOnListField, `
+      fragment objectFieldSelection on Human {
+        pets @stream(initialCount: -1) {
+          name
+        }
+      }
+    `, [ {
+      message: negativeStreamInitialCountMessage('pets', '-1'),
+      locations: [ { line: 3, column: 22 } ],
+      path: undefined,
+    } ]);
+  });
+
+  it('stream with an initialCount provided by a variable', () => {
+    expectPassesRule(StreamDirectiveOnListField, `
+      query ($count: Int) {
+        human {
+          pets @stream(initialCount: $count) {
+            name
+          }
+        }
+      }
+    `);
+  });
+
+});
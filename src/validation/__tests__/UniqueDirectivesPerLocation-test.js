@@ -109,4 +109,22 @@ describe('Validate: Directives Are Unique Per Location', () => {
     ]);
   });
 
+  it('repeatable directives in one location', () => {
+    expectPassesRule(UniqueDirectivesPerLocation, `
+      fragment Test on Type @repeatable @repeatable {
+        field @repeatable @repeatable
+      }
+    `);
+  });
+
+  it('duplicate directives among repeatable directives', () => {
+    expectFailsRule(UniqueDirectivesPerLocation, `
+      fragment Test on Type {
+        field @repeatable @directive @repeatable @directive
+      }
+    `, [
+      duplicateDirective('directive', 3, 27, 3, 50)
+    ]);
+  });
+
 });
@@ -205,6 +205,15 @@ const ComplexInput = new GraphQLInputObjectType({
   }
 });
 
+const OneOfInput = new GraphQLInputObjectType({
+  name: 'OneOfInput',
+  isOneOf: true,
+  fields: {
+    stringField: { type: GraphQLString },
+    intField: { type: GraphQLInt },
+  }
+});
+
 const ComplicatedArgs = new GraphQLObjectType({
   name: 'ComplicatedArgs',
   // TODO List
@@ -247,6 +256,10 @@ const ComplicatedArgs = new GraphQLObjectType({
       type: GraphQLString,
       args: { complexArg: { type: ComplexInput } },
     },
+    oneOfArgField: {
+      type: GraphQLString,
+      args: { oneOfArg: { type: OneOfInput } },
+    },
     multipleReqs: {
       type: GraphQLString,
       args: {
@@ -382,6 +395,11 @@ export const testSchema = new GraphQLSchema({
       name: 'onInputFieldDefinition',
       locations: [ 'INPUT_FIELD_DEFINITION' ],
     }),
+    new GraphQLDirective({
+      name: 'repeatable',
+      locations: [ 'FIELD', 'FRAGMENT_DEFINITION' ],
+      isRepeatable: true,
+    }),
   ]
 });
 
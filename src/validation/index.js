@@ -21,6 +21,11 @@ export {
   DefaultValuesOfCorrectType as DefaultValuesOfCorrectTypeRule
 } from './rules/DefaultValuesOfCorrectType';
 
+// Incremental delivery: "Defer and Stream Not Used On Root Fields"
+export {
+  DeferStreamDirectiveOnRootField as DeferStreamDirectiveOnRootFieldRule
+} from './rules/DeferStreamDirectiveOnRootField';
+
 // Spec Section: "Field Selections on Objects, Interfaces, and Unions Types"
 export {
   FieldsOnCorrectType as FieldsOnCorrectTypeRule
@@ -76,6 +81,11 @@ export {
   NoUnusedVariables as NoUnusedVariablesRule
 } from './rules/NoUnusedVariables';
 
+// OneOf input objects: "Variables Used In OneOf Input Objects Are Non-Null"
+export {
+  OneOfInputObjectVariables as OneOfInputObjectVariablesRule
+} from './rules/OneOfInputObjectVariables';
+
 // Spec Section: "Field Selection Merging"
 export {
   OverlappingFieldsCanBeMerged as OverlappingFieldsCanBeMergedRule
@@ -101,6 +111,11 @@ export {
   SingleFieldSubscriptions as SingleFieldSubscriptionsRule
 } from './rules/SingleFieldSubscriptions';
 
+// Incremental delivery: "Stream Directives Are Used On List Fields"
+export {
+  StreamDirectiveOnListField as StreamDirectiveOnListFieldRule
+} from './rules/StreamDirectiveOnListField';
+
 // Spec Section: "Argument Uniqueness"
 export {
   UniqueArgumentNames as UniqueArgumentNamesRule
@@ -140,3 +155,12 @@ export {
 export {
   VariablesInAllowedPosition as VariablesInAllowedPositionRule
 } from './rules/VariablesInAllowedPosition';
+
+// Configurable rules which are not part of the GraphQL Specification.
+export {
+  createQueryDepthRule,
+} from './rules/QueryDepth';
+
+export {
+  createQueryCostRule,
+} from './rules/QueryCost';
@@ -0,0 +1,91 @@
+/* @flow */
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import type { ValidationContext } from '../index';
+import { GraphQLError } from '../../error';
+import find from '../../jsutils/find';
+import type {
+  DirectiveNode,
+  FieldNode,
+  FragmentSpreadNode,
+  InlineFragmentNode,
+} from '../../language/ast';
+import {
+  GraphQLDeferDirective,
+  GraphQLStreamDirective,
+} from '../../type/directives';
+
+
+export function deferOnRootFieldMessage(rootTypeName: string): string {
+  return 'Directive "@defer" may not be used on fields of the root type ' +
+    `"${rootTypeName}".`;
+}
+
+export function streamOnRootFieldMessage(rootTypeName: string): string {
+  return 'Directive "@stream" may not be used on fields of the root type ' +
+    `"${rootTypeName}".`;
+}
+
+/**
+ * Defer and stream directives are not used on root fields
+ *
+ * A GraphQL document is only valid if `@defer` is not used to select fields of
+ * the mutation or subscription root types, and `@stream` is not used on fields
+ * of the subscription root type, as these must be delivered in a single
+ * payload.
+ */
+export function DeferStreamDirectiveOnRootField(
+  context: ValidationContext
+): any {
+  const schema = context.getSchema();
+  return {
+    InlineFragment(node: InlineFragmentNode) {
+      checkDefer(node);
+    },
+    FragmentSpread(node: FragmentSpreadNode) {
+      checkDefer(node);
+    },
+    Field(node: FieldNode) {
+      const directive = findDirective(node, GraphQLStreamDirective.name);
+      const parentType = context.getParentType();
+      const subscriptionType = schema.getSubscriptionType();
+      if (directive && parentType && parentType === subscriptionType) {
+        context.reportError(new GraphQLError(
+          streamOnRootFieldMessage(parentType.name),
+          [ directive ]
+        ));
+      }
+    },
+  };
+
+  function checkDefer(node) {
+    const directive = findDirective(node, GraphQLDeferDirective.name);
+    const parentType = context.getParentType();
+    if (
+      directive &&
+      parentType &&
+      (parentType === schema.getMutationType() ||
+        parentType === schema.getSubscriptionType())
+    ) {
+      context.reportError(new GraphQLError(
+        deferOnRootFieldMessage(parentType.name),
+        [ directive ]
+      ));
+    }
+  }
+}
+
+function findDirective(
+  node: { directives?: ?Array<DirectiveNode> },
+  name: string
+): ?DirectiveNode {
+  return node.directives &&
+    find(node.directives, directive => directive.name.value === name);
+}
@@ -0,0 +1,84 @@
+/* @flow */
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import type { ValidationContext } from '../index';
+import { GraphQLError } from '../../error';
+import find from '../../jsutils/find';
+import * as Kind from '../../language/kinds';
+import {
+  getNullableType,
+  GraphQLInputObjectType,
+  GraphQLNonNull,
+} from '../../type/definition';
+import type { GraphQLType } from '../../type/definition';
+import { typeFromAST } from '../../utilities/typeFromAST';
+
+
+export function nullableOneOfVariableMessage(
+  varName: string,
+  varType: GraphQLType,
+  typeName: string
+): string {
+  return `Variable "$${varName}" of type "${String(varType)}" must be ` +
+    `non-null to be used for OneOf type "${typeName}".`;
+}
+
+/**
+ * Variables used in OneOf input objects are non-null
+ *
+ * The one field provided to a OneOf input object must not be null, so a
+ * variable providing its value must be of a non-null type.
+ */
+export function OneOfInputObjectVariables(context: ValidationContext): any {
+  const oneOfTypesByVariable = new Map();
+  const operations = [];
+
+  return {
+    OperationDefinition(operation) {
+      operations.push(operation);
+    },
+    ObjectValue(node) {
+      const type = getNullableType(context.getInputType());
+      if (
+        type instanceof GraphQLInputObjectType &&
+        type.isOneOf &&
+        node.fields.length === 1 &&
+        node.fields[0].value.kind === Kind.VARIABLE
+      ) {
+        oneOfTypesByVariable.set(node.fields[0].value, type);
+      }
+    },
+    Document: {
+      // Fragments may be defined after the operations using them, so variable
+      // usages are only checked once the whole document has been visited.
+      leave() {
+        const schema = context.getSchema();
+        operations.forEach(operation => {
+          const varDefs = operation.variableDefinitions || [];
+          context.getRecursiveVariableUsages(operation).forEach(({ node }) => {
+            const oneOfType = oneOfTypesByVariable.get(node);
+            const varName = node.name.value;
+            const varDef = find(
+              varDefs,
+              def => def.variable.name.value === varName
+            );
+            const varType = varDef && typeFromAST(schema, varDef.type);
+            if (oneOfType && varType && !(varType instanceof GraphQLNonNull)) {
+              context.reportError(new GraphQLError(
+                nullableOneOfVariableMessage(varName, varType, oneOfType.name),
+                [ varDef, node ]
+              ));
+            }
+          });
+        });
+      }
+    },
+  };
+}
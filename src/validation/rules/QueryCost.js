@@ -0,0 +1,352 @@
+/* @flow */
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import type { ValidationContext } from '../index';
+import { GraphQLError } from '../../error';
+import invariant from '../../jsutils/invariant';
+import find from '../../jsutils/find';
+import * as Kind from '../../language/kinds';
+import type {
+  FieldNode,
+  OperationDefinitionNode,
+  SelectionSetNode,
+} from '../../language/ast';
+import {
+  GraphQLObjectType,
+  isAbstractType,
+  getNamedType,
+} from '../../type/definition';
+import type { GraphQLField } from '../../type/definition';
+import { typeFromAST } from '../../utilities/typeFromAST';
+import { valueFromAST } from '../../utilities/valueFromAST';
+
+
+export function maximumCostExceededMessage(
+  operationName: ?string,
+  cost: number,
+  maximumCost: number
+): string {
+  const operation = operationName ?
+    `Operation "${operationName}"` :
+    'Anonymous operation';
+  return `${operation} has a cost of ${cost}, which exceeds the maximum ` +
+    `cost of ${maximumCost}.`;
+}
+
+export type QueryCostOptions = {
+  // The highest cost an operation may have.
+  maximumCost: number;
+
+  // The cost of a field which does not define its own "cost". Default: 1.
+  defaultCost?: number;
+
+  // The arguments which multiply the cost of a field's selection set, used
+  // for fields which do not define their own "costMultipliers".
+  // Default: [ 'first', 'last' ].
+  multiplierArguments?: Array<string>;
+
+  // The variables provided to the operation, used when a multiplier argument
+  // is given by a variable.
+  variables?: ?{ [variableName: string]: mixed };
+};
+
+/**
+ * Query cost
+ *
+ * Creates a validation rule which is only valid if the estimated cost of each
+ * operation in a GraphQL document does not exceed the given maximum cost.
+ *
+ * Each field costs the "cost" given in its field config, or the default
+ * cost, plus the cost of its selection set multiplied by the values of its
+ * multiplier arguments, such as `first` for a paginated list. Fields which
+ * may resolve to an abstract type cost as much as the most expensive of the
+ * possible types. As `@skip` and `@include` are not considered, the cost is
+ * an upper bound.
+ *
+ * This rule is not part of the GraphQL specification, and must be provided
+ * to `validate` explicitly along with the specified rules:
+ *
+ *     validate(schema, document, [
+ *       ...specifiedRules,
+ *       createQueryCostRule({ maximumCost: 1000, variables }),
+ *     ]);
+ *
+ */
+export function createQueryCostRule(
+  options: QueryCostOptions
+): (context: ValidationContext) => any {
+  invariant(
+    options && typeof options.maximumCost === 'number',
+    'Must provide a numeric "maximumCost" option.'
+  );
+  const maximumCost = options.maximumCost;
+  const costOptions = {
+    defaultCost: options.defaultCost === undefined ? 1 : options.defaultCost,
+    multiplierArguments: options.multiplierArguments || [ 'first', 'last' ],
+    variables: options.variables || {},
+  };
+  invariant(
+    typeof costOptions.defaultCost === 'number',
+    'The "defaultCost" option must be a number if provided.'
+  );
+  invariant(
+    Array.isArray(costOptions.multiplierArguments),
+    'The "multiplierArguments" option must be an Array if provided.'
+  );
+
+  return function QueryCost(context: ValidationContext): any {
+    // The definitions of the fields of the document, as found while visiting
+    // it. The cost of each operation is computed once the whole document,
+    // including the fragments it spreads, has been visited.
+    const fieldDefs: Map<FieldNode, GraphQLField<*, *>> = new Map();
+    const operationDefs = [];
+    return {
+      OperationDefinition(node: OperationDefinitionNode) {
+        operationDefs.push(node);
+      },
+      Field(node: FieldNode) {
+        const fieldDef = context.getFieldDef();
+        if (fieldDef) {
+          fieldDefs.set(node, fieldDef);
+        }
+      },
+      Document: {
+        leave() {
+          const schema = context.getSchema();
+          operationDefs.forEach(node => {
+            const rootType =
+              node.operation === 'query' ? schema.getQueryType() :
+              node.operation === 'mutation' ? schema.getMutationType() :
+              node.operation === 'subscription' ?
+                schema.getSubscriptionType() :
+                null;
+            if (!rootType) {
+              return;
+            }
+            const cost = getObjectCost(
+              context,
+              costOptions,
+              fieldDefs,
+              rootType,
+              [ { selectionSet: node.selectionSet, ancestors: {} } ]
+            );
+            if (cost > maximumCost) {
+              context.reportError(new GraphQLError(
+                maximumCostExceededMessage(
+                  node.name && node.name.value,
+                  cost,
+                  maximumCost
+                ),
+                [ node ]
+              ));
+            }
+          });
+        }
+      },
+    };
+  };
+}
+
+type CostOptions = {
+  defaultCost: number;
+  multiplierArguments: Array<string>;
+  variables: { [variableName: string]: mixed };
+};
+
+// A selection set along with the names of the fragments expanded to reach it,
+// so that fragment cycles are not followed.
+type SelectionSetEntry = {
+  selectionSet: SelectionSetNode;
+  ancestors: { [fragmentName: string]: boolean };
+};
+
+type FieldEntry = {
+  node: FieldNode;
+  ancestors: { [fragmentName: string]: boolean };
+};
+
+/**
+ * Given selection sets which apply to an object type, collects their fields
+ * the same way the executor does, and sums the cost of each field.
+ */
+function getObjectCost(
+  context: ValidationContext,
+  options: CostOptions,
+  fieldDefs: Map<FieldNode, GraphQLField<*, *>>,
+  type: GraphQLObjectType,
+  selectionSets: Array<SelectionSetEntry>
+): number {
+  const fields = Object.create(null);
+  const visitedFragmentNames = Object.create(null);
+  selectionSets.forEach(entry => collectFields(
+    context,
+    type,
+    entry.selectionSet,
+    entry.ancestors,
+    fields,
+    visitedFragmentNames
+  ));
+
+  return Object.keys(fields).reduce((cost, responseKey) => {
+    const fieldEntries = fields[responseKey];
+    const fieldNode = fieldEntries[0].node;
+    // The field of the object type is used when it is selected through an
+    // interface, as its cost may differ. Meta fields such as __typename are
+    // only known from visiting the document.
+    const fieldDef =
+      type.getFields()[fieldNode.name.value] || fieldDefs.get(fieldNode);
+    return fieldDef ?
+      cost + getFieldCost(context, options, fieldDefs, fieldDef, fieldEntries) :
+      cost;
+  }, 0);
+}
+
+function getFieldCost(
+  context: ValidationContext,
+  options: CostOptions,
+  fieldDefs: Map<FieldNode, GraphQLField<*, *>>,
+  fieldDef: GraphQLField<*, *>,
+  fieldEntries: Array<FieldEntry>
+): number {
+  const fieldCost =
+    typeof fieldDef.cost === 'number' ? fieldDef.cost : options.defaultCost;
+
+  const selectionSets = [];
+  fieldEntries.forEach(({ node, ancestors }) => {
+    if (node.selectionSet) {
+      selectionSets.push({ selectionSet: node.selectionSet, ancestors });
+    }
+  });
+  if (selectionSets.length === 0) {
+    return fieldCost;
+  }
+
+  const namedType = getNamedType(fieldDef.type);
+  let childCost = 0;
+  if (namedType instanceof GraphQLObjectType) {
+    childCost =
+      getObjectCost(context, options, fieldDefs, namedType, selectionSets);
+  } else if (isAbstractType(namedType)) {
+    context.getSchema().getPossibleTypes((namedType: any)).forEach(type => {
+      childCost = Math.max(
+        childCost,
+        getObjectCost(context, options, fieldDefs, type, selectionSets)
+      );
+    });
+  }
+
+  return fieldCost +
+    getMultiplier(options, fieldDef, fieldEntries[0].node) * childCost;
+}
+
+/**
+ * The product of the values given to a field's multiplier arguments, either
+ * in the document or as the argument's default value.
+ */
+function getMultiplier(
+  options: CostOptions,
+  fieldDef: GraphQLField<*, *>,
+  node: FieldNode
+): number {
+  const multiplierArguments =
+    fieldDef.costMultipliers || options.multiplierArguments;
+  let multiplier = 1;
+  fieldDef.args.forEach(argDef => {
+    if (multiplierArguments.indexOf(argDef.name) === -1) {
+      return;
+    }
+    const argNode = find(
+      node.arguments || [],
+      arg => arg.name.value === argDef.name
+    );
+    let value = argNode ?
+      valueFromAST(argNode.value, argDef.type, options.variables) :
+      undefined;
+    if (value === undefined) {
+      value = argDef.defaultValue;
+    }
+    if (typeof value === 'number' && value >= 0) {
+      multiplier *= value;
+    }
+  });
+  return multiplier;
+}
+
+function collectFields(
+  context: ValidationContext,
+  runtimeType: GraphQLObjectType,
+  selectionSet: SelectionSetNode,
+  ancestors: { [fragmentName: string]: boolean },
+  fields: { [responseKey: string]: Array<FieldEntry> },
+  visitedFragmentNames: { [fragmentName: string]: boolean }
+): void {
+  selectionSet.selections.forEach(selection => {
+    switch (selection.kind) {
+      case Kind.FIELD:
+        const name = selection.alias ?
+          selection.alias.value :
+          selection.name.value;
+        if (!fields[name]) {
+          fields[name] = [];
+        }
+        fields[name].push({ node: selection, ancestors });
+        break;
+      case Kind.INLINE_FRAGMENT:
+        if (doesConditionMatch(context, selection, runtimeType)) {
+          collectFields(
+            context,
+            runtimeType,
+            selection.selectionSet,
+            ancestors,
+            fields,
+            visitedFragmentNames
+          );
+        }
+        break;
+      case Kind.FRAGMENT_SPREAD:
+        const fragmentName = selection.name.value;
+        if (ancestors[fragmentName] || visitedFragmentNames[fragmentName]) {
+          break;
+        }
+        visitedFragmentNames[fragmentName] = true;
+        const fragment = context.getFragment(fragmentName);
+        if (fragment && doesConditionMatch(context, fragment, runtimeType)) {
+          collectFields(
+            context,
+            runtimeType,
+            fragment.selectionSet,
+            { ...ancestors, [fragmentName]: true },
+            fields,
+            visitedFragmentNames
+          );
+        }
+        break;
+    }
+  });
+}
+
+function doesConditionMatch(
+  context: ValidationContext,
+  fragment: { typeCondition?: ?* },
+  type: GraphQLObjectType
+): boolean {
+  const typeConditionNode = fragment.typeCondition;
+  if (!typeConditionNode) {
+    return true;
+  }
+  const conditionalType = typeFromAST(context.getSchema(), typeConditionNode);
+  if (conditionalType === type) {
+    return true;
+  }
+  if (isAbstractType(conditionalType)) {
+    return context.getSchema().isPossibleType((conditionalType: any), type);
+  }
+  return false;
+}
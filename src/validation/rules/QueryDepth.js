@@ -0,0 +1,134 @@
+/* @flow */
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import type { ValidationContext } from '../index';
+import { GraphQLError } from '../../error';
+import invariant from '../../jsutils/invariant';
+import * as Kind from '../../language/kinds';
+import type {
+  OperationDefinitionNode,
+  SelectionSetNode,
+} from '../../language/ast';
+
+
+export function maximumDepthExceededMessage(
+  operationName: ?string,
+  depth: number,
+  maximumDepth: number
+): string {
+  const operation = operationName ?
+    `Operation "${operationName}"` :
+    'Anonymous operation';
+  return `${operation} has a depth of ${depth}, which exceeds the maximum ` +
+    `depth of ${maximumDepth}.`;
+}
+
+export type QueryDepthOptions = {
+  maximumDepth: number;
+};
+
+/**
+ * Query depth
+ *
+ * Creates a validation rule which is only valid if the fields of each
+ * operation in a GraphQL document are nested no deeper than the given
+ * maximum depth, once all fragments have been expanded.
+ *
+ * This rule is not part of the GraphQL specification, and must be provided
+ * to `validate` explicitly along with the specified rules:
+ *
+ *     validate(schema, document, [
+ *       ...specifiedRules,
+ *       createQueryDepthRule({ maximumDepth: 10 }),
+ *     ]);
+ *
+ */
+export function createQueryDepthRule(
+  options: QueryDepthOptions
+): (context: ValidationContext) => any {
+  invariant(
+    options && typeof options.maximumDepth === 'number',
+    'Must provide a numeric "maximumDepth" option.'
+  );
+  const maximumDepth = options.maximumDepth;
+
+  return function QueryDepth(context: ValidationContext): any {
+    return {
+      OperationDefinition(node: OperationDefinitionNode) {
+        const depth = getSelectionSetDepth(
+          context,
+          node.selectionSet,
+          Object.create(null)
+        );
+        if (depth > maximumDepth) {
+          context.reportError(new GraphQLError(
+            maximumDepthExceededMessage(
+              node.name && node.name.value,
+              depth,
+              maximumDepth
+            ),
+            [ node ]
+          ));
+        }
+        return false;
+      },
+    };
+  };
+}
+
+/**
+ * Returns the depth of the deepest field within a selection set, where a
+ * field without a selection set has a depth of 1.
+ *
+ * Fragments already being expanded along the current path are skipped, as
+ * the NoFragmentCycles rule reports such cycles.
+ */
+function getSelectionSetDepth(
+  context: ValidationContext,
+  selectionSet: SelectionSetNode,
+  expandedFragmentNames: {[name: string]: boolean}
+): number {
+  let maxDepth = 0;
+  selectionSet.selections.forEach(selection => {
+    let depth = 0;
+    switch (selection.kind) {
+      case Kind.FIELD:
+        depth = 1 + (selection.selectionSet ?
+          getSelectionSetDepth(
+            context,
+            selection.selectionSet,
+            expandedFragmentNames
+          ) :
+          0
+        );
+        break;
+      case Kind.INLINE_FRAGMENT:
+        depth = getSelectionSetDepth(
+          context,
+          selection.selectionSet,
+          expandedFragmentNames
+        );
+        break;
+      case Kind.FRAGMENT_SPREAD:
+        const fragmentName = selection.name.value;
+        const fragment = context.getFragment(fragmentName);
+        if (fragment && !expandedFragmentNames[fragmentName]) {
+          depth = getSelectionSetDepth(
+            context,
+            fragment.selectionSet,
+            { ...expandedFragmentNames, [fragmentName]: true }
+          );
+        }
+        break;
+    }
+    maxDepth = Math.max(maxDepth, depth);
+  });
+  return maxDepth;
+}
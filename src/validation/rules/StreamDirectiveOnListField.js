@@ -0,0 +1,79 @@
+/* @flow */
+/**
+ *  Copyright (c) 2015, Facebook, Inc.
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree. An additional grant
+ *  of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+import type { ValidationContext } from '../index';
+import { GraphQLError } from '../../error';
+import find from '../../jsutils/find';
+import * as Kind from '../../language/kinds';
+import type { FieldNode } from '../../language/ast';
+import { GraphQLList, getNullableType } from '../../type/definition';
+import type { GraphQLType } from '../../type/definition';
+import { GraphQLStreamDirective } from '../../type/directives';
+
+
+export function streamOnNonListFieldMessage(
+  fieldName: string,
+  type: GraphQLType
+): string {
+  return `Directive "@stream" may not be used on field "${fieldName}" ` +
+    `of non-list type "${String(type)}".`;
+}
+
+export function negativeStreamInitialCountMessage(
+  fieldName: string,
+  initialCount: string
+): string {
+  return `Directive "@stream" on field "${fieldName}" must have a ` +
+    `non-negative "initialCount" but got: ${initialCount}.`;
+}
+
+/**
+ * Stream directives are used on list fields
+ *
+ * A GraphQL document is only valid if `@stream` is only used on fields which
+ * return a List type, with a non-negative `initialCount`. A value provided by a
+ * variable is checked during execution.
+ */
+export function StreamDirectiveOnListField(context: ValidationContext): any {
+  return {
+    Field(node: FieldNode) {
+      const directive = node.directives && find(
+        node.directives,
+        directiveNode =>
+          directiveNode.name.value === GraphQLStreamDirective.name
+      );
+      const type = context.getType();
+      const isListType = getNullableType(type) instanceof GraphQLList;
+      if (directive && type && !isListType) {
+        context.reportError(new GraphQLError(
+          streamOnNonListFieldMessage(node.name.value, type),
+          [ directive ]
+        ));
+      }
+      const initialCount = directive && directive.arguments && find(
+        directive.arguments,
+        argNode => argNode.name.value === 'initialCount'
+      );
+      if (
+        initialCount &&
+        initialCount.value.kind === Kind.INT &&
+        parseInt(initialCount.value.value, 10) < 0
+      ) {
+        context.reportError(new GraphQLError(
+          negativeStreamInitialCountMessage(
+            node.name.value,
+            initialCount.value.value
+          ),
+          [ initialCount ]
+        ));
+      }
+    }
+  };
+}
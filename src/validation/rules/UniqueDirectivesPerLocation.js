@@ -20,8 +20,8 @@ export function duplicateDirectiveMessage(directiveName: string): string {
 /**
  * Unique directive names per location
  *
- * A GraphQL document is only valid if all directives at a given location
- * are uniquely named.
+ * A GraphQL document is only valid if all non-repeatable directives at a given
+ * location are uniquely named.
  */
 export function UniqueDirectivesPerLocation(context: ValidationContext): any {
   return {
@@ -30,9 +30,14 @@ export function UniqueDirectivesPerLocation(context: ValidationContext): any {
     // defines any directives.
     enter(node) {
       if (node.directives) {
+        const schema = context.getSchema();
         const knownDirectives = Object.create(null);
         node.directives.forEach(directive => {
           const directiveName = directive.name.value;
+          const directiveDef = schema.getDirective(directiveName);
+          if (directiveDef && directiveDef.isRepeatable) {
+            return;
+          }
           if (knownDirectives[directiveName]) {
             context.reportError(new GraphQLError(
               duplicateDirectiveMessage(directiveName),
@@ -64,6 +64,14 @@ import {
   UniqueDirectivesPerLocation
 } from './rules/UniqueDirectivesPerLocation';
 
+// Incremental delivery: "Defer and Stream Not Used On Root Fields"
+import {
+  DeferStreamDirectiveOnRootField
+} from './rules/DeferStreamDirectiveOnRootField';
+
+// Incremental delivery: "Stream Directives Are Used On List Fields"
+import { StreamDirectiveOnListField } from './rules/StreamDirectiveOnListField';
+
 // Spec Section: "Argument Names"
 import { KnownArgumentNames } from './rules/KnownArgumentNames';
 
@@ -82,6 +90,11 @@ import { DefaultValuesOfCorrectType } from './rules/DefaultValuesOfCorrectType';
 // Spec Section: "All Variable Usages Are Allowed"
 import { VariablesInAllowedPosition } from './rules/VariablesInAllowedPosition';
 
+// OneOf input objects: "Variables Used In OneOf Input Objects Are Non-Null"
+import {
+  OneOfInputObjectVariables
+} from './rules/OneOfInputObjectVariables';
+
 // Spec Section: "Field Selection Merging"
 import {
   OverlappingFieldsCanBeMerged
@@ -117,12 +130,15 @@ export const specifiedRules: Array<(context: ValidationContext) => any> = [
   NoUnusedVariables,
   KnownDirectives,
   UniqueDirectivesPerLocation,
+  DeferStreamDirectiveOnRootField,
+  StreamDirectiveOnListField,
   KnownArgumentNames,
   UniqueArgumentNames,
   ArgumentsOfCorrectType,
   ProvidedNonNullArguments,
   DefaultValuesOfCorrectType,
   VariablesInAllowedPosition,
+  OneOfInputObjectVariables,
   OverlappingFieldsCanBeMerged,
   UniqueInputFieldNames,
 ];
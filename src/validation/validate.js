@@ -21,6 +21,7 @@ import type {
   FragmentDefinitionNode,
 } from '../language/ast';
 import { GraphQLSchema } from '../type/schema';
+import { assertValidSchema } from '../type/validate';
 import type {
   GraphQLInputType,
   GraphQLOutputType,
@@ -62,6 +63,7 @@ export function validate(
     'Schema must be an instance of GraphQLSchema. Also ensure that there are ' +
     'not multiple versions of GraphQL installed in your node_modules directory.'
   );
+  assertValidSchema(schema);
   return visitUsingRules(
     schema,
     typeInfo || new TypeInfo(schema),
@@ -167,7 +169,7 @@ export class ValidationContext {
           const selection = set.selections[i];
           if (selection.kind === Kind.FRAGMENT_SPREAD) {
             spreads.push(selection);
-          } else if (selection.selectionSet) {
+          } else if (selection.kind !== Kind.ERROR && selection.selectionSet) {
             setsToVisit.push(selection.selectionSet);
           }
         }